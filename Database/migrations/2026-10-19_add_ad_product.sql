@@ -0,0 +1,35 @@
+-- Ad product of each synced entity: SPONSORED_PRODUCTS, SPONSORED_BRANDS or
+-- SPONSORED_DISPLAY. syncAmazonDataVps.js writes Sponsored Brands and
+-- Sponsored Display campaigns, ad groups, keywords, targets and daily metrics
+-- into the same tables as Sponsored Products. Existing rows are all
+-- Sponsored Products. Bid, budget and status writers only speak the Sponsored
+-- Products API and filter on this column.
+-- Safe to run multiple times due to IF NOT EXISTS
+
+ALTER TABLE public.amazon_campaigns
+  ADD COLUMN IF NOT EXISTS ad_product text NOT NULL DEFAULT 'SPONSORED_PRODUCTS';
+
+ALTER TABLE public.amazon_ad_groups
+  ADD COLUMN IF NOT EXISTS ad_product text NOT NULL DEFAULT 'SPONSORED_PRODUCTS';
+
+ALTER TABLE public.amazon_keywords
+  ADD COLUMN IF NOT EXISTS ad_product text NOT NULL DEFAULT 'SPONSORED_PRODUCTS';
+
+ALTER TABLE public.amazon_targets
+  ADD COLUMN IF NOT EXISTS ad_product text NOT NULL DEFAULT 'SPONSORED_PRODUCTS';
+
+ALTER TABLE public.amazon_campaign_metrics_daily
+  ADD COLUMN IF NOT EXISTS ad_product text NOT NULL DEFAULT 'SPONSORED_PRODUCTS';
+
+ALTER TABLE public.amazon_ad_group_metrics_daily
+  ADD COLUMN IF NOT EXISTS ad_product text NOT NULL DEFAULT 'SPONSORED_PRODUCTS';
+
+ALTER TABLE public.amazon_keyword_metrics_daily
+  ADD COLUMN IF NOT EXISTS ad_product text NOT NULL DEFAULT 'SPONSORED_PRODUCTS';
+
+ALTER TABLE public.amazon_target_metrics_daily
+  ADD COLUMN IF NOT EXISTS ad_product text NOT NULL DEFAULT 'SPONSORED_PRODUCTS';
+
+CREATE INDEX IF NOT EXISTS idx_amazon_campaigns_account_ad_product ON public.amazon_campaigns(account_id, ad_product);
+CREATE INDEX IF NOT EXISTS idx_amazon_ad_groups_account_ad_product ON public.amazon_ad_groups(account_id, ad_product);
+CREATE INDEX IF NOT EXISTS idx_amazon_targets_account_ad_product ON public.amazon_targets(account_id, ad_product);
@@ -0,0 +1,40 @@
+-- Sponsored Products product/ASIN targets (auto and manual targeting), synced by
+-- syncAmazonDataVps.js from /v2/sp/targets plus the spTargeting report.
+-- Safe to run multiple times due to IF NOT EXISTS
+
+CREATE TABLE IF NOT EXISTS public.amazon_targets (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  account_id uuid,
+  campaign_id uuid,
+  ad_group_id uuid,
+  amazon_target_id text NOT NULL,
+  amazon_profile_id_text text,
+  amazon_region text,
+  -- 'auto' | 'manual' (Amazon expressionType)
+  expression_type text,
+  expression jsonb,
+  resolved_expression jsonb,
+  -- Readable form of the expression, e.g. asin="B0XXXXXXX" or close-match
+  expression_text text,
+  bid numeric,
+  status text,
+  spend numeric DEFAULT 0,
+  impressions integer DEFAULT 0,
+  clicks integer DEFAULT 0,
+  orders integer DEFAULT 0,
+  acos numeric DEFAULT 0,
+  ctr numeric DEFAULT 0,
+  cpc numeric DEFAULT 0,
+  raw_data jsonb,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT amazon_targets_pkey PRIMARY KEY (id),
+  CONSTRAINT amazon_targets_account_id_fkey FOREIGN KEY (account_id) REFERENCES public.amazon_accounts(id),
+  CONSTRAINT amazon_targets_campaign_id_fkey FOREIGN KEY (campaign_id) REFERENCES public.amazon_campaigns(id),
+  CONSTRAINT amazon_targets_ad_group_id_fkey FOREIGN KEY (ad_group_id) REFERENCES public.amazon_ad_groups(id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_targets_profile ON public.amazon_targets(amazon_profile_id_text, amazon_target_id);
+CREATE INDEX IF NOT EXISTS idx_targets_account ON public.amazon_targets(account_id);
+CREATE INDEX IF NOT EXISTS idx_targets_campaign ON public.amazon_targets(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_targets_adgroup ON public.amazon_targets(ad_group_id);
@@ -0,0 +1,14 @@
+-- Approval queue for optimizer actions.
+-- Rules with settings.require_approval = true no longer change bids directly:
+-- optimizerVps.js stores their actions here with status 'pending' and they are
+-- applied only after a user approves them from the Optimization page.
+-- status: simulated (dry-run) | pending | approved | rejected | applied | failed
+-- Safe to run multiple times due to IF NOT EXISTS
+
+ALTER TABLE public.optimization_proposed_actions
+  ADD COLUMN IF NOT EXISTS status text NOT NULL DEFAULT 'simulated',
+  ADD COLUMN IF NOT EXISTS reviewed_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS applied_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS error_message text;
+
+CREATE INDEX IF NOT EXISTS idx_proposed_actions_status ON public.optimization_proposed_actions(user_id, status);
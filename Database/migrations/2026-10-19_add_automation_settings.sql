@@ -0,0 +1,41 @@
+-- Global automation kill switch: a per-user flag (account_id NULL) and
+-- optional per-account flags, checked by the VPS optimizer, the daily
+-- optimization cron and the /optimize route before applying anything (see
+-- src/lib/automationSettings.js). Missing rows mean automation is on. Every
+-- change is recorded in automation_settings_audit.
+-- Safe to run multiple times due to IF NOT EXISTS
+
+CREATE TABLE IF NOT EXISTS public.automation_settings (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  -- NULL = all of the user's accounts
+  account_id uuid,
+  enabled boolean NOT NULL DEFAULT true,
+  updated_by uuid,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT automation_settings_pkey PRIMARY KEY (id),
+  CONSTRAINT automation_settings_user_id_fkey FOREIGN KEY (user_id) REFERENCES auth.users(id),
+  CONSTRAINT automation_settings_account_id_fkey FOREIGN KEY (account_id) REFERENCES public.amazon_accounts(id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_automation_settings_user ON public.automation_settings(user_id) WHERE account_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_automation_settings_account ON public.automation_settings(user_id, account_id) WHERE account_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.automation_settings_audit (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  account_id uuid,
+  -- NULL when the flag had never been set
+  previous_enabled boolean,
+  enabled boolean NOT NULL,
+  changed_by uuid,
+  -- Where the change came from, e.g. 'settings_ui'
+  source text,
+  changed_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT automation_settings_audit_pkey PRIMARY KEY (id),
+  CONSTRAINT automation_settings_audit_user_id_fkey FOREIGN KEY (user_id) REFERENCES auth.users(id),
+  CONSTRAINT automation_settings_audit_account_id_fkey FOREIGN KEY (account_id) REFERENCES public.amazon_accounts(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_automation_settings_audit_user ON public.automation_settings_audit(user_id, changed_at);
@@ -0,0 +1,56 @@
+-- Budget pacing: intraday budget usage per campaign, out-of-budget alerts and
+-- optional automatic budget raises within a monthly spend cap, maintained by
+-- scripts/budgetPacingVps.js (see src/lib/budgetPacing.js). Raised budgets
+-- go back to base_budget at the start of the next local day.
+-- Safe to run multiple times due to IF NOT EXISTS
+
+ALTER TABLE public.amazon_campaigns
+  ADD COLUMN IF NOT EXISTS budget_usage_percent numeric,
+  ADD COLUMN IF NOT EXISTS budget_usage_updated_at timestamp with time zone,
+  -- First time the budget ran out on the current local day
+  ADD COLUMN IF NOT EXISTS out_of_budget_at timestamp with time zone;
+
+CREATE TABLE IF NOT EXISTS public.budget_pacing_settings (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  account_id uuid NOT NULL,
+  campaign_id uuid NOT NULL,
+  amazon_campaign_id text NOT NULL,
+  auto_raise boolean DEFAULT false,
+  raise_percent numeric DEFAULT 20,
+  -- Maximum spend per calendar month; NULL = no cap
+  monthly_cap numeric,
+  -- Budget before today's raises and the local day they were made on
+  base_budget numeric,
+  raised_on date,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT budget_pacing_settings_pkey PRIMARY KEY (id),
+  CONSTRAINT budget_pacing_settings_user_id_fkey FOREIGN KEY (user_id) REFERENCES auth.users(id),
+  CONSTRAINT budget_pacing_settings_account_id_fkey FOREIGN KEY (account_id) REFERENCES public.amazon_accounts(id),
+  CONSTRAINT budget_pacing_settings_campaign_id_fkey FOREIGN KEY (campaign_id) REFERENCES public.amazon_campaigns(id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_budget_pacing_campaign ON public.budget_pacing_settings(campaign_id);
+
+CREATE TABLE IF NOT EXISTS public.budget_pacing_events (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  account_id uuid NOT NULL,
+  campaign_id uuid,
+  amazon_campaign_id text,
+  -- 'out_of_budget' | 'budget_raised' | 'cap_reached' | 'budget_restored'
+  event_type text NOT NULL,
+  budget numeric,
+  new_budget numeric,
+  usage_percent numeric,
+  -- Marketplace-local date and time of the event (YYYY-MM-DD, HH:MM)
+  local_date date,
+  local_time text,
+  details jsonb,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT budget_pacing_events_pkey PRIMARY KEY (id),
+  CONSTRAINT budget_pacing_events_account_id_fkey FOREIGN KEY (account_id) REFERENCES public.amazon_accounts(id),
+  CONSTRAINT budget_pacing_events_campaign_id_fkey FOREIGN KEY (campaign_id) REFERENCES public.amazon_campaigns(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_pacing_events_account_date ON public.budget_pacing_events(account_id, local_date);
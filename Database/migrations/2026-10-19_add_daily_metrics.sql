@@ -0,0 +1,92 @@
+-- Daily metrics history per entity, filled from timeUnit DAILY reports by
+-- syncAmazonDataVps.js. The snapshot columns on amazon_campaigns /
+-- amazon_keywords / ... keep the last synced window; rules and pages sum
+-- these rows for any lookback window instead (src/lib/metricsHistory.js).
+-- Only raw counts are stored; ACOS, CTR and CPC are derived from the sums.
+-- Safe to run multiple times due to IF NOT EXISTS
+
+CREATE TABLE IF NOT EXISTS public.amazon_campaign_metrics_daily (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  account_id uuid,
+  campaign_id uuid,
+  amazon_campaign_id text NOT NULL,
+  amazon_profile_id_text text NOT NULL,
+  date date NOT NULL,
+  spend numeric DEFAULT 0,
+  impressions integer DEFAULT 0,
+  clicks integer DEFAULT 0,
+  orders integer DEFAULT 0,
+  sales numeric DEFAULT 0,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT amazon_campaign_metrics_daily_pkey PRIMARY KEY (id),
+  CONSTRAINT amazon_campaign_metrics_daily_account_id_fkey FOREIGN KEY (account_id) REFERENCES public.amazon_accounts(id),
+  CONSTRAINT amazon_campaign_metrics_daily_campaign_id_fkey FOREIGN KEY (campaign_id) REFERENCES public.amazon_campaigns(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.amazon_ad_group_metrics_daily (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  account_id uuid,
+  campaign_id uuid,
+  amazon_ad_group_id text NOT NULL,
+  amazon_profile_id_text text NOT NULL,
+  date date NOT NULL,
+  spend numeric DEFAULT 0,
+  impressions integer DEFAULT 0,
+  clicks integer DEFAULT 0,
+  orders integer DEFAULT 0,
+  sales numeric DEFAULT 0,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT amazon_ad_group_metrics_daily_pkey PRIMARY KEY (id),
+  CONSTRAINT amazon_ad_group_metrics_daily_account_id_fkey FOREIGN KEY (account_id) REFERENCES public.amazon_accounts(id),
+  CONSTRAINT amazon_ad_group_metrics_daily_campaign_id_fkey FOREIGN KEY (campaign_id) REFERENCES public.amazon_campaigns(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.amazon_keyword_metrics_daily (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  account_id uuid,
+  campaign_id uuid,
+  amazon_keyword_id text NOT NULL,
+  amazon_profile_id_text text NOT NULL,
+  date date NOT NULL,
+  spend numeric DEFAULT 0,
+  impressions integer DEFAULT 0,
+  clicks integer DEFAULT 0,
+  orders integer DEFAULT 0,
+  sales numeric DEFAULT 0,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT amazon_keyword_metrics_daily_pkey PRIMARY KEY (id),
+  CONSTRAINT amazon_keyword_metrics_daily_account_id_fkey FOREIGN KEY (account_id) REFERENCES public.amazon_accounts(id),
+  CONSTRAINT amazon_keyword_metrics_daily_campaign_id_fkey FOREIGN KEY (campaign_id) REFERENCES public.amazon_campaigns(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.amazon_target_metrics_daily (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  account_id uuid,
+  campaign_id uuid,
+  amazon_target_id text NOT NULL,
+  amazon_profile_id_text text NOT NULL,
+  date date NOT NULL,
+  spend numeric DEFAULT 0,
+  impressions integer DEFAULT 0,
+  clicks integer DEFAULT 0,
+  orders integer DEFAULT 0,
+  sales numeric DEFAULT 0,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT amazon_target_metrics_daily_pkey PRIMARY KEY (id),
+  CONSTRAINT amazon_target_metrics_daily_account_id_fkey FOREIGN KEY (account_id) REFERENCES public.amazon_accounts(id),
+  CONSTRAINT amazon_target_metrics_daily_campaign_id_fkey FOREIGN KEY (campaign_id) REFERENCES public.amazon_campaigns(id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_campaign_metrics_daily ON public.amazon_campaign_metrics_daily(amazon_profile_id_text, amazon_campaign_id, date);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_ad_group_metrics_daily ON public.amazon_ad_group_metrics_daily(amazon_profile_id_text, amazon_ad_group_id, date);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_keyword_metrics_daily ON public.amazon_keyword_metrics_daily(amazon_profile_id_text, amazon_keyword_id, date);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_target_metrics_daily ON public.amazon_target_metrics_daily(amazon_profile_id_text, amazon_target_id, date);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_metrics_daily_account_date ON public.amazon_campaign_metrics_daily(account_id, date);
+CREATE INDEX IF NOT EXISTS idx_ad_group_metrics_daily_account_date ON public.amazon_ad_group_metrics_daily(account_id, date);
+CREATE INDEX IF NOT EXISTS idx_keyword_metrics_daily_account_date ON public.amazon_keyword_metrics_daily(account_id, date);
+CREATE INDEX IF NOT EXISTS idx_target_metrics_daily_account_date ON public.amazon_target_metrics_daily(account_id, date);
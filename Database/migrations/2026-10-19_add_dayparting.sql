@@ -0,0 +1,45 @@
+-- Dayparting: weekly hour-of-day schedules per campaign or ad group, applied
+-- and undone by scripts/daypartingVps.js in the marketplace's timezone.
+-- schedule is 7 days (0 = Sunday) x 24 hourly bid multipliers; 0 pauses the
+-- entity for that hour (see src/lib/dayparting.js). applied_multiplier and
+-- paused_by_schedule record what is live on Amazon so it can be undone;
+-- base_bids keeps the unscaled bid of each entity the multiplier applies to.
+-- Deleted schedules keep their row (deleted_at) until the daemon has undone
+-- them.
+-- Safe to run multiple times due to IF NOT EXISTS
+
+-- IANA timezone of the advertising profile, filled by the dayparting daemon
+ALTER TABLE public.amazon_accounts
+  ADD COLUMN IF NOT EXISTS timezone text;
+
+CREATE TABLE IF NOT EXISTS public.dayparting_schedules (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  account_id uuid NOT NULL,
+  name text,
+  enabled boolean DEFAULT true,
+  entity_type text NOT NULL CHECK (entity_type IN ('campaign', 'ad_group')),
+  campaign_id uuid,
+  -- NULL for campaign schedules
+  ad_group_id uuid,
+  amazon_entity_id text NOT NULL,
+  schedule jsonb NOT NULL,
+  applied_multiplier numeric DEFAULT 1,
+  paused_by_schedule boolean DEFAULT false,
+  -- "<type>:<amazonId>" -> { base, bid } (bid = last bid the daemon set)
+  base_bids jsonb NOT NULL DEFAULT '{}'::jsonb,
+  last_applied_at timestamp with time zone,
+  last_error text,
+  deleted_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT dayparting_schedules_pkey PRIMARY KEY (id),
+  CONSTRAINT dayparting_schedules_user_id_fkey FOREIGN KEY (user_id) REFERENCES auth.users(id),
+  CONSTRAINT dayparting_schedules_account_id_fkey FOREIGN KEY (account_id) REFERENCES public.amazon_accounts(id),
+  CONSTRAINT dayparting_schedules_campaign_id_fkey FOREIGN KEY (campaign_id) REFERENCES public.amazon_campaigns(id),
+  CONSTRAINT dayparting_schedules_ad_group_id_fkey FOREIGN KEY (ad_group_id) REFERENCES public.amazon_ad_groups(id)
+);
+
+-- One schedule per campaign / ad group
+CREATE UNIQUE INDEX IF NOT EXISTS uq_dayparting_entity ON public.dayparting_schedules(account_id, entity_type, amazon_entity_id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_dayparting_account ON public.dayparting_schedules(account_id);
@@ -0,0 +1,8 @@
+-- Campaign and ad group rules: proposed actions can now change a campaign
+-- budget or an entity status, so keep the values needed to apply and revert them.
+-- Safe to run multiple times due to IF NOT EXISTS
+
+ALTER TABLE public.optimization_proposed_actions
+  ADD COLUMN IF NOT EXISTS current_status text,
+  ADD COLUMN IF NOT EXISTS current_budget numeric,
+  ADD COLUMN IF NOT EXISTS new_budget numeric;
@@ -0,0 +1,59 @@
+-- Guardrails on automated changes: per-account limits (max bid, max daily
+-- budget increase, max changes per run, monthly spend cap) and per-portfolio
+-- monthly spend caps, enforced by every writer (see src/lib/guardrails.js).
+-- Blocked changes are logged to error_logs with the reason.
+-- Safe to run multiple times due to IF NOT EXISTS
+
+-- Amazon portfolio of the campaign, filled by the campaign sync
+ALTER TABLE public.amazon_campaigns
+  ADD COLUMN IF NOT EXISTS portfolio_id text;
+
+-- NULL in any limit column = no limit
+CREATE TABLE IF NOT EXISTS public.account_guardrails (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  account_id uuid NOT NULL,
+  max_bid numeric,
+  -- Percent over the budget a campaign had at its first change of the local day
+  max_budget_increase_percent numeric,
+  max_changes_per_run integer,
+  -- Maximum spend per calendar month in the marketplace's timezone
+  monthly_spend_cap numeric,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT account_guardrails_pkey PRIMARY KEY (id),
+  CONSTRAINT account_guardrails_user_id_fkey FOREIGN KEY (user_id) REFERENCES auth.users(id),
+  CONSTRAINT account_guardrails_account_id_fkey FOREIGN KEY (account_id) REFERENCES public.amazon_accounts(id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_account_guardrails_account ON public.account_guardrails(account_id);
+
+CREATE TABLE IF NOT EXISTS public.portfolio_spend_caps (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  account_id uuid NOT NULL,
+  portfolio_id text NOT NULL,
+  monthly_spend_cap numeric NOT NULL,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT portfolio_spend_caps_pkey PRIMARY KEY (id),
+  CONSTRAINT portfolio_spend_caps_user_id_fkey FOREIGN KEY (user_id) REFERENCES auth.users(id),
+  CONSTRAINT portfolio_spend_caps_account_id_fkey FOREIGN KEY (account_id) REFERENCES public.amazon_accounts(id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_portfolio_spend_caps ON public.portfolio_spend_caps(account_id, portfolio_id);
+
+-- Campaign budget before its first guarded change of each local day, the
+-- baseline for max_budget_increase_percent
+CREATE TABLE IF NOT EXISTS public.guardrail_budget_baselines (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  account_id uuid NOT NULL,
+  amazon_campaign_id text NOT NULL,
+  local_date date NOT NULL,
+  budget numeric NOT NULL,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT guardrail_budget_baselines_pkey PRIMARY KEY (id),
+  CONSTRAINT guardrail_budget_baselines_account_id_fkey FOREIGN KEY (account_id) REFERENCES public.amazon_accounts(id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_guardrail_budget_baselines ON public.guardrail_budget_baselines(account_id, amazon_campaign_id, local_date);
@@ -0,0 +1,13 @@
+-- Rollback support for optimization_logs.
+-- run_id groups the log rows written by one optimizer cycle so a whole rule run
+-- can be reverted at once. reverted_at / reverted_by_log_id are set on the
+-- original row when its change has been undone; the undo itself is logged as a
+-- new row with action 'revert'.
+-- Safe to run multiple times due to IF NOT EXISTS
+
+ALTER TABLE public.optimization_logs
+  ADD COLUMN IF NOT EXISTS run_id uuid,
+  ADD COLUMN IF NOT EXISTS reverted_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS reverted_by_log_id uuid;
+
+CREATE INDEX IF NOT EXISTS idx_optimization_logs_run_id ON public.optimization_logs(run_id);
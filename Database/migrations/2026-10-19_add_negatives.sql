@@ -0,0 +1,41 @@
+-- Negative keywords and negative product targets at campaign and ad-group
+-- level, synced by syncAmazonDataVps.js and created / archived from the
+-- Negatives page and by "add as negative" optimizer rules. Negatives that
+-- disappear from Amazon are kept with status 'archived'.
+-- Safe to run multiple times due to IF NOT EXISTS
+
+CREATE TABLE IF NOT EXISTS public.amazon_negatives (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  account_id uuid,
+  campaign_id uuid,
+  -- NULL for campaign-level negatives
+  ad_group_id uuid,
+  amazon_negative_id text NOT NULL,
+  amazon_campaign_id text,
+  amazon_ad_group_id text,
+  amazon_profile_id_text text,
+  negative_type text NOT NULL CHECK (negative_type IN ('keyword', 'product_target')),
+  level text NOT NULL CHECK (level IN ('campaign', 'ad_group')),
+  -- Negative keywords: text + negativeExact | negativePhrase
+  keyword_text text,
+  match_type text,
+  -- Negative product targets: [{ type: 'asinSameAs' | 'asinBrandSameAs', value }]
+  expression jsonb,
+  expression_text text,
+  status text,
+  raw_data jsonb,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT amazon_negatives_pkey PRIMARY KEY (id),
+  CONSTRAINT amazon_negatives_account_id_fkey FOREIGN KEY (account_id) REFERENCES public.amazon_accounts(id),
+  CONSTRAINT amazon_negatives_campaign_id_fkey FOREIGN KEY (campaign_id) REFERENCES public.amazon_campaigns(id),
+  CONSTRAINT amazon_negatives_ad_group_id_fkey FOREIGN KEY (ad_group_id) REFERENCES public.amazon_ad_groups(id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_negatives_source ON public.amazon_negatives(amazon_profile_id_text, negative_type, level, amazon_negative_id);
+CREATE INDEX IF NOT EXISTS idx_negatives_account ON public.amazon_negatives(account_id);
+CREATE INDEX IF NOT EXISTS idx_negatives_campaign ON public.amazon_negatives(campaign_id);
+
+-- "add as negative" proposals carry the negative to create
+ALTER TABLE public.optimization_proposed_actions
+  ADD COLUMN IF NOT EXISTS action_payload jsonb;
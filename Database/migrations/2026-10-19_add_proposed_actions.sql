@@ -0,0 +1,32 @@
+-- Proposed (simulated) optimizer actions produced by optimizerVps.js in DRY_RUN mode.
+-- Each dry-run cycle replaces the rows of a rule/account pair, so the table always
+-- shows what the latest simulation would change.
+-- Safe to run multiple times due to IF NOT EXISTS
+
+CREATE TABLE IF NOT EXISTS public.optimization_proposed_actions (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  run_id uuid NOT NULL,
+  user_id uuid,
+  rule_id uuid,
+  amazon_account_id uuid,
+  campaign_id uuid,
+  keyword_id uuid,
+  entity_type text,
+  entity_id text,
+  action text NOT NULL,
+  api_type text,
+  current_bid numeric,
+  new_bid numeric,
+  metrics_snapshot jsonb,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT optimization_proposed_actions_pkey PRIMARY KEY (id),
+  CONSTRAINT optimization_proposed_actions_user_id_fkey FOREIGN KEY (user_id) REFERENCES auth.users(id),
+  CONSTRAINT optimization_proposed_actions_rule_id_fkey FOREIGN KEY (rule_id) REFERENCES public.optimization_rules(id) ON DELETE CASCADE,
+  CONSTRAINT optimization_proposed_actions_account_id_fkey FOREIGN KEY (amazon_account_id) REFERENCES public.amazon_accounts(id),
+  CONSTRAINT optimization_proposed_actions_campaign_id_fkey FOREIGN KEY (campaign_id) REFERENCES public.amazon_campaigns(id),
+  CONSTRAINT optimization_proposed_actions_keyword_id_fkey FOREIGN KEY (keyword_id) REFERENCES public.amazon_keywords(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposed_actions_user ON public.optimization_proposed_actions(user_id);
+CREATE INDEX IF NOT EXISTS idx_proposed_actions_rule_account ON public.optimization_proposed_actions(rule_id, amazon_account_id);
+
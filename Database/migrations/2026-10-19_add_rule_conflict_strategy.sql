@@ -0,0 +1,9 @@
+-- Rule conflict strategy per user, stored on the user-wide automation
+-- settings row (account_id NULL). The VPS optimizer keeps one change per
+-- entity and cycle and picks it with this strategy (see
+-- src/lib/ruleConflicts.js).
+-- Safe to run multiple times due to IF NOT EXISTS
+
+ALTER TABLE public.automation_settings
+  ADD COLUMN IF NOT EXISTS conflict_strategy text DEFAULT 'priority'
+    CHECK (conflict_strategy IN ('priority', 'first_match', 'most_conservative'));
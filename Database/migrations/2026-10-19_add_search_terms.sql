@@ -0,0 +1,46 @@
+-- Customer search terms from the spSearchTerm report, synced by
+-- syncAmazonDataVps.js. One row per ad group / keyword-or-target / query for the
+-- current report window; terms that drop out of the window are removed on sync.
+-- Safe to run multiple times due to IF NOT EXISTS
+
+CREATE TABLE IF NOT EXISTS public.amazon_search_terms (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  account_id uuid,
+  campaign_id uuid,
+  ad_group_id uuid,
+  -- Set when the query matched a keyword / a product target
+  keyword_id uuid,
+  target_id uuid,
+  amazon_campaign_id text,
+  amazon_ad_group_id text,
+  -- keywordId from the report: a keyword id or a target id
+  amazon_keyword_id text NOT NULL,
+  amazon_profile_id_text text,
+  search_term text NOT NULL,
+  keyword_text text,
+  keyword_type text,
+  match_type text,
+  start_date date,
+  end_date date,
+  spend numeric DEFAULT 0,
+  impressions integer DEFAULT 0,
+  clicks integer DEFAULT 0,
+  orders integer DEFAULT 0,
+  sales numeric DEFAULT 0,
+  acos numeric DEFAULT 0,
+  ctr numeric DEFAULT 0,
+  cpc numeric DEFAULT 0,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT amazon_search_terms_pkey PRIMARY KEY (id),
+  CONSTRAINT amazon_search_terms_account_id_fkey FOREIGN KEY (account_id) REFERENCES public.amazon_accounts(id),
+  CONSTRAINT amazon_search_terms_campaign_id_fkey FOREIGN KEY (campaign_id) REFERENCES public.amazon_campaigns(id),
+  CONSTRAINT amazon_search_terms_ad_group_id_fkey FOREIGN KEY (ad_group_id) REFERENCES public.amazon_ad_groups(id),
+  CONSTRAINT amazon_search_terms_keyword_id_fkey FOREIGN KEY (keyword_id) REFERENCES public.amazon_keywords(id) ON DELETE SET NULL,
+  CONSTRAINT amazon_search_terms_target_id_fkey FOREIGN KEY (target_id) REFERENCES public.amazon_targets(id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_search_terms_source ON public.amazon_search_terms(amazon_profile_id_text, amazon_ad_group_id, amazon_keyword_id, search_term);
+CREATE INDEX IF NOT EXISTS idx_search_terms_account ON public.amazon_search_terms(account_id);
+CREATE INDEX IF NOT EXISTS idx_search_terms_keyword ON public.amazon_search_terms(keyword_id);
+CREATE INDEX IF NOT EXISTS idx_search_terms_target ON public.amazon_search_terms(target_id);
@@ -37,6 +37,36 @@ module.exports = {
         CHECK_INTERVAL_MINUTES: "15", // Check rules every 15 minutes
       },
     },
+    {
+      name: "robotads-dayparting",
+      script: "./scripts/daypartingVps.js",
+      cwd: __dirname,
+      instances: 1,
+      autorestart: true,
+      watch: false,
+      env: {
+        SUPABASE_URL: process.env.SUPABASE_URL,
+        SUPABASE_SERVICE_ROLE_KEY: process.env.SUPABASE_SERVICE_ROLE_KEY,
+        AMAZON_CLIENT_ID: process.env.AMAZON_CLIENT_ID,
+        AMAZON_CLIENT_SECRET: process.env.AMAZON_CLIENT_SECRET,
+        DAYPARTING_INTERVAL_MINUTES: "5", // Check schedules every 5 minutes
+      },
+    },
+    {
+      name: "robotads-pacing",
+      script: "./scripts/budgetPacingVps.js",
+      cwd: __dirname,
+      instances: 1,
+      autorestart: true,
+      watch: false,
+      env: {
+        SUPABASE_URL: process.env.SUPABASE_URL,
+        SUPABASE_SERVICE_ROLE_KEY: process.env.SUPABASE_SERVICE_ROLE_KEY,
+        AMAZON_CLIENT_ID: process.env.AMAZON_CLIENT_ID,
+        AMAZON_CLIENT_SECRET: process.env.AMAZON_CLIENT_SECRET,
+        PACING_INTERVAL_MINUTES: "15", // Check budget usage every 15 minutes
+      },
+    },
     {
       name: "robotads-server",
       script: "./scripts/startOptimizationServer.js",
@@ -0,0 +1,429 @@
+// scripts/budgetPacingVps.js
+// Budget pacing daemon for Robotads, run next to optimizerVps.js on the VPS.
+// Every cycle it reads Amazon's intraday budget usage for the enabled
+// Sponsored Products campaigns and stores it on amazon_campaigns, then, per
+// campaign and in the profile's timezone (src/lib/budgetPacing.js):
+//   - records an out_of_budget event the first time the budget runs out on a
+//     local day
+//   - with budget_pacing_settings.auto_raise, raises the daily budget by
+//     raise_percent while the month's spend stays within monthly_cap
+//     (month-to-date spend comes from amazon_campaign_metrics_daily);
+//     campaigns without a cap are never raised
+//   - puts raised budgets back to base_budget on the next local day
+// Budget changes go through applyAmazonUpdates, so amazon_campaigns stays in
+// step with Amazon.
+//
+// Requirements:
+//   - Node 18+ (global fetch, Intl timezones)
+//   - npm install @supabase/supabase-js dotenv
+//
+// Env vars (required):
+//   SUPABASE_URL
+//   SUPABASE_SERVICE_ROLE_KEY
+//   AMAZON_CLIENT_ID
+//   AMAZON_CLIENT_SECRET
+//
+// Optional env vars:
+//   ACCOUNT_ID              -> limit to a single amazon_accounts.id
+//   USER_ID                 -> limit to accounts of a single auth.users.id
+//   PACING_INTERVAL_MINUTES -> how often to check budget usage (default 15)
+//   RUN_ONCE                -> if '1' or 'true', run a single cycle then exit
+
+// Load env vars from .env file (for VPS deployment)
+import { config as dotenvConfig } from "dotenv";
+import { fileURLToPath } from "node:url";
+import { dirname, resolve } from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenvConfig({ path: resolve(__dirname, "../.env") });
+
+import { createClient } from "@supabase/supabase-js";
+import {
+  computeBudgetRaise,
+  daysLeftInMonth,
+  localDateTime,
+  monthStart,
+} from "../src/lib/budgetPacing.js";
+import { accountTimezone } from "../src/lib/dayparting.js";
+import { applyAmazonUpdates } from "./lib/amazonUpdates.js";
+import { accountClient } from "./lib/amazonClient.js";
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const AMAZON_CLIENT_ID = process.env.AMAZON_CLIENT_ID;
+const AMAZON_CLIENT_SECRET = process.env.AMAZON_CLIENT_SECRET;
+
+const ACCOUNT_ID = process.env.ACCOUNT_ID || null;
+const USER_ID = process.env.USER_ID || null;
+const PACING_INTERVAL_MINUTES = Number(
+  process.env.PACING_INTERVAL_MINUTES || 15
+);
+const RUN_ONCE =
+  process.env.RUN_ONCE === "1" ||
+  process.env.RUN_ONCE === "true" ||
+  process.env.RUN_ONCE === "TRUE";
+
+// The budget usage endpoint accepts up to 100 campaign ids per call
+const USAGE_BATCH_SIZE = 100;
+const BUDGET_USAGE_CONTENT_TYPE =
+  "application/vnd.spcampaignbudgetusage.v1+json";
+
+if (
+  !SUPABASE_URL ||
+  !SERVICE_ROLE_KEY ||
+  !AMAZON_CLIENT_ID ||
+  !AMAZON_CLIENT_SECRET
+) {
+  console.error(
+    "Missing env vars. Required: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, AMAZON_CLIENT_ID, AMAZON_CLIENT_SECRET"
+  );
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SERVICE_ROLE_KEY);
+
+// ---- helpers ----
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+async function logJob(status, message, errorDetails = null) {
+  const now = nowIso();
+  const { error } = await supabase.from("optimization_job_logs").insert({
+    job_type: "budget_pacing_vps",
+    status,
+    message,
+    started_at: now,
+    completed_at: now,
+    error_details: errorDetails,
+  });
+  if (error) console.error("Error logging job:", error);
+}
+
+async function loadAccounts() {
+  let query = supabase
+    .from("amazon_accounts")
+    .select("*")
+    .eq("status", "active");
+  if (ACCOUNT_ID) query = query.eq("id", ACCOUNT_ID);
+  if (USER_ID) query = query.eq("user_id", USER_ID);
+  const { data, error } = await query;
+  if (error)
+    throw new Error(`Failed to load amazon_accounts: ${error.message}`);
+  return data || [];
+}
+
+// Map of Amazon campaign id -> { usagePercent, updatedAt } from the v3 budget
+// usage endpoint. Campaigns Amazon reports an error for are left out.
+async function fetchBudgetUsage(account, campaignIds) {
+  const usage = new Map();
+  const client = accountClient(account);
+  for (let i = 0; i < campaignIds.length; i += USAGE_BATCH_SIZE) {
+    const batch = campaignIds.slice(i, i + USAGE_BATCH_SIZE);
+    // 207 (per-campaign results) counts as success
+    const json = await client.json("/sp/campaigns/budget/usage", {
+      method: "POST",
+      body: { campaignIds: batch },
+      contentType: BUDGET_USAGE_CONTENT_TYPE,
+    });
+    for (const row of json?.success || []) {
+      usage.set(String(row.campaignId), {
+        usagePercent: Number(row.budgetUsagePercent ?? 0) || 0,
+        updatedAt: row.usageUpdatedTimestamp || nowIso(),
+      });
+    }
+    for (const err of json?.error || []) {
+      console.warn(
+        `Budget usage error for campaign ${batch[err.index]}:`,
+        JSON.stringify(err.errors || err)
+      );
+    }
+  }
+  return usage;
+}
+
+// Spend per amazon_campaigns.id from the start of the local month up to (not
+// including) today.
+async function loadMonthSpend(accountId, today) {
+  const spend = new Map();
+  const since = monthStart(today);
+  if (since === today) return spend;
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase
+      .from("amazon_campaign_metrics_daily")
+      .select("campaign_id, spend")
+      .eq("account_id", accountId)
+      .gte("date", since)
+      .lt("date", today)
+      .order("id", { ascending: true })
+      .range(from, from + 999);
+    if (error) throw error;
+    for (const r of data || []) {
+      if (!r.campaign_id) continue;
+      spend.set(
+        r.campaign_id,
+        (spend.get(r.campaign_id) || 0) + (Number(r.spend) || 0)
+      );
+    }
+    if (!data || data.length < 1000) break;
+  }
+  return spend;
+}
+
+async function recordEvent(account, campaign, local, event) {
+  const { error } = await supabase.from("budget_pacing_events").insert({
+    account_id: account.id,
+    campaign_id: campaign.id,
+    amazon_campaign_id: String(campaign.campaign_id),
+    local_date: local.date,
+    local_time: `${String(local.hour).padStart(2, "0")}:${String(
+      local.minute
+    ).padStart(2, "0")}`,
+    ...event,
+  });
+  if (error) console.error("Failed to record pacing event:", error);
+}
+
+async function setBudget(account, campaign, budget) {
+  await applyAmazonUpdates({
+    accountId: account.id,
+    type: "campaign",
+    items: [{ amazonId: String(campaign.campaign_id), value: budget }],
+  });
+}
+
+async function updateSettings(settings, patch) {
+  const updatedAt = nowIso();
+  const { error } = await supabase
+    .from("budget_pacing_settings")
+    .update({ ...patch, updated_at: updatedAt })
+    .eq("id", settings.id);
+  if (error) throw error;
+  Object.assign(settings, patch, { updated_at: updatedAt });
+}
+
+// Puts budgets raised on an earlier local day back to their base budget
+async function restoreBudget(account, campaign, settings, local) {
+  if (settings.base_budget == null || !settings.raised_on) return false;
+  if (settings.raised_on >= local.date) return false;
+  const base = Number(settings.base_budget);
+  // Archived campaigns can no longer be updated or spend
+  const archived = String(campaign.status || "").toLowerCase() === "archived";
+  if (!archived && Number(campaign.budget) !== base) {
+    await setBudget(account, campaign, base);
+    await recordEvent(account, campaign, local, {
+      event_type: "budget_restored",
+      budget: Number(campaign.budget),
+      new_budget: base,
+    });
+    campaign.budget = base;
+  }
+  await updateSettings(settings, { base_budget: null, raised_on: null });
+  return true;
+}
+
+async function raiseBudget(account, campaign, settings, local, monthSpend) {
+  const budget = Number(campaign.budget);
+  const newBudget = computeBudgetRaise({
+    budget,
+    baseBudget: settings.base_budget ?? budget,
+    raisePercent: settings.raise_percent,
+    monthSpend,
+    monthlyCap: settings.monthly_cap,
+    daysLeft: daysLeftInMonth(local.date),
+  });
+  if (newBudget == null) {
+    // One cap alert per campaign and local day
+    const { data: seen } = await supabase
+      .from("budget_pacing_events")
+      .select("id")
+      .eq("campaign_id", campaign.id)
+      .eq("event_type", "cap_reached")
+      .eq("local_date", local.date)
+      .limit(1);
+    if (seen?.length) return false;
+    await recordEvent(account, campaign, local, {
+      event_type: "cap_reached",
+      budget,
+      usage_percent: campaign.budget_usage_percent,
+      details: { monthly_cap: settings.monthly_cap, month_spend: monthSpend },
+    });
+    return false;
+  }
+  await setBudget(account, campaign, newBudget);
+  await updateSettings(settings, {
+    base_budget: settings.base_budget ?? budget,
+    raised_on: local.date,
+  });
+  await recordEvent(account, campaign, local, {
+    event_type: "budget_raised",
+    budget,
+    new_budget: newBudget,
+    usage_percent: campaign.budget_usage_percent,
+    details: { monthly_cap: settings.monthly_cap, month_spend: monthSpend },
+  });
+  campaign.budget = newBudget;
+  return true;
+}
+
+async function processAccount(account, now) {
+  const timeZone = accountTimezone(account);
+  const local = localDateTime(now, timeZone);
+
+  const { data: settingsRows, error: setErr } = await supabase
+    .from("budget_pacing_settings")
+    .select("*")
+    .eq("account_id", account.id);
+  if (setErr) throw setErr;
+  // Raised budgets are put back whatever the campaign's status is now
+  const raisedIds = (settingsRows || [])
+    .filter((s) => s.base_budget != null && s.raised_on)
+    .map((s) => s.campaign_id);
+
+  // Budget usage and raises go through the Sponsored Products API
+  let campaignQuery = supabase
+    .from("amazon_campaigns")
+    .select(
+      "id, campaign_id, name, status, budget, budget_usage_percent, out_of_budget_at"
+    )
+    .eq("account_id", account.id)
+    .eq("ad_product", "SPONSORED_PRODUCTS");
+  campaignQuery = raisedIds.length
+    ? campaignQuery.or(`status.eq.enabled,id.in.(${raisedIds.join(",")})`)
+    : campaignQuery.eq("status", "enabled");
+  const { data: campaigns, error: campErr } = await campaignQuery;
+  if (campErr) throw campErr;
+  if (!campaigns?.length) return 0;
+
+  const isEnabled = (c) => String(c.status || "").toLowerCase() === "enabled";
+  const settingsByCampaign = new Map(
+    (settingsRows || []).map((s) => [s.campaign_id, s])
+  );
+  const usage = await fetchBudgetUsage(
+    account,
+    campaigns.filter(isEnabled).map((c) => String(c.campaign_id))
+  );
+  let monthSpend = null;
+  let changes = 0;
+
+  for (const campaign of campaigns) {
+    try {
+      const settings = settingsByCampaign.get(campaign.id);
+      if (settings && (await restoreBudget(account, campaign, settings, local)))
+        changes += 1;
+      if (!isEnabled(campaign)) continue;
+
+      const u = usage.get(String(campaign.campaign_id));
+      if (!u) continue;
+      campaign.budget_usage_percent = u.usagePercent;
+
+      const ranOutToday =
+        campaign.out_of_budget_at &&
+        localDateTime(new Date(campaign.out_of_budget_at), timeZone).date ===
+          local.date;
+      const outOfBudget = u.usagePercent >= 100;
+      const patch = {
+        budget_usage_percent: u.usagePercent,
+        budget_usage_updated_at: u.updatedAt,
+      };
+      if (outOfBudget && !ranOutToday) {
+        patch.out_of_budget_at = now.toISOString();
+        await recordEvent(account, campaign, local, {
+          event_type: "out_of_budget",
+          budget: Number(campaign.budget),
+          usage_percent: u.usagePercent,
+        });
+        changes += 1;
+      }
+      const { error: updErr } = await supabase
+        .from("amazon_campaigns")
+        .update(patch)
+        .eq("id", campaign.id);
+      if (updErr) throw updErr;
+
+      // Usage reported before the last raise still refers to the old budget
+      const staleUsage =
+        settings?.raised_on === local.date &&
+        new Date(u.updatedAt) <= new Date(settings.updated_at);
+      // Raises without a monthly cap would compound unchecked
+      const canRaise =
+        settings?.auto_raise && settings.monthly_cap != null && !staleUsage;
+      if (outOfBudget && canRaise) {
+        if (monthSpend == null)
+          monthSpend = await loadMonthSpend(account.id, local.date);
+        if (
+          await raiseBudget(
+            account,
+            campaign,
+            settings,
+            local,
+            monthSpend.get(campaign.id) || 0
+          )
+        )
+          changes += 1;
+      }
+    } catch (e) {
+      console.error(
+        `Error pacing campaign ${campaign.campaign_id} (${campaign.name}):`,
+        e.message || e
+      );
+    }
+  }
+
+  return changes;
+}
+
+async function runOneCycle() {
+  const now = new Date();
+  try {
+    const accounts = await loadAccounts();
+    let changes = 0;
+    for (const account of accounts) {
+      if (!account.refresh_token || !account.amazon_profile_id) continue;
+      try {
+        changes += await processAccount(account, now);
+      } catch (e) {
+        console.error(`Error pacing account ${account.id}:`, e);
+      }
+    }
+
+    // Usage refreshes are routine; only log cycles with alerts or raises
+    if (changes > 0) {
+      console.log(`💸 Budget pacing: ${changes} event(s) at ${nowIso()}`);
+      await logJob("success", `Budget pacing recorded ${changes} event(s)`);
+    }
+  } catch (e) {
+    console.error("Fatal budget pacing error in cycle:", e);
+    await logJob("error", "Budget pacing cycle failed", {
+      error: String(e.message || e),
+    });
+  }
+}
+
+async function main() {
+  if (RUN_ONCE) {
+    console.log("RUN_ONCE=1, executing a single budget pacing cycle.");
+    await runOneCycle();
+    return;
+  }
+
+  const intervalMs = PACING_INTERVAL_MINUTES * 60 * 1000;
+  console.log(
+    `▶️ VPS Budget Pacing daemon started at ${nowIso()} (interval ${PACING_INTERVAL_MINUTES} min)`
+  );
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    await runOneCycle();
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((e) => {
+    console.error("Fatal error in main()", e);
+    process.exit(1);
+  });
+}
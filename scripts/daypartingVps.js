@@ -0,0 +1,465 @@
+// scripts/daypartingVps.js
+// Dayparting daemon for Robotads, run next to optimizerVps.js on the VPS.
+// Applies the weekly hour-of-day schedules in dayparting_schedules
+// (src/lib/dayparting.js) in each profile's own timezone:
+//   - multiplier 0 pauses the campaign / ad group and re-enables it when the
+//     window ends (only entities this daemon paused are re-enabled)
+//   - other multipliers set the bids of the ad group(s) and their keywords
+//     and product targets to a per-entity base bid x the multiplier; bid
+//     changes made in between (optimizer rules, manual edits) become the new
+//     base, so they are kept
+// Disabled and deleted schedules are undone the same way; deleted rows are
+// removed once nothing is left applied. Changes go through applyAmazonUpdates,
+// so the synced tables stay in step with Amazon.
+//
+// Requirements:
+//   - Node 18+ (global fetch, Intl timezones)
+//   - npm install @supabase/supabase-js dotenv
+//
+// Env vars (required):
+//   SUPABASE_URL
+//   SUPABASE_SERVICE_ROLE_KEY
+//   AMAZON_CLIENT_ID
+//   AMAZON_CLIENT_SECRET
+//
+// Optional env vars:
+//   ACCOUNT_ID                 -> limit to a single amazon_accounts.id
+//   USER_ID                    -> limit to schedules/accounts of a single auth.users.id
+//   DAYPARTING_INTERVAL_MINUTES -> how often to check schedules (default 5)
+//   RUN_ONCE                   -> if '1' or 'true', run a single cycle then exit
+
+// Load env vars from .env file (for VPS deployment)
+import { config as dotenvConfig } from "dotenv";
+import { fileURLToPath } from "node:url";
+import { dirname, resolve } from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenvConfig({ path: resolve(__dirname, "../.env") });
+
+import { createClient } from "@supabase/supabase-js";
+import {
+  accountTimezone,
+  desiredMultiplier,
+  localSlot,
+  scheduleApplied,
+} from "../src/lib/dayparting.js";
+import { clampBid } from "../src/lib/ruleEvaluator.js";
+import { applyAmazonUpdates } from "./lib/amazonUpdates.js";
+import { accountClient } from "./lib/amazonClient.js";
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const AMAZON_CLIENT_ID = process.env.AMAZON_CLIENT_ID;
+const AMAZON_CLIENT_SECRET = process.env.AMAZON_CLIENT_SECRET;
+
+const ACCOUNT_ID = process.env.ACCOUNT_ID || null;
+const USER_ID = process.env.USER_ID || null;
+const DAYPARTING_INTERVAL_MINUTES = Number(
+  process.env.DAYPARTING_INTERVAL_MINUTES || 5
+);
+const RUN_ONCE =
+  process.env.RUN_ONCE === "1" ||
+  process.env.RUN_ONCE === "true" ||
+  process.env.RUN_ONCE === "TRUE";
+
+// Items per applyAmazonUpdates call (one guardrail check and one mirror
+// pass); the v3 client splits them further into Amazon's batch limits
+const UPDATE_BATCH_SIZE = 1000;
+
+if (
+  !SUPABASE_URL ||
+  !SERVICE_ROLE_KEY ||
+  !AMAZON_CLIENT_ID ||
+  !AMAZON_CLIENT_SECRET
+) {
+  console.error(
+    "Missing env vars. Required: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, AMAZON_CLIENT_ID, AMAZON_CLIENT_SECRET"
+  );
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SERVICE_ROLE_KEY);
+
+// ---- helpers ----
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+async function logJob(status, message, errorDetails = null) {
+  const now = nowIso();
+  const { error } = await supabase.from("optimization_job_logs").insert({
+    job_type: "dayparting_vps",
+    status,
+    message,
+    started_at: now,
+    completed_at: now,
+    error_details: errorDetails,
+  });
+  if (error) console.error("Error logging job:", error);
+}
+
+// Returns the Amazon ids of the items that were not applied (rejected by
+// Amazon or blocked by a guardrail); they keep their previous value.
+async function sendUpdates(accountId, type, items) {
+  const rejected = new Set();
+  for (let i = 0; i < items.length; i += UPDATE_BATCH_SIZE) {
+    const chunk = items.slice(i, i + UPDATE_BATCH_SIZE);
+    let result;
+    try {
+      result = await applyAmazonUpdates({ accountId, type, items: chunk });
+    } catch (e) {
+      // Nothing in the chunk went through
+      if (!e.failed && !e.blocked) throw e;
+      result = { failed: e.failed, blocked: e.blocked };
+    }
+    for (const { item, error } of result.failed || []) {
+      console.warn(`${type} ${item.amazonId} was not updated: ${error}`);
+      rejected.add(item.amazonId);
+    }
+    for (const { item, reason } of result.blocked || []) {
+      console.warn(`${type} ${item.amazonId} was blocked: ${reason}`);
+      rejected.add(item.amazonId);
+    }
+  }
+  return rejected;
+}
+
+async function loadAccounts() {
+  let query = supabase
+    .from("amazon_accounts")
+    .select("*")
+    .eq("status", "active");
+  if (ACCOUNT_ID) query = query.eq("id", ACCOUNT_ID);
+  if (USER_ID) query = query.eq("user_id", USER_ID);
+  const { data, error } = await query;
+  if (error)
+    throw new Error(`Failed to load amazon_accounts: ${error.message}`);
+  return data || [];
+}
+
+// Every schedule of the accounts, including disabled and deleted ones, which
+// may still have changes to undo.
+async function loadSchedules(accountIds) {
+  if (!accountIds.length) return [];
+  let query = supabase
+    .from("dayparting_schedules")
+    .select("*")
+    .in("account_id", accountIds);
+  if (USER_ID) query = query.eq("user_id", USER_ID);
+  const { data, error } = await query;
+  if (error)
+    throw new Error(`Failed to load dayparting_schedules: ${error.message}`);
+  return data || [];
+}
+
+// The profile's timezone from Amazon, stored on amazon_accounts.timezone the
+// first time. Falls back to the region's default when Amazon can't be asked.
+async function ensureTimezone(account) {
+  if (account.timezone) return account.timezone;
+  try {
+    const profile = await accountClient(account).getProfile();
+    if (profile?.timezone) {
+      await supabase
+        .from("amazon_accounts")
+        .update({ timezone: profile.timezone, updated_at: nowIso() })
+        .eq("id", account.id);
+      account.timezone = profile.timezone;
+      return profile.timezone;
+    }
+  } catch (e) {
+    console.warn(
+      `Could not read the profile timezone for account ${account.id}:`,
+      e.message || e
+    );
+  }
+  return accountTimezone(account);
+}
+
+// Current status of the scheduled campaign / ad group, or null when it is no
+// longer synced.
+async function loadEntityStatus(schedule) {
+  const isCampaign = schedule.entity_type === "campaign";
+  const { data, error } = await supabase
+    .from(isCampaign ? "amazon_campaigns" : "amazon_ad_groups")
+    .select("status")
+    .eq("account_id", schedule.account_id)
+    .eq(
+      isCampaign ? "campaign_id" : "amazon_ad_group_id",
+      schedule.amazon_entity_id
+    )
+    .limit(1);
+  if (error) throw error;
+  return data?.[0] ? String(data[0].status || "").toLowerCase() : null;
+}
+
+async function setEntityStatus(schedule, status) {
+  await applyAmazonUpdates({
+    accountId: schedule.account_id,
+    type:
+      schedule.entity_type === "campaign"
+        ? "campaign_status"
+        : "adgroup_status",
+    items: [{ amazonId: schedule.amazon_entity_id, value: status }],
+  });
+}
+
+// Two bids closer than this are the same bid
+const BID_EPSILON = 0.005;
+
+// Sets the default bids of the schedule's ad group(s) and the bids of their
+// keywords and product targets to their base bid x `multiplier`. Keywords
+// without a bid of their own (0) follow the ad group default and are left
+// alone.
+// schedule.base_bids keeps, per "<type>:<amazonId>", the base bid and the bid
+// this daemon last set. A bid that no longer matches what was set (changed
+// by an optimizer rule or by hand) and a bid seen for the first time (e.g. a
+// keyword created mid-window) become the new base, so those changes are kept
+// and clampBid clipping never compounds.
+// Returns { count, rejected, baseBids }: rejected items keep their old entry
+// and are retried by the next cycle.
+async function scaleBids(schedule, multiplier) {
+  const parentColumn =
+    schedule.entity_type === "campaign" ? "campaign_id" : "ad_group_id";
+  const parentId =
+    schedule.entity_type === "campaign"
+      ? schedule.campaign_id
+      : schedule.ad_group_id;
+  if (!parentId) throw new Error("Schedule is missing its campaign / ad group");
+
+  let adGroupQuery = supabase
+    .from("amazon_ad_groups")
+    .select("amazon_ad_group_id, default_bid, status")
+    .eq("account_id", schedule.account_id);
+  adGroupQuery =
+    schedule.entity_type === "campaign"
+      ? adGroupQuery.eq("campaign_id", parentId)
+      : adGroupQuery.eq("id", parentId);
+
+  const [
+    { data: adGroups, error: agErr },
+    { data: keywords, error: kwErr },
+    { data: targets, error: tgErr },
+  ] = await Promise.all([
+    adGroupQuery,
+    // amazon_keywords has no account_id; the parent id already scopes it
+    supabase
+      .from("amazon_keywords")
+      .select("keyword_id, bid, status")
+      .eq(parentColumn, parentId),
+    supabase
+      .from("amazon_targets")
+      .select("amazon_target_id, bid, status")
+      .eq("account_id", schedule.account_id)
+      .eq(parentColumn, parentId),
+  ]);
+  if (agErr) throw agErr;
+  if (kwErr) throw kwErr;
+  if (tgErr) throw tgErr;
+
+  const previous = schedule.base_bids || {};
+  const baseBids = {};
+  let count = 0;
+  let rejected = 0;
+
+  const entities = [
+    ["adgroup", adGroups, (r) => r.amazon_ad_group_id, (r) => r.default_bid],
+    ["keyword", keywords, (r) => r.keyword_id, (r) => r.bid],
+    ["target", targets, (r) => r.amazon_target_id, (r) => r.bid],
+  ];
+  for (const [type, rows, idOf, bidOf] of entities) {
+    const items = [];
+    const entries = new Map();
+    for (const r of rows || []) {
+      const bid = Number(bidOf(r));
+      if (
+        !idOf(r) ||
+        !(bid > 0) ||
+        String(r.status || "").toLowerCase() === "archived"
+      ) {
+        continue;
+      }
+      const amazonId = String(idOf(r));
+      const key = `${type}:${amazonId}`;
+      const entry = previous[key];
+      const base =
+        entry && Math.abs(bid - Number(entry.bid)) < BID_EPSILON
+          ? Number(entry.base)
+          : bid;
+      const value = clampBid(base * multiplier);
+      entries.set(amazonId, { key, base, bid, value });
+      if (Math.abs(value - bid) >= BID_EPSILON) items.push({ amazonId, value });
+    }
+    const failed = items.length
+      ? await sendUpdates(schedule.account_id, type, items)
+      : new Set();
+    count += items.length - failed.size;
+    rejected += failed.size;
+    for (const [amazonId, { key, base, bid, value }] of entries) {
+      const isRejected = failed.has(amazonId);
+      // At x1 the live bid is the base; only retries need their entry
+      if (multiplier === 1 && !isRejected) continue;
+      baseBids[key] = { base, bid: isRejected ? bid : value };
+    }
+  }
+  return { count, rejected, baseBids };
+}
+
+// Brings one schedule to the state it wants now. Returns a short description
+// of what changed, or null when nothing had to be sent.
+async function applySchedule(schedule, timeZone, now) {
+  const desired = desiredMultiplier(schedule, timeZone, now);
+  const applied = Number(schedule.applied_multiplier ?? 1) || 1;
+  const changes = [];
+  const patch = {};
+
+  if (desired === 0) {
+    // Bids keep their current multiplier while the entity is paused
+    if (!schedule.paused_by_schedule) {
+      const status = await loadEntityStatus(schedule);
+      if (status === "enabled") {
+        await setEntityStatus(schedule, "paused");
+        patch.paused_by_schedule = true;
+        changes.push("paused");
+      }
+    }
+  } else {
+    if (schedule.paused_by_schedule) {
+      await setEntityStatus(schedule, "enabled");
+      patch.paused_by_schedule = false;
+      changes.push("enabled");
+    }
+    if (desired !== applied) {
+      const { count, rejected, baseBids } = await scaleBids(schedule, desired);
+      patch.base_bids = baseBids;
+      if (rejected === 0) {
+        patch.applied_multiplier = desired;
+        changes.push(`bids x${desired} (${count} updated)`);
+      } else {
+        // applied_multiplier stays behind so the next cycle retries
+        patch.last_error = `${rejected} bid(s) not updated to x${desired}`;
+        changes.push(`bids x${desired} (${count} updated, ${rejected} failed)`);
+      }
+    }
+  }
+
+  if (changes.length === 0) return null;
+  const { error } = await supabase
+    .from("dayparting_schedules")
+    .update({
+      last_error: null,
+      ...patch,
+      last_applied_at: nowIso(),
+      updated_at: nowIso(),
+    })
+    .eq("id", schedule.id);
+  if (error) throw error;
+  Object.assign(schedule, patch);
+  return changes.join(", ");
+}
+
+async function processAccount(account, schedules, now) {
+  const timeZone = await ensureTimezone(account);
+  const slot = localSlot(now, timeZone);
+  let changed = 0;
+
+  for (const schedule of schedules) {
+    try {
+      const change = await applySchedule(schedule, timeZone, now);
+      if (change) {
+        changed += 1;
+        console.log(
+          `🕒 ${schedule.entity_type} ${schedule.amazon_entity_id} (${
+            schedule.name || schedule.id
+          }): ${change} [${timeZone} day ${slot.day} ${slot.hour}:00]`
+        );
+      }
+      if (schedule.deleted_at && !scheduleApplied(schedule)) {
+        await supabase
+          .from("dayparting_schedules")
+          .delete()
+          .eq("id", schedule.id);
+      }
+    } catch (e) {
+      console.error(
+        `Error applying dayparting schedule ${schedule.id}:`,
+        e.message || e
+      );
+      await supabase
+        .from("dayparting_schedules")
+        .update({ last_error: String(e.message || e), updated_at: nowIso() })
+        .eq("id", schedule.id);
+    }
+  }
+
+  return changed;
+}
+
+async function runOneCycle() {
+  const now = new Date();
+  try {
+    const accounts = await loadAccounts();
+    const schedules = await loadSchedules(accounts.map((a) => a.id));
+    if (!schedules.length) return;
+
+    const byAccount = new Map();
+    for (const s of schedules) {
+      const arr = byAccount.get(s.account_id) || [];
+      arr.push(s);
+      byAccount.set(s.account_id, arr);
+    }
+
+    let changed = 0;
+    for (const account of accounts) {
+      const forAccount = byAccount.get(account.id);
+      if (!forAccount?.length) continue;
+      try {
+        changed += await processAccount(account, forAccount, now);
+      } catch (e) {
+        console.error(`Error dayparting account ${account.id}:`, e);
+      }
+    }
+
+    // Most cycles fall inside an hour and change nothing; only log boundaries
+    if (changed > 0) {
+      await logJob(
+        "success",
+        `Dayparting applied ${changed} schedule change(s)`
+      );
+    }
+  } catch (e) {
+    console.error("Fatal dayparting error in cycle:", e);
+    await logJob("error", "Dayparting cycle failed", {
+      error: String(e.message || e),
+    });
+  }
+}
+
+async function main() {
+  if (RUN_ONCE) {
+    console.log("RUN_ONCE=1, executing a single dayparting cycle.");
+    await runOneCycle();
+    return;
+  }
+
+  const intervalMs = DAYPARTING_INTERVAL_MINUTES * 60 * 1000;
+  console.log(
+    `▶️ VPS Dayparting daemon started at ${nowIso()} (interval ${DAYPARTING_INTERVAL_MINUTES} min)`
+  );
+
+  // Schedules change on the hour; checking every few minutes keeps the
+  // switch close to the boundary without tracking time-of-day here.
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    await runOneCycle();
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((e) => {
+    console.error("Fatal error in main()", e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,187 @@
+// scripts/lib/amazonClient.js
+// Amazon Ads clients for the VPS scripts: src/lib/amazonAdsClient.js plus a
+// per-account access token cache backed by amazon_accounts.
+//
+// getAccessToken(account):
+//   - uses the cached (or stored) token until 5 minutes before it expires;
+//   - runs one refresh per account at a time in this process; concurrent
+//     callers wait for the same refresh;
+//   - reads the stored row again before refreshing, so a token another script
+//     refreshed in the meantime is reused instead of spending the refresh
+//     token again;
+//   - stores refreshed tokens (status "active"). When Amazon rejects the
+//     refresh token itself, the account is flagged "reauth_required" and the
+//     error has reauthRequired set.
+// accountClient(account) uses it for every call and forces one refresh when
+// Amazon answers 401. Its requests go through the shared rate limiter
+// (scripts/lib/rateLimiter.js), so all scripts on the VPS pace their calls
+// per profile and endpoint together.
+//
+// Env vars are read lazily: callers load .env in their own module body, which
+// runs after this module has been imported.
+
+import { createClient } from "@supabase/supabase-js";
+import {
+  createAdsClient,
+  requestToken,
+} from "../../src/lib/amazonAdsClient.js";
+import { rateLimiter } from "./rateLimiter.js";
+
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+let supabaseClient = null;
+
+// Service-role client: the scripts read and write every user's rows, which
+// the anon key cannot under row level security.
+export function getSupabase() {
+  if (!supabaseClient) {
+    const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!url || !serviceRoleKey) {
+      throw new Error(
+        "Missing env vars. Required: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY"
+      );
+    }
+    supabaseClient = createClient(url, serviceRoleKey);
+  }
+  return supabaseClient;
+}
+
+export function amazonClientId() {
+  return process.env.AMAZON_CLIENT_ID || process.env.VITE_AMAZON_CLIENT_ID;
+}
+
+function amazonClientSecret() {
+  return (
+    process.env.AMAZON_CLIENT_SECRET || process.env.VITE_AMAZON_CLIENT_SECRET
+  );
+}
+
+// account id -> { accessToken, refreshToken, expiresAt (ms) }
+const tokens = new Map();
+// account id -> refresh in progress (Promise of the new access token)
+const refreshing = new Map();
+
+function tokenFromRow(row) {
+  return {
+    accessToken: row.access_token || null,
+    refreshToken: row.refresh_token || null,
+    expiresAt: row.token_expires_at
+      ? new Date(row.token_expires_at).getTime()
+      : 0,
+  };
+}
+
+function isFresh(token) {
+  return (
+    Boolean(token?.accessToken) &&
+    token.expiresAt - Date.now() > EXPIRY_MARGIN_MS
+  );
+}
+
+async function flagReauthRequired(account) {
+  const { error } = await getSupabase()
+    .from("amazon_accounts")
+    .update({ status: "reauth_required" })
+    .eq("id", account.id);
+  if (error) console.error("Failed to flag account", account.id, error);
+}
+
+async function refreshAccountToken(account, rejectedToken) {
+  const supabase = getSupabase();
+  const { data: row, error } = await supabase
+    .from("amazon_accounts")
+    .select("access_token, refresh_token, token_expires_at")
+    .eq("id", account.id)
+    .maybeSingle();
+  if (error) throw error;
+  const stored = row ? tokenFromRow(row) : tokens.get(account.id);
+  if (isFresh(stored) && stored.accessToken !== rejectedToken) {
+    tokens.set(account.id, stored);
+    return stored.accessToken;
+  }
+
+  if (!stored?.refreshToken) {
+    await flagReauthRequired(account);
+    throw Object.assign(
+      new Error(`No refresh token for account ${account.id}`),
+      { reauthRequired: true }
+    );
+  }
+  let refreshed;
+  try {
+    refreshed = await requestToken({
+      clientId: amazonClientId(),
+      clientSecret: amazonClientSecret(),
+      grant_type: "refresh_token",
+      refresh_token: stored.refreshToken,
+    });
+  } catch (e) {
+    if (e.status === 400 || e.status === 401) {
+      await flagReauthRequired(account);
+      e.reauthRequired = true;
+    }
+    throw e;
+  }
+
+  const token = {
+    accessToken: refreshed.access_token,
+    refreshToken: refreshed.refresh_token,
+    expiresAt: Date.now() + (refreshed.expires_in ?? 3600) * 1000,
+  };
+  tokens.set(account.id, token);
+  const columns = {
+    access_token: token.accessToken,
+    refresh_token: token.refreshToken,
+    token_expires_at: new Date(token.expiresAt).toISOString(),
+  };
+  Object.assign(account, columns);
+  const { error: updErr } = await supabase
+    .from("amazon_accounts")
+    .update({
+      ...columns,
+      updated_at: new Date().toISOString(),
+      status: "active",
+    })
+    .eq("id", account.id);
+  if (updErr) {
+    console.error("Failed to store refreshed token", account.id, updErr);
+  }
+  return token.accessToken;
+}
+
+// Valid access token for the account. force: Amazon rejected the current
+// token (401), so get another one even if it has not expired yet.
+export async function getAccessToken(account, { force = false } = {}) {
+  if (!tokens.has(account.id)) tokens.set(account.id, tokenFromRow(account));
+  const cached = tokens.get(account.id);
+  if (!force && isFresh(cached)) return cached.accessToken;
+
+  if (!refreshing.has(account.id)) {
+    const pending = refreshAccountToken(
+      account,
+      force ? cached.accessToken : null
+    ).finally(() => refreshing.delete(account.id));
+    refreshing.set(account.id, pending);
+  }
+  return refreshing.get(account.id);
+}
+
+// Ads client for the account's profile and region
+export function accountClient(account, options = {}) {
+  return createAdsClient({
+    clientId: amazonClientId(),
+    profileId: account.amazon_profile_id,
+    region: account.amazon_region,
+    getAccessToken: () => getAccessToken(account),
+    refresh: () => getAccessToken(account, { force: true }),
+    limiter: rateLimiter,
+    onRetry: ({ method, url, status, attempt, delay }) =>
+      console.warn(
+        `Amazon ${status || "network error"} on ${method} ${url}; retry ${attempt} in ${Math.round(
+          delay / 1000
+        )}s`
+      ),
+    ...options,
+  });
+}
@@ -0,0 +1,676 @@
+// scripts/lib/amazonUpdates.js
+// Writes entity changes (budgets, bids, states) to the Sponsored Products v3
+// API (src/lib/amazonSpV3.js) and mirrors them into Supabase. Shared by the
+// optimization server (manual edits, approvals, reverts) and the VPS
+// optimizer (campaign / ad group rules).
+//
+// Supported update types (items: [{ amazonId, value }]):
+//   campaign, campaign_status, adgroup, adgroup_status, keyword, keyword_status,
+//   target, target_status (Sponsored Products product/ASIN targets)
+// Create types take Amazon ids instead
+// (items: [{ campaignId, adGroupId, keywordText, matchType, bid? }]):
+//   keyword_create
+// Negatives (see NEGATIVE_TYPES) are created from
+// { campaignId, adGroupId?, keywordText, matchType } or
+// { campaignId, adGroupId?, asin | brandId | expression } and archived from
+// [{ amazonId }]: negative_keyword_*, campaign_negative_keyword_*,
+// negative_target_*, campaign_negative_target_* (_create | _archive)
+//
+// Items of Sponsored Brands / Display entities (amazon_*.ad_product) fail on
+// their own before anything is sent.
+//
+// Every call is checked against the account's guardrails
+// (src/lib/guardrails.js): blocked items are dropped and logged to
+// error_logs, and the result lists them ({ item, change, reason }) under
+// `blocked`. When nothing is left
+// the call throws, with the blocked items on error.blocked.
+//
+// Amazon accepts or rejects each item of a batch on its own. Only accepted
+// items are mirrored; rejected ones are listed ({ item, error, status }) under
+// `failed`, with the caller's item objects so callers can map them back to
+// their rows. When every sent item is rejected the call throws, with the
+// items on error.failed.
+//
+// Amazon calls go through the account's shared client (./amazonClient.js):
+// cached token, refresh on 401, backoff on 429.
+
+import { guardChanges, loadGuardrails } from "../../src/lib/guardrails.js";
+import { SP_RESOURCES, toV3Enum } from "../../src/lib/amazonSpV3.js";
+import { accountClient, getSupabase } from "./amazonClient.js";
+
+// Negative keywords / product targets at campaign and ad-group level. Each
+// key gets a <key>_create and a <key>_archive update type; resource is the
+// SP_RESOURCES entry.
+const NEGATIVE_TYPES = {
+  negative_keyword: {
+    negativeType: "keyword",
+    level: "ad_group",
+    resource: "negativeKeywords",
+  },
+  campaign_negative_keyword: {
+    negativeType: "keyword",
+    level: "campaign",
+    resource: "campaignNegativeKeywords",
+  },
+  negative_target: {
+    negativeType: "product_target",
+    level: "ad_group",
+    resource: "negativeTargets",
+  },
+  campaign_negative_target: {
+    negativeType: "product_target",
+    level: "campaign",
+    resource: "campaignNegativeTargets",
+  },
+};
+
+const NEGATIVE_TYPE_PATTERN = new RegExp(
+  `^(${Object.keys(NEGATIVE_TYPES).join("|")})_(create|archive)$`
+);
+
+// asinBrandSameAs -> asin-brand, as the sync writes expression_text
+function describeExpressionType(type) {
+  return String(type || "")
+    .replace(/SameAs$/, "")
+    .replace(/([A-Z])/g, "-$1")
+    .toLowerCase();
+}
+
+// Items carry either a ready expression (camel-case types, as stored in
+// amazon_negatives.expression) or an ASIN / brand id.
+function negativeTargetExpression(item) {
+  if (Array.isArray(item.expression) && item.expression.length > 0) {
+    return item.expression;
+  }
+  if (item.brandId) {
+    return [{ type: "asinBrandSameAs", value: String(item.brandId) }];
+  }
+  return [
+    {
+      type: "asinSameAs",
+      value: String(item.asin || "")
+        .trim()
+        .toUpperCase(),
+    },
+  ];
+}
+
+// Entity each update type changes: its Supabase row (current value and
+// campaign for the guardrail checks, mirror after the update) and its v3
+// resource and field (SP_RESOURCES)
+const GUARDED_TYPES = {
+  campaign: {
+    kind: "budget",
+    entityType: "campaign",
+    table: "amazon_campaigns",
+    idColumn: "campaign_id",
+    column: "budget",
+    resource: "campaigns",
+    field: "budget",
+  },
+  campaign_status: {
+    kind: "status",
+    entityType: "campaign",
+    table: "amazon_campaigns",
+    idColumn: "campaign_id",
+    column: "status",
+    resource: "campaigns",
+    field: "state",
+  },
+  adgroup: {
+    kind: "bid",
+    entityType: "ad_group",
+    table: "amazon_ad_groups",
+    idColumn: "amazon_ad_group_id",
+    column: "default_bid",
+    resource: "adGroups",
+    field: "defaultBid",
+  },
+  adgroup_status: {
+    kind: "status",
+    entityType: "ad_group",
+    table: "amazon_ad_groups",
+    idColumn: "amazon_ad_group_id",
+    column: "status",
+    resource: "adGroups",
+    field: "state",
+  },
+  keyword: {
+    kind: "bid",
+    entityType: "keyword",
+    table: "amazon_keywords",
+    idColumn: "amazon_keyword_id",
+    column: "bid",
+    resource: "keywords",
+    field: "bid",
+  },
+  keyword_status: {
+    kind: "status",
+    entityType: "keyword",
+    table: "amazon_keywords",
+    idColumn: "amazon_keyword_id",
+    column: "status",
+    resource: "keywords",
+    field: "state",
+  },
+  target: {
+    kind: "bid",
+    entityType: "asin_target",
+    table: "amazon_targets",
+    idColumn: "amazon_target_id",
+    column: "bid",
+    resource: "targets",
+    field: "bid",
+  },
+  target_status: {
+    kind: "status",
+    entityType: "asin_target",
+    table: "amazon_targets",
+    idColumn: "amazon_target_id",
+    column: "status",
+    resource: "targets",
+    field: "state",
+  },
+};
+
+// Value of an update item in its v3 field: upper-case states, daily budgets
+// as a budget object
+function v3Value(guarded, value) {
+  if (guarded.kind === "status") return toV3Enum(value);
+  if (guarded.kind === "budget") {
+    return { budget: Number(value), budgetType: "DAILY" };
+  }
+  return Number(value);
+}
+
+// Current value of the field an update type changes, from the Supabase
+// mirror: Amazon id -> value (statuses lower-case, bids and budgets as
+// numbers). Ids without a row are left out. Empty for create / negative types.
+export async function loadCurrentValues(type, amazonIds) {
+  const guarded = GUARDED_TYPES[type];
+  const values = new Map();
+  if (!guarded) return values;
+  const supabase = getSupabase();
+  const ids = [...new Set(amazonIds.map(String))];
+  for (let i = 0; i < ids.length; i += 500) {
+    const { data, error } = await supabase
+      .from(guarded.table)
+      .select(`${guarded.idColumn}, ${guarded.column}`)
+      .in(guarded.idColumn, ids.slice(i, i + 500));
+    if (error) throw error;
+    for (const r of data || []) {
+      const value = r[guarded.column];
+      const id = String(r[guarded.idColumn]);
+      if (guarded.kind === "status") {
+        values.set(id, String(value ?? "").toLowerCase());
+      } else {
+        values.set(id, value == null ? null : Number(value));
+      }
+    }
+  }
+  return values;
+}
+
+// One guardrail change per item, in item order
+async function describeChanges(supabase, type, items) {
+  if (type === "keyword_create") {
+    return items.map((it) => ({
+      kind: "create",
+      entityType: "keyword",
+      entityId: null,
+      campaignId: String(it.campaignId),
+      current: null,
+      next: it.bid != null && it.bid !== "" ? Number(it.bid) : null,
+    }));
+  }
+  const guarded = GUARDED_TYPES[type];
+  if (!guarded) {
+    return items.map((it) => ({
+      kind: NEGATIVE_TYPE_PATTERN.test(type) ? "negative" : type,
+      entityType: type,
+      entityId: it.amazonId != null ? String(it.amazonId) : null,
+      campaignId: it.campaignId != null ? String(it.campaignId) : null,
+      current: null,
+      next: null,
+    }));
+  }
+
+  const ids = items.map((it) => String(it.amazonId));
+  const rows = new Map();
+  const columns = [
+    ...new Set([guarded.idColumn, guarded.column, "campaign_id"]),
+  ];
+  for (let i = 0; i < ids.length; i += 500) {
+    const { data, error } = await supabase
+      .from(guarded.table)
+      .select(columns.join(", "))
+      .in(guarded.idColumn, ids.slice(i, i + 500));
+    if (error) throw error;
+    for (const r of data || []) rows.set(String(r[guarded.idColumn]), r);
+  }
+  return items.map((it) => {
+    const row = rows.get(String(it.amazonId));
+    const isStatus = guarded.kind === "status";
+    return {
+      kind: guarded.kind,
+      entityType: guarded.entityType,
+      entityId: String(it.amazonId),
+      campaignId: row?.campaign_id != null ? String(row.campaign_id) : null,
+      current: isStatus
+        ? (row?.[guarded.column] ?? null)
+        : Number(row?.[guarded.column] ?? 0) || 0,
+      next: isStatus ? String(it.value || "").toLowerCase() : Number(it.value),
+    };
+  });
+}
+
+// Items whose entity (or, for create types, campaign) belongs to another ad
+// product than Sponsored Products, as failed entries ({ item, error, status }).
+// Items without a synced row are left to Amazon.
+async function rejectNonSpItems(supabase, accountId, type, items) {
+  const guarded = GUARDED_TYPES[type];
+  let table;
+  let idColumn;
+  let idOf;
+  if (guarded) {
+    ({ table, idColumn } = guarded);
+    idOf = (it) => String(it.amazonId);
+  } else if (/_create$/.test(type)) {
+    table = "amazon_campaigns";
+    idColumn = "campaign_id";
+    idOf = (it) => String(it.campaignId);
+  } else {
+    return [];
+  }
+
+  const ids = [...new Set(items.map(idOf))];
+  const adProducts = new Map();
+  for (let i = 0; i < ids.length; i += 500) {
+    let query = supabase
+      .from(table)
+      .select(`${idColumn}, ad_product`)
+      .in(idColumn, ids.slice(i, i + 500));
+    // amazon_keywords has no account_id
+    if (table !== "amazon_keywords") query = query.eq("account_id", accountId);
+    const { data, error } = await query;
+    if (error) throw error;
+    for (const r of data || []) {
+      adProducts.set(String(r[idColumn]), r.ad_product);
+    }
+  }
+  return items
+    .map((item) => ({ item, adProduct: adProducts.get(idOf(item)) }))
+    .filter(({ adProduct }) => adProduct && adProduct !== "SPONSORED_PRODUCTS")
+    .map(({ item, adProduct }) => ({
+      item,
+      error: `${adProduct} entities cannot be changed, only SPONSORED_PRODUCTS`,
+      status: null,
+    }));
+}
+
+// `guardrails` is the caller's run context from loadGuardrails, so all
+// changes of one optimizer run count towards the same max_changes_per_run;
+// other callers get a context per call.
+export async function applyAmazonUpdates({
+  accountId,
+  type,
+  items,
+  guardrails = null,
+}) {
+  const supabase = getSupabase();
+  const { data: accounts, error } = await supabase
+    .from("amazon_accounts")
+    .select("*")
+    .eq("id", accountId);
+  if (error || !accounts || !accounts[0]) throw new Error("Account not found");
+  const account = accounts[0];
+  if (!account.refresh_token || !account.amazon_profile_id)
+    throw new Error("Account missing refresh_token or profile");
+
+  // Writes only speak the Sponsored Products API: other ad products' items
+  // fail on their own before anything is sent
+  const unsupported = await rejectNonSpItems(supabase, accountId, type, items);
+  if (unsupported.length === 0) {
+    return guardAndSend(supabase, account, type, items, guardrails);
+  }
+  const rejected = new Set(unsupported.map((f) => f.item));
+  const spItems = items.filter((it) => !rejected.has(it));
+  if (spItems.length === 0) {
+    throw Object.assign(new Error(unsupported[0].error), {
+      failed: unsupported,
+    });
+  }
+  try {
+    const result = await guardAndSend(
+      supabase,
+      account,
+      type,
+      spItems,
+      guardrails
+    );
+    return { ...result, failed: [...(result.failed || []), ...unsupported] };
+  } catch (e) {
+    e.failed = [...(e.failed || []), ...unsupported];
+    throw e;
+  }
+}
+
+async function guardAndSend(supabase, account, type, items, guardrails) {
+  const context = guardrails || (await loadGuardrails(supabase, account));
+  const changes = await describeChanges(supabase, type, items);
+  const itemFor = new Map(changes.map((c, i) => [c, items[i]]));
+  const guarded = await guardChanges(
+    supabase,
+    context,
+    changes,
+    "applyAmazonUpdates"
+  );
+  const { allowed } = guarded;
+  const blocked = guarded.blocked.map((b) => ({
+    ...b,
+    item: itemFor.get(b.change),
+  }));
+  if (blocked.length > 0 && allowed.length === 0) {
+    throw Object.assign(
+      new Error(`Blocked by guardrail: ${blocked[0].reason}`),
+      { blocked }
+    );
+  }
+  if (blocked.length > 0) {
+    const result = await sendAmazonUpdates(
+      account,
+      type,
+      allowed.map((c) => itemFor.get(c))
+    );
+    return { ...result, blocked };
+  }
+  return sendAmazonUpdates(account, type, items);
+}
+
+async function sendAmazonUpdates(account, type, items) {
+  const supabase = getSupabase();
+  const accountId = account.id;
+  const { sp } = accountClient(account);
+
+  // Per-item results (src/lib/amazonSpV3.js) -> accepted { index, id } and
+  // rejected { item, error, status } with the caller's item
+  function splitResults(results) {
+    const done = [];
+    const failed = [];
+    for (const r of results) {
+      if (r.ok) done.push({ index: r.index, id: r.id });
+      else
+        failed.push({ item: items[r.index], error: r.error, status: r.status });
+    }
+    return { done, failed };
+  }
+
+  function throwIfAllFailed(label, done, failed) {
+    if (done.length === 0 && failed.length > 0) {
+      throw Object.assign(new Error(`${label} failed: ${failed[0].error}`), {
+        failed,
+      });
+    }
+  }
+
+  // amazon_campaigns.id / amazon_ad_groups.id for the Amazon ids of new rows
+  async function loadParentIds(items) {
+    const campaignIds = [...new Set(items.map((it) => String(it.campaignId)))];
+    const adGroupIds = [
+      ...new Set(
+        items.filter((it) => it.adGroupId).map((it) => String(it.adGroupId))
+      ),
+    ];
+    const [{ data: campaigns }, { data: adGroups }] = await Promise.all([
+      supabase
+        .from("amazon_campaigns")
+        .select("id, campaign_id")
+        .eq("account_id", accountId)
+        .in("campaign_id", campaignIds),
+      supabase
+        .from("amazon_ad_groups")
+        .select("id, amazon_ad_group_id")
+        .eq("account_id", accountId)
+        .in("amazon_ad_group_id", adGroupIds),
+    ]);
+    return {
+      campaignDbId: new Map(
+        (campaigns || []).map((c) => [String(c.campaign_id), c.id])
+      ),
+      adGroupDbId: new Map(
+        (adGroups || []).map((ag) => [String(ag.amazon_ad_group_id), ag.id])
+      ),
+    };
+  }
+
+  // Creates negatives for one NEGATIVE_TYPES entry and mirrors the created
+  // rows into amazon_negatives.
+  async function createNegatives(negative) {
+    const isKeyword = negative.negativeType === "keyword";
+    const rows = items.map((it) => {
+      const row = { campaignId: String(it.campaignId) };
+      if (negative.level === "ad_group") row.adGroupId = String(it.adGroupId);
+      if (isKeyword) {
+        row.keywordText = String(it.keywordText || "").trim();
+        row.matchType =
+          it.matchType === "negativePhrase"
+            ? "negativePhrase"
+            : "negativeExact";
+      } else {
+        row.expression = negativeTargetExpression(it);
+      }
+      return row;
+    });
+    const results = await sp.create(
+      negative.resource,
+      rows.map((row) => ({
+        ...row,
+        ...(isKeyword
+          ? { matchType: toV3Enum(row.matchType) }
+          : {
+              expression: row.expression.map((e) => ({
+                type: toV3Enum(e.type),
+                value: e.value,
+              })),
+            }),
+        state: "ENABLED",
+      }))
+    );
+    const { done, failed } = splitResults(results);
+    if (done.length > 0) {
+      const { campaignDbId, adGroupDbId } = await loadParentIds(
+        done.map(({ index }) => rows[index])
+      );
+      const now = new Date().toISOString();
+      const dbRows = done.map(({ index, id }) => {
+        const item = rows[index];
+        return {
+          account_id: accountId,
+          campaign_id: campaignDbId.get(item.campaignId) || null,
+          ad_group_id: item.adGroupId
+            ? adGroupDbId.get(item.adGroupId) || null
+            : null,
+          amazon_negative_id: id,
+          amazon_campaign_id: item.campaignId,
+          amazon_ad_group_id: item.adGroupId || null,
+          amazon_profile_id_text: String(account.amazon_profile_id),
+          negative_type: negative.negativeType,
+          level: negative.level,
+          keyword_text: isKeyword ? item.keywordText : null,
+          match_type: isKeyword ? item.matchType : null,
+          expression: isKeyword ? null : item.expression,
+          expression_text: isKeyword
+            ? null
+            : item.expression
+                .map((e) => `${describeExpressionType(e.type)}="${e.value}"`)
+                .join(" "),
+          status: "enabled",
+          created_at: now,
+          updated_at: now,
+        };
+      });
+      const { error: insErr } = await supabase
+        .from("amazon_negatives")
+        .upsert(dbRows, {
+          onConflict:
+            "amazon_profile_id_text,negative_type,level,amazon_negative_id",
+        });
+      if (insErr) console.error("Failed to mirror new negatives:", insErr);
+    }
+    throwIfAllFailed("Negative create", done, failed);
+    return { success: true, created: done.length, failed };
+  }
+
+  // Archives negatives (items: [{ amazonId }]) through the v3 delete call.
+  async function archiveNegatives(negative) {
+    const ids = items.map((it) => String(it.amazonId));
+    const { done, failed } = splitResults(
+      await sp.remove(negative.resource, ids)
+    );
+    if (done.length > 0) {
+      const { error: updErr } = await supabase
+        .from("amazon_negatives")
+        .update({ status: "archived", updated_at: new Date().toISOString() })
+        .eq("account_id", accountId)
+        .eq("negative_type", negative.negativeType)
+        .eq("level", negative.level)
+        .in(
+          "amazon_negative_id",
+          done.map(({ index }) => ids[index])
+        );
+      if (updErr) throw updErr;
+    }
+    throwIfAllFailed("Negative archive", done, failed);
+    return { success: true, archived: done.length, failed };
+  }
+
+  const guarded = GUARDED_TYPES[type];
+  if (guarded) {
+    const { idField } = SP_RESOURCES[guarded.resource];
+    const results = await sp.update(
+      guarded.resource,
+      items.map((it) => ({
+        [idField]: String(it.amazonId),
+        [guarded.field]: v3Value(guarded, it.value),
+      }))
+    );
+    const { done, failed } = splitResults(results);
+    const now = new Date().toISOString();
+    for (const { index } of done) {
+      const it = items[index];
+      let query = supabase
+        .from(guarded.table)
+        .update({
+          [guarded.column]:
+            guarded.kind === "status"
+              ? String(it.value || "").toLowerCase()
+              : Number(it.value),
+          updated_at: now,
+        })
+        .eq(guarded.idColumn, String(it.amazonId));
+      // amazon_keywords has no account_id; keyword ids are unique on their own
+      if (guarded.table !== "amazon_keywords") {
+        query = query.eq("account_id", accountId);
+      }
+      const { error: updErr } = await query;
+      if (updErr) throw updErr;
+    }
+    throwIfAllFailed(`${type} update`, done, failed);
+    return { success: true, updated: done.length, failed };
+  }
+  if (type === "keyword_create") {
+    const rows = items.map((it) => ({
+      campaignId: String(it.campaignId),
+      adGroupId: String(it.adGroupId),
+      keywordText: String(it.keywordText || "").trim(),
+      matchType: String(it.matchType || "exact").toLowerCase(),
+      ...(it.bid != null && it.bid !== "" ? { bid: Number(it.bid) } : {}),
+    }));
+    const results = await sp.create(
+      "keywords",
+      rows.map((row) => ({
+        ...row,
+        matchType: toV3Enum(row.matchType),
+        state: "ENABLED",
+      }))
+    );
+    const { done, failed } = splitResults(results);
+    if (done.length > 0) {
+      const { campaignDbId, adGroupDbId } = await loadParentIds(
+        done.map(({ index }) => rows[index])
+      );
+      const dbRows = done.map(({ index, id }) => {
+        const item = rows[index];
+        return {
+          campaign_id: campaignDbId.get(item.campaignId) || null,
+          ad_group_id: adGroupDbId.get(item.adGroupId) || null,
+          keyword_id: id,
+          amazon_keyword_id: id,
+          text: item.keywordText,
+          match_type: item.matchType,
+          bid: item.bid ?? 0,
+          status: "enabled",
+          amazon_profile_id_text: String(account.amazon_profile_id),
+          amazon_region: account.amazon_region || null,
+        };
+      });
+      const { error: insErr } = await supabase
+        .from("amazon_keywords")
+        .insert(dbRows);
+      if (insErr) console.error("Failed to mirror new keywords:", insErr);
+    }
+    throwIfAllFailed("Keyword create", done, failed);
+    return { success: true, created: done.length, failed };
+  }
+  const negativeMatch = NEGATIVE_TYPE_PATTERN.exec(type);
+  if (negativeMatch) {
+    const negative = NEGATIVE_TYPES[negativeMatch[1]];
+    if (negativeMatch[2] === "create") {
+      return createNegatives(negative);
+    }
+    return archiveNegatives(negative);
+  }
+  throw new Error("Unsupported type");
+}
+
+const UPDATE_TYPES = {
+  keyword: { status: "keyword_status", bid: "keyword" },
+  ad_group: { status: "adgroup_status", bid: "adgroup" },
+  campaign: { status: "campaign_status", budget: "campaign" },
+  asin_target: { status: "target_status", bid: "target" },
+};
+
+// Maps an optimizer change (entity type + api_type from the rule evaluator)
+// to the applyAmazonUpdates type and item value. "add_negative" changes carry
+// their create item ({ level, campaignId, adGroupId, keywordText | asin,
+// matchType }) and return { type, item } instead. Returns null when the
+// entity/change combination has no update type.
+export function toAmazonUpdate({
+  entityType,
+  apiType,
+  newBid,
+  newBudget,
+  negative,
+}) {
+  if (apiType === "add_negative") {
+    if (!negative) return null;
+    const prefix = negative.level === "campaign" ? "campaign_" : "";
+    const kind = negative.asin ? "target" : "keyword";
+    return { type: `${prefix}negative_${kind}_create`, item: negative };
+  }
+  const types = UPDATE_TYPES[entityType];
+  if (!types) return null;
+  if (apiType === "pause" || apiType === "enable") {
+    return {
+      type: types.status,
+      value: apiType === "pause" ? "paused" : "enabled",
+    };
+  }
+  if (types.budget && newBudget != null) {
+    return { type: types.budget, value: Number(newBudget) };
+  }
+  if (types.bid && newBid != null) {
+    return { type: types.bid, value: Number(newBid) };
+  }
+  return null;
+}
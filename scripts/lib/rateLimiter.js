@@ -0,0 +1,174 @@
+// scripts/lib/rateLimiter.js
+// Token buckets for Amazon Ads calls, shared by every script on the VPS (sync
+// daemon, optimizer, dayparting, pacing and the optimization server run as
+// separate pm2 processes). Bucket state lives in one JSON file guarded by a
+// lock file, so the processes draw from the same budget instead of each
+// pacing itself.
+//
+// Every request takes one token from its profile's bucket and one from the
+// profile's bucket for that endpoint group (report create, report poll, list,
+// write, ...). When a bucket is empty acquire() waits for the refill: work is
+// queued rather than sent into a 429. A 429 that still happens pauses the
+// endpoint bucket for the Retry-After delay in every process.
+//
+// Env vars (optional):
+//   AMAZON_RATE_LIMIT_FILE -> bucket state file
+//                             (default <tmpdir>/robotads-amazon-rate.json)
+
+import {
+  open,
+  readFile,
+  rename,
+  stat,
+  unlink,
+  writeFile,
+} from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// rate: tokens per second, burst: bucket size
+const PROFILE_LIMIT = { rate: 10, burst: 10 };
+// First match wins; `method` limits a group to one HTTP method
+const ENDPOINT_GROUPS = [
+  {
+    name: "reportCreate",
+    method: "POST",
+    pattern: /^\/reporting\/reports$/,
+    rate: 0.5,
+    burst: 2,
+  },
+  { name: "reportPoll", pattern: /^\/reporting\//, rate: 2, burst: 4 },
+  { name: "profiles", pattern: /^\/v2\/profiles/, rate: 1, burst: 2 },
+  { name: "list", pattern: /\/list$/, rate: 5, burst: 5 },
+  { name: "read", method: "GET", pattern: /./, rate: 5, burst: 5 },
+  { name: "write", pattern: /./, rate: 2, burst: 4 },
+];
+
+const LOCK_STALE_MS = 10 * 1000;
+const LOCK_RETRY_MS = 20;
+// Buckets untouched this long are full again and dropped from the file
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function stateFile() {
+  return (
+    process.env.AMAZON_RATE_LIMIT_FILE ||
+    join(tmpdir(), "robotads-amazon-rate.json")
+  );
+}
+
+export function endpointGroup(method, path) {
+  const pathname = String(path)
+    .replace(/^https?:\/\/[^/]+/, "")
+    .split("?")[0];
+  return ENDPOINT_GROUPS.find(
+    (g) => (!g.method || g.method === method) && g.pattern.test(pathname)
+  );
+}
+
+// The two buckets a request draws from
+function bucketsFor({ method = "GET", path, profileId }) {
+  const profile = profileId != null ? String(profileId) : "global";
+  const group = endpointGroup(method, path);
+  return [
+    { key: profile, ...PROFILE_LIMIT },
+    { key: `${profile}:${group.name}`, rate: group.rate, burst: group.burst },
+  ];
+}
+
+// Tokens in the bucket at `now` (full when it has no state yet)
+function refill(state, limit, now) {
+  if (!state) return { tokens: limit.burst, updatedAt: now, pausedUntil: 0 };
+  const elapsed = Math.max(0, now - state.updatedAt) / 1000;
+  return {
+    tokens: Math.min(limit.burst, state.tokens + elapsed * limit.rate),
+    updatedAt: now,
+    pausedUntil: state.pausedUntil || 0,
+  };
+}
+
+// Runs fn(buckets) -> result under the lock file and saves the changed
+// buckets. A lock older than LOCK_STALE_MS belonged to a process that died
+// holding it and is removed.
+async function withState(fn) {
+  const file = stateFile();
+  const lock = `${file}.lock`;
+  for (;;) {
+    try {
+      await (await open(lock, "wx")).close();
+      break;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      const info = await stat(lock).catch(() => null);
+      if (info && Date.now() - info.mtimeMs > LOCK_STALE_MS) {
+        await unlink(lock).catch(() => {});
+        continue;
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+  try {
+    let buckets = {};
+    try {
+      buckets = JSON.parse(await readFile(file, "utf8")) || {};
+    } catch {
+      // Missing or half-written file: start with full buckets
+    }
+    const result = fn(buckets);
+    const now = Date.now();
+    for (const [key, b] of Object.entries(buckets)) {
+      if (now - b.updatedAt > IDLE_BUCKET_MS && b.pausedUntil < now) {
+        delete buckets[key];
+      }
+    }
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(buckets));
+    await rename(tmp, file);
+    return result;
+  } finally {
+    await unlink(lock).catch(() => {});
+  }
+}
+
+// Waits until the request may be sent and takes its tokens.
+// request: { method, path, profileId }
+export async function acquire(request) {
+  const limits = bucketsFor(request);
+  for (;;) {
+    const wait = await withState((buckets) => {
+      const now = Date.now();
+      const current = limits.map((l) => refill(buckets[l.key], l, now));
+      const waits = current.map((b, i) =>
+        Math.max(
+          b.pausedUntil - now,
+          b.tokens >= 1 ? 0 : ((1 - b.tokens) / limits[i].rate) * 1000
+        )
+      );
+      const ms = Math.max(...waits);
+      if (ms <= 0) {
+        current.forEach((b) => (b.tokens -= 1));
+      }
+      limits.forEach((l, i) => (buckets[l.key] = current[i]));
+      return ms;
+    });
+    if (wait <= 0) return;
+    await sleep(Math.ceil(wait));
+  }
+}
+
+// Amazon throttled the request anyway: hold its endpoint bucket for `ms` in
+// every process.
+export async function pause(request, ms) {
+  const limit = bucketsFor(request)[1];
+  await withState((buckets) => {
+    const now = Date.now();
+    const bucket = refill(buckets[limit.key], limit, now);
+    bucket.tokens = 0;
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, now + ms);
+    buckets[limit.key] = bucket;
+  });
+}
+
+// The limiter option of createAdsClient (src/lib/amazonAdsClient.js)
+export const rateLimiter = { acquire, pause };
@@ -1,6 +1,9 @@
 // lib/robotHelpers.js
 import fetch from 'node-fetch';
 import { createClient } from '@supabase/supabase-js';
+import { gunzipSync } from 'node:zlib';
+import { accountClient } from './amazonClient.js';
+import { requestToken } from '../../src/lib/amazonAdsClient.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -10,66 +13,43 @@ const AMAZON_CLIENT_ID = process.env.AMAZON_CLIENT_ID;
 const AMAZON_CLIENT_SECRET = process.env.AMAZON_CLIENT_SECRET;
 
 export async function refreshAmazonToken(refresh_token) {
-  const res = await fetch('https://api.amazon.com/auth/o2/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body: new URLSearchParams({
-      grant_type: 'refresh_token',
-      refresh_token,
-      client_id: AMAZON_CLIENT_ID,
-      client_secret: AMAZON_CLIENT_SECRET,
-    }),
+  const data = await requestToken({
+    clientId: AMAZON_CLIENT_ID,
+    clientSecret: AMAZON_CLIENT_SECRET,
+    grant_type: 'refresh_token',
+    refresh_token,
   });
-
-  if (!res.ok) {
-    throw new Error(`Amazon token refresh failed: ${res.status}`);
-  }
-
-  const data = await res.json();
   return data.access_token;
 }
 
 
-export async function getKeywordPerformanceReport(account, accessToken) {
-  const { amazon_profile_id, amazon_region } = account;
-
-  // 1. Rapor talebi gönder
-  const createRes = await fetch(`https://advertising-api.${amazon_region}.amazon.com/v2/sp/keywords/report`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Amazon-Advertising-API-ClientId': AMAZON_CLIENT_ID,
-      'Amazon-Advertising-API-Scope': amazon_profile_id,
-      'Content-Type': 'application/json'
+// Token, yeniden deneme ve bölge scripts/lib/amazonClient.js üzerinden
+export async function getKeywordPerformanceReport(account) {
+  const client = accountClient(account);
+
+  // 1. Rapor talebi gönder (v3 spTargeting, anahtar kelime satırları)
+  const reportId = await client.createReport({
+    name: 'Robot keyword performance',
+    startDate: getDateNDaysAgo(7), // son 7 gün
+    endDate: getDateNDaysAgo(1),
+    configuration: {
+      adProduct: 'SPONSORED_PRODUCTS',
+      reportTypeId: 'spTargeting',
+      timeUnit: 'SUMMARY',
+      groupBy: ['targeting'],
+      columns: ['keywordId', 'keyword', 'matchType', 'keywordBid', 'impressions', 'clicks', 'clickThroughRate', 'costPerClick', 'acosClicks14d', 'purchases14d', 'sales14d'],
+      filters: [{ field: 'keywordType', values: ['BROAD', 'PHRASE', 'EXACT'] }],
+      format: 'GZIP_JSON',
     },
-    body: JSON.stringify({
-      startDate: getDateNDaysAgo(7), // son 7 gün
-      endDate: getDateNDaysAgo(1),
-      metrics: "keywordText,matchType,bid,impressions,clicks,ctr,averageCpc,acos,attributedOrders14d,attributedSales14d"
-    })
   });
 
-  const reportMeta = await createRes.json();
-
-  if (!reportMeta.reportId) {
-    throw new Error(`❌ Report creation failed: ${JSON.stringify(reportMeta)}`);
-  }
-
   // 2. Rapor hazır olana kadar bekle (poll)
   let downloadUrl = null;
   for (let i = 0; i < 10; i++) {
-    const pollRes = await fetch(`https://advertising-api.${amazon_region}.amazon.com/v2/reports/${reportMeta.reportId}`, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Amazon-Advertising-API-ClientId': AMAZON_CLIENT_ID,
-        'Amazon-Advertising-API-Scope': amazon_profile_id,
-      },
-    });
-
-    const pollData = await pollRes.json();
-
-    if (pollData.status === 'SUCCESS') {
-      downloadUrl = pollData.location;
+    const pollData = await client.getReport(reportId);
+
+    if (pollData.status === 'COMPLETED') {
+      downloadUrl = pollData.url;
       break;
     }
 
@@ -80,27 +60,30 @@ export async function getKeywordPerformanceReport(account, accessToken) {
     throw new Error(`❌ Report polling timed out`);
   }
 
-  // 3. Raporu indir
+  // 3. Raporu indir (gzip'li JSON)
   const reportRes = await fetch(downloadUrl);
-  const reportText = await reportRes.text();
-
-  // 4. CSV'yi parse et (Amazon CSV döner)
-  const lines = reportText.trim().split('\n');
-  const [headers, ...rows] = lines;
-  const fields = headers.split(',');
-
-  const data = rows.map(row => {
-    const values = row.split(',');
-    return Object.fromEntries(fields.map((key, i) => [key.trim(), parseFloat(values[i]) || values[i]]));
-  });
-
-  return data;
+  const rows = JSON.parse(gunzipSync(Buffer.from(await reportRes.arrayBuffer())).toString('utf8'));
+
+  // 4. v3 sütunlarını kuralların kullandığı eski adlara çevir
+  return rows.map((r) => ({
+    keywordId: r.keywordId,
+    keywordText: r.keyword,
+    matchType: r.matchType,
+    bid: r.keywordBid,
+    impressions: r.impressions,
+    clicks: r.clicks,
+    ctr: r.clickThroughRate,
+    averageCpc: r.costPerClick,
+    acos: r.acosClicks14d,
+    attributedOrders14d: r.purchases14d,
+    attributedSales14d: r.sales14d,
+  }));
 }
 
-// Yardımcı tarih fonksiyonu
+// Yardımcı tarih fonksiyonu (YYYY-MM-DD)
 function getDateNDaysAgo(n) {
   const date = new Date(Date.now() - n * 24 * 60 * 60 * 1000);
-  return date.toISOString().split('T')[0].replace(/-/g, '');
+  return date.toISOString().split('T')[0];
 }
 
 
@@ -142,35 +125,28 @@ function compare(metric, operator, value) {
   }
 }
 
-export async function sendBidAdjustments(actions, accessToken) {
-  const results = [];
-
-  for (const item of actions) {
-    const endpoint = `https://advertising-api.amazon.com/v2/sp/keywords/${item.keywordId}`;
+// Değişiklikler tek bir v3 toplu isteğiyle gider; Amazon her anahtar
+// kelimeyi ayrı kabul eder ya da reddeder, sonuçlar aksiyon sırasıyla döner.
+export async function sendBidAdjustments(account, actions) {
+  const { sp } = accountClient(account);
 
-    const payload = {};
+  const updates = actions.map((item) => {
+    const payload = { keywordId: String(item.keywordId) };
     if (item.action.type === 'pause') {
-      payload.state = 'paused';
+      payload.state = 'PAUSED';
     } else if (item.action.type === 'adjust_bid_percentage') {
       const multiplier = 1 + item.action.value / 100;
       payload.bid = parseFloat((item.currentBid * multiplier).toFixed(2));
     }
+    return payload;
+  });
 
-    const res = await fetch(endpoint, {
-      method: 'PUT',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Amazon-Advertising-API-ClientId': AMAZON_CLIENT_ID,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
-
-    const result = await res.json();
-    results.push({ keywordId: item.keywordId, response: result, status: res.status });
-  }
-
-  return results;
+  const results = await sp.update('keywords', updates);
+  return results.map((r) => ({
+    keywordId: actions[r.index].keywordId,
+    response: r.ok ? { keywordId: r.id, bid: updates[r.index].bid } : { error: r.error },
+    status: r.status,
+  }));
 }
 
 export async function logOptimization(account, actions, results) {
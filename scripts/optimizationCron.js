@@ -1,4 +1,5 @@
 import { optimizationEngine } from '../src/lib/optimizationEngine.js';
+import { automationEnabled, loadAutomationSettings } from '../src/lib/automationSettings.js';
 import { createClient } from '@supabase/supabase-js';
 
 // Server-side Supabase client (service role)
@@ -17,8 +18,12 @@ async function runDailyOptimization() {
   console.log('Starting daily optimization job...');
   
   try {
-    // Tüm kullanıcılar için optimizasyon çalıştır
-    await optimizationEngine.runOptimizationForAllUsers();
+    // Tüm kullanıcılar için optimizasyon çalıştır; otomasyonu kapatılmış
+    // (automation_settings) kullanıcı ve hesaplar atlanır
+    const automationSettings = await loadAutomationSettings(supabase);
+    await optimizationEngine.runOptimizationForAllUsers({
+      accountFilter: (account) => automationEnabled(automationSettings, account),
+    });
     
     console.log('Daily optimization job completed successfully');
     
@@ -1,7 +1,21 @@
 // scripts/optimizerVps.js
-// Fully server-side keyword optimizer for Robotads, to run on a VPS.
-// Uses Supabase (service role) + Amazon Ads API v2 and the same
-// optimization_rules table as the frontend.
+// Fully server-side optimizer for Robotads, to run on a VPS.
+// Uses Supabase (service role) + the Amazon Ads Sponsored Products v3 API
+// and the same optimization_rules table as the frontend. Rules can target
+// keywords, ad groups, campaigns or product/ASIN targets (settings.entity),
+// or add search terms as negatives (entity "search_term"). Each condition is
+// evaluated over its own duration_days (default: the rule's lookback_days),
+// summed from the daily history tables when the account has history and read
+// from the synced snapshot columns otherwise. "target_acos" actions move
+// bids step by step towards the bid that meets a target ACOS
+// (computeTargetAcosBid in the shared evaluator). Every change is checked
+// against the account's guardrails (src/lib/guardrails.js) with one context
+// per account and cycle; blocked changes go to error_logs, not
+// optimization_logs. Accounts whose automation is switched off
+// (automation_settings, see src/lib/automationSettings.js) are skipped, except
+// in dry-run mode, which never applies anything. When several due rules act
+// on the same entity, only one change is kept per cycle, chosen by the user's
+// conflict strategy (src/lib/ruleConflicts.js).
 //
 // Requirements:
 //   - Node 18+ (global fetch)
@@ -18,6 +32,8 @@
 //   USER_ID               -> limit to rules/accounts of a single auth.users.id
 //   CHECK_INTERVAL_MINUTES -> how often to re-check rules in daemon mode (default 15)
 //   RUN_ONCE              -> if '1' or 'true', run a single optimization cycle then exit
+//   DRY_RUN               -> if '1' or 'true', evaluate every enabled rule but never call
+//                            Amazon; proposed changes go to optimization_proposed_actions
 
 // Load env vars from .env file (for VPS deployment)
 import { config as dotenvConfig } from "dotenv";
@@ -29,6 +45,43 @@ const __dirname = dirname(__filename);
 dotenvConfig({ path: resolve(__dirname, "../.env") });
 
 import { createClient } from "@supabase/supabase-js";
+import { randomUUID } from "node:crypto";
+import {
+  BUDGET_ACTION_TYPES,
+  computeNewBid,
+  computeNewBudget,
+  describeConditions,
+  evaluateConditions,
+  filterRowsByScope,
+  getApiType,
+  getConditionWindows,
+  getLogActionName,
+  migrateRuleSettings,
+  ruleDue,
+} from "../src/lib/ruleEvaluator.js";
+import { applyAmazonUpdates, toAmazonUpdate } from "./lib/amazonUpdates.js";
+import { accountClient, getAccessToken } from "./lib/amazonClient.js";
+import {
+  DAILY_METRIC_TABLES,
+  loadMetricsWindows,
+  windowLookup,
+} from "../src/lib/metricsHistory.js";
+import { guardChanges, loadGuardrails } from "../src/lib/guardrails.js";
+import {
+  cooldownReason,
+  hasCooldown,
+  loadEntityCooldowns,
+} from "../src/lib/entityCooldowns.js";
+import {
+  automationEnabled,
+  conflictStrategy,
+  loadAutomationSettings,
+} from "../src/lib/automationSettings.js";
+import {
+  entityKey,
+  resolveRuleConflicts,
+  sortRulesByPriority,
+} from "../src/lib/ruleConflicts.js";
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -42,8 +95,10 @@ const RUN_ONCE =
   process.env.RUN_ONCE === "1" ||
   process.env.RUN_ONCE === "true" ||
   process.env.RUN_ONCE === "TRUE";
-
-const AMAZON_API_BASE = "https://advertising-api.amazon.com";
+const DRY_RUN =
+  process.env.DRY_RUN === "1" ||
+  process.env.DRY_RUN === "true" ||
+  process.env.DRY_RUN === "TRUE";
 
 if (
   !SUPABASE_URL ||
@@ -65,206 +120,221 @@ function nowIso() {
   return new Date().toISOString();
 }
 
-function hoursBetween(a, b) {
-  const t1 = new Date(a).getTime();
-  const t2 = new Date(b).getTime();
-  return Math.abs(t1 - t2) / (1000 * 60 * 60);
-}
-
-async function refreshAccessToken(refreshToken) {
-  const res = await fetch("https://api.amazon.com/auth/o2/token", {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body: new URLSearchParams({
-      grant_type: "refresh_token",
-      refresh_token: refreshToken,
-      client_id: AMAZON_CLIENT_ID,
-      client_secret: AMAZON_CLIENT_SECRET,
-    }),
-  });
-
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`Token refresh failed: ${res.status} - ${text}`);
-  }
-
-  const data = await res.json();
-  return {
-    access_token: data.access_token,
-    refresh_token: data.refresh_token || refreshToken,
-    expires_in: data.expires_in,
-  };
-}
+// Keyword changes go out as v3 batches (src/lib/amazonSpV3.js). Amazon
+// accepts or rejects each keyword on its own, and each result maps back to
+// its action. Accepted changes are written to amazon_keywords so the DB copy
+// (and the revert conflict check) matches Amazon.
+async function sendBidAdjustments(account, actions) {
+  const { sp } = accountClient(account);
+  const results = await sp.update(
+    "keywords",
+    actions.map((a) => ({
+      keywordId: String(a.keywordAmazonId),
+      ...(a.type === "pause" || a.type === "enable"
+        ? { state: a.type === "pause" ? "PAUSED" : "ENABLED" }
+        : { bid: a.newBid }),
+    }))
+  );
 
-// metrics from DB row
-function getMetricValue(row, metric) {
-  const m = String(metric || "").toLowerCase();
-  const spend = Number(row.spend ?? 0) || 0;
-  const impressions = Number(row.impressions ?? 0) || 0;
-  const clicks = Number(row.clicks ?? 0) || 0;
-  const orders = Number(row.orders ?? 0) || 0;
-  const acos = Number(row.acos ?? 0) || 0;
-
-  switch (m) {
-    case "spend":
-      return spend;
-    case "impressions":
-      return impressions;
-    case "clicks":
-      return clicks;
-    case "orders":
-      return orders;
-    case "acos":
-      return acos;
-    case "ctr":
-      return impressions > 0 ? clicks / impressions : 0;
-    case "cpc":
-      return clicks > 0 ? spend / clicks : 0;
-    default: {
-      const v = Number(row[m]);
-      return Number.isFinite(v) ? v : 0;
+  const now = nowIso();
+  for (const r of results) {
+    if (!r.ok) continue;
+    const a = actions[r.index];
+    const { error } = await supabase
+      .from("amazon_keywords")
+      .update({
+        ...(a.type === "pause" || a.type === "enable"
+          ? { status: a.type === "pause" ? "paused" : "enabled" }
+          : { bid: a.newBid }),
+        updated_at: now,
+      })
+      .eq("amazon_keyword_id", String(a.keywordAmazonId));
+    if (error) {
+      console.error(
+        "Error updating stored keyword",
+        a.keywordAmazonId,
+        error.message
+      );
     }
   }
-}
 
-function compareMetric(value, op, target) {
-  const t = Number(target ?? 0);
-  switch (op) {
-    case "greater_than":
-    case ">":
-      return value > t;
-    case "less_than":
-    case "<":
-      return value < t;
-    case "greater_or_equal":
-    case ">=":
-      return value >= t;
-    case "less_or_equal":
-    case "<=":
-      return value <= t;
-    case "equals":
-    case "==":
-    case "=":
-      return Math.abs(value - t) < 1e-6;
-    default:
-      return false;
-  }
-}
-
-function ruleDue(rule) {
-  const settings = rule.settings || {};
-  // main: frequency_days; fallback: frequency_hours / 24; default: 1 day
-  const freqDays =
-    settings.frequency_days != null
-      ? Number(settings.frequency_days) || 0
-      : settings.frequency_hours != null
-      ? (Number(settings.frequency_hours) || 0) / 24
-      : 1;
-
-  if (freqDays <= 0) return true;
-  if (!rule.last_run) return true;
-
-  const hoursSinceLast = hoursBetween(rule.last_run, nowIso());
-  return hoursSinceLast >= freqDays * 24;
+  return results.map((r) => {
+    const a = actions[r.index];
+    if (!r.ok) {
+      console.error(
+        "Error sending adjustment for keyword",
+        a.keywordAmazonId,
+        r.error
+      );
+    }
+    return {
+      entityId: a.entityId,
+      status: r.status,
+      response: r.ok ? { keywordId: r.id } : { error: r.error },
+    };
+  });
 }
 
-function filterKeywordsByScope(keywords, scope) {
-  if (!scope || scope.type === "ALL") return keywords;
-  const type = scope.type;
-
-  if (
-    type === "CAMPAIGNS" &&
-    Array.isArray(scope.campaign_ids) &&
-    scope.campaign_ids.length
-  ) {
-    const set = new Set(scope.campaign_ids.map(String));
-    return keywords.filter(
-      (k) => k.campaign_id && set.has(String(k.campaign_id))
-    );
+// Guardrail change (src/lib/guardrails.js) for an optimizer action
+function guardrailChange(a) {
+  if (a.negative) {
+    return {
+      kind: "negative",
+      entityType: a.entityType,
+      entityId: a.entityId,
+      campaignId: a.campaignId,
+      current: null,
+      next: null,
+    };
   }
-
-  if (
-    type === "KEYWORDS" &&
-    Array.isArray(scope.keyword_ids) &&
-    scope.keyword_ids.length
-  ) {
-    const set = new Set(scope.keyword_ids.map(String));
-    return keywords.filter((k) => k.id && set.has(String(k.id)));
+  if (a.type === "pause" || a.type === "enable") {
+    return {
+      kind: "status",
+      entityType: a.entityType,
+      entityId: a.entityId,
+      campaignId: a.campaignId,
+      current: a.currentStatus,
+      next: a.type === "pause" ? "paused" : "enabled",
+    };
   }
+  const isBudget = a.newBudget != null;
+  return {
+    kind: isBudget ? "budget" : "bid",
+    entityType: a.entityType,
+    entityId: a.entityId,
+    campaignId: a.campaignId,
+    current: isBudget ? a.currentBudget : a.currentBid,
+    next: isBudget ? a.newBudget : a.newBid,
+  };
+}
 
-  return keywords;
+// Keyword actions are sent directly, so the optimizer checks them itself;
+// blocked ones come back as results with `blocked` set.
+async function guardKeywordActions(guardrails, actions) {
+  const actionFor = new Map(actions.map((a) => [guardrailChange(a), a]));
+  const { allowed, blocked } = await guardChanges(
+    supabase,
+    guardrails,
+    [...actionFor.keys()],
+    "optimizer_vps"
+  );
+  return {
+    allowed: allowed.map((c) => actionFor.get(c)),
+    blockedResults: blocked.map(({ change, reason }) => ({
+      entityId: change.entityId,
+      status: 0,
+      blocked: reason,
+    })),
+  };
 }
 
-async function sendBidAdjustments(account, accessToken, actions) {
+// Campaign, ad group and target changes go through applyAmazonUpdates,
+// batched per update type, so they follow the same path (and DB sync) as
+// manual edits. applyAmazonUpdates checks them against the run's guardrails.
+async function sendEntityUpdates(account, actions, guardrails) {
+  const groups = new Map();
   const results = [];
-
   for (const a of actions) {
-    const endpoint = `${AMAZON_API_BASE}/v2/sp/keywords/${a.keywordAmazonId}`;
-    const payload = {};
-
-    if (a.type === "pause") {
-      payload.state = "paused";
-    } else if (a.type === "adjust_bid_percentage") {
-      payload.bid = a.newBid;
+    const update = toAmazonUpdate({
+      entityType: a.entityType,
+      apiType: a.type,
+      newBid: a.newBid,
+      newBudget: a.newBudget,
+      negative: a.negative,
+    });
+    if (!update) {
+      results.push({
+        entityId: a.entityId,
+        status: 0,
+        response: { error: `No update type for ${a.entityType}/${a.type}` },
+      });
+      continue;
     }
+    const group = groups.get(update.type) || [];
+    group.push({
+      action: a,
+      item: update.item || { amazonId: a.entityId, value: update.value },
+    });
+    groups.set(update.type, group);
+  }
 
+  for (const [type, entries] of groups) {
     try {
-      const res = await fetch(endpoint, {
-        method: "PUT",
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "Amazon-Advertising-API-ClientId": AMAZON_CLIENT_ID,
-          "Amazon-Advertising-API-Scope": String(account.amazon_profile_id),
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(payload),
-      });
-
-      let json = {};
-      try {
-        json = await res.json();
-      } catch {}
-
-      results.push({
-        keywordAmazonId: a.keywordAmazonId,
-        status: res.status,
-        response: json,
+      const response = await applyAmazonUpdates({
+        accountId: account.id,
+        type,
+        items: entries.map((e) => e.item),
+        guardrails,
       });
+      const blocked = blockedReasons(response.blocked);
+      const failed = failedItems(response.failed);
+      for (const { action, item } of entries) {
+        const failure = failed.get(item);
+        results.push({
+          entityId: action.entityId,
+          status: blocked.has(item) ? 0 : failure ? failure.status : 200,
+          response: failure ? { error: failure.error } : response,
+          blocked: blocked.get(item),
+        });
+      }
     } catch (e) {
-      console.error(
-        "Error sending adjustment for keyword",
-        a.keywordAmazonId,
-        e
-      );
-      results.push({
-        keywordAmazonId: a.keywordAmazonId,
-        status: 0,
-        response: { error: String(e.message || e) },
-      });
+      const blocked = blockedReasons(e.blocked);
+      const failed = failedItems(e.failed);
+      if (!blocked.size) {
+        console.error(
+          `Error sending ${type} updates for account`,
+          account.id,
+          e
+        );
+      }
+      for (const { action, item } of entries) {
+        const failure = failed.get(item);
+        results.push({
+          entityId: action.entityId,
+          status: failure?.status || 0,
+          response: { error: failure?.error || String(e.message || e) },
+          blocked: blocked.get(item),
+        });
+      }
     }
   }
 
   return results;
 }
 
-async function logActions(account, rule, actions, resultsByKeyword) {
+// item -> reason for the items applyAmazonUpdates blocked
+function blockedReasons(blocked) {
+  return new Map((blocked || []).map(({ item, reason }) => [item, reason]));
+}
+
+// item -> { error, status } for the items Amazon rejected
+function failedItems(failed) {
+  return new Map(
+    (failed || []).map(({ item, error, status }) => [item, { error, status }])
+  );
+}
+
+async function logActions(account, rule, actions, resultsByEntity, runId) {
   if (!actions.length) return;
 
+  const { conditions } = migrateRuleSettings(rule.settings, rule.match_type);
+  const reason = `Rule ${rule.name}: ${describeConditions(conditions)}`;
   const rows = actions.map((a) => {
-    const r = resultsByKeyword.get(a.keywordAmazonId);
+    const r = resultsByEntity.get(a.entityId);
     const status = r?.status ?? 0;
     const actionName = a.logAction || a.type;
 
     return {
+      run_id: runId,
       user_id: account.user_id,
       campaign_id: a.campaignId,
       keyword_id: a.keywordRowId,
       action: actionName,
-      reason: `Rule ${rule.name}`,
+      reason,
       rule_id: rule.id,
       amazon_account_id: account.id,
-      entity_type: "keyword",
-      entity_id: a.keywordAmazonId,
+      entity_type: a.entityType,
+      entity_id: a.entityId,
       details: {
         metrics_snapshot: a.metricsSnapshot,
         action: {
@@ -272,6 +342,10 @@ async function logActions(account, rule, actions, resultsByKeyword) {
           api_type: a.type,
           current_bid: a.currentBid,
           new_bid: a.newBid,
+          current_budget: a.currentBudget,
+          new_budget: a.newBudget,
+          current_status: a.currentStatus,
+          negative: a.negative,
         },
         api_status: status,
         api_response: r?.response ?? null,
@@ -286,6 +360,107 @@ async function logActions(account, rule, actions, resultsByKeyword) {
   }
 }
 
+// Stores actions in optimization_proposed_actions instead of sending them:
+//   - status "simulated": dry-run output (DRY_RUN=1)
+//   - status "pending": rules with settings.require_approval, waiting for review
+// Simulated rows for this rule/account are replaced every cycle. Pending rows
+// keep their id while the rule keeps proposing the same action on the same
+// entity (only the values are refreshed), so a proposal that is open in the
+// approval queue can still be approved; proposals the rule no longer makes
+// are removed.
+async function saveProposedActions(account, rule, actions, runId, status) {
+  const { data: existing, error: loadErr } = await supabase
+    .from("optimization_proposed_actions")
+    .select("id, entity_type, entity_id, action")
+    .eq("rule_id", rule.id)
+    .eq("amazon_account_id", account.id)
+    .eq("status", status);
+  if (loadErr) {
+    console.error("Failed to load optimization_proposed_actions:", loadErr);
+    return;
+  }
+
+  const proposalKey = (entityType, entityId, action) =>
+    `${entityType}:${entityId}:${action}`;
+  const existingByKey = new Map();
+  if (status === "pending") {
+    for (const row of existing || []) {
+      existingByKey.set(
+        proposalKey(row.entity_type, row.entity_id, row.action),
+        row.id
+      );
+    }
+  }
+
+  const rows = actions.map((a) => ({
+    run_id: runId,
+    user_id: account.user_id,
+    rule_id: rule.id,
+    amazon_account_id: account.id,
+    campaign_id: a.campaignId,
+    keyword_id: a.keywordRowId,
+    entity_type: a.entityType,
+    entity_id: a.entityId,
+    action: a.logAction || a.type,
+    api_type: a.type,
+    current_bid: a.currentBid,
+    new_bid: a.newBid,
+    current_budget: a.currentBudget,
+    new_budget: a.newBudget,
+    current_status: a.currentStatus,
+    action_payload: a.negative || null,
+    metrics_snapshot: a.metricsSnapshot,
+    status,
+    created_at: nowIso(),
+  }));
+
+  const kept = new Set();
+  const inserts = [];
+  for (const row of rows) {
+    const id = existingByKey.get(
+      proposalKey(row.entity_type, row.entity_id, row.action)
+    );
+    if (!id || kept.has(id)) {
+      inserts.push(row);
+      continue;
+    }
+    kept.add(id);
+    // created_at stays: it is when the proposal first appeared
+    const { created_at: _created, ...values } = row;
+    const { error } = await supabase
+      .from("optimization_proposed_actions")
+      .update(values)
+      .eq("id", id)
+      .eq("status", status);
+    if (error) {
+      console.error("Failed to update optimization_proposed_actions:", error);
+    }
+  }
+
+  const staleIds = (existing || [])
+    .map((row) => row.id)
+    .filter((id) => !kept.has(id));
+  if (staleIds.length) {
+    const { error: delErr } = await supabase
+      .from("optimization_proposed_actions")
+      .delete()
+      .in("id", staleIds)
+      .eq("status", status);
+    if (delErr) {
+      console.error("Failed to clear optimization_proposed_actions:", delErr);
+      return;
+    }
+  }
+
+  if (!inserts.length) return;
+  const { error } = await supabase
+    .from("optimization_proposed_actions")
+    .insert(inserts);
+  if (error) {
+    console.error("Failed to insert optimization_proposed_actions:", error);
+  }
+}
+
 async function logJob(status, message, errorDetails = null) {
   const now = nowIso();
   const { error } = await supabase.from("optimization_job_logs").insert({
@@ -299,96 +474,257 @@ async function logJob(status, message, errorDetails = null) {
   if (error) console.error("Error logging job:", error);
 }
 
-// Build actions for one rule and a list of keywords
-function buildActionsForRule(rule, account, keywordsForAccount) {
-  const settings = rule.settings || {};
-  const scope = settings.scope || {};
-  const conditions = Array.isArray(settings.conditions)
-    ? settings.conditions
-    : settings.metric
-    ? [
-        {
-          metric: settings.metric,
-          comparison: settings.condition || settings.condition_op || ">",
-          value: settings.threshold,
-        },
-      ]
-    : [];
-  const actionConf = settings.action || {};
+// Where each rule entity is read from and how its fields are named in
+// amazon_keywords / amazon_ad_groups / amazon_campaigns / amazon_targets /
+// amazon_search_terms.
+const ENTITY_SOURCES = {
+  keyword: {
+    rows: "keywords",
+    campaignKey: "campaign_id",
+    amazonId: (r) => r.keyword_id,
+    bid: (r) => r.bid,
+  },
+  ad_group: {
+    rows: "adGroups",
+    campaignKey: "campaign_id",
+    amazonId: (r) => r.amazon_ad_group_id,
+    bid: (r) => r.default_bid,
+  },
+  campaign: {
+    rows: "campaigns",
+    campaignKey: "id",
+    amazonId: (r) => r.campaign_id,
+    bid: () => null,
+  },
+  asin_target: {
+    rows: "targets",
+    campaignKey: "campaign_id",
+    amazonId: (r) => r.amazon_target_id,
+    bid: (r) => r.bid,
+  },
+  search_term: {
+    rows: "searchTerms",
+    campaignKey: "campaign_id",
+    amazonId: (r) => r.id,
+    bid: () => null,
+  },
+};
+
+// Search terms that are ASINs (auto / product targeting) become negative
+// product targets instead of negative keywords.
+const ASIN_PATTERN = /^b0[0-9a-z]{8}$/i;
+
+// Key of a negative keyword / product target at its level, so terms that are
+// already negated (or queued twice in one run) are skipped.
+function negativeKey(level, campaignId, adGroupId, text) {
+  const parent = level === "campaign" ? campaignId : adGroupId;
+  return `${level}|${parent}|${String(text || "").toLowerCase()}`;
+}
 
-  const entity = (settings.entity || "keyword").toLowerCase();
-  if (entity !== "keyword") return [];
+function existingNegativeKeys(negatives) {
+  const keys = new Set();
+  for (const n of negatives) {
+    const text =
+      n.negative_type === "keyword" ? n.keyword_text : n.expression?.[0]?.value;
+    keys.add(
+      negativeKey(n.level, n.amazon_campaign_id, n.amazon_ad_group_id, text)
+    );
+  }
+  return keys;
+}
 
-  const scopedKeywords = filterKeywordsByScope(keywordsForAccount, scope);
-  const actions = [];
+// Create item for an add_negative action on a search term row, or null when
+// the term cannot be negated at the requested level.
+function buildNegative(row, action) {
+  const level = action.level === "campaign" ? "campaign" : "ad_group";
+  if (!row.amazon_campaign_id || !row.search_term) return null;
+  if (level === "ad_group" && !row.amazon_ad_group_id) return null;
+  const negative = {
+    level,
+    campaignId: String(row.amazon_campaign_id),
+    adGroupId: level === "ad_group" ? String(row.amazon_ad_group_id) : null,
+  };
+  if (ASIN_PATTERN.test(row.search_term)) {
+    negative.asin = row.search_term.toUpperCase();
+  } else {
+    negative.keywordText = row.search_term;
+    negative.matchType =
+      action.match_type === "negativePhrase"
+        ? "negativePhrase"
+        : "negativeExact";
+  }
+  return negative;
+}
 
-  for (const kw of scopedKeywords) {
-    let allMatch = true;
-    const snapshot = {};
-
-    for (const cond of conditions) {
-      const metricName = cond.metric;
-      const val = getMetricValue(kw, metricName);
-      snapshot[metricName] = val;
-      const cmp = cond.comparison || cond.condition || ">";
-      const target = cond.value != null ? cond.value : cond.threshold;
-      if (!compareMetric(val, cmp, target)) {
-        allMatch = false;
-        break;
-      }
-    }
+// Build actions for one rule over the account's keywords, ad groups,
+// campaigns or product targets (settings.entity). Conditions, scope, new bids and budgets come
+// from the shared rule evaluator, so the result matches what the browser
+// engine would do for the same rule. windows maps days -> daily-history
+// totals (loadRuleWindows) for the conditions' windows.
+// `matchedKeys`, when given, collects the entityKey() of every row whose
+// conditions matched, changed or not (for the first_match strategy).
+// `cooldowns` (loadRuleCooldowns) skips entities that changed too recently
+// or got too few clicks since for the rule's cooldown settings.
+function buildActionsForRule(
+  rule,
+  account,
+  entities,
+  windows,
+  matchedKeys = null,
+  cooldowns = null
+) {
+  const settings = migrateRuleSettings(rule.settings, rule.match_type);
+  const source = ENTITY_SOURCES[settings.entity];
+  if (!source) {
+    console.warn(`Rule ${rule.name}: unsupported entity ${settings.entity}`);
+    return [];
+  }
 
-    if (!allMatch) continue;
-
-    const currentBid = Number(kw.bid ?? 0) || 0;
-    // settings.action is the user-facing action string from the UI
-    const uiAction =
-      typeof settings.action === "string"
-        ? settings.action
-        : actionConf.type || "adjust_bid_percentage";
-
-    // Map UI action to low-level API type
-    let type = uiAction;
-    if (uiAction === "pause_keyword") {
-      type = "pause";
-    } else if (uiAction === "decrease_bid" || uiAction === "increase_bid") {
-      type = "adjust_bid_percentage";
-    }
+  const { action } = settings;
+  const type = getApiType(action, settings.entity);
+  if (!type) {
+    console.warn(
+      `Rule ${rule.name}: action ${action.type} is not supported for ${settings.entity}`
+    );
+    return [];
+  }
+  const isStatusChange = type === "pause" || type === "enable";
+  const isBudgetChange = BUDGET_ACTION_TYPES.includes(type);
+  const negatedKeys =
+    type === "add_negative"
+      ? existingNegativeKeys(entities.negatives || [])
+      : null;
+
+  const logAction = getLogActionName(settings);
+  const scopedRows = filterRowsByScope(
+    entities[source.rows] || [],
+    settings.scope,
+    source.campaignKey
+  );
+  const actions = [];
+  let cooling = 0;
+
+  for (const row of scopedRows) {
+    const amazonId = source.amazonId(row);
+    if (!amazonId) continue;
 
-    let newBid = currentBid;
-
-    if (type === "adjust_bid_percentage") {
-      const rawPct =
-        Number(actionConf.value ?? settings.action_value ?? 0) || 0;
-      const pct =
-        uiAction === "decrease_bid"
-          ? -Math.abs(rawPct)
-          : uiAction === "increase_bid"
-          ? Math.abs(rawPct)
-          : rawPct;
-      const raw = currentBid * (1 + pct / 100);
-      const minBid = Number(actionConf.min_bid ?? 0.02);
-      const maxBid = Number(actionConf.max_bid ?? 10.0);
-      newBid = Math.min(maxBid, Math.max(minBid, Number(raw.toFixed(2))));
+    const rowForWindow = windowLookup(
+      row,
+      amazonId,
+      windows,
+      settings.lookback_days
+    );
+    const { matched, snapshot } = evaluateConditions(
+      row,
+      settings.conditions,
+      rowForWindow
+    );
+    if (!matched) continue;
+    if (matchedKeys) matchedKeys.add(entityKey(settings.entity, amazonId));
+    if (cooldowns && cooldownReason(settings, cooldowns, amazonId)) {
+      cooling += 1;
+      continue;
     }
 
     const act = {
       type,
-      logAction: uiAction,
-      keywordAmazonId: String(kw.keyword_id),
-      keywordRowId: kw.id,
-      campaignId: kw.campaign_id,
-      currentBid,
-      newBid,
+      logAction,
+      entityType: settings.entity,
+      entityId: String(amazonId),
+      campaignId: row[source.campaignKey] || null,
+      keywordRowId: settings.entity === "keyword" ? row.id : null,
+      keywordAmazonId: settings.entity === "keyword" ? String(amazonId) : null,
+      currentBid: null,
+      newBid: null,
+      currentBudget: null,
+      newBudget: null,
+      currentStatus: row.status || null,
       metricsSnapshot: snapshot,
     };
 
+    // Nothing to send when the entity is already in the target state
+    const status = String(row.status || "").toLowerCase();
+    if (negatedKeys) {
+      const negative = buildNegative(row, action);
+      if (!negative) continue;
+      const key = negativeKey(
+        negative.level,
+        negative.campaignId,
+        negative.adGroupId,
+        negative.asin || negative.keywordText
+      );
+      if (negatedKeys.has(key)) continue;
+      negatedKeys.add(key);
+      act.negative = negative;
+      act.currentStatus = null;
+    } else if (isStatusChange) {
+      if (type === "pause" && status === "paused") continue;
+      if (type === "enable" && status === "enabled") continue;
+    } else if (isBudgetChange) {
+      act.currentBudget = Number(row.budget ?? 0) || 0;
+      act.newBudget = computeNewBudget(act.currentBudget, action);
+      if (act.newBudget === act.currentBudget) continue;
+    } else {
+      act.currentBid = Number(source.bid(row) ?? 0) || 0;
+      // target_acos bids from the lookback-window metrics; null when there
+      // are too few clicks to recommend a bid
+      act.newBid = computeNewBid(act.currentBid, action, rowForWindow());
+      if (act.newBid == null || act.newBid === act.currentBid) continue;
+    }
+
     actions.push(act);
   }
 
+  if (cooling) {
+    console.log(
+      `Rule ${rule.name}: ${cooling} matching ${settings.entity}(s) skipped (cooldown / too few new clicks)`
+    );
+  }
   return actions;
 }
 
+// Daily-history totals for every window the rule's conditions use
+// (getConditionWindows), as a Map of days -> totals. Totals are cached per
+// entity/window for the account, since rules usually share windows. Returns
+// null for entities without a history table (search terms); windows without
+// history map to null and fall back to the snapshot columns.
+async function loadRuleWindows(account, settings, cache) {
+  if (!DAILY_METRIC_TABLES[settings.entity]) return null;
+  const missing = getConditionWindows(settings).filter(
+    (days) => !cache.has(`${settings.entity}:${days}`)
+  );
+  const loaded = await loadMetricsWindows(supabase, {
+    entity: settings.entity,
+    accountId: account.id,
+    windows: missing,
+  });
+  for (const [days, totals] of loaded) {
+    cache.set(`${settings.entity}:${days}`, totals);
+  }
+  return new Map(
+    getConditionWindows(settings).map((days) => [
+      days,
+      cache.get(`${settings.entity}:${days}`),
+    ])
+  );
+}
+
+// Last changes and clicks since for the rule's entity, when the rule has
+// cooldown settings (null otherwise); cached per entity for the account.
+async function loadRuleCooldowns(account, settings, cache) {
+  if (!hasCooldown(settings)) return null;
+  if (!cache.has(settings.entity)) {
+    cache.set(
+      settings.entity,
+      await loadEntityCooldowns(supabase, {
+        entity: settings.entity,
+        accountId: account.id,
+      })
+    );
+  }
+  return cache.get(settings.entity);
+}
+
 async function loadActiveRules() {
   let query = supabase
     .from("optimization_rules")
@@ -414,71 +750,42 @@ async function loadAccounts() {
   return data || [];
 }
 
-async function processAccount(account, rulesForUser) {
-  console.log(`\n▶️ Optimizing account ${account.id} (${account.name || ""})`);
-
-  // Token refresh
-  let accessToken = account.access_token;
-  const refreshToken = account.refresh_token;
-  const now = new Date();
-  const expiresAt = account.token_expires_at
-    ? new Date(account.token_expires_at)
-    : null;
-  const needsRefresh =
-    !accessToken ||
-    !expiresAt ||
-    expiresAt.getTime() - now.getTime() < 5 * 60 * 1000;
-
-  if (needsRefresh) {
-    if (!refreshToken) {
-      console.error("No refresh token for account", account.id);
-      await supabase
-        .from("amazon_accounts")
-        .update({ status: "reauth_required" })
-        .eq("id", account.id);
-      return;
-    }
-
-    try {
-      const refreshed = await refreshAccessToken(refreshToken);
-      accessToken = refreshed.access_token;
-      const newExpiry = new Date(
-        Date.now() + (refreshed.expires_in ?? 3600) * 1000
-      ).toISOString();
-
-      await supabase
-        .from("amazon_accounts")
-        .update({
-          access_token: refreshed.access_token,
-          refresh_token: refreshed.refresh_token,
-          token_expires_at: newExpiry,
-          updated_at: nowIso(),
-          status: "active",
-        })
-        .eq("id", account.id);
-    } catch (e) {
-      console.error("Token refresh failed for account", account.id, e);
-      await supabase
-        .from("amazon_accounts")
-        .update({ status: "reauth_required" })
-        .eq("id", account.id);
-      return;
-    }
-  }
-
-  if (!accessToken) {
+// Checks that the account has a usable access token (scripts/lib/amazonClient.js
+// refreshes and stores it when needed). Accounts whose refresh token Amazon
+// rejects are flagged reauth_required there.
+async function ensureAccessToken(account) {
+  try {
+    return await getAccessToken(account);
+  } catch (e) {
     console.error(
-      "No access token after refresh; skipping account",
-      account.id
+      "Token refresh failed; skipping account",
+      account.id,
+      e.message || e
     );
-    return;
+    return null;
   }
+}
 
-  // campaigns for this account
+async function processAccount(account, rulesForUser, runId, strategy) {
+  console.log(`\n▶️ Optimizing account ${account.id} (${account.name || ""})`);
+
+  // Dry-run never talks to Amazon, so it does not need a token (or
+  // guardrails) either.
+  let guardrails = null;
+  if (!DRY_RUN) {
+    if (!(await ensureAccessToken(account))) return;
+    guardrails = await loadGuardrails(supabase, account);
+  }
+
+  // campaigns for this account (full rows: campaign rules evaluate them too).
+  // Updates go to the Sponsored Products API, so SB / SD rows are left out.
   const { data: campaigns, error: campErr } = await supabase
     .from("amazon_campaigns")
-    .select("id")
-    .eq("account_id", account.id);
+    .select(
+      "id, campaign_id, name, status, budget, spend, impressions, clicks, orders, acos, ctr, cpc, sales, raw_data"
+    )
+    .eq("account_id", account.id)
+    .eq("ad_product", "SPONSORED_PRODUCTS");
   if (campErr) {
     console.error(
       "Failed to load campaigns for account",
@@ -494,11 +801,28 @@ async function processAccount(account, rulesForUser) {
     return;
   }
 
+  // ad groups + metrics from DB
+  const { data: adGroups, error: agErr } = await supabase
+    .from("amazon_ad_groups")
+    .select(
+      "id, campaign_id, amazon_ad_group_id, name, status, default_bid, spend, impressions, clicks, orders, acos, ctr, cpc, raw_data"
+    )
+    .eq("account_id", account.id)
+    .eq("ad_product", "SPONSORED_PRODUCTS");
+  if (agErr) {
+    console.error(
+      "Failed to load ad groups for account",
+      account.id,
+      agErr.message
+    );
+    return;
+  }
+
   // load keywords + metrics from DB
   const { data: keywords, error: kwErr } = await supabase
     .from("amazon_keywords")
     .select(
-      "id, campaign_id, keyword_id, text, match_type, bid, status, spend, impressions, clicks, orders, acos"
+      "id, campaign_id, keyword_id, text, match_type, bid, status, spend, impressions, clicks, orders, acos, ctr, cpc, raw_data"
     )
     .in("campaign_id", campaignIds);
   if (kwErr) {
@@ -510,21 +834,120 @@ async function processAccount(account, rulesForUser) {
     return;
   }
 
-  const keywordsForAccount = keywords || [];
-  if (!keywordsForAccount.length) {
-    console.log("No keywords for account", account.id);
+  // product/ASIN targets + metrics from DB
+  const { data: targets, error: tgErr } = await supabase
+    .from("amazon_targets")
+    .select(
+      "id, campaign_id, amazon_target_id, expression_type, expression_text, bid, status, spend, impressions, clicks, orders, acos, ctr, cpc, raw_data"
+    )
+    .eq("account_id", account.id)
+    .eq("ad_product", "SPONSORED_PRODUCTS");
+  if (tgErr) {
+    console.error(
+      "Failed to load targets for account",
+      account.id,
+      tgErr.message
+    );
+    return;
+  }
+
+  // search terms + negatives they may already be covered by
+  const [
+    { data: searchTerms, error: stErr },
+    { data: negatives, error: negErr },
+  ] = await Promise.all([
+    supabase
+      .from("amazon_search_terms")
+      .select(
+        "id, campaign_id, amazon_campaign_id, amazon_ad_group_id, search_term, keyword_text, match_type, spend, impressions, clicks, orders, sales, acos, ctr, cpc"
+      )
+      .eq("account_id", account.id),
+    supabase
+      .from("amazon_negatives")
+      .select(
+        "negative_type, level, amazon_campaign_id, amazon_ad_group_id, keyword_text, expression"
+      )
+      .eq("account_id", account.id)
+      .neq("status", "archived"),
+  ]);
+  if (stErr || negErr) {
+    console.error(
+      "Failed to load search terms / negatives for account",
+      account.id,
+      (stErr || negErr).message
+    );
     return;
   }
 
-  for (const rule of rulesForUser) {
-    if (!ruleDue(rule)) {
+  const entities = {
+    keywords: keywords || [],
+    adGroups: adGroups || [],
+    campaigns: campaigns || [],
+    targets: targets || [],
+    searchTerms: searchTerms || [],
+    negatives: negatives || [],
+  };
+  const windowCache = new Map();
+  const cooldownCache = new Map();
+
+  // Every due rule is evaluated first, so rules acting on the same entity
+  // can be resolved to one change before anything is sent.
+  const evaluated = [];
+  for (const rule of sortRulesByPriority(rulesForUser)) {
+    // Simulation ignores the rule frequency and leaves last_run untouched,
+    // so it never shifts the live schedule.
+    if (!DRY_RUN && !ruleDue(rule)) {
       console.log(
         `Skipping rule ${rule.name} for account ${account.id} (frequency)`
       );
       continue;
     }
 
-    const actions = buildActionsForRule(rule, account, keywordsForAccount);
+    const settings = migrateRuleSettings(rule.settings, rule.match_type);
+    // Without the change history the cooldown cannot be honoured, so the
+    // rule waits for the next cycle rather than running unrestricted
+    let cooldowns;
+    try {
+      cooldowns = await loadRuleCooldowns(account, settings, cooldownCache);
+    } catch (e) {
+      console.error(
+        `Skipping rule ${rule.name} for account ${account.id}: failed to load change history:`,
+        e.message || e
+      );
+      continue;
+    }
+
+    const matched = new Set();
+    const actions = buildActionsForRule(
+      rule,
+      account,
+      entities,
+      await loadRuleWindows(account, settings, windowCache),
+      matched,
+      cooldowns
+    );
+    evaluated.push({ rule, actions, matched });
+  }
+
+  const { results: resolved, dropped } = resolveRuleConflicts(
+    evaluated,
+    strategy
+  );
+  for (const { rule, action, winner } of dropped) {
+    console.log(
+      `Rule ${rule.name}: skipping ${action.entityType} ${action.entityId} (conflicts with rule ${winner.name}, ${strategy})`
+    );
+  }
+
+  for (const { rule, actions } of resolved) {
+    if (DRY_RUN) {
+      console.log(
+        `[dry-run] Rule ${rule.name} -> ${actions.length} proposed action(s) for account ${account.id}`
+      );
+      await saveProposedActions(account, rule, actions, runId, "simulated");
+      continue;
+    }
+
     if (!actions.length) {
       console.log(
         `Rule ${rule.name} produced no actions for account ${account.id}`
@@ -541,9 +964,47 @@ async function processAccount(account, rulesForUser) {
       `Rule ${rule.name} -> ${actions.length} action(s) for account ${account.id}`
     );
 
-    const results = await sendBidAdjustments(account, accessToken, actions);
-    const byKw = new Map(results.map((r) => [String(r.keywordAmazonId), r]));
-    await logActions(account, rule, actions, byKw);
+    if (rule.settings?.require_approval) {
+      console.log(
+        `Rule ${rule.name} requires approval; queueing ${actions.length} action(s)`
+      );
+      await saveProposedActions(account, rule, actions, runId, "pending");
+      await supabase
+        .from("optimization_rules")
+        .update({ last_run: nowIso() })
+        .eq("id", rule.id);
+      continue;
+    }
+
+    const keywordActions = actions.filter((a) => a.entityType === "keyword");
+    const entityActions = actions.filter((a) => a.entityType !== "keyword");
+    const { allowed: allowedKeywordActions, blockedResults } =
+      keywordActions.length
+        ? await guardKeywordActions(guardrails, keywordActions)
+        : { allowed: [], blockedResults: [] };
+    const results = [
+      ...blockedResults,
+      ...(allowedKeywordActions.length
+        ? await sendBidAdjustments(account, allowedKeywordActions)
+        : []),
+      ...(entityActions.length
+        ? await sendEntityUpdates(account, entityActions, guardrails)
+        : []),
+    ];
+    const byEntity = new Map(results.map((r) => [String(r.entityId), r]));
+    const blockedCount = results.filter((r) => r.blocked).length;
+    if (blockedCount) {
+      console.log(
+        `Rule ${rule.name}: ${blockedCount} action(s) blocked by guardrails`
+      );
+    }
+    await logActions(
+      account,
+      rule,
+      actions.filter((a) => !byEntity.get(a.entityId)?.blocked),
+      byEntity,
+      runId
+    );
 
     await supabase
       .from("optimization_rules")
@@ -553,12 +1014,18 @@ async function processAccount(account, rulesForUser) {
 }
 
 async function runOneCycle() {
-  console.log("▶️ VPS Keyword Optimizer cycle started at", nowIso());
+  console.log(
+    `▶️ VPS Keyword Optimizer cycle started at ${nowIso()}${
+      DRY_RUN ? " (dry-run)" : ""
+    }`
+  );
+  const runId = randomUUID();
 
   try {
-    const [rules, accounts] = await Promise.all([
+    const [rules, accounts, automationSettings] = await Promise.all([
       loadActiveRules(),
       loadAccounts(),
+      loadAutomationSettings(supabase, { userId: USER_ID }),
     ]);
 
     if (!rules.length) {
@@ -590,16 +1057,32 @@ async function runOneCycle() {
         );
         continue;
       }
+      if (!DRY_RUN && !automationEnabled(automationSettings, account)) {
+        console.log(
+          `Automation is switched off; skipping account ${account.id}`
+        );
+        continue;
+      }
 
       try {
-        await processAccount(account, r);
+        await processAccount(
+          account,
+          r,
+          runId,
+          conflictStrategy(automationSettings, account.user_id)
+        );
       } catch (e) {
         console.error(`Error optimizing account ${account.id}:`, e);
       }
     }
 
     console.log("🏁 VPS Keyword Optimizer cycle finished at", nowIso());
-    await logJob("success", "Keyword optimizer cycle finished successfully");
+    await logJob(
+      "success",
+      DRY_RUN
+        ? "Keyword optimizer dry-run cycle finished successfully"
+        : "Keyword optimizer cycle finished successfully"
+    );
   } catch (e) {
     console.error("Fatal optimizer error in cycle:", e);
     await logJob("error", "Keyword optimizer cycle failed", {
@@ -11,260 +11,497 @@ import cron from "node-cron";
 import { runDailyOptimization } from "./optimizationCron.js";
 import { createServer } from "http";
 import { createClient } from "@supabase/supabase-js";
+import {
+  applyAmazonUpdates,
+  loadCurrentValues,
+  toAmazonUpdate,
+} from "./lib/amazonUpdates.js";
 
 const SUPABASE_URL = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
 const SUPABASE_SERVICE_ROLE_KEY =
   process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_ANON_KEY;
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
-const AMAZON_CLIENT_ID =
-  process.env.AMAZON_CLIENT_ID || process.env.VITE_AMAZON_CLIENT_ID;
-const AMAZON_CLIENT_SECRET =
-  process.env.AMAZON_CLIENT_SECRET || process.env.VITE_AMAZON_CLIENT_SECRET;
-
-function normalizeRegion(region) {
-  if (!region) return "na";
-  const r = String(region).toLowerCase();
-  if (["eu", "europe"].includes(r)) return "eu";
-  if (["fe", "far_east", "apac", "asia"].includes(r)) return "fe";
-  return "na";
+// item -> { error, status } for the items applyAmazonUpdates rejected or
+// blocked, read from its result or from the error it threw
+function itemFailures({ failed, blocked } = {}) {
+  const failures = new Map();
+  for (const f of failed || []) {
+    failures.set(f.item, { error: f.error, status: f.status || 0 });
+  }
+  for (const b of blocked || []) {
+    failures.set(b.item, {
+      error: `Blocked by guardrail: ${b.reason}`,
+      status: 0,
+    });
+  }
+  return failures;
 }
 
-function regionApiBase(region) {
-  const r = normalizeRegion(region);
-  if (r === "eu") return "https://advertising-api-eu.amazon.com";
-  if (r === "fe") return "https://advertising-api-fe.amazon.com";
-  return "https://advertising-api.amazon.com";
-}
+// Applies approved optimizer proposals (optimization_proposed_actions with
+// status "pending") through applyAmazonUpdates, grouped per account and
+// update type. Each row ends up "applied" or "failed" and is logged to
+// optimization_logs the same way optimizerVps.js logs direct changes.
+async function approveProposedActions(ids) {
+  const { data: rows, error } = await supabase
+    .from("optimization_proposed_actions")
+    .select("*, optimization_rules(name), amazon_keywords(status)")
+    .in("id", ids)
+    .eq("status", "pending");
+  if (error) throw error;
+  if (!rows || rows.length === 0) return { applied: 0, failed: 0 };
 
-async function refreshAccessToken(refreshToken) {
-  const res = await fetch("https://api.amazon.com/auth/o2/token", {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body: new URLSearchParams({
-      grant_type: "refresh_token",
-      refresh_token: refreshToken,
-      client_id: AMAZON_CLIENT_ID,
-      client_secret: AMAZON_CLIENT_SECRET,
-    }),
-  });
-  if (!res.ok) {
-    const t = await res.text().catch(() => "");
-    throw new Error(`Token refresh failed: ${res.status} ${t}`);
+  const groups = new Map();
+  for (const row of rows) {
+    const update = toAmazonUpdate({
+      entityType: row.entity_type || "keyword",
+      apiType: row.api_type,
+      newBid: row.new_bid,
+      newBudget: row.new_budget,
+      negative: row.action_payload,
+    });
+    const type = update?.type || "unsupported";
+    const key = `${row.amazon_account_id}:${type}`;
+    const group = groups.get(key) || {
+      accountId: row.amazon_account_id,
+      type,
+      rows: [],
+      items: [],
+    };
+    group.rows.push(row);
+    if (update)
+      group.items.push(
+        update.item || { amazonId: row.entity_id, value: update.value }
+      );
+    groups.set(key, group);
   }
-  const data = await res.json();
-  return {
-    access_token: data.access_token,
-    refresh_token: data.refresh_token || refreshToken,
-    expires_in: data.expires_in,
-  };
-}
 
-async function withRetry(fn, label) {
-  let delay = 500;
-  for (let attempt = 1; attempt <= 3; attempt++) {
+  let applied = 0;
+  let failed = 0;
+  for (const group of groups.values()) {
+    let groupError = null;
+    let failures = new Map();
     try {
-      return await fn();
-    } catch (e) {
-      const msg = String(e?.message || e);
-      if (attempt >= 3) throw e;
-      if (
-        /goaway|server_shutting_down|http2|ECONNRESET|ETIMEDOUT|ENETUNREACH|EAI_AGAIN|429|502|503|504/i.test(
-          msg
-        )
-      ) {
-        await new Promise((r) => setTimeout(r, delay));
-        delay *= 2;
-        continue;
+      if (group.type === "unsupported") {
+        throw new Error("No Amazon update type for this action");
       }
-      throw e;
+      const result = await applyAmazonUpdates({
+        accountId: group.accountId,
+        type: group.type,
+        items: group.items,
+      });
+      failures = itemFailures(result);
+    } catch (e) {
+      failures = itemFailures(e);
+      if (failures.size === 0) groupError = String(e?.message || e);
+      console.error(
+        `Approved actions failed for account ${group.accountId}:`,
+        String(e?.message || e)
+      );
     }
-  }
-}
 
-async function applyAmazonUpdates({ accountId, type, items }) {
-  const { data: accounts, error } = await supabase
-    .from("amazon_accounts")
-    .select("*")
-    .eq("id", accountId);
-  if (error || !accounts || !accounts[0]) throw new Error("Account not found");
-  const account = accounts[0];
-  if (!account.refresh_token || !account.amazon_profile_id)
-    throw new Error("Account missing refresh_token or profile");
-  const apiBase = regionApiBase(account.amazon_region);
-  let { access_token } = account;
-
-  async function ensureToken() {
-    try {
-      const tok = await refreshAccessToken(account.refresh_token);
-      access_token = tok.access_token;
-      const { error: accUpdErr } = await supabase
-        .from("amazon_accounts")
+    // Rows and items line up, except in the unsupported group (no items)
+    const outcomes = group.rows.map((row, i) => ({
+      row,
+      failure:
+        failures.get(group.items[i]) ||
+        (groupError ? { error: groupError, status: 0 } : null),
+    }));
+
+    const now = new Date().toISOString();
+    const appliedIds = outcomes.filter((o) => !o.failure).map((o) => o.row.id);
+    if (appliedIds.length > 0) {
+      const { error: updErr } = await supabase
+        .from("optimization_proposed_actions")
         .update({
-          access_token: tok.access_token,
-          refresh_token: tok.refresh_token,
-          token_expires_at: new Date(
-            Date.now() + (tok.expires_in || 3600) * 1000
-          ).toISOString(),
-          updated_at: new Date().toISOString(),
-          status: "active",
+          status: "applied",
+          reviewed_at: now,
+          applied_at: now,
+          error_message: null,
         })
-        .eq("id", accountId);
-      if (accUpdErr) throw accUpdErr;
-    } catch (e) {
-      throw e;
+        .in("id", appliedIds);
+      if (updErr) console.error("Failed to update proposed actions:", updErr);
     }
+    for (const { row, failure } of outcomes) {
+      if (!failure) continue;
+      const { error: updErr } = await supabase
+        .from("optimization_proposed_actions")
+        .update({
+          status: "failed",
+          reviewed_at: now,
+          applied_at: null,
+          error_message: failure.error,
+        })
+        .eq("id", row.id);
+      if (updErr) console.error("Failed to update proposed action:", updErr);
+    }
+
+    const logs = outcomes.map(({ row, failure }) => ({
+      run_id: row.run_id,
+      user_id: row.user_id,
+      campaign_id: row.campaign_id,
+      keyword_id: row.keyword_id,
+      action: row.action,
+      reason: `Rule ${row.optimization_rules?.name || row.rule_id} (approved)`,
+      rule_id: row.rule_id,
+      amazon_account_id: row.amazon_account_id,
+      entity_type: row.entity_type,
+      entity_id: row.entity_id,
+      details: {
+        metrics_snapshot: row.metrics_snapshot,
+        action: {
+          ui_action: row.action,
+          api_type: row.api_type,
+          current_bid: row.current_bid,
+          new_bid: row.new_bid,
+          current_budget: row.current_budget,
+          new_budget: row.new_budget,
+          current_status:
+            row.current_status ?? row.amazon_keywords?.status ?? null,
+          negative: row.action_payload,
+        },
+        api_status: failure ? failure.status : 200,
+        api_response: failure ? { error: failure.error } : null,
+        proposed_action_id: row.id,
+      },
+      created_at: now,
+    }));
+    const { error: logErr } = await supabase
+      .from("optimization_logs")
+      .insert(logs);
+    if (logErr) console.error("Failed to insert optimization_logs:", logErr);
+
+    applied += appliedIds.length;
+    failed += outcomes.length - appliedIds.length;
   }
 
-  await ensureToken();
+  return { applied, failed };
+}
 
-  const headers = () => ({
-    Authorization: `Bearer ${access_token}`,
-    "Amazon-Advertising-API-ClientId": AMAZON_CLIENT_ID,
-    "Amazon-Advertising-API-Scope": String(account.amazon_profile_id),
-    "Content-Type": "application/json",
-  });
+async function rejectProposedActions(ids) {
+  const { data, error } = await supabase
+    .from("optimization_proposed_actions")
+    .update({ status: "rejected", reviewed_at: new Date().toISOString() })
+    .in("id", ids)
+    .eq("status", "pending")
+    .select("id");
+  if (error) throw error;
+  return { rejected: (data || []).length };
+}
 
-  async function putJson(url, body) {
-    return withRetry(async () => {
-      const res = await fetch(url, {
-        method: "PUT",
-        headers: headers(),
-        body: JSON.stringify(body),
-      });
-      if (res.status === 401) {
-        await ensureToken();
-        const retry = await fetch(url, {
-          method: "PUT",
-          headers: headers(),
-          body: JSON.stringify(body),
-        });
-        if (!retry.ok)
-          throw new Error(
-            `PUT ${url} failed after refresh: ${retry.status} ${await retry
-              .text()
-              .catch(() => "")}`
-          );
-        return retry.json().catch(() => ({}));
-      }
-      if (!res.ok)
-        throw new Error(
-          `PUT ${url} failed: ${res.status} ${await res.text().catch(() => "")}`
+// Update type and previous value needed to undo one optimization_logs row,
+// or null when the log does not record enough to restore the old state
+// (change not confirmed by Amazon, unknown entity, no previous value).
+function buildRevertItem(log) {
+  const action = log.details?.action;
+  if (!action || !log.entity_id) return null;
+  // Only changes Amazon accepted; 0 / missing means it was never sent
+  const apiStatus = Number(log.details?.api_status);
+  if (!(apiStatus >= 200 && apiStatus < 300)) return null;
+
+  const entity = String(log.entity_type || "").toLowerCase();
+
+  // A negative the rule added is undone by archiving it; its Amazon id is
+  // looked up in amazon_negatives (findCreatedNegative)
+  if (action.api_type === "add_negative") {
+    const update = action.negative
+      ? toAmazonUpdate({ apiType: "add_negative", negative: action.negative })
+      : null;
+    if (!update) return null;
+    return {
+      type: update.type.replace(/_create$/, "_archive"),
+      negative: action.negative,
+      amazonId: null,
+      value: "archived",
+      newValue: "enabled",
+    };
+  }
+
+  if (action.api_type === "pause" || action.api_type === "enable") {
+    const statusType = {
+      keyword: "keyword_status",
+      campaign: "campaign_status",
+      ad_group: "adgroup_status",
+      adgroup: "adgroup_status",
+      asin_target: "target_status",
+    }[entity];
+    if (!statusType) return null;
+    return {
+      type: statusType,
+      amazonId: log.entity_id,
+      value: String(
+        action.current_status ||
+          (action.api_type === "pause" ? "enabled" : "paused")
+      ).toLowerCase(),
+      newValue: action.api_type === "pause" ? "paused" : "enabled",
+    };
+  }
+
+  if (entity === "campaign" && action.current_budget != null) {
+    return {
+      type: "campaign",
+      amazonId: log.entity_id,
+      value: Number(action.current_budget),
+      newValue: action.new_budget,
+    };
+  }
+
+  const bidType = {
+    keyword: "keyword",
+    ad_group: "adgroup",
+    adgroup: "adgroup",
+    asin_target: "target",
+  }[entity];
+  if (bidType && action.current_bid != null) {
+    return {
+      type: bidType,
+      amazonId: log.entity_id,
+      value: Number(action.current_bid),
+      newValue: action.new_bid,
+    };
+  }
+
+  return null;
+}
+
+// Amazon id of the enabled negative an add_negative log created (matched on
+// level, parents and keyword text / ASIN in amazon_negatives), or null when
+// it has been archived since.
+async function findCreatedNegative(accountId, negative) {
+  const isTarget = Boolean(negative.asin);
+  const level = negative.level === "campaign" ? "campaign" : "ad_group";
+  let query = supabase
+    .from("amazon_negatives")
+    .select("amazon_negative_id")
+    .eq("account_id", accountId)
+    .eq("negative_type", isTarget ? "product_target" : "keyword")
+    .eq("level", level)
+    .eq("amazon_campaign_id", String(negative.campaignId))
+    .eq("status", "enabled");
+  if (level === "ad_group") {
+    query = query.eq("amazon_ad_group_id", String(negative.adGroupId));
+  }
+  query = isTarget
+    ? query.eq(
+        "expression_text",
+        `asin="${String(negative.asin).trim().toUpperCase()}"`
+      )
+    : query
+        .eq("keyword_text", String(negative.keywordText || "").trim())
+        .eq(
+          "match_type",
+          negative.matchType === "negativePhrase"
+            ? "negativePhrase"
+            : "negativeExact"
         );
-      return res.json().catch(() => ({}));
-    }, "putJson");
+  const { data, error } = await query.limit(1);
+  if (error) throw error;
+  return data?.[0]?.amazon_negative_id ?? null;
+}
+
+// The entity still holds the value the log set. Bids and budgets compare to
+// the cent; statuses case-insensitively.
+function stillLogged(current, newValue) {
+  if (current == null || newValue == null) return false;
+  if (typeof current === "number") {
+    return Math.abs(current - Number(newValue)) < 0.005;
   }
+  return current === String(newValue).toLowerCase();
+}
 
-  if (type === "campaign") {
-    const body = items.map((it) => ({
-      campaignId: String(it.amazonId),
-      budget: Number(it.value),
-    }));
-    await putJson(`${apiBase}/v2/campaigns`, body);
-    for (const it of items) {
-      const { error: updErr } = await supabase
-        .from("amazon_campaigns")
-        .update({
-          budget: Number(it.value),
-          updated_at: new Date().toISOString(),
-        })
-        .eq("account_id", accountId)
-        .eq("campaign_id", String(it.amazonId));
-      if (updErr) throw updErr;
+// Restores the state recorded in optimization_logs before the change, either
+// for an explicit list of log ids or for every log of one optimizer run of a
+// rule on an account (run ids are shared by every account of a cycle). Only
+// the user's own logs are touched.
+// Entities changed again since the log (by the optimizer, dayparting or by
+// hand) are left alone and reported under `conflicts`. Reverted rows get
+// reverted_at / reverted_by_log_id and the undo is logged as its own
+// "revert" row; when that log cannot be written the row counts as failed and
+// stays unmarked.
+async function revertOptimizationLogs({
+  userId,
+  logIds,
+  runId,
+  accountId,
+  ruleId,
+}) {
+  let query = supabase
+    .from("optimization_logs")
+    .select("*")
+    .eq("user_id", userId)
+    .is("reverted_at", null)
+    .neq("action", "revert");
+  query = runId
+    ? query
+        .eq("run_id", runId)
+        .eq("amazon_account_id", accountId)
+        .eq("rule_id", ruleId)
+    : query.in("id", logIds);
+  const { data: logs, error } = await query;
+  if (error) throw error;
+
+  const groups = new Map();
+  const conflicts = [];
+  let skipped = 0;
+  for (const log of logs || []) {
+    const item = buildRevertItem(log);
+    if (!item || !log.amazon_account_id) {
+      skipped++;
+      continue;
     }
-    return { success: true };
-  }
-  if (type === "campaign_status") {
-    const body = items.map((it) => ({
-      campaignId: String(it.amazonId),
-      state: String(it.value || "").toLowerCase(),
-    }));
-    await putJson(`${apiBase}/v2/campaigns`, body);
-    for (const it of items) {
-      const { error: updErr } = await supabase
-        .from("amazon_campaigns")
-        .update({
-          status: String(it.value || "").toLowerCase(),
-          updated_at: new Date().toISOString(),
-        })
-        .eq("account_id", accountId)
-        .eq("campaign_id", String(it.amazonId));
-      if (updErr) throw updErr;
+    if (item.negative) {
+      item.amazonId = await findCreatedNegative(
+        log.amazon_account_id,
+        item.negative
+      );
+      if (!item.amazonId) {
+        conflicts.push({
+          logId: log.id,
+          entityId: log.entity_id,
+          expected: item.newValue,
+          current: "archived",
+        });
+        continue;
+      }
     }
-    return { success: true };
+    const key = `${log.amazon_account_id}:${item.type}`;
+    const group = groups.get(key) || {
+      accountId: log.amazon_account_id,
+      type: item.type,
+      entries: [],
+    };
+    group.entries.push({ log, item });
+    groups.set(key, group);
   }
-  if (type === "adgroup") {
-    const body = items.map((it) => ({
-      adGroupId: String(it.amazonId),
-      defaultBid: Number(it.value),
+
+  let reverted = 0;
+  let failed = 0;
+  const errors = [];
+  for (const group of groups.values()) {
+    const current = await loadCurrentValues(
+      group.type,
+      group.entries.map(({ item }) => item.amazonId)
+    );
+    group.entries = group.entries.filter(({ log, item }) => {
+      // Negatives were checked when their id was looked up
+      if (item.negative) return true;
+      const value = current.get(String(item.amazonId));
+      if (stillLogged(value, item.newValue)) return true;
+      conflicts.push({
+        logId: log.id,
+        entityId: log.entity_id,
+        expected: item.newValue ?? null,
+        current: value ?? null,
+      });
+      return false;
+    });
+    if (group.entries.length === 0) continue;
+
+    const items = group.entries.map(({ item }) => ({
+      amazonId: item.amazonId,
+      value: item.value,
     }));
-    await putJson(`${apiBase}/v2/adGroups`, body);
-    for (const it of items) {
-      const { error: updErr } = await supabase
-        .from("amazon_ad_groups")
-        .update({
-          default_bid: Number(it.value),
-          updated_at: new Date().toISOString(),
+    let failures;
+    try {
+      failures = itemFailures(
+        await applyAmazonUpdates({
+          accountId: group.accountId,
+          type: group.type,
+          items,
         })
-        .eq("account_id", accountId)
-        .eq("amazon_ad_group_id", String(it.amazonId));
-      if (updErr) throw updErr;
+      );
+    } catch (e) {
+      const message = String(e?.message || e);
+      console.error(`Revert failed for account ${group.accountId}:`, message);
+      failures = itemFailures(e);
+      if (failures.size === 0) {
+        errors.push(message);
+        failed += group.entries.length;
+        continue;
+      }
     }
-    return { success: true };
-  }
-  if (type === "adgroup_status") {
-    const body = items.map((it) => ({
-      adGroupId: String(it.amazonId),
-      state: String(it.value || "").toLowerCase(),
-    }));
-    await putJson(`${apiBase}/v2/adGroups`, body);
-    for (const it of items) {
-      const { error: updErr } = await supabase
-        .from("amazon_ad_groups")
-        .update({
-          status: String(it.value || "").toLowerCase(),
-          updated_at: new Date().toISOString(),
+
+    const now = new Date().toISOString();
+    for (const [i, { log, item }] of group.entries.entries()) {
+      const failure = failures.get(items[i]);
+      if (failure) {
+        errors.push(`${log.entity_id}: ${failure.error}`);
+        failed++;
+        continue;
+      }
+      const { data: revertLog, error: logErr } = await supabase
+        .from("optimization_logs")
+        .insert({
+          run_id: log.run_id,
+          user_id: log.user_id,
+          campaign_id: log.campaign_id,
+          keyword_id: log.keyword_id,
+          action: "revert",
+          reason: `Revert of ${log.action} (${log.reason})`,
+          rule_id: log.rule_id,
+          amazon_account_id: log.amazon_account_id,
+          entity_type: log.entity_type,
+          entity_id: log.entity_id,
+          details: {
+            reverted_log_id: log.id,
+            action: {
+              api_type: group.type,
+              previous_value: item.newValue ?? null,
+              restored_value: item.value,
+            },
+            api_status: 200,
+          },
+          created_at: now,
         })
-        .eq("account_id", accountId)
-        .eq("amazon_ad_group_id", String(it.amazonId));
-      if (updErr) throw updErr;
-    }
-    return { success: true };
-  }
-  if (type === "keyword") {
-    const body = items.map((it) => ({
-      keywordId: String(it.amazonId),
-      bid: Number(it.value),
-    }));
-    await putJson(`${apiBase}/v2/keywords/biddable`, body);
-    for (const it of items) {
-      const { error: updErr } = await supabase
-        .from("amazon_keywords")
-        .update({ bid: Number(it.value), updated_at: new Date().toISOString() })
-        .eq("amazon_keyword_id", String(it.amazonId));
-      if (updErr) throw updErr;
-    }
-    return { success: true };
-  }
-  if (type === "keyword_status") {
-    const body = items.map((it) => ({
-      keywordId: String(it.amazonId),
-      state: String(it.value || "").toLowerCase(),
-    }));
-    await putJson(`${apiBase}/v2/keywords`, body);
-    for (const it of items) {
+        .select("id")
+        .single();
+      if (logErr) {
+        // The undo happened but is not recorded; leave the original row
+        // unmarked and report it so it can be checked by hand.
+        console.error("Failed to insert revert log:", logErr);
+        errors.push(
+          `${log.entity_id}: reverted on Amazon but the revert log could not be saved (${logErr.message})`
+        );
+        failed++;
+        continue;
+      }
+
       const { error: updErr } = await supabase
-        .from("amazon_keywords")
+        .from("optimization_logs")
         .update({
-          status: String(it.value || "").toLowerCase(),
-          updated_at: new Date().toISOString(),
+          reverted_at: now,
+          reverted_by_log_id: revertLog.id,
         })
-        .eq("amazon_keyword_id", String(it.amazonId));
-      if (updErr) throw updErr;
+        .eq("id", log.id);
+      if (updErr) console.error("Failed to mark log as reverted:", updErr);
+      reverted++;
     }
-    return { success: true };
   }
-  throw new Error("Unsupported type");
+
+  return {
+    reverted,
+    skipped,
+    failed,
+    conflicts: conflicts.length,
+    conflictDetails: conflicts,
+    errors,
+  };
+}
+
+// Supabase user of the request's "Authorization: Bearer <access token>"
+// header, or null
+async function requestUser(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+  if (!match) return null;
+  const { data, error } = await supabase.auth.getUser(match[1]);
+  return error ? null : data?.user || null;
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const raw = Buffer.concat(chunks).toString("utf8");
+  return raw ? JSON.parse(raw) : {};
 }
 
 console.log("Starting optimization server...");
@@ -338,6 +575,8 @@ if (process.env.ENABLE_MANUAL_ENDPOINT === "true") {
     }
     if (pathname === "/optimize" && req.method === "POST") {
       try {
+        // Skips users and accounts whose automation is switched off
+        // (automation_settings)
         await runDailyOptimization();
         res.writeHead(200, { "Content-Type": "application/json" });
         res.end(
@@ -358,10 +597,7 @@ if (process.env.ENABLE_MANUAL_ENDPOINT === "true") {
         pathname.endsWith("/amazon/update"))
     ) {
       try {
-        const chunks = [];
-        for await (const chunk of req) chunks.push(chunk);
-        const raw = Buffer.concat(chunks).toString("utf8");
-        const body = raw ? JSON.parse(raw) : {};
+        const body = await readJsonBody(req);
         const { accountId, type, items } = body || {};
         if (
           !accountId ||
@@ -387,6 +623,76 @@ if (process.env.ENABLE_MANUAL_ENDPOINT === "true") {
       }
       return;
     }
+    if (
+      req.method === "POST" &&
+      (pathname.endsWith("/optimization/approve") ||
+        pathname.endsWith("/optimization/reject"))
+    ) {
+      try {
+        const body = await readJsonBody(req);
+        const ids = Array.isArray(body?.ids) ? body.ids.filter(Boolean) : [];
+        if (ids.length === 0) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ status: "error", message: "Missing ids" }));
+          return;
+        }
+        const result = pathname.endsWith("/approve")
+          ? await approveProposedActions(ids)
+          : await rejectProposedActions(ids);
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ status: "success", result }));
+      } catch (error) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ status: "error", message: error.message }));
+      }
+      return;
+    }
+
+    if (req.method === "POST" && pathname.endsWith("/optimization/revert")) {
+      try {
+        const body = await readJsonBody(req);
+        const logIds = Array.isArray(body?.logIds)
+          ? body.logIds.filter(Boolean)
+          : [];
+        const { runId = null, accountId = null, ruleId = null } = body || {};
+        const missing = runId ? !accountId || !ruleId : logIds.length === 0;
+        if (!body?.userId || missing) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(
+            JSON.stringify({
+              status: "error",
+              message:
+                "Missing userId, and logIds or runId with accountId and ruleId",
+            })
+          );
+          return;
+        }
+        const user = await requestUser(req);
+        if (!user || user.id !== body.userId) {
+          res.writeHead(403, { "Content-Type": "application/json" });
+          res.end(
+            JSON.stringify({
+              status: "error",
+              message: "Not allowed to revert these changes",
+            })
+          );
+          return;
+        }
+        const result = await revertOptimizationLogs({
+          userId: user.id,
+          logIds,
+          runId,
+          accountId,
+          ruleId,
+        });
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ status: "success", result }));
+      } catch (error) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ status: "error", message: error.message }));
+      }
+      return;
+    }
 
     res.writeHead(404, { "Content-Type": "application/json" });
     res.end(JSON.stringify({ status: "not found" }));
@@ -1,8 +1,12 @@
 // scripts/syncAmazonDataVps.js
 // Standalone Node.js script to sync Amazon Ads data into Supabase.
 // Runs on a VPS (no Supabase Edge limits) and mirrors the logic of the
-// fetch-amazon-data function: fetch campaigns, ad groups, keywords and
-// 7/30-day metrics via Amazon Reporting API v3.
+// fetch-amazon-data function: fetch campaigns, ad groups, keywords,
+// product/ASIN targets, negatives, search terms, 7/30-day metrics and daily
+// metrics history via Amazon Reporting API v3. Sponsored Brands and Sponsored
+// Display campaigns, ad groups, keywords, targets and metrics go into the same
+// tables, tagged with ad_product. Amazon calls go through
+// scripts/lib/amazonClient.js (shared token cache, 401 refresh, retries).
 //
 // Requirements:
 //   - Node 18+ (global fetch)
@@ -17,6 +21,11 @@
 // Optional env vars:
 //   ACCOUNT_ID   -> limit sync to a single amazon_accounts.id
 //   DAYS_WINDOW  -> number of days for metrics (default 7)
+//   METRICS_HISTORY_DAYS -> days of daily metrics re-fetched per sync, so late
+//                           attributed orders are picked up (default 14)
+//   METRICS_BACKFILL_DAYS -> days fetched on the first history sync (default 60)
+//   METRICS_HISTORY_INTERVAL_MIN -> minimum minutes between history syncs of
+//                                   one account (default 360)
 
 // Load env vars from .env file (for VPS deployment)
 import { config as dotenvConfig } from "dotenv";
@@ -29,6 +38,13 @@ dotenvConfig({ path: resolve(__dirname, "../.env") });
 
 import { createClient } from "@supabase/supabase-js";
 import { randomUUID } from "node:crypto";
+import {
+  dateChunks,
+  latestMetricsDate,
+  upsertDailyMetrics,
+} from "../src/lib/metricsHistory.js";
+import { fromV3Enum } from "../src/lib/amazonSpV3.js";
+import { accountClient, getAccessToken } from "./lib/amazonClient.js";
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -54,6 +70,12 @@ const STRICT_ONLY_REPORTS = (() => {
   if (v == null) return false;
   return !(v === "0" || v === "false" || v === "FALSE");
 })();
+// Daily metrics history (amazon_*_metrics_daily)
+const METRICS_HISTORY_DAYS = Number(process.env.METRICS_HISTORY_DAYS || 14);
+const METRICS_BACKFILL_DAYS = Number(process.env.METRICS_BACKFILL_DAYS || 60);
+const METRICS_HISTORY_INTERVAL_MIN = Number(
+  process.env.METRICS_HISTORY_INTERVAL_MIN || 360
+);
 // Daemon mode: when >0, run sync in a loop with this sleep in minutes between cycles
 const SYNC_LOOP_MIN = Number(process.env.SYNC_LOOP_MIN || 0);
 // Stream structure upserts as we fetch (faster perceived availability)
@@ -69,23 +91,6 @@ const ROLLING_SCHEDULE = (() => {
   return v === "1" || v === "true" || v === "TRUE";
 })();
 
-// Region-aware base selection
-function normalizeRegion(region) {
-  if (!region) return "na";
-  const r = String(region).toLowerCase();
-  if (["na", "north_america"].includes(r)) return "na";
-  if (["eu", "europe"].includes(r)) return "eu";
-  if (["fe", "far_east", "apac", "asia"].includes(r)) return "fe";
-  return "na";
-}
-
-function regionApiBase(region) {
-  const r = normalizeRegion(region);
-  if (r === "eu") return "https://advertising-api-eu.amazon.com";
-  if (r === "fe") return "https://advertising-api-fe.amazon.com";
-  return "https://advertising-api.amazon.com";
-}
-
 if (
   !SUPABASE_URL ||
   !SERVICE_ROLE_KEY ||
@@ -100,31 +105,6 @@ if (
 
 const supabase = createClient(SUPABASE_URL, SERVICE_ROLE_KEY);
 
-async function refreshAccessToken(refreshToken) {
-  const res = await fetch("https://api.amazon.com/auth/o2/token", {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body: new URLSearchParams({
-      grant_type: "refresh_token",
-      refresh_token: refreshToken,
-      client_id: AMAZON_CLIENT_ID,
-      client_secret: AMAZON_CLIENT_SECRET,
-    }),
-  });
-
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`Token refresh failed: ${res.status} - ${text}`);
-  }
-
-  const data = await res.json();
-  return {
-    access_token: data.access_token,
-    refresh_token: data.refresh_token || refreshToken,
-    expires_in: data.expires_in,
-  };
-}
-
 // ---- Reporting v3 helpers ----
 
 function buildDateRange(daysWindow) {
@@ -194,7 +174,109 @@ async function downloadReportRows(downloadUrl) {
   }
 }
 
-async function getCampaignMetrics(profileId, accessToken, daysWindow, apiBase) {
+// Create a v3 report, poll until it is ready and return its rows. Returns
+// null when the report could not be created or did not finish, so callers
+// can retry.
+async function fetchReportRows(label, client, createBody) {
+  let reportId;
+  try {
+    reportId = await client.createReport(createBody);
+  } catch (e) {
+    console.error(
+      `${label} report create error`,
+      e.status,
+      e.response || e.message
+    );
+    return null;
+  }
+
+  let downloadUrl = null;
+  let lastPoll = null;
+  const maxPolls = Math.ceil(
+    (REPORT_MAX_MIN * 60 * 1000) / REPORT_POLL_INTERVAL_MS
+  );
+  const infiniteWait = REPORT_MAX_MIN <= 0;
+  const startedAt = Date.now();
+  console.log(
+    `Polling ${label} report ${
+      infiniteWait ? "indefinitely" : `up to ${REPORT_MAX_MIN}m`
+    } (interval ${Math.round(REPORT_POLL_INTERVAL_MS / 1000)}s)`
+  );
+  for (let i = 0; ; i++) {
+    let pollJson;
+    try {
+      pollJson = await client.getReport(reportId);
+    } catch (e) {
+      console.error(`${label} report poll error`, e.status, e.message);
+      return null;
+    }
+    lastPoll = pollJson;
+    if (
+      i === 0 ||
+      i % Math.max(1, Math.floor(30000 / REPORT_POLL_INTERVAL_MS)) === 0
+    ) {
+      const sec = Math.round((Date.now() - startedAt) / 1000);
+      console.log(
+        `${label} report poll #${i + 1}/${
+          infiniteWait ? "∞" : maxPolls
+        } (${sec}s): status=${pollJson.status || "UNKNOWN"}`
+      );
+    }
+    if (pollJson.status === "SUCCESS" || pollJson.status === "COMPLETED") {
+      downloadUrl = pollJson.location || pollJson.url || null;
+      break;
+    }
+    if (
+      ["CANCELLED", "FAILURE", "ERROR", "FAILED"].includes(
+        String(pollJson.status)
+      )
+    ) {
+      console.error(`${label} report ended with failure status`, pollJson);
+      break;
+    }
+    await new Promise((r) => setTimeout(r, REPORT_POLL_INTERVAL_MS));
+    if (!infiniteWait && i + 1 >= maxPolls) break;
+  }
+
+  if (!downloadUrl) {
+    console.error(`${label} report polling timed out`, lastPoll);
+    return null;
+  }
+
+  return downloadReportRows(downloadUrl);
+}
+
+// Reporting v3 names per ad product. Sponsored Brands and Display report
+// purchases / sales without the 14d suffix, and Sponsored Display targeting
+// rows carry targetingId instead of keywordId / keywordType.
+const AD_PRODUCT_REPORTS = {
+  SPONSORED_PRODUCTS: {
+    campaignReport: "spCampaigns",
+    targetingReport: "spTargeting",
+    orders: "purchases14d",
+    sales: "sales14d",
+    targetingId: "keywordId",
+    targetingType: "keywordType",
+  },
+  SPONSORED_BRANDS: {
+    campaignReport: "sbCampaigns",
+    targetingReport: "sbTargeting",
+    orders: "purchases",
+    sales: "sales",
+    targetingId: "keywordId",
+    targetingType: "keywordType",
+  },
+  SPONSORED_DISPLAY: {
+    campaignReport: "sdCampaigns",
+    targetingReport: "sdTargeting",
+    orders: "purchases",
+    sales: "sales",
+    targetingId: "targetingId",
+    targetingType: null,
+  },
+};
+
+async function getCampaignMetrics(client, daysWindow) {
   const { startDate, endDate } = buildDateRange(daysWindow);
 
   const createBody = {
@@ -221,117 +303,10 @@ async function getCampaignMetrics(profileId, accessToken, daysWindow, apiBase) {
 
   try {
     console.log(`Creating campaign report ${startDate}..${endDate}`);
-    const createRes = await fetch(`${apiBase}/reporting/reports`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "Amazon-Advertising-API-ClientId": AMAZON_CLIENT_ID,
-        "Amazon-Advertising-API-Scope": String(profileId),
-        "Content-Type": "application/vnd.createasyncreportrequest.v3+json",
-      },
-      body: JSON.stringify(createBody),
-    });
-
-    const createJson = await createRes.json().catch(() => ({}));
-    let reportId = null;
-
-    if (createRes.ok && createJson.reportId) {
-      reportId = String(createJson.reportId);
-    } else if (
-      createRes.status === 425 &&
-      typeof createJson.detail === "string"
-    ) {
-      const match = createJson.detail.match(
-        /([0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12})/
-      );
-      if (match) reportId = match[1];
-    }
-
-    if (!reportId) {
-      console.error(
-        "Campaign report create error",
-        createRes.status,
-        createJson
-      );
-      if ([400, 403, 404, 405, 425].includes(createRes.status)) {
-        return new Map();
-      }
-      throw new Error(`Campaign report failed: ${createRes.status}`);
-    }
-
-    let downloadUrl = null;
-    let lastPoll = null;
-    const maxPolls = Math.ceil(
-      (REPORT_MAX_MIN * 60 * 1000) / REPORT_POLL_INTERVAL_MS
-    );
-    const infiniteWait = REPORT_MAX_MIN <= 0;
-    const startedAt = Date.now();
-    console.log(
-      `Polling campaign report ${
-        infiniteWait ? "indefinitely" : `up to ${REPORT_MAX_MIN}m`
-      } (interval ${Math.round(REPORT_POLL_INTERVAL_MS / 1000)}s)`
-    );
-    for (let i = 0; ; i++) {
-      const pollRes = await fetch(`${apiBase}/reporting/reports/${reportId}`, {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "Amazon-Advertising-API-ClientId": AMAZON_CLIENT_ID,
-          "Amazon-Advertising-API-Scope": String(profileId),
-        },
-      });
-      if (pollRes.status === 401) {
-        console.warn(
-          "Campaign report poll received 401 (token expired). Breaking to refresh..."
-        );
-        break;
-      }
-      const pollJson = await pollRes.json().catch(() => ({}));
-      lastPoll = pollJson;
-      if (
-        i === 0 ||
-        i % Math.max(1, Math.floor(30000 / REPORT_POLL_INTERVAL_MS)) === 0
-      ) {
-        const sec = Math.round((Date.now() - startedAt) / 1000);
-        console.log(
-          `Campaign report poll #${i + 1}/${
-            infiniteWait ? "∞" : maxPolls
-          } (${sec}s): status=${pollJson.status || "UNKNOWN"}`
-        );
-      }
-      if (
-        pollJson?.message &&
-        /unauthorized|invalid token/i.test(String(pollJson.message))
-      ) {
-        console.warn(
-          "Campaign report poll message indicates unauthorized token; breaking to refresh..."
-        );
-        break;
-      }
-      if (pollJson.status === "SUCCESS" || pollJson.status === "COMPLETED") {
-        downloadUrl = pollJson.location || pollJson.url || null;
-        break;
-      }
-      if (
-        ["CANCELLED", "FAILURE", "ERROR", "FAILED"].includes(
-          String(pollJson.status)
-        )
-      ) {
-        console.error("Campaign report ended with failure status", pollJson);
-        break;
-      }
-      await new Promise((r) => setTimeout(r, REPORT_POLL_INTERVAL_MS));
-      if (!infiniteWait && i + 1 >= maxPolls) break;
-    }
-
-    if (!downloadUrl) {
-      console.error("Campaign report polling timed out", lastPoll);
-      return new Map();
-    }
-
-    const rows = await downloadReportRows(downloadUrl);
+    const rows = await fetchReportRows("Campaign", client, createBody);
     const byId = new Map();
 
-    for (const row of rows) {
+    for (const row of rows || []) {
       const id = String(row.campaignId ?? row.campaign_id ?? "");
       if (!id) continue;
 
@@ -363,7 +338,7 @@ async function getCampaignMetrics(profileId, accessToken, daysWindow, apiBase) {
   }
 }
 
-async function getKeywordMetrics(profileId, accessToken, daysWindow, apiBase) {
+async function getKeywordMetrics(client, daysWindow) {
   const { startDate, endDate } = buildDateRange(daysWindow);
 
   const createBody = {
@@ -399,117 +374,10 @@ async function getKeywordMetrics(profileId, accessToken, daysWindow, apiBase) {
 
   try {
     console.log(`Creating keyword report ${startDate}..${endDate}`);
-    const createRes = await fetch(`${apiBase}/reporting/reports`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "Amazon-Advertising-API-ClientId": AMAZON_CLIENT_ID,
-        "Amazon-Advertising-API-Scope": String(profileId),
-        "Content-Type": "application/vnd.createasyncreportrequest.v3+json",
-      },
-      body: JSON.stringify(createBody),
-    });
-
-    const createJson = await createRes.json().catch(() => ({}));
-    let reportId = null;
-
-    if (createRes.ok && createJson.reportId) {
-      reportId = String(createJson.reportId);
-    } else if (
-      createRes.status === 425 &&
-      typeof createJson.detail === "string"
-    ) {
-      const match = createJson.detail.match(
-        /([0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12})/
-      );
-      if (match) reportId = match[1];
-    }
-
-    if (!reportId) {
-      console.error(
-        "Keyword report create error",
-        createRes.status,
-        createJson
-      );
-      if ([400, 403, 404, 405, 425].includes(createRes.status)) {
-        return new Map();
-      }
-      throw new Error(`Keyword report failed: ${createRes.status}`);
-    }
-
-    let downloadUrl = null;
-    let lastPoll = null;
-    const maxPolls = Math.ceil(
-      (REPORT_MAX_MIN * 60 * 1000) / REPORT_POLL_INTERVAL_MS
-    );
-    const infiniteWait = REPORT_MAX_MIN <= 0;
-    const startedAt = Date.now();
-    console.log(
-      `Polling keyword report ${
-        infiniteWait ? "indefinitely" : `up to ${REPORT_MAX_MIN}m`
-      } (interval ${Math.round(REPORT_POLL_INTERVAL_MS / 1000)}s)`
-    );
-    for (let i = 0; ; i++) {
-      const pollRes = await fetch(`${apiBase}/reporting/reports/${reportId}`, {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "Amazon-Advertising-API-ClientId": AMAZON_CLIENT_ID,
-          "Amazon-Advertising-API-Scope": String(profileId),
-        },
-      });
-      if (pollRes.status === 401) {
-        console.warn(
-          "Keyword report poll received 401 (token expired). Breaking to refresh..."
-        );
-        break;
-      }
-      const pollJson = await pollRes.json().catch(() => ({}));
-      lastPoll = pollJson;
-      if (
-        i === 0 ||
-        i % Math.max(1, Math.floor(30000 / REPORT_POLL_INTERVAL_MS)) === 0
-      ) {
-        const sec = Math.round((Date.now() - startedAt) / 1000);
-        console.log(
-          `Keyword report poll #${i + 1}/${
-            infiniteWait ? "∞" : maxPolls
-          } (${sec}s): status=${pollJson.status || "UNKNOWN"}`
-        );
-      }
-      if (
-        pollJson?.message &&
-        /unauthorized|invalid token/i.test(String(pollJson.message))
-      ) {
-        console.warn(
-          "Keyword report poll message indicates unauthorized token; breaking to refresh..."
-        );
-        break;
-      }
-      if (pollJson.status === "SUCCESS" || pollJson.status === "COMPLETED") {
-        downloadUrl = pollJson.location || pollJson.url || null;
-        break;
-      }
-      if (
-        ["CANCELLED", "FAILURE", "ERROR", "FAILED"].includes(
-          String(pollJson.status)
-        )
-      ) {
-        console.error("Keyword report ended with failure status", pollJson);
-        break;
-      }
-      await new Promise((r) => setTimeout(r, REPORT_POLL_INTERVAL_MS));
-      if (!infiniteWait && i + 1 >= maxPolls) break;
-    }
-
-    if (!downloadUrl) {
-      console.error("Keyword report polling timed out", lastPoll);
-      return new Map();
-    }
-
-    const rows = await downloadReportRows(downloadUrl);
+    const rows = await fetchReportRows("Keyword", client, createBody);
     const byKeywordId = new Map();
 
-    for (const row of rows) {
+    for (const row of rows || []) {
       const keywordId = String(row.keywordId ?? row.keyword_id ?? "");
       if (!keywordId) continue;
 
@@ -537,101 +405,1188 @@ async function getKeywordMetrics(profileId, accessToken, daysWindow, apiBase) {
   }
 }
 
-// ---- Main sync per account ----
+// Product/ASIN target metrics: same spTargeting report as keywords, but for
+// targeting expressions. keywordId holds the targetId for these rows.
+async function getTargetMetrics(client, daysWindow) {
+  const { startDate, endDate } = buildDateRange(daysWindow);
 
-async function syncAccount(account, windowDays) {
-  console.log(
-    `\n=== Syncing account ${account.id} (${account.name || ""}) ===`
+  const createBody = {
+    name: "Robotads target performance",
+    startDate,
+    endDate,
+    configuration: {
+      adProduct: "SPONSORED_PRODUCTS",
+      reportTypeId: "spTargeting",
+      timeUnit: "SUMMARY",
+      groupBy: ["targeting"],
+      columns: [
+        "campaignId",
+        "adGroupId",
+        "keywordId",
+        "targeting",
+        "keywordType",
+        "impressions",
+        "clicks",
+        "cost",
+        "purchases14d",
+        "sales14d",
+      ],
+      filters: [
+        {
+          field: "keywordType",
+          values: ["TARGETING_EXPRESSION", "TARGETING_EXPRESSION_PREDEFINED"],
+        },
+      ],
+      format: "GZIP_JSON",
+    },
+  };
+
+  try {
+    console.log(`Creating target report ${startDate}..${endDate}`);
+    const rows = await fetchReportRows("Target", client, createBody);
+    const byTargetId = new Map();
+
+    for (const row of rows || []) {
+      const targetId = String(row.keywordId ?? row.targetId ?? "");
+      if (!targetId) continue;
+
+      byTargetId.set(targetId, {
+        campaignId: String(row.campaignId ?? ""),
+        adGroupId: String(row.adGroupId ?? ""),
+        impressions: Number(row.impressions ?? 0) || 0,
+        clicks: Number(row.clicks ?? 0) || 0,
+        cost: Number(row.cost ?? 0) || 0,
+        orders: Number(row.purchases14d ?? row.orders ?? 0) || 0,
+        sales: Number(row.sales14d ?? row.sales ?? 0) || 0,
+      });
+    }
+
+    return byTargetId;
+  } catch (e) {
+    console.error("Error in getTargetMetrics", e);
+    return new Map();
+  }
+}
+
+const TARGET_PREDEFINED_LABELS = {
+  queryHighRelMatches: "close-match",
+  queryBroadRelMatches: "loose-match",
+  asinSubstituteRelated: "substitutes",
+  asinAccessoryRelated: "complements",
+};
+
+// Readable form of a targeting expression, e.g. asin="B0..." or close-match.
+function describeTargetExpression(expression) {
+  if (!Array.isArray(expression) || expression.length === 0) return "";
+  return expression
+    .map((e) => {
+      if (TARGET_PREDEFINED_LABELS[e.type]) {
+        return TARGET_PREDEFINED_LABELS[e.type];
+      }
+      const key = String(e.type || "")
+        .replace(/SameAs$/, "")
+        .replace(/([A-Z])/g, "-$1")
+        .toLowerCase();
+      // Sponsored Display audiences nest their own expression
+      if (Array.isArray(e.value)) {
+        return `${key}(${describeTargetExpression(e.value)})`;
+      }
+      return e.value != null ? `${key}="${e.value}"` : key;
+    })
+    .join(" ");
+}
+
+// Every state, as the v2 list endpoints returned by default
+const ALL_STATES = { include: ["ENABLED", "PAUSED", "ARCHIVED"] };
+
+// A Sponsored Products v3 entity in the v2 shape the rows are built from:
+// camel-case enums (enabled, exact, negativeExact, asinSameAs) and the daily
+// budget as dailyBudget.
+function fromV3Entity(entity) {
+  const v2 = { ...entity };
+  for (const field of ["state", "matchType", "expressionType"]) {
+    if (entity[field] != null) v2[field] = fromV3Enum(entity[field]);
+  }
+  for (const field of ["expression", "resolvedExpression"]) {
+    if (Array.isArray(entity[field])) {
+      v2[field] = entity[field].map((e) => ({
+        ...e,
+        type: fromV3Enum(e.type),
+      }));
+    }
+  }
+  if (entity.budget && typeof entity.budget === "object") {
+    v2.dailyBudget = entity.budget.budget;
+  }
+  return v2;
+}
+
+// Lists a Sponsored Products v3 resource (src/lib/amazonSpV3.js) in the v2
+// shape. Returns null when a page fails.
+async function listSp(client, resource, filters, label) {
+  try {
+    const entities = await client.sp.list(resource, filters);
+    return entities.map(fromV3Entity);
+  } catch (e) {
+    console.error(`Failed to fetch ${label}`, e.status, e.message);
+    return null;
+  }
+}
+
+// Pages through a v2 list endpoint (startIndex/count). Returns all items, or
+// null when a page fails.
+async function fetchV2List({ client, url, label }) {
+  const items = [];
+  const pageSize = 1000;
+  const sep = url.includes("?") ? "&" : "?";
+  for (let startIndex = 0; ; startIndex += pageSize) {
+    const res = await client.fetch(
+      `${url}${sep}startIndex=${startIndex}&count=${pageSize}`
+    );
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      console.error(`Failed to fetch ${label}`, res.status, text);
+      return null;
+    }
+    const page = await res.json().catch(() => []);
+    if (!Array.isArray(page) || page.length === 0) break;
+    items.push(...page);
+    if (page.length < pageSize) break;
+  }
+  return items;
+}
+
+// Sync Sponsored Products product/ASIN targets (auto + manual) into
+// amazon_targets. Metrics come from the target report; targets missing from
+// it keep their previous metrics.
+async function syncTargets({
+  account,
+  client,
+  campaignIdMap,
+  adGroupIdMap,
+  metricsPromise,
+  windowDays,
+}) {
+  console.log("Fetching product targets...");
+  const amazonTargets = await listSp(
+    client,
+    "targets",
+    { stateFilter: ALL_STATES },
+    "targets"
   );
+  if (!amazonTargets) return;
+  console.log("Fetched", amazonTargets.length, "targets.");
+  if (amazonTargets.length === 0) return;
 
-  let accessToken = account.access_token;
-  const refreshToken = account.refresh_token;
-
-  const now = new Date();
-  const expiresAt = account.token_expires_at
-    ? new Date(account.token_expires_at)
-    : null;
-  const needsRefresh =
-    !accessToken ||
-    !expiresAt ||
-    expiresAt.getTime() - now.getTime() < 5 * 60 * 1000;
-
-  if (needsRefresh) {
-    if (!refreshToken) {
-      console.error("No refresh token; marking account as reauth_required");
-      await supabase
-        .from("amazon_accounts")
-        .update({ status: "reauth_required" })
-        .eq("id", account.id);
-      return;
+  const { data: oldTargets } = await supabase
+    .from("amazon_targets")
+    .select("amazon_target_id, spend, impressions, clicks, orders, acos")
+    .eq("account_id", account.id);
+  const oldMetricsByTargetId = new Map(
+    (oldTargets || []).map((t) => [String(t.amazon_target_id), t])
+  );
+
+  let metricsByTargetId = new Map();
+  if (!SKIP_METRICS) {
+    metricsByTargetId = await metricsPromise;
+    if (!metricsByTargetId || metricsByTargetId.size === 0) {
+      metricsByTargetId = await getTargetMetrics(
+        client,
+        windowDays || DAYS_WINDOW
+      );
     }
+  }
 
-    try {
-      const refreshed = await refreshAccessToken(refreshToken);
-      accessToken = refreshed.access_token;
-      const newExpiry = new Date(
-        Date.now() + (refreshed.expires_in ?? 3600) * 1000
-      ).toISOString();
-
-      await supabase
-        .from("amazon_accounts")
-        .update({
-          access_token: refreshed.access_token,
-          refresh_token: refreshed.refresh_token,
-          token_expires_at: newExpiry,
-          updated_at: new Date().toISOString(),
-          status: "active",
-        })
-        .eq("id", account.id);
+  const rows = amazonTargets.map((t) => {
+    const targetAmazonId = String(t.targetId);
+    const m = metricsByTargetId.get(targetAmazonId);
+    const old = oldMetricsByTargetId.get(targetAmazonId) || {};
+    const row = {
+      account_id: account.id,
+      ad_product: "SPONSORED_PRODUCTS",
+      campaign_id: campaignIdMap.get(String(t.campaignId)) || null,
+      ad_group_id: adGroupIdMap.get(String(t.adGroupId)) || null,
+      amazon_target_id: targetAmazonId,
+      amazon_profile_id_text: String(account.amazon_profile_id),
+      amazon_region: account.amazon_region || null,
+      expression_type: String(t.expressionType || "").toLowerCase() || null,
+      expression: t.expression || null,
+      resolved_expression: t.resolvedExpression || null,
+      expression_text: describeTargetExpression(
+        t.resolvedExpression || t.expression
+      ),
+      bid: t.bid ?? null,
+      status: String(t.state ?? "unknown").toLowerCase(),
+      spend: old.spend ?? 0,
+      impressions: old.impressions ?? 0,
+      clicks: old.clicks ?? 0,
+      orders: old.orders ?? 0,
+      acos: old.acos ?? 0,
+      updated_at: new Date().toISOString(),
+    };
+    if (m) {
+      row.spend = m.cost;
+      row.impressions = m.impressions;
+      row.clicks = m.clicks;
+      row.orders = m.orders;
+      row.acos = m.sales > 0 ? m.cost / m.sales : 0;
+      row.ctr = m.impressions > 0 ? m.clicks / m.impressions : 0;
+      row.cpc = m.clicks > 0 ? m.cost / m.clicks : 0;
+      row.raw_data = {
+        spend: m.cost,
+        impressions: m.impressions,
+        clicks: m.clicks,
+        orders: m.orders,
+        sales: m.sales,
+      };
+    }
+    return row;
+  });
 
-      console.log("Token refreshed for account", account.id);
-    } catch (e) {
-      console.error("Token refresh failed for account", account.id, e);
-      await supabase
-        .from("amazon_accounts")
-        .update({ status: "reauth_required" })
-        .eq("id", account.id);
+  const { error } = await supabase.from("amazon_targets").upsert(rows, {
+    onConflict: "amazon_profile_id_text,amazon_target_id",
+  });
+  if (error) {
+    console.error("Upsert targets error", error);
+  } else {
+    console.log("Upserted", rows.length, "target rows.");
+  }
+}
+
+// Customer search terms per keyword/target (spSearchTerm). Returns the raw
+// report rows, or null when the report did not complete.
+async function getSearchTermRows(client, daysWindow) {
+  const { startDate, endDate } = buildDateRange(daysWindow);
+
+  const createBody = {
+    name: "Robotads search terms",
+    startDate,
+    endDate,
+    configuration: {
+      adProduct: "SPONSORED_PRODUCTS",
+      reportTypeId: "spSearchTerm",
+      timeUnit: "SUMMARY",
+      groupBy: ["searchTerm"],
+      columns: [
+        "campaignId",
+        "adGroupId",
+        "keywordId",
+        "keyword",
+        "keywordType",
+        "matchType",
+        "searchTerm",
+        "impressions",
+        "clicks",
+        "cost",
+        "purchases14d",
+        "sales14d",
+      ],
+      format: "GZIP_JSON",
+    },
+  };
+
+  try {
+    console.log(`Creating search term report ${startDate}..${endDate}`);
+    const rows = await fetchReportRows("Search term", client, createBody);
+    return rows ? { rows, startDate, endDate } : null;
+  } catch (e) {
+    console.error("Error in getSearchTermRows", e);
+    return null;
+  }
+}
+
+// Replace the account's amazon_search_terms with the current report window.
+// Rows are upserted first and only then are terms missing from the window
+// deleted, so a failed report never wipes the table.
+async function syncSearchTerms({
+  account,
+  client,
+  campaignIdMap,
+  adGroupIdMap,
+  reportPromise,
+  windowDays,
+}) {
+  let report = await reportPromise;
+  if (!report) {
+    report = await getSearchTermRows(client, windowDays || DAYS_WINDOW);
+  }
+  if (!report) {
+    console.log("Search term report unavailable; keeping previous terms.");
+    return;
+  }
+
+  const syncStartedAt = new Date().toISOString();
+  const [{ data: keywords }, { data: targets }] = await Promise.all([
+    supabase
+      .from("amazon_keywords")
+      .select("id, amazon_keyword_id")
+      .eq("amazon_profile_id_text", String(account.amazon_profile_id)),
+    supabase
+      .from("amazon_targets")
+      .select("id, amazon_target_id")
+      .eq("account_id", account.id),
+  ]);
+  const keywordDbId = new Map(
+    (keywords || []).map((k) => [String(k.amazon_keyword_id), k.id])
+  );
+  const targetDbId = new Map(
+    (targets || []).map((t) => [String(t.amazon_target_id), t.id])
+  );
+
+  // The same query can appear once per keyword/target; merge duplicates
+  const byKey = new Map();
+  for (const r of report.rows) {
+    const searchTerm = String(r.searchTerm ?? "").trim();
+    const sourceId = String(r.keywordId ?? "");
+    const adGroupAmazonId = String(r.adGroupId ?? "");
+    if (!searchTerm || !sourceId) continue;
+    const key = `${adGroupAmazonId}|${sourceId}|${searchTerm}`;
+    const row = byKey.get(key) || {
+      account_id: account.id,
+      campaign_id: campaignIdMap.get(String(r.campaignId)) || null,
+      ad_group_id: adGroupIdMap.get(adGroupAmazonId) || null,
+      keyword_id: keywordDbId.get(sourceId) || null,
+      target_id: targetDbId.get(sourceId) || null,
+      amazon_campaign_id: String(r.campaignId ?? ""),
+      amazon_ad_group_id: adGroupAmazonId,
+      amazon_keyword_id: sourceId,
+      amazon_profile_id_text: String(account.amazon_profile_id),
+      search_term: searchTerm,
+      keyword_text: r.keyword ?? null,
+      keyword_type: r.keywordType ?? null,
+      match_type: r.matchType ? String(r.matchType).toLowerCase() : null,
+      start_date: report.startDate,
+      end_date: report.endDate,
+      spend: 0,
+      impressions: 0,
+      clicks: 0,
+      orders: 0,
+      sales: 0,
+    };
+    row.spend += Number(r.cost ?? 0) || 0;
+    row.impressions += Number(r.impressions ?? 0) || 0;
+    row.clicks += Number(r.clicks ?? 0) || 0;
+    row.orders += Number(r.purchases14d ?? 0) || 0;
+    row.sales += Number(r.sales14d ?? 0) || 0;
+    byKey.set(key, row);
+  }
+
+  const rows = Array.from(byKey.values()).map((row) => ({
+    ...row,
+    acos: row.sales > 0 ? row.spend / row.sales : 0,
+    ctr: row.impressions > 0 ? row.clicks / row.impressions : 0,
+    cpc: row.clicks > 0 ? row.spend / row.clicks : 0,
+    updated_at: syncStartedAt,
+  }));
+
+  const chunkSize = 500;
+  for (let i = 0; i < rows.length; i += chunkSize) {
+    const { error } = await supabase
+      .from("amazon_search_terms")
+      .upsert(rows.slice(i, i + chunkSize), {
+        onConflict:
+          "amazon_profile_id_text,amazon_ad_group_id,amazon_keyword_id,search_term",
+      });
+    if (error) {
+      console.error("Upsert search terms error", error);
       return;
     }
   }
 
-  if (!accessToken) {
+  const { error: delErr } = await supabase
+    .from("amazon_search_terms")
+    .delete()
+    .eq("account_id", account.id)
+    .lt("updated_at", syncStartedAt);
+  if (delErr) console.error("Failed to prune old search terms", delErr);
+
+  console.log("Upserted", rows.length, "search term rows.");
+}
+
+// ---- Negative keywords / product targets ----
+
+// Sync enabled negatives at campaign and ad-group level into
+// amazon_negatives. Each source is synced on its own: a failed endpoint keeps
+// its previous rows, and rows a successful endpoint no longer returns are
+// marked archived.
+async function syncNegatives({ account, client, campaignIdMap, adGroupIdMap }) {
+  console.log("Fetching negatives...");
+  const enabledOnly = { stateFilter: { include: ["ENABLED"] } };
+  const sources = [
+    {
+      negativeType: "keyword",
+      level: "ad_group",
+      fetch: () =>
+        listSp(client, "negativeKeywords", enabledOnly, "negative keywords"),
+    },
+    {
+      negativeType: "keyword",
+      level: "campaign",
+      fetch: () =>
+        listSp(
+          client,
+          "campaignNegativeKeywords",
+          enabledOnly,
+          "campaign negative keywords"
+        ),
+    },
+    {
+      negativeType: "product_target",
+      level: "ad_group",
+      fetch: () =>
+        listSp(client, "negativeTargets", enabledOnly, "negative targets"),
+    },
+    {
+      negativeType: "product_target",
+      level: "campaign",
+      fetch: () =>
+        listSp(
+          client,
+          "campaignNegativeTargets",
+          enabledOnly,
+          "campaign negative targets"
+        ),
+    },
+  ];
+
+  for (const source of sources) {
+    const items = await source.fetch();
+    if (!items) continue;
+
+    const syncStartedAt = new Date().toISOString();
+    const isKeyword = source.negativeType === "keyword";
+    const rows = items
+      .filter((n) => (isKeyword ? n.keywordId : n.targetId) != null)
+      .map((n) => {
+        const amazonId = String(isKeyword ? n.keywordId : n.targetId);
+        const adGroupAmazonId =
+          source.level === "ad_group" && n.adGroupId != null
+            ? String(n.adGroupId)
+            : null;
+        return {
+          account_id: account.id,
+          campaign_id: campaignIdMap.get(String(n.campaignId)) || null,
+          ad_group_id: adGroupAmazonId
+            ? adGroupIdMap.get(adGroupAmazonId) || null
+            : null,
+          amazon_negative_id: amazonId,
+          amazon_campaign_id: String(n.campaignId ?? ""),
+          amazon_ad_group_id: adGroupAmazonId,
+          amazon_profile_id_text: String(account.amazon_profile_id),
+          negative_type: source.negativeType,
+          level: source.level,
+          keyword_text: isKeyword ? n.keywordText ?? null : null,
+          match_type: isKeyword ? n.matchType ?? null : null,
+          expression: isKeyword ? null : n.expression || null,
+          expression_text: isKeyword
+            ? null
+            : describeTargetExpression(n.expression),
+          status: String(n.state ?? "enabled").toLowerCase(),
+          raw_data: n,
+          updated_at: syncStartedAt,
+        };
+      });
+
+    const chunkSize = 500;
+    let failed = false;
+    for (let i = 0; i < rows.length; i += chunkSize) {
+      const { error } = await supabase
+        .from("amazon_negatives")
+        .upsert(rows.slice(i, i + chunkSize), {
+          onConflict:
+            "amazon_profile_id_text,negative_type,level,amazon_negative_id",
+        });
+      if (error) {
+        console.error("Upsert negatives error", error);
+        failed = true;
+        break;
+      }
+    }
+    if (failed) continue;
+
+    const { error: archErr } = await supabase
+      .from("amazon_negatives")
+      .update({ status: "archived" })
+      .eq("account_id", account.id)
+      .eq("negative_type", source.negativeType)
+      .eq("level", source.level)
+      .neq("status", "archived")
+      .lt("updated_at", syncStartedAt);
+    if (archErr) console.error("Failed to archive removed negatives", archErr);
+
+    console.log(
+      "Upserted",
+      rows.length,
+      `${source.level} negative ${source.negativeType} rows.`
+    );
+  }
+}
+
+// ---- Sponsored Brands / Sponsored Display ----
+
+// Sponsored Brands and Display live under their own endpoints but share the
+// campaign, ad group, keyword and target tables with Sponsored Products,
+// tagged with ad_product. They are synced for visibility and history only:
+// bid, budget and status writers stay on Sponsored Products rows.
+const EXTRA_AD_PRODUCTS = ["SPONSORED_BRANDS", "SPONSORED_DISPLAY"];
+
+// Pages through a v3/v4 POST list endpoint (maxResults/nextToken). Returns
+// the items under `key`, or null when a page fails.
+async function fetchTokenList({
+  client,
+  url,
+  contentType,
+  key,
+  label,
+  body = {},
+}) {
+  const items = [];
+  let nextToken = null;
+  do {
+    const res = await client.fetch(url, {
+      method: "POST",
+      body: { ...body, maxResults: 100, ...(nextToken ? { nextToken } : {}) },
+      contentType,
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      console.error(`Failed to fetch ${label}`, res.status, text);
+      return null;
+    }
+    const page = await res.json().catch(() => ({}));
+    items.push(...(page[key] || []));
+    nextToken = page.nextToken || null;
+  } while (nextToken);
+  return items;
+}
+
+// Campaigns, ad groups, keywords and targets of one product in a common
+// shape. A list is null when its endpoint failed.
+const AD_PRODUCT_STRUCTURE = {
+  SPONSORED_BRANDS: async ({ client }) => {
+    const stateFilter = { include: ["ENABLED", "PAUSED", "ARCHIVED"] };
+    const campaigns = await fetchTokenList({
+      client,
+      url: "/sb/v4/campaigns/list",
+      contentType: "application/vnd.sbcampaignresource.v4+json",
+      key: "campaigns",
+      label: "Sponsored Brands campaigns",
+      body: { stateFilter },
+    });
+    if (!campaigns) return { campaigns: null };
+    const adGroups = await fetchTokenList({
+      client,
+      url: "/sb/v4/adGroups/list",
+      contentType: "application/vnd.sbadgroupresource.v4+json",
+      key: "adGroups",
+      label: "Sponsored Brands ad groups",
+      body: { stateFilter },
+    });
+    const keywords = await fetchV2List({
+      client,
+      url: "/sb/keywords",
+      label: "Sponsored Brands keywords",
+    });
+    const targets = await fetchTokenList({
+      client,
+      url: "/sb/targets/list",
+      contentType: "application/json",
+      key: "targets",
+      label: "Sponsored Brands targets",
+    });
+    return {
+      campaigns: campaigns.map((c) => ({
+        campaignId: c.campaignId,
+        name: c.name,
+        state: c.state,
+        budget: c.budget,
+        portfolioId: c.portfolioId,
+        raw: c,
+      })),
+      adGroups,
+      keywords,
+      targets:
+        targets &&
+        targets.map((t) => ({
+          ...t,
+          expression: t.expressions,
+          resolvedExpression: t.resolvedExpressions,
+        })),
+    };
+  },
+  SPONSORED_DISPLAY: async ({ client }) => {
+    const campaigns = await fetchV2List({
+      client,
+      url: "/sd/campaigns",
+      label: "Sponsored Display campaigns",
+    });
+    if (!campaigns) return { campaigns: null };
+    const adGroups = await fetchV2List({
+      client,
+      url: "/sd/adGroups",
+      label: "Sponsored Display ad groups",
+    });
+    const targets = await fetchV2List({
+      client,
+      url: "/sd/targets",
+      label: "Sponsored Display targets",
+    });
+    // SD targets only carry their ad group
+    const campaignByAdGroup = new Map(
+      (adGroups || []).map((ag) => [String(ag.adGroupId), ag.campaignId])
+    );
+    return {
+      campaigns: campaigns.map((c) => ({
+        campaignId: c.campaignId,
+        name: c.name,
+        state: c.state,
+        budget: c.budget,
+        portfolioId: c.portfolioId,
+        raw: c,
+      })),
+      adGroups,
+      // Sponsored Display has no keywords
+      keywords: [],
+      targets:
+        targets &&
+        targets.map((t) => ({
+          ...t,
+          campaignId: campaignByAdGroup.get(String(t.adGroupId)),
+        })),
+    };
+  },
+};
+
+function reportMetrics(row, adProduct) {
+  const report = AD_PRODUCT_REPORTS[adProduct];
+  return {
+    impressions: Number(row.impressions ?? 0) || 0,
+    clicks: Number(row.clicks ?? 0) || 0,
+    cost: Number(row.cost ?? 0) || 0,
+    orders: Number(row[report.orders] ?? 0) || 0,
+    sales: Number(row[report.sales] ?? 0) || 0,
+  };
+}
+
+// Snapshot metric columns of an entity row from report totals
+function metricColumns(m) {
+  const spend = m?.cost ?? 0;
+  const impressions = m?.impressions ?? 0;
+  const clicks = m?.clicks ?? 0;
+  const orders = m?.orders ?? 0;
+  const sales = m?.sales ?? 0;
+  return {
+    spend,
+    impressions,
+    clicks,
+    orders,
+    acos: sales > 0 ? spend / sales : 0,
+    ctr: impressions > 0 ? clicks / impressions : 0,
+    cpc: clicks > 0 ? spend / clicks : 0,
+    raw_data: { spend, impressions, clicks, orders, sales },
+  };
+}
+
+// SUMMARY campaign and targeting reports of one product. Returns Maps of
+// Amazon id -> totals for campaigns, ad groups (summed from targeting) and
+// keywords / targets, or null when a report did not complete.
+async function getAdProductMetrics({ client, adProduct, daysWindow }) {
+  const report = AD_PRODUCT_REPORTS[adProduct];
+  const { startDate, endDate } = buildDateRange(daysWindow);
+  const metricNames = [
+    "impressions",
+    "clicks",
+    "cost",
+    report.orders,
+    report.sales,
+  ];
+  const fetchRows = async (label, reportTypeId, groupBy, columns) => {
+    const createBody = {
+      name: `Robotads ${reportTypeId} performance`,
+      startDate,
+      endDate,
+      configuration: {
+        adProduct,
+        reportTypeId,
+        timeUnit: "SUMMARY",
+        groupBy,
+        columns: [...columns, ...metricNames],
+        format: "GZIP_JSON",
+      },
+    };
+    let rows = await fetchReportRows(label, client, createBody);
+    // One more try when the report did not complete
+    if (!rows) rows = await fetchReportRows(label, client, createBody);
+    return rows;
+  };
+
+  console.log(`Creating ${adProduct} reports ${startDate}..${endDate}`);
+  const campaignRows = await fetchRows(
+    `${adProduct} campaign`,
+    report.campaignReport,
+    ["campaign"],
+    ["campaignId"]
+  );
+  if (!campaignRows) return null;
+  const targetingRows = await fetchRows(
+    `${adProduct} targeting`,
+    report.targetingReport,
+    ["targeting"],
+    ["campaignId", "adGroupId", report.targetingId]
+  );
+  if (!targetingRows) return null;
+
+  const campaigns = new Map();
+  for (const r of campaignRows) {
+    if (r.campaignId == null) continue;
+    campaigns.set(String(r.campaignId), reportMetrics(r, adProduct));
+  }
+  const targeting = new Map();
+  const adGroups = new Map();
+  for (const r of targetingRows) {
+    const id = r[report.targetingId];
+    if (id == null) continue;
+    const m = reportMetrics(r, adProduct);
+    targeting.set(String(id), m);
+    if (r.adGroupId == null) continue;
+    const ag = adGroups.get(String(r.adGroupId)) || {
+      impressions: 0,
+      clicks: 0,
+      cost: 0,
+      orders: 0,
+      sales: 0,
+    };
+    for (const k of Object.keys(ag)) ag[k] += m[k];
+    adGroups.set(String(r.adGroupId), ag);
+  }
+  return { campaigns, adGroups, targeting };
+}
+
+// Upserts rows 500 at a time. Returns the selected columns of every row, or
+// null on the first error.
+async function upsertChunked(table, rows, { onConflict, select = "id" } = {}) {
+  const saved = [];
+  for (let i = 0; i < rows.length; i += 500) {
+    const { data, error } = await supabase
+      .from(table)
+      .upsert(rows.slice(i, i + 500), onConflict ? { onConflict } : {})
+      .select(select);
+    if (error) {
+      console.error(`Upsert ${table} error`, error);
+      return null;
+    }
+    saved.push(...(data || []));
+  }
+  return saved;
+}
+
+// Sync one Sponsored Brands / Display product. Without a report (or with
+// SKIP_METRICS) the metric columns are left out, so rows keep their previous
+// metrics. Returns a Map of Amazon campaign id -> DB id, or null when the
+// product's campaigns could not be listed (e.g. no access on the profile).
+async function syncAdProduct({ account, client, adProduct, windowDays }) {
+  console.log(`Fetching ${adProduct} structure...`);
+  const structure = await AD_PRODUCT_STRUCTURE[adProduct]({ client });
+  if (!structure.campaigns) return null;
+  console.log(
+    `Fetched ${adProduct}:`,
+    structure.campaigns.length,
+    "campaigns,",
+    structure.adGroups?.length ?? "no",
+    "ad groups,",
+    structure.keywords?.length ?? "no",
+    "keywords,",
+    structure.targets?.length ?? "no",
+    "targets."
+  );
+  const campaignIdMap = new Map();
+  if (structure.campaigns.length === 0) return campaignIdMap;
+
+  const metrics = SKIP_METRICS
+    ? null
+    : await getAdProductMetrics({
+        client,
+        adProduct,
+        daysWindow: windowDays || DAYS_WINDOW,
+      });
+  if (!metrics && !SKIP_METRICS) {
+    console.log(`${adProduct} reports unavailable; keeping previous metrics.`);
+  }
+  const withMetrics = (row, m) =>
+    metrics ? { ...row, ...metricColumns(m) } : row;
+
+  const profileId = String(account.amazon_profile_id);
+  const updatedAt = new Date().toISOString();
+
+  const { data: oldCampaigns } = await supabase
+    .from("amazon_campaigns")
+    .select("id, campaign_id")
+    .eq("account_id", account.id)
+    .eq("ad_product", adProduct);
+  const existingCampaignIds = new Map(
+    (oldCampaigns || []).map((c) => [String(c.campaign_id), c.id])
+  );
+
+  const campaignRows = structure.campaigns.map((c) => {
+    const amazonId = String(c.campaignId);
+    const row = {
+      id: existingCampaignIds.get(amazonId) || randomUUID(),
+      account_id: account.id,
+      ad_product: adProduct,
+      campaign_id: amazonId,
+      name: c.name || `Campaign ${amazonId}`,
+      status: String(c.state ?? "unknown").toLowerCase(),
+      budget: c.budget ?? 0,
+      amazon_campaign_id_text: amazonId,
+      amazon_profile_id_text: profileId,
+      portfolio_id: c.portfolioId != null ? String(c.portfolioId) : null,
+      updated_at: updatedAt,
+    };
+    if (!metrics) return row;
+    const columns = metricColumns(metrics.campaigns.get(amazonId));
+    return {
+      ...row,
+      ...columns,
+      raw_data: { ...c.raw, ...columns.raw_data },
+    };
+  });
+  const savedCampaigns = await upsertChunked("amazon_campaigns", campaignRows, {
+    select: "id, campaign_id",
+  });
+  if (!savedCampaigns) return null;
+  for (const c of savedCampaigns) {
+    campaignIdMap.set(String(c.campaign_id), c.id);
+  }
+
+  const adGroupIdMap = new Map();
+  let keywordCount = 0;
+  let targetCount = 0;
+  if (structure.adGroups) {
+    const rows = structure.adGroups.map((ag) =>
+      withMetrics(
+        {
+          account_id: account.id,
+          ad_product: adProduct,
+          campaign_id: campaignIdMap.get(String(ag.campaignId)) || null,
+          name: ag.name || `Ad Group ${ag.adGroupId}`,
+          status: String(ag.state ?? "unknown").toLowerCase(),
+          default_bid: ag.defaultBid ?? 0,
+          amazon_profile_id_text: profileId,
+          amazon_region: account.amazon_region || null,
+          amazon_ad_group_id: String(ag.adGroupId),
+        },
+        metrics?.adGroups.get(String(ag.adGroupId))
+      )
+    );
+    const saved = await upsertChunked("amazon_ad_groups", rows, {
+      onConflict: "amazon_profile_id_text,amazon_ad_group_id",
+      select: "id, amazon_ad_group_id",
+    });
+    for (const ag of saved || []) {
+      adGroupIdMap.set(String(ag.amazon_ad_group_id), ag.id);
+    }
+  }
+
+  if (structure.keywords?.length) {
+    const { data: oldKeywords } = await supabase
+      .from("amazon_keywords")
+      .select("id, amazon_keyword_id")
+      .eq("amazon_profile_id_text", profileId)
+      .eq("ad_product", adProduct);
+    const existingKeywordIds = new Map(
+      (oldKeywords || []).map((k) => [String(k.amazon_keyword_id), k.id])
+    );
+    const rows = structure.keywords.map((kw) => {
+      const amazonId = String(kw.keywordId);
+      return withMetrics(
+        {
+          id: existingKeywordIds.get(amazonId) || randomUUID(),
+          ad_product: adProduct,
+          campaign_id: campaignIdMap.get(String(kw.campaignId)) || null,
+          ad_group_id: adGroupIdMap.get(String(kw.adGroupId)) || null,
+          keyword_id: amazonId,
+          text: kw.keywordText || "",
+          match_type: kw.matchType || "",
+          bid: kw.bid ?? 0,
+          status: String(kw.state ?? "unknown").toLowerCase(),
+          amazon_profile_id_text: profileId,
+          amazon_region: account.amazon_region || null,
+          amazon_keyword_id: amazonId,
+        },
+        metrics?.targeting.get(amazonId)
+      );
+    });
+    keywordCount = (await upsertChunked("amazon_keywords", rows))?.length ?? 0;
+  }
+
+  if (structure.targets?.length) {
+    const rows = structure.targets.map((t) => {
+      const amazonId = String(t.targetId);
+      return withMetrics(
+        {
+          account_id: account.id,
+          ad_product: adProduct,
+          campaign_id: campaignIdMap.get(String(t.campaignId)) || null,
+          ad_group_id: adGroupIdMap.get(String(t.adGroupId)) || null,
+          amazon_target_id: amazonId,
+          amazon_profile_id_text: profileId,
+          amazon_region: account.amazon_region || null,
+          expression_type: String(t.expressionType || "").toLowerCase() || null,
+          expression: t.expression || null,
+          resolved_expression: t.resolvedExpression || null,
+          expression_text: describeTargetExpression(
+            t.resolvedExpression || t.expression
+          ),
+          bid: t.bid ?? null,
+          status: String(t.state ?? "unknown").toLowerCase(),
+          updated_at: updatedAt,
+        },
+        metrics?.targeting.get(amazonId)
+      );
+    });
+    const saved = await upsertChunked("amazon_targets", rows, {
+      onConflict: "amazon_profile_id_text,amazon_target_id",
+    });
+    targetCount = saved?.length ?? 0;
+  }
+
+  console.log(
+    `Upserted ${adProduct}:`,
+    campaignRows.length,
+    "campaigns,",
+    adGroupIdMap.size,
+    "ad groups,",
+    keywordCount,
+    "keywords,",
+    targetCount,
+    "targets."
+  );
+  return campaignIdMap;
+}
+
+// ---- Daily metrics history ----
+
+// The rolling schedule syncs an account several times per cycle (3/7/30-day
+// windows); daily history does not depend on the window, so it is only
+// refreshed every METRICS_HISTORY_INTERVAL_MIN per account and ad product.
+const lastHistorySyncAt = new Map();
+
+const KEYWORD_TYPES = new Set(["BROAD", "PHRASE", "EXACT"]);
+
+// One DAILY campaign and one DAILY targeting report of an ad product for a
+// date range. The targeting report covers keywords and product targets; ad
+// group rows are summed from it.
+async function getDailyMetricRows(
+  client,
+  { startDate, endDate },
+  adProduct = "SPONSORED_PRODUCTS"
+) {
+  const report = AD_PRODUCT_REPORTS[adProduct];
+  const metricColumns = [
+    "impressions",
+    "clicks",
+    "cost",
+    report.orders,
+    report.sales,
+  ];
+  const campaignRows = await fetchReportRows(
+    `Daily ${report.campaignReport}`,
+    client,
+    {
+      name: `Robotads daily ${report.campaignReport} ${startDate}`,
+      startDate,
+      endDate,
+      configuration: {
+        adProduct,
+        reportTypeId: report.campaignReport,
+        timeUnit: "DAILY",
+        groupBy: ["campaign"],
+        columns: ["date", "campaignId", ...metricColumns],
+        format: "GZIP_JSON",
+      },
+    }
+  );
+  if (!campaignRows) return null;
+  const targetingRows = await fetchReportRows(
+    `Daily ${report.targetingReport}`,
+    client,
+    {
+      name: `Robotads daily ${report.targetingReport} ${startDate}`,
+      startDate,
+      endDate,
+      configuration: {
+        adProduct,
+        reportTypeId: report.targetingReport,
+        timeUnit: "DAILY",
+        groupBy: ["targeting"],
+        columns: [
+          "date",
+          "campaignId",
+          "adGroupId",
+          report.targetingId,
+          ...(report.targetingType ? [report.targetingType] : []),
+          ...metricColumns,
+        ],
+        format: "GZIP_JSON",
+      },
+    }
+  );
+  if (!targetingRows) return null;
+  return { campaignRows, targetingRows };
+}
+
+// Store DAILY report rows in amazon_*_metrics_daily. The last
+// METRICS_HISTORY_DAYS are re-fetched every time (attribution keeps changing
+// for two weeks); a product without history on the account is backfilled
+// first. A product whose reports fail is retried next sync without holding
+// up the others.
+async function syncDailyMetrics({
+  account,
+  client,
+  campaignIdMap,
+  adProducts = ["SPONSORED_PRODUCTS"],
+}) {
+  const profileId = String(account.amazon_profile_id);
+  const failed = [];
+  for (const adProduct of adProducts) {
+    const historyKey = `${account.id}:${adProduct}`;
+    const last = lastHistorySyncAt.get(historyKey) || 0;
+    if (Date.now() - last < METRICS_HISTORY_INTERVAL_MIN * 60 * 1000) continue;
+
+    const report = AD_PRODUCT_REPORTS[adProduct];
+    const latest = await latestMetricsDate(
+      supabase,
+      "campaign",
+      account.id,
+      adProduct
+    );
+    const days = latest ? METRICS_HISTORY_DAYS : METRICS_BACKFILL_DAYS;
+    console.log(
+      `Syncing ${days} days of ${adProduct} daily metrics${
+        latest ? "" : " (backfill)"
+      }...`
+    );
+
+    const base = (r) => {
+      const m = reportMetrics(r, adProduct);
+      return {
+        account_id: account.id,
+        ad_product: adProduct,
+        campaign_id: campaignIdMap.get(String(r.campaignId)) || null,
+        amazon_profile_id_text: profileId,
+        date: String(r.date).slice(0, 10),
+        spend: m.cost,
+        impressions: m.impressions,
+        clicks: m.clicks,
+        orders: m.orders,
+        sales: m.sales,
+      };
+    };
+
+    for (const range of dateChunks(days)) {
+      let rows = await getDailyMetricRows(client, range, adProduct);
+      if (!rows) rows = await getDailyMetricRows(client, range, adProduct);
+      if (!rows) {
+        console.error(
+          `Daily ${adProduct} metrics unavailable for ${range.startDate}..${range.endDate}; will retry next sync.`
+        );
+        failed.push(adProduct);
+        break;
+      }
+
+      const campaigns = rows.campaignRows
+        .filter((r) => r.campaignId != null && r.date)
+        .map((r) => ({
+          ...base(r),
+          amazon_campaign_id: String(r.campaignId),
+        }));
+
+      const keywords = [];
+      const targets = [];
+      const adGroupsByKey = new Map();
+      for (const r of rows.targetingRows) {
+        const targetingId = r[report.targetingId];
+        if (targetingId == null || !r.date) continue;
+        const row = base(r);
+        const type = report.targetingType ? r[report.targetingType] : null;
+        if (KEYWORD_TYPES.has(String(type || "").toUpperCase())) {
+          keywords.push({ ...row, amazon_keyword_id: String(targetingId) });
+        } else {
+          targets.push({ ...row, amazon_target_id: String(targetingId) });
+        }
+        if (r.adGroupId == null) continue;
+        const key = `${r.adGroupId}|${row.date}`;
+        const ag = adGroupsByKey.get(key) || {
+          ...row,
+          amazon_ad_group_id: String(r.adGroupId),
+          spend: 0,
+          impressions: 0,
+          clicks: 0,
+          orders: 0,
+          sales: 0,
+        };
+        ag.spend += row.spend;
+        ag.impressions += row.impressions;
+        ag.clicks += row.clicks;
+        ag.orders += row.orders;
+        ag.sales += row.sales;
+        adGroupsByKey.set(key, ag);
+      }
+
+      await upsertDailyMetrics(supabase, "campaign", campaigns);
+      await upsertDailyMetrics(
+        supabase,
+        "ad_group",
+        Array.from(adGroupsByKey.values())
+      );
+      await upsertDailyMetrics(supabase, "keyword", keywords);
+      await upsertDailyMetrics(supabase, "asin_target", targets);
+      console.log(
+        `Stored ${adProduct} daily metrics ${range.startDate}..${range.endDate}:`,
+        campaigns.length,
+        "campaign,",
+        adGroupsByKey.size,
+        "ad group,",
+        keywords.length,
+        "keyword,",
+        targets.length,
+        "target rows."
+      );
+    }
+    if (!failed.includes(adProduct)) {
+      lastHistorySyncAt.set(historyKey, Date.now());
+    }
+  }
+
+  if (failed.length) {
     console.error(
-      "No access token after refresh; skipping account",
-      account.id
+      `Daily metrics incomplete for account ${account.id}: ${failed.join(", ")}`
     );
-    return;
   }
+}
+
+// ---- Main sync per account ----
+
+async function syncAccount(account, windowDays) {
+  console.log(
+    `\n=== Syncing account ${account.id} (${account.name || ""}) ===`
+  );
 
   if (!account.amazon_profile_id) {
     console.error("Missing amazon_profile_id for account", account.id);
     return;
   }
 
-  const apiBase = regionApiBase(account.amazon_region);
-  // Helper: mid-sync token refresh and persist
-  async function refreshAndUpdateAccessToken() {
-    try {
-      const refreshed = await refreshAccessToken(refreshToken);
-      accessToken = refreshed.access_token;
-      const newExpiry = new Date(
-        Date.now() + (refreshed.expires_in ?? 3600) * 1000
-      ).toISOString();
-      await supabase
-        .from("amazon_accounts")
-        .update({
-          access_token: refreshed.access_token,
-          refresh_token: refreshed.refresh_token,
-          token_expires_at: newExpiry,
-          updated_at: new Date().toISOString(),
-          status: "active",
-        })
-        .eq("id", account.id);
-      console.log("Access token refreshed mid-sync for account", account.id);
-    } catch (e) {
-      console.error("Mid-sync token refresh failed:", e?.message || e);
-    }
+  // Token up front: an account Amazon no longer authorizes is flagged
+  // reauth_required by getAccessToken and skipped.
+  try {
+    await getAccessToken(account);
+  } catch (e) {
+    console.error("Token refresh failed for account", account.id, e);
+    return;
   }
+  const client = accountClient(account);
+
   // Load existing metrics so we can carry them over if new reports are missing
   // and prepare existing-id maps for safe upsert (no destructive delete)
   console.log("Loading existing data for account", account.id);
@@ -703,68 +1658,40 @@ async function syncAccount(account, windowDays) {
   for (const [k, v] of existingAdGroupIdMap.entries())
     adGroupIdMap.set(String(k), v);
 
-  // Fetch campaigns from Amazon v2
+  // Fetch campaigns from Amazon
   console.log("Fetching campaigns from Amazon...");
-  let campaignsRes = await fetch(`${apiBase}/v2/campaigns`, {
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      "Amazon-Advertising-API-ClientId": AMAZON_CLIENT_ID,
-      "Amazon-Advertising-API-Scope": String(account.amazon_profile_id),
-      "Content-Type": "application/json",
-    },
-  });
-
-  if (!campaignsRes.ok && campaignsRes.status === 401) {
-    await refreshAndUpdateAccessToken();
-    campaignsRes = await fetch(`${apiBase}/v2/campaigns`, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "Amazon-Advertising-API-ClientId": AMAZON_CLIENT_ID,
-        "Amazon-Advertising-API-Scope": String(account.amazon_profile_id),
-        "Content-Type": "application/json",
-      },
-    });
-  }
-
-  if (!campaignsRes.ok) {
-    const text = await campaignsRes.text().catch(() => "");
-    console.error("Failed to fetch campaigns", campaignsRes.status, text);
-    return;
-  }
-
-  const amazonCampaigns = await campaignsRes.json();
+  const amazonCampaigns = await listSp(
+    client,
+    "campaigns",
+    { stateFilter: ALL_STATES },
+    "campaigns"
+  );
+  if (!amazonCampaigns) return;
   console.log("Fetched", amazonCampaigns.length, "campaigns.");
 
   // Kick off metrics reports in parallel (to overlap long v3 report generation)
   const campaignMetricsPromise = SKIP_METRICS
     ? Promise.resolve(new Map())
-    : getCampaignMetrics(
-        String(account.amazon_profile_id),
-        accessToken,
-        windowDays || DAYS_WINDOW,
-        apiBase
-      );
+    : getCampaignMetrics(client, windowDays || DAYS_WINDOW);
   const keywordMetricsPromise = SKIP_METRICS
     ? Promise.resolve(new Map())
-    : getKeywordMetrics(
-        String(account.amazon_profile_id),
-        accessToken,
-        windowDays || DAYS_WINDOW,
-        apiBase
-      );
+    : getKeywordMetrics(client, windowDays || DAYS_WINDOW);
+  const searchTermReportPromise = SKIP_METRICS
+    ? Promise.resolve(null)
+    : getSearchTermRows(client, windowDays || DAYS_WINDOW);
+  const targetMetricsPromise = SKIP_METRICS
+    ? Promise.resolve(new Map())
+    : getTargetMetrics(client, windowDays || DAYS_WINDOW);
 
   // Metrics via v3 (unless SKIP_METRICS)
   let metricsByCampaignId = new Map();
   if (!SKIP_METRICS) {
     metricsByCampaignId = await campaignMetricsPromise;
-    // If empty (possible 401 during long polling), refresh and retry once
+    // If empty (report failed or timed out), retry once
     if (!metricsByCampaignId || metricsByCampaignId.size === 0) {
-      await refreshAndUpdateAccessToken();
       metricsByCampaignId = await getCampaignMetrics(
-        String(account.amazon_profile_id),
-        accessToken,
-        windowDays || DAYS_WINDOW,
-        apiBase
+        client,
+        windowDays || DAYS_WINDOW
       );
     }
   } else {
@@ -800,6 +1727,7 @@ async function syncAccount(account, windowDays) {
 
     return {
       account_id: account.id,
+      ad_product: "SPONSORED_PRODUCTS",
       campaign_id: String(c.campaignId),
       name: c.name || `Campaign ${c.campaignId}`,
       status: String(c.state ?? c.status ?? "unknown").toLowerCase(),
@@ -813,6 +1741,8 @@ async function syncAccount(account, windowDays) {
       cpc,
       amazon_campaign_id_text: String(c.campaignId),
       amazon_profile_id_text: String(account.amazon_profile_id),
+      // Portfolio spend caps (src/lib/guardrails.js)
+      portfolio_id: c.portfolioId != null ? String(c.portfolioId) : null,
       raw_data: {
         ...c,
         spend,
@@ -868,48 +1798,22 @@ async function syncAccount(account, windowDays) {
     if (!parentDbId) continue;
 
     try {
-      let agRes = await fetch(
-        `${apiBase}/v2/adGroups?campaignIdFilter=${campaignAmazonId}`,
+      const agJson = await listSp(
+        client,
+        "adGroups",
         {
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-            "Amazon-Advertising-API-ClientId": AMAZON_CLIENT_ID,
-            "Amazon-Advertising-API-Scope": String(account.amazon_profile_id),
-            "Content-Type": "application/json",
-          },
-        }
+          campaignIdFilter: { include: [campaignAmazonId] },
+          stateFilter: ALL_STATES,
+        },
+        `ad groups for campaign ${campaignAmazonId}`
       );
-
-      if (!agRes.ok && agRes.status === 401) {
-        await refreshAndUpdateAccessToken();
-        agRes = await fetch(
-          `${apiBase}/v2/adGroups?campaignIdFilter=${campaignAmazonId}`,
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-              "Amazon-Advertising-API-ClientId": AMAZON_CLIENT_ID,
-              "Amazon-Advertising-API-Scope": String(account.amazon_profile_id),
-              "Content-Type": "application/json",
-            },
-          }
-        );
-      }
-
-      if (!agRes.ok) {
-        console.error(
-          "Failed to fetch ad groups for campaign",
-          campaignAmazonId,
-          agRes.status
-        );
-        continue;
-      }
-
-      const agJson = await agRes.json();
+      if (!agJson) continue;
       const perAgRows = [];
       for (const ag of agJson) {
         const agAmazonId = String(ag.adGroupId);
         const row = {
           account_id: account.id,
+          ad_product: "SPONSORED_PRODUCTS",
           campaign_id: parentDbId,
           name: ag.name || `Ad Group ${ag.adGroupId}`,
           status: String(ag.state ?? ag.status ?? "unknown").toLowerCase(),
@@ -954,47 +1858,16 @@ async function syncAccount(account, windowDays) {
           if (!adGroupDbId) continue;
 
           try {
-            let kwRes = await fetch(
-              `${apiBase}/v2/keywords?adGroupIdFilter=${agAmazonId}`,
+            const kwJson = await listSp(
+              client,
+              "keywords",
               {
-                headers: {
-                  Authorization: `Bearer ${accessToken}`,
-                  "Amazon-Advertising-API-ClientId": AMAZON_CLIENT_ID,
-                  "Amazon-Advertising-API-Scope": String(
-                    account.amazon_profile_id
-                  ),
-                  "Content-Type": "application/json",
-                },
-              }
+                adGroupIdFilter: { include: [agAmazonId] },
+                stateFilter: ALL_STATES,
+              },
+              `keywords for ad group ${agAmazonId}`
             );
-
-            if (!kwRes.ok && kwRes.status === 401) {
-              await refreshAndUpdateAccessToken();
-              kwRes = await fetch(
-                `${apiBase}/v2/keywords?adGroupIdFilter=${agAmazonId}`,
-                {
-                  headers: {
-                    Authorization: `Bearer ${accessToken}`,
-                    "Amazon-Advertising-API-ClientId": AMAZON_CLIENT_ID,
-                    "Amazon-Advertising-API-Scope": String(
-                      account.amazon_profile_id
-                    ),
-                    "Content-Type": "application/json",
-                  },
-                }
-              );
-            }
-
-            if (!kwRes.ok) {
-              console.error(
-                "Failed to fetch keywords for ad group",
-                agAmazonId,
-                kwRes.status
-              );
-              continue;
-            }
-
-            const kwJson = await kwRes.json();
+            if (!kwJson) continue;
             const perKwRows = [];
             for (const kw of kwJson) {
               const keywordAmazonId = String(kw.keywordId);
@@ -1005,6 +1878,7 @@ async function syncAccount(account, windowDays) {
                 existingKeywordIdByAmazonId.get(keywordAmazonId);
               const row = {
                 id: maybeExistingId || randomUUID(),
+                ad_product: "SPONSORED_PRODUCTS",
                 campaign_id: campaignDbId,
                 keyword_id: keywordAmazonId,
                 text: kw.keywordText || "",
@@ -1096,6 +1970,30 @@ async function syncAccount(account, windowDays) {
     adGroupIdMap.set(String(ag.amazon_ad_group_id), ag.id);
   }
 
+  try {
+    await syncTargets({
+      account,
+      client,
+      campaignIdMap,
+      adGroupIdMap,
+      metricsPromise: targetMetricsPromise,
+      windowDays,
+    });
+  } catch (e) {
+    console.error("Error syncing targets for account", account.id, e);
+  }
+
+  try {
+    await syncNegatives({
+      account,
+      client,
+      campaignIdMap,
+      adGroupIdMap,
+    });
+  } catch (e) {
+    console.error("Error syncing negatives for account", account.id, e);
+  }
+
   // Fetch keywords and structure
   if (!STREAM_UPSERTS) {
     console.log("Fetching keywords...");
@@ -1113,45 +2011,16 @@ async function syncAccount(account, windowDays) {
       if (!adGroupDbId) continue;
 
       try {
-        let kwRes = await fetch(
-          `${apiBase}/v2/keywords?adGroupIdFilter=${agAmazonId}`,
+        const kwJson = await listSp(
+          client,
+          "keywords",
           {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-              "Amazon-Advertising-API-ClientId": AMAZON_CLIENT_ID,
-              "Amazon-Advertising-API-Scope": String(account.amazon_profile_id),
-              "Content-Type": "application/json",
-            },
-          }
+            adGroupIdFilter: { include: [agAmazonId] },
+            stateFilter: ALL_STATES,
+          },
+          `keywords for ad group ${agAmazonId}`
         );
-
-        if (!kwRes.ok && kwRes.status === 401) {
-          await refreshAndUpdateAccessToken();
-          kwRes = await fetch(
-            `${apiBase}/v2/keywords?adGroupIdFilter=${agAmazonId}`,
-            {
-              headers: {
-                Authorization: `Bearer ${accessToken}`,
-                "Amazon-Advertising-API-ClientId": AMAZON_CLIENT_ID,
-                "Amazon-Advertising-API-Scope": String(
-                  account.amazon_profile_id
-                ),
-                "Content-Type": "application/json",
-              },
-            }
-          );
-        }
-
-        if (!kwRes.ok) {
-          console.error(
-            "Failed to fetch keywords for ad group",
-            agAmazonId,
-            kwRes.status
-          );
-          continue;
-        }
-
-        const kwJson = await kwRes.json();
+        if (!kwJson) continue;
         for (const kw of kwJson) {
           const keywordAmazonId = String(kw.keywordId);
           keywordAmazonIds.push(keywordAmazonId);
@@ -1161,6 +2030,7 @@ async function syncAccount(account, windowDays) {
           const maybeExistingId =
             existingKeywordIdByAmazonId.get(keywordAmazonId);
           const row = {
+            ad_product: "SPONSORED_PRODUCTS",
             campaign_id: campaignDbId,
             keyword_id: keywordAmazonId,
             text: kw.keywordText || "",
@@ -1190,12 +2060,9 @@ async function syncAccount(account, windowDays) {
       console.log("Fetching keyword metrics via v3...");
       let keywordMetricsById = await keywordMetricsPromise;
       if (!keywordMetricsById || keywordMetricsById.size === 0) {
-        await refreshAndUpdateAccessToken();
         keywordMetricsById = await getKeywordMetrics(
-          String(account.amazon_profile_id),
-          accessToken,
-          windowDays || DAYS_WINDOW,
-          apiBase
+          client,
+          windowDays || DAYS_WINDOW
         );
       }
 
@@ -1420,6 +2287,54 @@ async function syncAccount(account, windowDays) {
       } campaigns (with ${windowDays || DAYS_WINDOW}-day performance).`
     );
   }
+
+  // Sponsored Brands / Display share the tables; their campaigns join the
+  // map so daily metrics link to them too
+  const adProducts = ["SPONSORED_PRODUCTS"];
+  for (const adProduct of EXTRA_AD_PRODUCTS) {
+    try {
+      const productCampaignIds = await syncAdProduct({
+        account,
+        client,
+        adProduct,
+        windowDays,
+      });
+      if (!productCampaignIds || productCampaignIds.size === 0) continue;
+      for (const [amazonId, dbId] of productCampaignIds) {
+        campaignIdMap.set(amazonId, dbId);
+      }
+      adProducts.push(adProduct);
+    } catch (e) {
+      console.error(`Error syncing ${adProduct} for account`, account.id, e);
+    }
+  }
+
+  // Search terms last: they link to the keyword/target rows upserted above
+  if (!SKIP_METRICS) {
+    try {
+      await syncSearchTerms({
+        account,
+        client,
+        campaignIdMap,
+        adGroupIdMap,
+        reportPromise: searchTermReportPromise,
+        windowDays,
+      });
+    } catch (e) {
+      console.error("Error syncing search terms for account", account.id, e);
+    }
+
+    try {
+      await syncDailyMetrics({
+        account,
+        client,
+        campaignIdMap,
+        adProducts,
+      });
+    } catch (e) {
+      console.error("Error syncing daily metrics for account", account.id, e);
+    }
+  }
 }
 
 async function main() {
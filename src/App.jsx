@@ -8,10 +8,14 @@ import DashboardPage from '@/pages/DashboardPage';
 import CampaignsPage from '@/pages/CampaignsPage';
 import AdGroupsPage from '@/pages/AdGroupsPage'; 
 import KeywordsPage from '@/pages/KeywordsPage';
+import TargetsPage from '@/pages/TargetsPage';
+import SearchTermsPage from '@/pages/SearchTermsPage';
+import NegativesPage from '@/pages/NegativesPage';
+import DaypartingPage from '@/pages/DaypartingPage';
 import LinkAmazonPage from '@/pages/LinkAmazonPage';
 import AmazonCallbackPage from '@/pages/AmazonCallbackPage'; 
 import OptimizationPage from '@/pages/OptimizationPage';
-import { LayoutDashboard, BarChart3, Users as AdGroupsIcon, Tag, Settings as SettingsIcon, Link2 as LinkIcon, Zap, Zap as OptimizationIcon } from 'lucide-react';
+import { LayoutDashboard, BarChart3, Users as AdGroupsIcon, Tag, Settings as SettingsIcon, Link2 as LinkIcon, Zap, Zap as OptimizationIcon, Crosshair, ScanSearch, Ban, Clock } from 'lucide-react';
 
 const ProtectedRoute = ({ user }) => {
   if (!user) {
@@ -49,6 +53,10 @@ function App() {
     { href: '/campaigns', icon: <BarChart3 />, label: 'Campaigns' },
     { href: '/ad-groups', icon: <AdGroupsIcon />, label: 'Ad Groups' }, 
     { href: '/keywords', icon: <Tag />, label: 'Keywords' },
+    { href: '/targets', icon: <Crosshair />, label: 'Targets' },
+    { href: '/search-terms', icon: <ScanSearch />, label: 'Search Terms' },
+    { href: '/negatives', icon: <Ban />, label: 'Negatives' },
+    { href: '/dayparting', icon: <Clock />, label: 'Dayparting' },
     { href: '/optimization', icon: <OptimizationIcon />, label: 'Optimization' },
     { href: '/link-amazon', icon: <LinkIcon />, label: 'KDP Accounts' },
   ] : [];
@@ -82,6 +90,10 @@ function App() {
                 <Route path="/campaigns" element={<CampaignsPage />} />
                 <Route path="/ad-groups" element={<AdGroupsPage />} /> 
                 <Route path="/keywords" element={<KeywordsPage />} />
+                <Route path="/targets" element={<TargetsPage />} />
+                <Route path="/search-terms" element={<SearchTermsPage />} />
+                <Route path="/negatives" element={<NegativesPage />} />
+                <Route path="/dayparting" element={<DaypartingPage />} />
                 <Route path="/optimization" element={<OptimizationPage />} />
                 <Route path="/link-amazon" element={<LinkAmazonPage />} />
               </Route>
@@ -0,0 +1,295 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../ui/card';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Switch } from '../ui/switch';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { supabase } from '../../lib/supabaseClient';
+import { useToast } from '../ui/use-toast';
+import { Gauge, AlertTriangle, Loader2, Save } from 'lucide-react';
+import { PACING_DEFAULTS, PACING_STATUS_LABELS, localDateTime, pacingStatus } from '../../lib/budgetPacing';
+import { accountTimezone } from '../../lib/dayparting';
+
+const STATUS_ORDER = ['out_of_budget', 'overpacing', 'on_track', 'underpacing', 'unknown'];
+
+const STATUS_CLASSES = {
+  out_of_budget: 'bg-red-500/20 text-red-300',
+  overpacing: 'bg-amber-500/20 text-amber-300',
+  on_track: 'bg-green-500/20 text-green-300',
+  underpacing: 'bg-sky-500/20 text-sky-300',
+  unknown: 'bg-slate-600/40 text-slate-400',
+};
+
+const EVENT_LABELS = {
+  out_of_budget: 'Ran out of budget',
+  budget_raised: 'Budget raised',
+  cap_reached: 'Monthly cap reached',
+  budget_restored: 'Budget restored',
+};
+
+const formatHour = (hour) => {
+  const h = Math.floor(hour);
+  const m = Math.round((hour - h) * 60);
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+};
+
+// Intraday budget pacing for the Campaigns page. Budget usage, alerts and
+// raises come from the pacing daemon (scripts/budgetPacingVps.js); this card
+// shows them and edits budget_pacing_settings per campaign.
+const BudgetPacingCard = ({ account, campaigns }) => {
+  const [settings, setSettings] = useState({});
+  const [drafts, setDrafts] = useState({});
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [savingId, setSavingId] = useState(null);
+  const { toast } = useToast();
+
+  const timeZone = accountTimezone(account);
+  const local = localDateTime(new Date(), timeZone);
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  const loadPacing = useCallback(async () => {
+    if (!account?.id) return;
+    setLoading(true);
+    try {
+      const [{ data: settingsRows, error: setErr }, { data: eventRows, error: evErr }] = await Promise.all([
+        supabase.from('budget_pacing_settings').select('*').eq('account_id', account.id),
+        supabase
+          .from('budget_pacing_events')
+          .select('*')
+          .eq('account_id', account.id)
+          .gte('local_date', weekAgo)
+          .order('created_at', { ascending: false }),
+      ]);
+      if (setErr) throw setErr;
+      if (evErr) throw evErr;
+      setSettings(Object.fromEntries((settingsRows || []).map((s) => [s.campaign_id, s])));
+      setDrafts({});
+      setEvents(eventRows || []);
+    } catch (error) {
+      toast({ title: "Error fetching budget pacing", description: error.message, variant: "destructive" });
+    } finally {
+      setLoading(false);
+    }
+  }, [account?.id, weekAgo, toast]);
+
+  useEffect(() => {
+    loadPacing();
+  }, [loadPacing]);
+
+  const draftFor = (campaignId) => {
+    const saved = settings[campaignId] || {};
+    return {
+      auto_raise: !!saved.auto_raise,
+      raise_percent: saved.raise_percent ?? PACING_DEFAULTS.raise_percent,
+      monthly_cap: saved.monthly_cap ?? '',
+      ...drafts[campaignId],
+    };
+  };
+
+  const updateDraft = (campaignId, patch) => {
+    setDrafts((prev) => ({ ...prev, [campaignId]: { ...prev[campaignId], ...patch } }));
+  };
+
+  const saveSettings = async (campaign) => {
+    const draft = draftFor(campaign.id);
+    const raisePercent = Number(draft.raise_percent);
+    if (draft.auto_raise && !(raisePercent > 0)) {
+      toast({ title: 'Invalid raise', description: 'Enter a raise above 0%.', variant: 'destructive' });
+      return;
+    }
+    if (draft.auto_raise && !(draft.monthly_cap !== '' && Number(draft.monthly_cap) > 0)) {
+      toast({ title: 'Monthly cap required', description: 'Enter a monthly cap to auto-raise this budget.', variant: 'destructive' });
+      return;
+    }
+    setSavingId(campaign.id);
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+      const { data, error } = await supabase
+        .from('budget_pacing_settings')
+        .upsert({
+          user_id: user.id,
+          account_id: account.id,
+          campaign_id: campaign.id,
+          amazon_campaign_id: String(campaign.campaign_id),
+          auto_raise: draft.auto_raise,
+          raise_percent: raisePercent > 0 ? raisePercent : PACING_DEFAULTS.raise_percent,
+          monthly_cap: draft.monthly_cap === '' ? null : Number(draft.monthly_cap),
+          updated_at: new Date().toISOString(),
+        }, { onConflict: 'campaign_id' })
+        .select()
+        .single();
+      if (error) throw error;
+      setSettings((prev) => ({ ...prev, [campaign.id]: data }));
+      setDrafts((prev) => {
+        const next = { ...prev };
+        delete next[campaign.id];
+        return next;
+      });
+      toast({ title: 'Pacing saved', description: `Budget pacing updated for ${campaign.name}.`, variant: 'default' });
+    } catch (e) {
+      toast({ title: 'Save failed', description: String(e.message || e), variant: 'destructive' });
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const outOfBudgetDays = (campaignId) =>
+    new Set(events.filter((e) => e.campaign_id === campaignId && e.event_type === 'out_of_budget').map((e) => e.local_date)).size;
+
+  const ranOutToday = (campaignId) =>
+    events.find((e) => e.campaign_id === campaignId && e.event_type === 'out_of_budget' && e.local_date === local.date);
+
+  const rows = (campaigns || [])
+    .filter((c) => String(c.status || '').toLowerCase() === 'enabled')
+    .map((c) => ({ campaign: c, pacing: pacingStatus(c.budget_usage_percent, local) }))
+    .sort((a, b) => STATUS_ORDER.indexOf(a.pacing.status) - STATUS_ORDER.indexOf(b.pacing.status));
+
+  // Campaigns that ran out before the evening lose the rest of the day
+  const earlyToday = rows.filter(({ campaign }) => {
+    const event = ranOutToday(campaign.id);
+    return event && Number(String(event.local_time).split(':')[0]) < 18;
+  });
+
+  return (
+    <Card className="bg-slate-800/80 border-slate-700/60 shadow-xl">
+      <CardHeader>
+        <div className="flex items-center gap-2">
+          <Gauge size={22} className="text-purple-400" />
+          <CardTitle className="text-xl text-purple-300">Budget Pacing</CardTitle>
+        </div>
+        <CardDescription className="text-slate-400">
+          Today's budget usage against the time of day ({local.hour}:{String(local.minute).padStart(2, '0')} in {timeZone}).
+          Auto-raise increases the daily budget when it runs out, within the monthly cap, and restores it the next day.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {earlyToday.length > 0 && (
+          <div className="flex items-start gap-2 rounded-md border border-red-500/40 bg-red-500/10 p-3 text-sm text-red-200">
+            <AlertTriangle size={18} className="mt-0.5 shrink-0 text-red-400" />
+            <div>
+              {earlyToday.length} campaign(s) ran out of budget early today:{' '}
+              {earlyToday.map(({ campaign }) => `${campaign.name} (${ranOutToday(campaign.id).local_time})`).join(', ')}
+            </div>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center items-center min-h-[120px]">
+            <Loader2 size={28} className="animate-spin text-purple-400" />
+          </div>
+        ) : rows.length === 0 ? (
+          <p className="text-slate-400 text-sm">No enabled campaigns to pace.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow className="border-slate-700">
+                  <TableHead className="text-slate-300">Campaign</TableHead>
+                  <TableHead className="text-slate-300">Budget</TableHead>
+                  <TableHead className="text-slate-300">Used Today</TableHead>
+                  <TableHead className="text-slate-300">Pace</TableHead>
+                  <TableHead className="text-slate-300">Runs Out</TableHead>
+                  <TableHead className="text-slate-300">Out of Budget (7d)</TableHead>
+                  <TableHead className="text-slate-300">Auto-raise</TableHead>
+                  <TableHead className="text-slate-300">Raise %</TableHead>
+                  <TableHead className="text-slate-300">Monthly Cap</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {rows.map(({ campaign, pacing }) => {
+                  const draft = draftFor(campaign.id);
+                  const usage = campaign.budget_usage_percent;
+                  const todayEvent = ranOutToday(campaign.id);
+                  return (
+                    <TableRow key={campaign.id} className="border-slate-700 hover:bg-slate-700/30">
+                      <TableCell className="font-medium text-purple-300 min-w-[180px]">{campaign.name}</TableCell>
+                      <TableCell>{Number(campaign.budget ?? 0).toFixed(2)}</TableCell>
+                      <TableCell className="min-w-[140px]">
+                        {usage == null ? 'N/A' : (
+                          <div className="space-y-1">
+                            <div className="h-2 w-full rounded bg-slate-700">
+                              <div
+                                className={`h-2 rounded ${pacing.status === 'out_of_budget' ? 'bg-red-500' : pacing.status === 'overpacing' ? 'bg-amber-500' : 'bg-emerald-500'}`}
+                                style={{ width: `${Math.min(100, usage)}%` }}
+                              />
+                            </div>
+                            <span className="text-xs text-slate-400">{Number(usage).toFixed(0)}%</span>
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <span className={`px-2 py-1 text-xs rounded-full ${STATUS_CLASSES[pacing.status]}`}>
+                          {PACING_STATUS_LABELS[pacing.status]}
+                        </span>
+                      </TableCell>
+                      <TableCell className="text-slate-300">
+                        {todayEvent ? `Ran out ${todayEvent.local_time}` : pacing.runOutHour != null ? `~${formatHour(pacing.runOutHour)}` : '—'}
+                      </TableCell>
+                      <TableCell>{outOfBudgetDays(campaign.id)} / 7</TableCell>
+                      <TableCell>
+                        <Switch checked={draft.auto_raise} onCheckedChange={(checked) => updateDraft(campaign.id, { auto_raise: checked })} />
+                      </TableCell>
+                      <TableCell>
+                        <Input
+                          type="number"
+                          step="1"
+                          min="1"
+                          value={draft.raise_percent}
+                          onChange={(e) => updateDraft(campaign.id, { raise_percent: e.target.value })}
+                          className="w-[80px] bg-slate-700 border-slate-600 text-slate-100"
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <Input
+                          type="number"
+                          step="1"
+                          min="0"
+                          value={draft.monthly_cap}
+                          placeholder={draft.auto_raise ? 'Required' : 'No cap'}
+                          onChange={(e) => updateDraft(campaign.id, { monthly_cap: e.target.value })}
+                          className="w-[110px] bg-slate-700 border-slate-600 text-slate-100 placeholder-slate-500"
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <Button
+                          size="sm"
+                          onClick={() => saveSettings(campaign)}
+                          disabled={savingId === campaign.id || !drafts[campaign.id]}
+                          className="bg-emerald-600 hover:bg-emerald-700 text-white"
+                        >
+                          {savingId === campaign.id ? <Loader2 size={14} className="animate-spin" /> : <Save size={14} />}
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+
+        {events.length > 0 && (
+          <div className="space-y-1">
+            <h4 className="text-sm font-semibold text-slate-300">Recent pacing events</h4>
+            <ul className="text-xs text-slate-400 space-y-0.5">
+              {events.slice(0, 10).map((e) => {
+                const name = (campaigns || []).find((c) => c.id === e.campaign_id)?.name || e.amazon_campaign_id;
+                return (
+                  <li key={e.id}>
+                    {e.local_date} {e.local_time} · {name} · {EVENT_LABELS[e.event_type] || e.event_type}
+                    {e.new_budget != null && ` (${Number(e.budget).toFixed(2)} → ${Number(e.new_budget).toFixed(2)})`}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BudgetPacingCard;
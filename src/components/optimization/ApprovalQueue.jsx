@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { supabase } from '../../lib/supabaseClient';
+import { OPTIMIZATION_SERVER_URL } from '../../lib/config';
+import { useToast } from '../ui/use-toast';
+import { CheckCircle, XCircle, ClipboardCheck, RefreshCcw } from 'lucide-react';
+
+// Pending actions from rules with "Require approval" enabled. Nothing reaches
+// Amazon until the user approves it here; approval goes through the
+// optimization server so the same update path as manual edits is used.
+const ApprovalQueue = () => {
+  const [rows, setRows] = useState([]);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    loadPendingActions();
+  }, []);
+
+  const loadPendingActions = async () => {
+    setLoading(true);
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return;
+
+      const { data, error } = await supabase
+        .from('optimization_proposed_actions')
+        .select(`
+          *,
+          optimization_rules(name),
+          amazon_campaigns(name),
+          amazon_keywords(text, match_type)
+        `)
+        .eq('user_id', user.id)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      setRows(await attachEntityNames(data || []));
+      setSelectedIds(new Set());
+    } catch (error) {
+      console.error('Error loading pending actions:', error);
+      toast({
+        title: "Error",
+        description: "An error occurred while loading the approval queue.",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleSelected = (id, checked) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (checked) next.add(id); else next.delete(id);
+      return next;
+    });
+  };
+
+  const submitDecision = async (decision) => {
+    const ids = Array.from(selectedIds);
+    if (ids.length === 0) return;
+    setSubmitting(true);
+    try {
+      const res = await fetch(`${OPTIMIZATION_SERVER_URL}/optimization/${decision}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids }),
+      });
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok || json.status !== 'success') throw new Error(json.message || `HTTP ${res.status}`);
+
+      const result = json.result || {};
+      if (decision === 'approve') {
+        toast({
+          title: result.failed ? "Partially applied" : "Approved",
+          description: `${result.applied || 0} action(s) applied${result.failed ? `, ${result.failed} failed` : ''}.`,
+          variant: result.failed ? "destructive" : undefined,
+        });
+      } else {
+        toast({
+          title: "Rejected",
+          description: `${result.rejected || 0} action(s) rejected.`,
+        });
+      }
+      await loadPendingActions();
+    } catch (error) {
+      console.error(`Error trying to ${decision} actions:`, error);
+      toast({
+        title: "Error",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Ad group and target rows have no FK; their names are looked up by Amazon id
+  const attachEntityNames = async (items) => {
+    const lookups = [
+      { entity: 'ad_group', table: 'amazon_ad_groups', idColumn: 'amazon_ad_group_id', nameColumn: 'name' },
+      { entity: 'asin_target', table: 'amazon_targets', idColumn: 'amazon_target_id', nameColumn: 'expression_text' },
+    ];
+    const names = new Map();
+    for (const { entity, table, idColumn, nameColumn } of lookups) {
+      const ids = items.filter(r => r.entity_type === entity).map(r => r.entity_id);
+      if (ids.length === 0) continue;
+      const { data } = await supabase.from(table).select(`${idColumn}, ${nameColumn}`).in(idColumn, ids);
+      for (const row of data || []) names.set(`${entity}:${row[idColumn]}`, row[nameColumn]);
+    }
+    return items.map(r => ({ ...r, entity_name: names.get(`${r.entity_type}:${r.entity_id}`) }));
+  };
+
+  const isBudgetChange = (row) => row.new_budget != null;
+
+  const formatBid = (value) => {
+    const num = Number(value);
+    return Number.isFinite(num) ? num.toFixed(2) : 'N/A';
+  };
+
+  const describeChange = (row) => {
+    if (row.api_type === 'add_negative') {
+      const match = row.action_payload?.asin ? 'product target' : row.action_payload?.matchType === 'negativePhrase' ? 'phrase' : 'exact';
+      return <Badge className="bg-red-100 text-red-800">Negative {match}</Badge>;
+    }
+    if (row.api_type === 'pause') {
+      return <Badge className="bg-orange-100 text-orange-800">Pause</Badge>;
+    }
+    if (row.api_type === 'enable') {
+      return <Badge className="bg-green-100 text-green-800">Enable</Badge>;
+    }
+    const current = Number(isBudgetChange(row) ? row.current_budget : row.current_bid) || 0;
+    const next = Number(isBudgetChange(row) ? row.new_budget : row.new_bid) || 0;
+    const diff = next - current;
+    const pct = current > 0 ? (diff / current) * 100 : 0;
+    const color = diff > 0 ? 'text-green-600' : diff < 0 ? 'text-red-600' : 'text-gray-500';
+    return (
+      <span className={color}>
+        {diff >= 0 ? '+' : ''}{diff.toFixed(2)} ({pct >= 0 ? '+' : ''}{pct.toFixed(1)}%)
+      </span>
+    );
+  };
+
+  const describeTarget = (row) => {
+    if (row.entity_type === 'search_term') return row.action_payload?.keywordText || row.action_payload?.asin || row.entity_id;
+    if (row.entity_type === 'campaign') return row.amazon_campaigns?.name || row.entity_id;
+    if (row.entity_type === 'ad_group' || row.entity_type === 'asin_target') return row.entity_name || row.entity_id;
+    return row.amazon_keywords?.text || row.entity_id;
+  };
+
+  const entityLabel = (row) => ({ campaign: 'Campaign', ad_group: 'Ad group', asin_target: 'Product target', search_term: 'Search term' }[row.entity_type] || 'Keyword');
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const allSelected = rows.length > 0 && rows.every(r => selectedIds.has(r.id));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold">Approval Queue</h2>
+        <div className="flex items-center space-x-2">
+          <Button variant="outline" onClick={loadPendingActions} disabled={submitting} className="flex items-center space-x-2">
+            <RefreshCcw className="h-4 w-4" />
+            <span>Reload</span>
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => submitDecision('reject')}
+            disabled={submitting || selectedIds.size === 0}
+            className="flex items-center space-x-2 text-red-600"
+          >
+            <XCircle className="h-4 w-4" />
+            <span>Reject ({selectedIds.size})</span>
+          </Button>
+          <Button
+            onClick={() => submitDecision('approve')}
+            disabled={submitting || selectedIds.size === 0}
+            className="flex items-center space-x-2"
+          >
+            <CheckCircle className="h-4 w-4" />
+            <span>Approve ({selectedIds.size})</span>
+          </Button>
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <Card>
+          <CardContent className="flex flex-col items-center justify-center py-12">
+            <ClipboardCheck className="h-12 w-12 text-gray-400 mb-4" />
+            <h3 className="text-lg font-semibold text-gray-600 mb-2">
+              Nothing waiting for approval
+            </h3>
+            <p className="text-gray-500 text-center">
+              Actions from rules with "Require approval" enabled will appear here before they are sent to Amazon.
+            </p>
+          </CardContent>
+        </Card>
+      ) : (
+        <Card>
+          <CardHeader className="pb-3">
+            <CardTitle className="text-lg">{rows.length} pending action(s)</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-[36px]">
+                    <input
+                      type="checkbox"
+                      checked={allSelected}
+                      onChange={(e) => setSelectedIds(new Set(e.target.checked ? rows.map(r => r.id) : []))}
+                    />
+                  </TableHead>
+                  <TableHead>Rule</TableHead>
+                  <TableHead>Campaign</TableHead>
+                  <TableHead>Target</TableHead>
+                  <TableHead>Current</TableHead>
+                  <TableHead>New</TableHead>
+                  <TableHead>Change</TableHead>
+                  <TableHead>Queued</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {rows.map((row) => (
+                  <TableRow key={row.id}>
+                    <TableCell>
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.has(row.id)}
+                        onChange={(e) => toggleSelected(row.id, e.target.checked)}
+                      />
+                    </TableCell>
+                    <TableCell>{row.optimization_rules?.name || 'Unknown rule'}</TableCell>
+                    <TableCell>{row.amazon_campaigns?.name || 'N/A'}</TableCell>
+                    <TableCell className="font-medium">
+                      {describeTarget(row)}
+                      <span className="text-xs text-gray-500">
+                        {' '}({entityLabel(row)}{row.amazon_keywords?.match_type ? `, ${row.amazon_keywords.match_type}` : ''})
+                      </span>
+                    </TableCell>
+                    <TableCell>{row.api_type === 'add_negative' ? '—' : formatBid(isBudgetChange(row) ? row.current_budget : row.current_bid)}</TableCell>
+                    <TableCell>{['pause', 'enable', 'add_negative'].includes(row.api_type) ? '—' : formatBid(isBudgetChange(row) ? row.new_budget : row.new_bid)}</TableCell>
+                    <TableCell>{describeChange(row)}</TableCell>
+                    <TableCell className="text-xs text-gray-500">{formatDate(row.created_at)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default ApprovalQueue;
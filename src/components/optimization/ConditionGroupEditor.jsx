@@ -0,0 +1,173 @@
+import React from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Switch } from '../ui/switch';
+import { isConditionGroup } from '../../lib/ruleEvaluator';
+import { metricOptions, comparisonOptions } from '../settings/settingsConstants';
+
+// Metrics the shared rule evaluator can compute for keywords, ad groups and campaigns
+const ruleMetricOptions = metricOptions.filter(m => m.value !== 'asin_bid');
+
+const operatorOptions = [
+  { value: 'and', label: 'All of (AND)' },
+  { value: 'or', label: 'Any of (OR)' },
+];
+
+// Gruplar bu derinliğe kadar iç içe eklenebilir
+const MAX_DEPTH = 3;
+
+const newCondition = () => ({ metric: 'acos', comparison: '>', value: 40 });
+
+const newGroup = () => ({ operator: 'or', negate: false, conditions: [newCondition()] });
+
+// Koşul ağacının bir grubu (src/lib/ruleEvaluator.js): operatör, NOT ve
+// alt koşullar/gruplar. Kök grup RuleForm'da conditionTree() ile oluşturulur.
+const ConditionGroupEditor = ({ group, onChange, onRemove, lookbackDays, depth = 0, idPrefix = 'cond' }) => {
+  const updateGroup = (patch) => onChange({ ...group, ...patch });
+
+  const updateChild = (index, child) => {
+    updateGroup({ conditions: group.conditions.map((c, i) => (i === index ? child : c)) });
+  };
+
+  const removeChild = (index) => {
+    if (group.conditions.length <= 1) return;
+    updateGroup({ conditions: group.conditions.filter((_, i) => i !== index) });
+  };
+
+  const canRemoveChild = group.conditions.length > 1;
+
+  return (
+    <div className={depth > 0 ? 'space-y-4 p-4 border rounded-lg bg-gray-50' : 'space-y-4'}>
+      <div className="flex flex-wrap items-center gap-4">
+        <Select value={group.operator} onValueChange={(value) => updateGroup({ operator: value })}>
+          <SelectTrigger className="w-[160px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {operatorOptions.map(opt => (
+              <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <div className="flex items-center space-x-2">
+          <Switch
+            id={`${idPrefix}-negate`}
+            checked={!!group.negate}
+            onCheckedChange={(checked) => updateGroup({ negate: checked })}
+          />
+          <Label htmlFor={`${idPrefix}-negate`}>NOT</Label>
+        </div>
+        {onRemove && (
+          <Button type="button" variant="outline" size="sm" onClick={onRemove}>
+            Remove Group
+          </Button>
+        )}
+      </div>
+
+      {group.conditions.map((cond, index) => {
+        const id = `${idPrefix}-${index}`;
+        if (isConditionGroup(cond)) {
+          return (
+            <ConditionGroupEditor
+              key={id}
+              group={cond}
+              onChange={(child) => updateChild(index, child)}
+              onRemove={canRemoveChild ? () => removeChild(index) : null}
+              lookbackDays={lookbackDays}
+              depth={depth + 1}
+              idPrefix={id}
+            />
+          );
+        }
+        const updateCondition = (field, value) => updateChild(index, { ...cond, [field]: value });
+        return (
+          <div key={id} className="grid grid-cols-4 gap-4 items-end">
+            <div>
+              <Label htmlFor={`metric-${id}`}>Metric</Label>
+              <Select value={cond.metric} onValueChange={(value) => updateCondition('metric', value)}>
+                <SelectTrigger id={`metric-${id}`}>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {ruleMetricOptions.map(opt => (
+                    <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div>
+              <Label htmlFor={`comparison-${id}`}>Condition</Label>
+              <Select value={cond.comparison} onValueChange={(value) => updateCondition('comparison', value)}>
+                <SelectTrigger id={`comparison-${id}`}>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {comparisonOptions.map(opt => (
+                    <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div>
+              <Label htmlFor={`duration-${id}`}>Window (Days)</Label>
+              <Input
+                id={`duration-${id}`}
+                type="number"
+                min="1"
+                value={cond.duration_days ?? ''}
+                onChange={(e) =>
+                  updateCondition('duration_days', Number(e.target.value) > 0 ? Number(e.target.value) : undefined)
+                }
+                placeholder={String(lookbackDays ?? 7)}
+              />
+            </div>
+
+            <div className="flex items-end space-x-2">
+              <div className="flex-1">
+                <Label htmlFor={`value-${id}`}>Threshold Value</Label>
+                <Input
+                  id={`value-${id}`}
+                  type="number"
+                  step="0.01"
+                  value={cond.value}
+                  onChange={(e) => updateCondition('value', parseFloat(e.target.value))}
+                  placeholder="40"
+                />
+              </div>
+              {canRemoveChild && (
+                <Button type="button" variant="outline" onClick={() => removeChild(index)}>
+                  Remove
+                </Button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      <div className="flex space-x-2">
+        <Button
+          type="button"
+          variant="outline"
+          onClick={() => updateGroup({ conditions: [...group.conditions, newCondition()] })}
+        >
+          Add Condition
+        </Button>
+        {depth < MAX_DEPTH - 1 && (
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => updateGroup({ conditions: [...group.conditions, newGroup()] })}
+          >
+            Add Group
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ConditionGroupEditor;
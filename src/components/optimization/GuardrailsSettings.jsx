@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { supabase } from '../../lib/supabaseClient';
+import { useToast } from '../ui/use-toast';
+import { GUARDRAIL_FIELDS, loadGuardrails } from '../../lib/guardrails';
+import { ShieldCheck, Save, RefreshCcw } from 'lucide-react';
+
+const EMPTY_LIMITS = Object.fromEntries(Object.keys(GUARDRAIL_FIELDS).map((key) => [key, '']));
+
+const toLimit = (value) => (value === '' || value == null ? null : Number(value));
+
+const formatMoney = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+// Guardrails for automated changes (see src/lib/guardrails.js): account
+// limits, monthly spend caps per portfolio and the changes they blocked.
+// Every writer (VPS optimizer, engine, manual edits) enforces them.
+const GuardrailsSettings = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [accountId, setAccountId] = useState('');
+  const [limits, setLimits] = useState(EMPTY_LIMITS);
+  const [portfolios, setPortfolios] = useState([]);
+  const [caps, setCaps] = useState({});
+  const [spend, setSpend] = useState(null);
+  const [blockedLogs, setBlockedLogs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const { toast } = useToast();
+
+  const account = accounts.find((a) => a.id === accountId);
+
+  useEffect(() => {
+    const loadAccounts = async () => {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return;
+      const { data, error } = await supabase
+        .from('amazon_accounts')
+        .select('id, user_id, name, status, amazon_region, timezone')
+        .eq('user_id', user.id);
+      if (error) {
+        toast({ title: "Error", description: error.message, variant: "destructive" });
+        return;
+      }
+      setAccounts(data || []);
+      if (data && data.length > 0) {
+        setAccountId((data.find((a) => a.status === 'active') || data[0]).id);
+      }
+    };
+    loadAccounts();
+  }, [toast]);
+
+  const loadSettings = useCallback(async () => {
+    if (!account) return;
+    setLoading(true);
+    try {
+      const [
+        { data: settings, error: setErr },
+        { data: capRows, error: capErr },
+        { data: campaigns, error: campErr },
+        { data: logs, error: logErr },
+      ] = await Promise.all([
+        supabase.from('account_guardrails').select('*').eq('account_id', account.id).maybeSingle(),
+        supabase.from('portfolio_spend_caps').select('portfolio_id, monthly_spend_cap').eq('account_id', account.id),
+        supabase.from('amazon_campaigns').select('portfolio_id').eq('account_id', account.id).not('portfolio_id', 'is', null),
+        supabase
+          .from('error_logs')
+          .select('id, message, context, function_name, timestamp')
+          .eq('account_id', account.id)
+          .eq('context->>guardrail', 'true')
+          .order('timestamp', { ascending: false })
+          .limit(20),
+      ]);
+      if (setErr) throw setErr;
+      if (capErr) throw capErr;
+      if (campErr) throw campErr;
+      if (logErr) throw logErr;
+
+      setLimits(Object.fromEntries(Object.keys(GUARDRAIL_FIELDS).map((key) => [key, settings?.[key] ?? ''])));
+      setCaps(Object.fromEntries((capRows || []).map((c) => [c.portfolio_id, c.monthly_spend_cap ?? ''])));
+
+      // Kampanya sayısıyla portföyler (yalnızca senkronize kampanyalardan)
+      const counts = new Map();
+      for (const c of campaigns || []) counts.set(c.portfolio_id, (counts.get(c.portfolio_id) || 0) + 1);
+      for (const c of capRows || []) if (!counts.has(c.portfolio_id)) counts.set(c.portfolio_id, 0);
+      setPortfolios([...counts].map(([id, campaignCount]) => ({ id, campaignCount })));
+
+      setSpend(await loadGuardrails(supabase, account));
+      setBlockedLogs(logs || []);
+    } catch (error) {
+      console.error('Error loading guardrails:', error);
+      toast({ title: "Error", description: "An error occurred while loading guardrails.", variant: "destructive" });
+    } finally {
+      setLoading(false);
+    }
+  }, [account, toast]);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  const handleSave = async () => {
+    if (!account) return;
+    const invalid = Object.entries(limits).find(([, value]) => value !== '' && !(Number(value) >= 0));
+    if (invalid) {
+      toast({ title: "Invalid value", description: `${GUARDRAIL_FIELDS[invalid[0]]} must be a positive number.`, variant: "destructive" });
+      return;
+    }
+    setSaving(true);
+    try {
+      const now = new Date().toISOString();
+      const { error } = await supabase.from('account_guardrails').upsert(
+        {
+          user_id: account.user_id,
+          account_id: account.id,
+          ...Object.fromEntries(Object.entries(limits).map(([key, value]) => [key, toLimit(value)])),
+          updated_at: now,
+        },
+        { onConflict: 'account_id' }
+      );
+      if (error) throw error;
+
+      const capRows = portfolios
+        .filter((p) => caps[p.id] !== '' && caps[p.id] != null)
+        .map((p) => ({
+          user_id: account.user_id,
+          account_id: account.id,
+          portfolio_id: p.id,
+          monthly_spend_cap: Number(caps[p.id]),
+          updated_at: now,
+        }));
+      const cleared = portfolios.filter((p) => caps[p.id] === '').map((p) => p.id);
+      if (capRows.length > 0) {
+        const { error: capErr } = await supabase
+          .from('portfolio_spend_caps')
+          .upsert(capRows, { onConflict: 'account_id,portfolio_id' });
+        if (capErr) throw capErr;
+      }
+      if (cleared.length > 0) {
+        const { error: delErr } = await supabase
+          .from('portfolio_spend_caps')
+          .delete()
+          .eq('account_id', account.id)
+          .in('portfolio_id', cleared);
+        if (delErr) throw delErr;
+      }
+
+      toast({ title: "Guardrails saved", description: "Automated changes will be checked against the new limits." });
+      await loadSettings();
+    } catch (error) {
+      console.error('Error saving guardrails:', error);
+      toast({ title: "Error", description: error.message, variant: "destructive" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (accounts.length === 0) {
+    return (
+      <Card>
+        <CardContent className="text-center py-12 text-gray-500">
+          Link an Amazon account to set guardrails.
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between">
+          <CardTitle className="flex items-center space-x-2">
+            <ShieldCheck className="h-5 w-5" />
+            <span>Guardrails</span>
+          </CardTitle>
+          <div className="flex items-center space-x-2">
+            <Select value={accountId} onValueChange={setAccountId}>
+              <SelectTrigger className="w-[250px]">
+                <SelectValue placeholder="Select Amazon Account" />
+              </SelectTrigger>
+              <SelectContent>
+                {accounts.map((a) => (
+                  <SelectItem key={a.id} value={a.id}>{a.name || `Account ...${a.id.slice(-6)}`}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button variant="outline" size="sm" onClick={loadSettings} disabled={loading}>
+              <RefreshCcw className="h-4 w-4" />
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          <p className="text-sm text-gray-600">
+            Every automated change is checked against these limits before it is sent to Amazon. Changes that break one
+            are blocked and listed below. Leave a field empty for no limit.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            {Object.entries(GUARDRAIL_FIELDS).map(([key, label]) => (
+              <div key={key} className="space-y-2">
+                <Label htmlFor={`guardrail-${key}`}>{label}</Label>
+                <Input
+                  id={`guardrail-${key}`}
+                  type="number"
+                  min="0"
+                  step={key === 'max_changes_per_run' ? '1' : '0.01'}
+                  placeholder="No limit"
+                  value={limits[key]}
+                  onChange={(e) => setLimits((prev) => ({ ...prev, [key]: e.target.value }))}
+                />
+              </div>
+            ))}
+          </div>
+          {spend?.limits.monthly_spend_cap != null && (
+            <p className="text-sm text-gray-600">
+              Spent this month: {formatMoney(spend.accountSpend)} of {formatMoney(spend.limits.monthly_spend_cap)}
+            </p>
+          )}
+
+          <div>
+            <h3 className="font-semibold mb-2">Portfolio monthly spend caps</h3>
+            {portfolios.length === 0 ? (
+              <p className="text-sm text-gray-500">No campaigns in portfolios yet. Portfolios appear after the next sync.</p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Portfolio</TableHead>
+                    <TableHead>Campaigns</TableHead>
+                    <TableHead>Spent this month</TableHead>
+                    <TableHead>Monthly cap</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {portfolios.map((p) => (
+                    <TableRow key={p.id}>
+                      <TableCell className="font-mono text-sm">{p.id}</TableCell>
+                      <TableCell>{p.campaignCount}</TableCell>
+                      <TableCell>
+                        {spend?.portfolioCaps.has(p.id) ? formatMoney(spend.portfolioSpend.get(p.id)) : '—'}
+                      </TableCell>
+                      <TableCell>
+                        <Input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          placeholder="No cap"
+                          className="w-32"
+                          value={caps[p.id] ?? ''}
+                          onChange={(e) => setCaps((prev) => ({ ...prev, [p.id]: e.target.value }))}
+                        />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </div>
+
+          <div className="flex justify-end">
+            <Button onClick={handleSave} disabled={saving || loading} className="flex items-center space-x-2">
+              <Save className="h-4 w-4" />
+              <span>{saving ? 'Saving...' : 'Save Guardrails'}</span>
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Blocked Changes</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {blockedLogs.length === 0 ? (
+            <p className="text-sm text-gray-500">No changes have been blocked.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Time</TableHead>
+                  <TableHead>Source</TableHead>
+                  <TableHead>Entity</TableHead>
+                  <TableHead>Change</TableHead>
+                  <TableHead>Reason</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {blockedLogs.map((log) => {
+                  const change = log.context?.change || {};
+                  return (
+                    <TableRow key={log.id}>
+                      <TableCell>{new Date(log.timestamp).toLocaleString()}</TableCell>
+                      <TableCell>{log.function_name}</TableCell>
+                      <TableCell>
+                        {change.entityType} {change.entityId || ''}
+                      </TableCell>
+                      <TableCell>
+                        {change.kind}
+                        {change.next != null ? `: ${change.current ?? '—'} → ${change.next}` : ''}
+                      </TableCell>
+                      <TableCell className="text-red-600">{log.context?.reason || log.message}</TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default GuardrailsSettings;
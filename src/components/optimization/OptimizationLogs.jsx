@@ -1,14 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
 import { supabase } from '../../lib/supabaseClient';
+import { OPTIMIZATION_SERVER_URL } from '../../lib/config';
 import { useToast } from '../ui/use-toast';
-import { Clock, TrendingUp, TrendingDown, Pause, DollarSign } from 'lucide-react';
+import { Clock, TrendingUp, TrendingDown, Pause, Play, DollarSign, Undo2, Ban } from 'lucide-react';
 
 const OptimizationLogs = () => {
   const [logs, setLogs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all'); // all, today, week, month
+  const [reverting, setReverting] = useState(false);
   const { toast } = useToast();
 
   useEffect(() => {
@@ -70,6 +73,61 @@ const OptimizationLogs = () => {
     }
   };
 
+  // A log can be reverted when Amazon accepted its change (2xx api_status) and
+  // it recorded the previous bid, budget or status (pauses fall back to
+  // "enabled"). Added negatives are reverted by archiving them.
+  const canRevert = (log) => {
+    if (log.action === 'revert' || log.reverted_at) return false;
+    const action = log.details?.action;
+    if (!action) return false;
+    const apiStatus = Number(log.details?.api_status);
+    if (!(apiStatus >= 200 && apiStatus < 300)) return false;
+    if (action.api_type === 'pause' || action.api_type === 'enable') return true;
+    if (action.api_type === 'add_negative') return Boolean(action.negative);
+    return action.current_bid != null || action.current_budget != null;
+  };
+
+  // A run is reverted per rule and account: run ids are shared by every
+  // account the optimizer cycle processed
+  const canRevertRun = (log) => Boolean(log.run_id && log.rule_id && log.amazon_account_id && log.action !== 'revert');
+
+  const revertLogs = async (payload, message) => {
+    if (!confirm(message)) return;
+    setReverting(true);
+    try {
+      // The server only reverts logs of the signed-in user
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) throw new Error('Not signed in');
+      const res = await fetch(`${OPTIMIZATION_SERVER_URL}/optimization/revert`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${session.access_token}` },
+        body: JSON.stringify({ ...payload, userId: session.user.id }),
+      });
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok || json.status !== 'success') throw new Error(json.message || `HTTP ${res.status}`);
+
+      const result = json.result || {};
+      toast({
+        title: result.failed ? "Revert partially failed" : "Reverted",
+        description: `${result.reverted || 0} change(s) reverted` +
+          (result.skipped ? `, ${result.skipped} skipped` : '') +
+          (result.conflicts ? `, ${result.conflicts} changed since and left as is` : '') +
+          (result.failed ? `, ${result.failed} failed` : '') + '.',
+        variant: result.failed ? "destructive" : undefined,
+      });
+      await loadLogs();
+    } catch (error) {
+      console.error('Error reverting optimization logs:', error);
+      toast({
+        title: "Error",
+        description: "An error occurred while reverting: " + error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setReverting(false);
+    }
+  };
+
   const getActionIcon = (action) => {
     switch (action) {
       case 'decrease_bid':
@@ -77,10 +135,24 @@ const OptimizationLogs = () => {
       case 'increase_bid':
         return <TrendingUp className="h-4 w-4 text-green-500" />;
       case 'pause_campaign':
+      case 'pause_ad_group':
+      case 'pause_asin_target':
       case 'pause_keyword':
         return <Pause className="h-4 w-4 text-orange-500" />;
+      case 'enable_keyword':
+      case 'enable_ad_group':
+      case 'enable_campaign':
+      case 'enable_asin_target':
+        return <Play className="h-4 w-4 text-green-500" />;
+      case 'set_bid':
+      case 'target_acos_bid':
+        return <DollarSign className="h-4 w-4 text-purple-500" />;
       case 'adjust_budget':
         return <DollarSign className="h-4 w-4 text-blue-500" />;
+      case 'add_negative':
+        return <Ban className="h-4 w-4 text-red-500" />;
+      case 'revert':
+        return <Undo2 className="h-4 w-4 text-gray-600" />;
       default:
         return <Clock className="h-4 w-4 text-gray-500" />;
     }
@@ -92,7 +164,17 @@ const OptimizationLogs = () => {
       'increase_bid': 'Bid Increased',
       'pause_keyword': 'Keyword Paused',
       'pause_campaign': 'Campaign Paused',
-      'adjust_budget': 'Budget Adjusted'
+      'pause_ad_group': 'Ad Group Paused',
+      'enable_keyword': 'Keyword Enabled',
+      'enable_ad_group': 'Ad Group Enabled',
+      'enable_campaign': 'Campaign Enabled',
+      'pause_asin_target': 'Target Paused',
+      'enable_asin_target': 'Target Enabled',
+      'set_bid': 'Bid Set',
+      'target_acos_bid': 'Bid Set to Target ACOS',
+      'adjust_budget': 'Budget Adjusted',
+      'add_negative': 'Added as Negative',
+      'revert': 'Reverted'
     };
     return actionNames[action] || action;
   };
@@ -103,7 +185,17 @@ const OptimizationLogs = () => {
       'increase_bid': 'bg-green-100 text-green-800',
       'pause_keyword': 'bg-orange-100 text-orange-800',
       'pause_campaign': 'bg-orange-100 text-orange-800',
-      'adjust_budget': 'bg-blue-100 text-blue-800'
+      'pause_ad_group': 'bg-orange-100 text-orange-800',
+      'enable_keyword': 'bg-green-100 text-green-800',
+      'enable_ad_group': 'bg-green-100 text-green-800',
+      'enable_campaign': 'bg-green-100 text-green-800',
+      'pause_asin_target': 'bg-orange-100 text-orange-800',
+      'enable_asin_target': 'bg-green-100 text-green-800',
+      'set_bid': 'bg-purple-100 text-purple-800',
+      'target_acos_bid': 'bg-purple-100 text-purple-800',
+      'adjust_budget': 'bg-blue-100 text-blue-800',
+      'add_negative': 'bg-red-100 text-red-800',
+      'revert': 'bg-gray-200 text-gray-800'
     };
     return colors[action] || 'bg-gray-100 text-gray-800';
   };
@@ -176,6 +268,11 @@ const OptimizationLogs = () => {
                             Rule: {log.optimization_rules.name}
                           </span>
                         )}
+                        {log.reverted_at && (
+                          <Badge className="bg-gray-100 text-gray-600">
+                            Reverted {formatDate(log.reverted_at)}
+                          </Badge>
+                        )}
                       </div>
                       
                       <p className="text-sm text-gray-700 mb-2">
@@ -189,6 +286,12 @@ const OptimizationLogs = () => {
                         {log.entity_type && log.entity_id && (
                           <p>Entity: {log.entity_type} - {log.entity_id}</p>
                         )}
+                        {log.details?.action?.negative && (
+                          <p>
+                            Negative: {log.details.action.negative.keywordText || log.details.action.negative.asin}
+                            {' '}({log.details.action.negative.level === 'campaign' ? 'campaign' : 'ad group'})
+                          </p>
+                        )}
                         <p>Time: {formatDate(log.created_at)}</p>
                       </div>
 
@@ -206,6 +309,33 @@ const OptimizationLogs = () => {
                       )}
                     </div>
                   </div>
+                  {(canRevert(log) || canRevertRun(log)) && (
+                    <div className="flex flex-col space-y-2 ml-4">
+                      {canRevert(log) && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          disabled={reverting}
+                          onClick={() => revertLogs({ logIds: [log.id] }, 'Restore the previous value for this change?')}
+                          className="flex items-center space-x-1"
+                        >
+                          <Undo2 className="h-3 w-3" />
+                          <span>Revert</span>
+                        </Button>
+                      )}
+                      {canRevertRun(log) && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          disabled={reverting}
+                          onClick={() => revertLogs({ runId: log.run_id, accountId: log.amazon_account_id, ruleId: log.rule_id }, 'Revert every change this rule made on this account in this optimizer run?')}
+                          className="text-xs text-gray-600"
+                        >
+                          Revert run
+                        </Button>
+                      )}
+                    </div>
+                  )}
                 </div>
               </CardContent>
             </Card>
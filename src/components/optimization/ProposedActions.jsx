@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { supabase } from '../../lib/supabaseClient';
+import { useToast } from '../ui/use-toast';
+import { FlaskConical, RefreshCcw } from 'lucide-react';
+
+// Shows the output of the VPS optimizer in dry-run mode (DRY_RUN=1):
+// for each rule, which keywords, ad groups or campaigns would change and by how much.
+const ProposedActions = () => {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    loadProposedActions();
+  }, []);
+
+  const loadProposedActions = async () => {
+    setLoading(true);
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return;
+
+      const { data, error } = await supabase
+        .from('optimization_proposed_actions')
+        .select(`
+          *,
+          optimization_rules(name),
+          amazon_campaigns(name),
+          amazon_keywords(text, match_type)
+        `)
+        .eq('user_id', user.id)
+        .eq('status', 'simulated')
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      setRows(await attachEntityNames(data || []));
+    } catch (error) {
+      console.error('Error loading proposed actions:', error);
+      toast({
+        title: "Error",
+        description: "An error occurred while loading simulated actions.",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const groupByRule = (items) => {
+    const groups = new Map();
+    for (const row of items) {
+      const key = row.rule_id || 'unknown';
+      const group = groups.get(key) || {
+        ruleId: key,
+        ruleName: row.optimization_rules?.name || 'Unknown rule',
+        simulatedAt: row.created_at,
+        rows: [],
+      };
+      group.rows.push(row);
+      groups.set(key, group);
+    }
+    return Array.from(groups.values());
+  };
+
+  // Ad group ve hedef satırlarının FK'si yok; isimler Amazon id'si ile ayrıca çekilir
+  const attachEntityNames = async (items) => {
+    const lookups = [
+      { entity: 'ad_group', table: 'amazon_ad_groups', idColumn: 'amazon_ad_group_id', nameColumn: 'name' },
+      { entity: 'asin_target', table: 'amazon_targets', idColumn: 'amazon_target_id', nameColumn: 'expression_text' },
+    ];
+    const names = new Map();
+    for (const { entity, table, idColumn, nameColumn } of lookups) {
+      const ids = items.filter(r => r.entity_type === entity).map(r => r.entity_id);
+      if (ids.length === 0) continue;
+      const { data } = await supabase.from(table).select(`${idColumn}, ${nameColumn}`).in(idColumn, ids);
+      for (const row of data || []) names.set(`${entity}:${row[idColumn]}`, row[nameColumn]);
+    }
+    return items.map(r => ({ ...r, entity_name: names.get(`${r.entity_type}:${r.entity_id}`) }));
+  };
+
+  const isBudgetChange = (row) => row.new_budget != null;
+
+  const formatBid = (value) => {
+    const num = Number(value);
+    return Number.isFinite(num) ? num.toFixed(2) : 'N/A';
+  };
+
+  const describeChange = (row) => {
+    if (row.api_type === 'add_negative') {
+      const match = row.action_payload?.asin ? 'product target' : row.action_payload?.matchType === 'negativePhrase' ? 'phrase' : 'exact';
+      return <Badge className="bg-red-100 text-red-800">Negative {match}</Badge>;
+    }
+    if (row.api_type === 'pause') {
+      return <Badge className="bg-orange-100 text-orange-800">Pause</Badge>;
+    }
+    if (row.api_type === 'enable') {
+      return <Badge className="bg-green-100 text-green-800">Enable</Badge>;
+    }
+    const current = Number(isBudgetChange(row) ? row.current_budget : row.current_bid) || 0;
+    const next = Number(isBudgetChange(row) ? row.new_budget : row.new_bid) || 0;
+    const diff = next - current;
+    const pct = current > 0 ? (diff / current) * 100 : 0;
+    const color = diff > 0 ? 'text-green-600' : diff < 0 ? 'text-red-600' : 'text-gray-500';
+    return (
+      <span className={color}>
+        {diff >= 0 ? '+' : ''}{diff.toFixed(2)} ({pct >= 0 ? '+' : ''}{pct.toFixed(1)}%)
+      </span>
+    );
+  };
+
+  const describeTarget = (row) => {
+    if (row.entity_type === 'search_term') return row.action_payload?.keywordText || row.action_payload?.asin || row.entity_id;
+    if (row.entity_type === 'campaign') return row.amazon_campaigns?.name || row.entity_id;
+    if (row.entity_type === 'ad_group' || row.entity_type === 'asin_target') return row.entity_name || row.entity_id;
+    return row.amazon_keywords?.text || row.entity_id;
+  };
+
+  const entityLabel = (row) => ({ campaign: 'Campaign', ad_group: 'Ad group', asin_target: 'Product target', search_term: 'Search term' }[row.entity_type] || 'Keyword');
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const groups = groupByRule(rows);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold">Simulation Results</h2>
+        <Button variant="outline" onClick={loadProposedActions} className="flex items-center space-x-2">
+          <RefreshCcw className="h-4 w-4" />
+          <span>Reload</span>
+        </Button>
+      </div>
+
+      {groups.length === 0 ? (
+        <Card>
+          <CardContent className="flex flex-col items-center justify-center py-12">
+            <FlaskConical className="h-12 w-12 text-gray-400 mb-4" />
+            <h3 className="text-lg font-semibold text-gray-600 mb-2">
+              No simulated actions yet
+            </h3>
+            <p className="text-gray-500 text-center">
+              Run the optimizer in dry-run mode to preview what your rules would change.
+            </p>
+          </CardContent>
+        </Card>
+      ) : (
+        groups.map((group) => (
+          <Card key={group.ruleId}>
+            <CardHeader className="pb-3">
+              <div className="flex items-center justify-between">
+                <CardTitle className="text-lg">{group.ruleName}</CardTitle>
+                <span className="text-xs text-gray-500">
+                  {group.rows.length} change(s) · simulated {formatDate(group.simulatedAt)}
+                </span>
+              </div>
+            </CardHeader>
+            <CardContent>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Target</TableHead>
+                    <TableHead>Type</TableHead>
+                    <TableHead>Current</TableHead>
+                    <TableHead>New</TableHead>
+                    <TableHead>Change</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {group.rows.map((row) => (
+                    <TableRow key={row.id}>
+                      <TableCell className="font-medium">
+                        {describeTarget(row)}
+                      </TableCell>
+                      <TableCell>
+                        {entityLabel(row)}
+                        {row.amazon_keywords?.match_type && ` (${row.amazon_keywords.match_type})`}
+                      </TableCell>
+                      <TableCell>{row.api_type === 'add_negative' ? '—' : formatBid(isBudgetChange(row) ? row.current_budget : row.current_bid)}</TableCell>
+                      <TableCell>{['pause', 'enable', 'add_negative'].includes(row.api_type) ? '—' : formatBid(isBudgetChange(row) ? row.new_budget : row.new_bid)}</TableCell>
+                      <TableCell>{describeChange(row)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </CardContent>
+          </Card>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default ProposedActions;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '../ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { supabase } from '../../lib/supabaseClient';
+import { useToast } from '../ui/use-toast';
+import { BACKTEST_DAY_OPTIONS, backtestRule } from '../../lib/ruleBacktest';
+import { FlaskConical, X } from 'lucide-react';
+
+const formatMoney = (value) => `${value < 0 ? '-' : ''}$${Math.abs(Number(value || 0)).toFixed(2)}`;
+
+const formatDelta = (value) => `${value > 0 ? '+' : ''}${formatMoney(value)}`;
+
+const formatValue = (value) => (typeof value === 'number' ? formatMoney(value) : value || '—');
+
+// Replays a rule over the stored daily metrics (see src/lib/ruleBacktest.js)
+// and shows how often it would have fired, what it would have touched and
+// the estimated spend / sales impact.
+const RuleBacktest = ({ rule, onClose }) => {
+  const [accounts, setAccounts] = useState([]);
+  const [accountId, setAccountId] = useState('');
+  const [days, setDays] = useState('30');
+  const [report, setReport] = useState(null);
+  const [running, setRunning] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    const loadAccounts = async () => {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return;
+      const { data, error } = await supabase
+        .from('amazon_accounts')
+        .select('id, name, status')
+        .eq('user_id', user.id);
+      if (error) {
+        toast({ title: "Error", description: error.message, variant: "destructive" });
+        return;
+      }
+      setAccounts(data || []);
+      if (data && data.length > 0) {
+        setAccountId((data.find((a) => a.status === 'active') || data[0]).id);
+      }
+    };
+    loadAccounts();
+  }, [toast]);
+
+  const runBacktest = async () => {
+    if (!accountId) return;
+    setRunning(true);
+    setReport(null);
+    try {
+      setReport(await backtestRule(supabase, { rule, accountId, days: Number(days) }));
+    } catch (error) {
+      console.error('Error running backtest:', error);
+      toast({ title: "Backtest failed", description: error.message, variant: "destructive" });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="font-semibold flex items-center space-x-2">
+          <FlaskConical className="h-4 w-4" />
+          <span>Backtest</span>
+        </h3>
+        <div className="flex items-center space-x-2">
+          <Select value={accountId} onValueChange={setAccountId}>
+            <SelectTrigger className="w-[200px]">
+              <SelectValue placeholder="Select Amazon Account" />
+            </SelectTrigger>
+            <SelectContent>
+              {accounts.map((a) => (
+                <SelectItem key={a.id} value={a.id}>{a.name || `Account ...${a.id.slice(-6)}`}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={days} onValueChange={setDays}>
+            <SelectTrigger className="w-[140px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {BACKTEST_DAY_OPTIONS.map((option) => (
+                <SelectItem key={option} value={String(option)}>Last {option} days</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button size="sm" onClick={runBacktest} disabled={running || !accountId}>
+            {running ? 'Running...' : 'Run'}
+          </Button>
+          <Button variant="ghost" size="sm" onClick={onClose}>
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      {report && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div>
+              <span className="font-medium text-gray-600">Fired:</span>
+              <p className="mt-1">
+                {report.fires} times on {report.firingDays} of {report.days} days ({report.runs} runs)
+              </p>
+            </div>
+            <div>
+              <span className="font-medium text-gray-600">Entities touched:</span>
+              <p className="mt-1">{report.entities.length}</p>
+            </div>
+            <div>
+              <span className="font-medium text-gray-600">Spend:</span>
+              <p className="mt-1">
+                {formatMoney(report.spend.estimated)}{' '}
+                <span className={report.spend.delta > 0 ? 'text-red-600' : 'text-green-600'}>
+                  ({formatDelta(report.spend.delta)})
+                </span>
+              </p>
+            </div>
+            <div>
+              <span className="font-medium text-gray-600">Sales:</span>
+              <p className="mt-1">
+                {formatMoney(report.sales.estimated)}{' '}
+                <span className={report.sales.delta < 0 ? 'text-red-600' : 'text-green-600'}>
+                  ({formatDelta(report.sales.delta)})
+                </span>
+              </p>
+            </div>
+          </div>
+
+          {report.entities.length === 0 ? (
+            <p className="text-sm text-gray-500">The rule would not have changed anything in this period.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Entity</TableHead>
+                  <TableHead>Fired</TableHead>
+                  <TableHead>First / last</TableHead>
+                  <TableHead>Change</TableHead>
+                  <TableHead>Spend impact</TableHead>
+                  <TableHead>Sales impact</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {report.entities.map((entity) => (
+                  <TableRow key={entity.entityId}>
+                    <TableCell>{entity.name || entity.entityId}</TableCell>
+                    <TableCell>{entity.fires}</TableCell>
+                    <TableCell className="text-xs">
+                      {entity.firstDate}
+                      {entity.lastDate !== entity.firstDate && ` / ${entity.lastDate}`}
+                    </TableCell>
+                    <TableCell>
+                      {formatValue(entity.startValue)} → {formatValue(entity.endValue)}
+                    </TableCell>
+                    <TableCell>{formatDelta(entity.spendDelta)}</TableCell>
+                    <TableCell>{formatDelta(entity.salesDelta)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+
+          <p className="text-xs text-gray-500">
+            Estimates replay the stored daily metrics from the current bids and budgets. Conditions do not see the
+            effect of earlier simulated changes, so treat the impact as a rough guide.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RuleBacktest;
@@ -7,39 +7,134 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '.
 import { Switch } from '../ui/switch';
 import { supabase } from '../../lib/supabaseClient';
 import { useToast } from '../ui/use-toast';
+import {
+  migrateRuleSettings,
+  RULE_SCHEMA_VERSION,
+  BID_ACTION_TYPES,
+  BUDGET_ACTION_TYPES,
+  SUPPORTED_ACTIONS,
+  ENTITY_LABELS,
+  TARGET_ACOS_DEFAULTS,
+  conditionTree,
+  conditionsFromTree,
+  describeConditions,
+} from '../../lib/ruleEvaluator';
+import { findRuleOverlaps } from '../../lib/ruleConflicts';
+import { RULE_TEMPLATES, getRuleTemplate, instantiateTemplate, templateDefaults } from '../../lib/ruleTemplates';
+import { actionTypeOptions } from '../settings/settingsConstants';
+import ConditionGroupEditor from './ConditionGroupEditor';
+
+const entityOptions = [
+  { value: 'keyword', label: 'Keywords' },
+  { value: 'ad_group', label: 'Ad Groups' },
+  { value: 'campaign', label: 'Campaigns' },
+  { value: 'asin_target', label: 'Product Targets (ASIN)' },
+  { value: 'search_term', label: 'Search Terms' },
+];
+
+const budgetActionOptions = [
+  { value: 'adjust_budget_percentage', label: 'Adjust Budget by %' },
+  { value: 'set_budget', label: 'Set Daily Budget to (€)' },
+];
+
+const targetAcosActionOptions = [
+  { value: 'target_acos', label: 'Bid to Target ACOS' },
+];
+
+const negativeActionOptions = [
+  { value: 'add_negative', label: 'Add as Negative' },
+];
+
+const negativeMatchOptions = [
+  { value: 'negativeExact', label: 'Negative Exact' },
+  { value: 'negativePhrase', label: 'Negative Phrase' },
+];
+
+const negativeLevelOptions = [
+  { value: 'ad_group', label: 'Ad Group' },
+  { value: 'campaign', label: 'Campaign' },
+];
+
+// Aksiyon listesi evaluator'daki SUPPORTED_ACTIONS'tan türetilir; pause/enable
+// etiketleri seçilen varlığa göre yazılır
+const getActionOptions = (entity) => {
+  const label = ENTITY_LABELS[entity] || entity;
+  const title = label.charAt(0).toUpperCase() + label.slice(1);
+  const known = [...actionTypeOptions, ...targetAcosActionOptions, ...budgetActionOptions, ...negativeActionOptions];
+  return (SUPPORTED_ACTIONS[entity] || SUPPORTED_ACTIONS.keyword).map(type => {
+    if (type === 'pause_entity') return { value: type, label: `Pause ${title}` };
+    if (type === 'enable_entity') return { value: type, label: `Enable ${title}` };
+    return known.find(opt => opt.value === type) || { value: type, label: type };
+  });
+};
+
+const defaultSettings = {
+  schema_version: RULE_SCHEMA_VERSION,
+  entity: 'keyword',
+  conditions: [
+    { metric: 'acos', comparison: '>', value: 40 }
+  ],
+  action: { type: 'adjust_bid_percentage', value: -10, min_bid: 0.02, max_bid: 10 },
+  scope: { type: 'ALL', campaign_ids: [], keyword_ids: [] },
+  // Zamanlama: kuralın ne sıklıkla ve kaç günlük veriye göre çalışacağı
+  frequency_days: 1,
+  lookback_days: 7,
+  // true ise aksiyonlar doğrudan uygulanmaz, onay kuyruğuna düşer
+  require_approval: false,
+  // Varlık başına bekleme: son değişiklikten sonraki saat ve yeni tıklama (0 = kapalı)
+  cooldown_hours: 0,
+  min_new_clicks: 0,
+};
+
+const buildInitialRule = (editingRule) => {
+  if (!editingRule) {
+    return {
+      name: '',
+      enabled: true,
+      priority: 1,
+      settings: defaultSettings,
+    };
+  }
+  return {
+    name: editingRule.name || '',
+    enabled: editingRule.enabled !== false,
+    priority: editingRule.priority || 1,
+    // Eski formatta kaydedilmiş kurallar v2 şemasına çevrilerek açılır
+    settings: migrateRuleSettings(editingRule.settings, editingRule.match_type),
+  };
+};
 
-const RuleForm = ({ onRuleCreated, onCancel }) => {
+const RuleForm = ({ onRuleCreated, onCancel, editingRule }) => {
   const [loading, setLoading] = useState(false);
   const [campaigns, setCampaigns] = useState([]);
-  const [ruleData, setRuleData] = useState({
-    name: '',
-    enabled: true,
-    priority: 1,
-    match_type: 'ALL',
-    bid_adjustment: 0.1,
-    settings: {
-      metric: 'acos',
-      condition: 'greater_than',
-      threshold: 40,
-      action: 'decrease_bid',
-      action_value: 10,
-      campaign_ids: [],
-      ad_group_ids: [],
-      keyword_ids: [],
-      conditions: [
-        { metric: 'acos', condition: 'greater_than', threshold: 40 }
-      ],
-      // Yeni zamanlama alanları: kuralın ne sıklıkla ve kaç günlük veriye göre çalışacağı
-      frequency_days: 1,
-      lookback_days: 7,
-    }
-  });
+  const [existingRules, setExistingRules] = useState([]);
+  const [ruleData, setRuleData] = useState(() => buildInitialRule(editingRule));
+  const [templateId, setTemplateId] = useState('');
+  const [templateParams, setTemplateParams] = useState({});
   const { toast } = useToast();
 
   useEffect(() => {
     loadCampaigns();
+    loadExistingRules();
   }, []);
 
+  // Çakışma uyarısı için kullanıcının diğer kuralları
+  const loadExistingRules = async () => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return;
+
+      const { data: rules } = await supabase
+        .from('optimization_rules')
+        .select('id, name, enabled, priority, settings, match_type, created_at')
+        .eq('user_id', user.id);
+
+      setExistingRules(rules || []);
+    } catch (error) {
+      console.error('Error loading rules:', error);
+    }
+  };
+
   const loadCampaigns = async () => {
     try {
       const { data: { user } } = await supabase.auth.getUser();
@@ -55,7 +150,8 @@ const RuleForm = ({ onRuleCreated, onCancel }) => {
         const { data: campaigns } = await supabase
           .from('amazon_campaigns')
           .select('id, name, campaign_id')
-          .eq('account_id', account.id);
+          .eq('account_id', account.id)
+          .eq('ad_product', 'SPONSORED_PRODUCTS');
 
         setCampaigns(campaigns || []);
       }
@@ -66,6 +162,16 @@ const RuleForm = ({ onRuleCreated, onCancel }) => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    if (ruleData.settings.action.type === 'target_acos' && !(ruleData.settings.action.value > 0)) {
+      toast({
+        title: "Invalid target ACOS",
+        description: "Enter a target ACOS above 0%.",
+        variant: "destructive",
+      });
+      return;
+    }
+
     setLoading(true);
 
     try {
@@ -74,19 +180,22 @@ const RuleForm = ({ onRuleCreated, onCancel }) => {
 
       const ruleToSave = {
         ...ruleData,
+        // match_type sütunu eski okuyucular için kapsamla senkron tutulur
+        match_type: ruleData.settings.scope.type === 'ALL' ? 'ALL' : 'SELECTED',
+        updated_at: new Date().toISOString(),
         user_id: user.id
       };
 
-      const { data, error } = await supabase
-        .from('optimization_rules')
-        .insert(ruleToSave)
-        .select()
-        .single();
+      const query = editingRule?.id
+        ? supabase.from('optimization_rules').update(ruleToSave).eq('id', editingRule.id)
+        : supabase.from('optimization_rules').insert(ruleToSave);
+
+      const { data, error } = await query.select().single();
 
       if (error) throw error;
 
       toast({
-        title: "Rule created",
+        title: editingRule?.id ? "Rule updated" : "Rule created",
         description: "Optimization rule saved successfully.",
       });
 
@@ -94,10 +203,10 @@ const RuleForm = ({ onRuleCreated, onCancel }) => {
         onRuleCreated(data);
       }
     } catch (error) {
-      console.error('Error creating rule:', error);
+      console.error('Error saving rule:', error);
       toast({
         title: "Error",
-        description: "An error occurred while creating the rule.",
+        description: "An error occurred while saving the rule.",
         variant: "destructive",
       });
     } finally {
@@ -106,116 +215,139 @@ const RuleForm = ({ onRuleCreated, onCancel }) => {
   };
 
   const updateRuleData = (field, value) => {
-    if (field.includes('.')) {
-      const [parent, child] = field.split('.');
-      setRuleData(prev => ({
-        ...prev,
-        [parent]: {
-          ...prev[parent],
-          [child]: value
-        }
-      }));
-    } else {
-      setRuleData(prev => ({
-        ...prev,
-        [field]: value
-      }));
-    }
+    setRuleData(prev => ({
+      ...prev,
+      [field]: value
+    }));
   };
 
-  const addCondition = () => {
+  const updateSettings = (patch) => {
     setRuleData(prev => ({
       ...prev,
       settings: {
         ...prev.settings,
-        conditions: [
-          ...(prev.settings.conditions && prev.settings.conditions.length > 0
-            ? prev.settings.conditions
-            : [{
-                metric: prev.settings.metric,
-                condition: prev.settings.condition,
-                threshold: prev.settings.threshold
-              }]),
-          { metric: 'acos', condition: 'greater_than', threshold: 40 }
-        ]
+        ...patch
       }
     }));
   };
 
-  const updateCondition = (index, field, value) => {
-    setRuleData(prev => {
-      const existingConditions = prev.settings.conditions && prev.settings.conditions.length > 0
-        ? prev.settings.conditions
-        : [{
-            metric: prev.settings.metric,
-            condition: prev.settings.condition,
-            threshold: prev.settings.threshold
-          }];
-
-      const newConditions = existingConditions.map((cond, i) =>
-        i === index ? { ...cond, [field]: value } : cond
-      );
-
-      const first = newConditions[0];
-
-      return {
-        ...prev,
-        settings: {
-          ...prev.settings,
-          metric: first.metric,
-          condition: first.condition,
-          threshold: first.threshold,
-          conditions: newConditions
-        }
-      };
-    });
+  const updateAction = (field, value) => {
+    setRuleData(prev => ({
+      ...prev,
+      settings: {
+        ...prev.settings,
+        action: { ...prev.settings.action, [field]: value }
+      }
+    }));
   };
 
-  const removeCondition = (index) => {
-    setRuleData(prev => {
-      const existingConditions = prev.settings.conditions && prev.settings.conditions.length > 0
-        ? prev.settings.conditions
-        : [{
-            metric: prev.settings.metric,
-            condition: prev.settings.condition,
-            threshold: prev.settings.threshold
-          }];
-
-      if (existingConditions.length <= 1) {
-        return prev;
+  const updateScope = (patch) => {
+    setRuleData(prev => ({
+      ...prev,
+      settings: {
+        ...prev.settings,
+        scope: { ...prev.settings.scope, ...patch }
       }
+    }));
+  };
 
-      const newConditions = existingConditions.filter((_, i) => i !== index);
-      const first = newConditions[0];
-
-      return {
-        ...prev,
-        settings: {
-          ...prev.settings,
-          metric: first.metric,
-          condition: first.condition,
-          threshold: first.threshold,
-          conditions: newConditions
-        }
-      };
+  const handleEntityChange = (entity) => {
+    // Varlık değişince aksiyon o varlığın ilk desteklenen aksiyonuna döner
+    const firstAction = getActionOptions(entity)[0].value;
+    updateSettings({
+      entity,
+      action: { ...ruleData.settings.action, type: firstAction },
+      // Auto/manual ayrımı yalnızca ürün hedefleri için anlamlı
+      scope: {
+        ...ruleData.settings.scope,
+        expression_type: entity === 'asin_target' ? ruleData.settings.scope.expression_type || null : null,
+      },
+    });
+  };
+
+  const handleTemplateChange = (id) => {
+    setTemplateId(id);
+    setTemplateParams(templateDefaults(getRuleTemplate(id)));
+  };
+
+  // Şablon, kullanıcının eşikleriyle formu doldurur; kaydetmeden önce düzenlenebilir
+  const applyTemplate = () => {
+    const template = getRuleTemplate(templateId);
+    if (!template) return;
+    setRuleData(instantiateTemplate(template, templateParams));
+    toast({
+      title: "Template applied",
+      description: `"${template.name}" was filled in. Review it and save the rule.`,
     });
   };
 
-  const effectiveConditions = (ruleData.settings.conditions && ruleData.settings.conditions.length > 0)
-    ? ruleData.settings.conditions
-    : [{
-        metric: ruleData.settings.metric,
-        condition: ruleData.settings.condition,
-        threshold: ruleData.settings.threshold
-      }];
+  const { settings } = ruleData;
+  const selectedTemplate = getRuleTemplate(templateId);
+  const overlaps = ruleData.enabled
+    ? findRuleOverlaps({ ...ruleData, id: editingRule?.id }, existingRules)
+    : [];
+  const actionOptions = getActionOptions(settings.entity);
+  const actionHasValue = !['pause_entity', 'enable_entity', 'add_negative'].includes(settings.action.type);
+  const isNegativeAction = settings.action.type === 'add_negative';
+  const isBidAction = BID_ACTION_TYPES.includes(settings.action.type);
+  const isTargetAcosAction = settings.action.type === 'target_acos';
+  const isBudgetAction = BUDGET_ACTION_TYPES.includes(settings.action.type);
+  const actionValueLabel = {
+    adjust_bid_amount: 'Change (€, negative to decrease)',
+    set_bid: 'New Bid (€)',
+    target_acos: 'Target ACOS (%)',
+    set_budget: 'New Daily Budget (€)',
+  }[settings.action.type] || 'Change (%, negative to decrease)';
 
   return (
     <Card className="w-full max-w-2xl mx-auto">
       <CardHeader>
-        <CardTitle>New Optimization Rule</CardTitle>
+        <CardTitle>{editingRule ? 'Edit Optimization Rule' : 'New Optimization Rule'}</CardTitle>
       </CardHeader>
       <CardContent>
         <form onSubmit={handleSubmit} className="space-y-6">
+          {/* Templates (yalnızca yeni kural) */}
+          {!editingRule && (
+            <div className="space-y-3 p-4 border rounded-lg bg-gray-50">
+              <div>
+                <Label htmlFor="template">Start from a template</Label>
+                <Select value={templateId} onValueChange={handleTemplateChange}>
+                  <SelectTrigger id="template">
+                    <SelectValue placeholder="Choose a template (optional)" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {RULE_TEMPLATES.map(template => (
+                      <SelectItem key={template.id} value={template.id}>{template.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {selectedTemplate && (
+                <>
+                  <p className="text-sm text-gray-600">{selectedTemplate.description}</p>
+                  <div className="grid grid-cols-2 gap-4">
+                    {selectedTemplate.params.map(param => (
+                      <div key={param.key}>
+                        <Label htmlFor={`template-${param.key}`}>{param.label}</Label>
+                        <Input
+                          id={`template-${param.key}`}
+                          type="number"
+                          step="any"
+                          value={templateParams[param.key] ?? ''}
+                          onChange={(e) => setTemplateParams(prev => ({ ...prev, [param.key]: e.target.value }))}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  <Button type="button" variant="outline" onClick={applyTemplate}>
+                    Use Template
+                  </Button>
+                </>
+              )}
+            </div>
+          )}
+
           {/* Basic Information */}
           <div className="space-y-4">
             <div>
@@ -224,7 +356,7 @@ const RuleForm = ({ onRuleCreated, onCancel }) => {
                 id="name"
                 value={ruleData.name}
                 onChange={(e) => updateRuleData('name', e.target.value)}
-                placeholder="Ex: High ACOS Campaigns"
+                placeholder="Ex: High ACOS Keywords"
                 required
               />
             </div>
@@ -238,136 +370,227 @@ const RuleForm = ({ onRuleCreated, onCancel }) => {
               <Label htmlFor="enabled">Enable Rule</Label>
             </div>
 
-            <div>
-              <Label htmlFor="priority">Priority</Label>
-              <Select
-                value={ruleData.priority.toString()}
-                onValueChange={(value) => updateRuleData('priority', parseInt(value))}
-              >
-                <SelectTrigger>
-                  <SelectValue />
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="1">1 - Highest</SelectItem>
-                  <SelectItem value="2">2 - High</SelectItem>
-                  <SelectItem value="3">3 - Medium</SelectItem>
-                  <SelectItem value="4">4 - Low</SelectItem>
-                  <SelectItem value="5">5 - Lowest</SelectItem>
-                </SelectContent>
-              </Select>
+            <div className="flex items-center space-x-2">
+              <Switch
+                id="require_approval"
+                checked={!!settings.require_approval}
+                onCheckedChange={(checked) => updateSettings({ require_approval: checked })}
+              />
+              <Label htmlFor="require_approval">Require approval before changes are sent to Amazon</Label>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label htmlFor="priority">Priority</Label>
+                <Select
+                  value={ruleData.priority.toString()}
+                  onValueChange={(value) => updateRuleData('priority', parseInt(value))}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="1">1 - Highest</SelectItem>
+                    <SelectItem value="2">2 - High</SelectItem>
+                    <SelectItem value="3">3 - Medium</SelectItem>
+                    <SelectItem value="4">4 - Low</SelectItem>
+                    <SelectItem value="5">5 - Lowest</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div>
+                <Label htmlFor="entity">Applies To</Label>
+                <Select value={settings.entity} onValueChange={handleEntityChange}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {entityOptions.map(opt => (
+                      <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
             </div>
           </div>
 
           {/* Condition Settings */}
           <div className="space-y-4">
             <h3 className="text-lg font-semibold">Condition Settings</h3>
-            {effectiveConditions.map((cond, index) => (
-              <div key={index} className="grid grid-cols-3 gap-4 items-end">
+            <p className="text-xs text-gray-500">
+              Conditions are combined with AND or OR; groups can be nested and NOT inverts a group.
+              ACOS, CTR and conversion rate are entered in percent. Leave a window empty to use the lookback window.
+            </p>
+            <ConditionGroupEditor
+              group={conditionTree(settings.conditions)}
+              onChange={(tree) => updateSettings({ conditions: conditionsFromTree(tree) })}
+              lookbackDays={settings.lookback_days}
+            />
+            <p className="text-sm text-gray-600">
+              <span className="font-medium">Matches when:</span> {describeConditions(settings.conditions)}
+            </p>
+          </div>
+
+          {/* Action Settings */}
+          <div className="space-y-4">
+            <h3 className="text-lg font-semibold">Action Settings</h3>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label htmlFor="action">Action</Label>
+                <Select
+                  value={settings.action.type}
+                  onValueChange={(value) => updateAction('type', value)}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {actionOptions.map(opt => (
+                      <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {actionHasValue && (
+                <div>
+                  <Label htmlFor="action_value">{actionValueLabel}</Label>
+                  <Input
+                    id="action_value"
+                    type="number"
+                    step="0.1"
+                    value={settings.action.value}
+                    onChange={(e) => updateAction('value', parseFloat(e.target.value))}
+                    placeholder="-10"
+                  />
+                </div>
+              )}
+            </div>
+
+            {isBidAction && (
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <Label htmlFor="min_bid">Minimum Bid</Label>
+                  <Input
+                    id="min_bid"
+                    type="number"
+                    step="0.01"
+                    value={settings.action.min_bid ?? 0.02}
+                    onChange={(e) => updateAction('min_bid', parseFloat(e.target.value))}
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="max_bid">Maximum Bid</Label>
+                  <Input
+                    id="max_bid"
+                    type="number"
+                    step="0.01"
+                    value={settings.action.max_bid ?? 10}
+                    onChange={(e) => updateAction('max_bid', parseFloat(e.target.value))}
+                  />
+                </div>
+              </div>
+            )}
+
+            {/* Hedef ACOS: koşullar sağlandığında teklif her çalıştırmada en fazla max_step kadar hedefe yaklaştırılır */}
+            {isTargetAcosAction && (
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <Label htmlFor="max_step">Max Bid Change per Run (%)</Label>
+                  <Input
+                    id="max_step"
+                    type="number"
+                    step="1"
+                    min="1"
+                    value={settings.action.max_step ?? TARGET_ACOS_DEFAULTS.max_step}
+                    onChange={(e) => updateAction('max_step', parseFloat(e.target.value))}
+                  />
+                </div>
                 <div>
-                  <Label htmlFor={`metric-${index}`}>Metric</Label>
+                  <Label htmlFor="min_clicks">Minimum Clicks</Label>
+                  <Input
+                    id="min_clicks"
+                    type="number"
+                    step="1"
+                    min="1"
+                    value={settings.action.min_clicks ?? TARGET_ACOS_DEFAULTS.min_clicks}
+                    onChange={(e) => updateAction('min_clicks', parseInt(e.target.value))}
+                  />
+                </div>
+                <p className="col-span-2 text-xs text-gray-500">
+                  The bid moves towards conversion rate × average order value × target ACOS over the lookback window. Keywords with fewer clicks are left unchanged.
+                </p>
+              </div>
+            )}
+
+            {isBudgetAction && (
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <Label htmlFor="min_budget">Minimum Budget</Label>
+                  <Input
+                    id="min_budget"
+                    type="number"
+                    step="0.01"
+                    value={settings.action.min_budget ?? 1}
+                    onChange={(e) => updateAction('min_budget', parseFloat(e.target.value))}
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="max_budget">Maximum Budget</Label>
+                  <Input
+                    id="max_budget"
+                    type="number"
+                    step="0.01"
+                    value={settings.action.max_budget ?? ''}
+                    onChange={(e) => updateAction('max_budget', e.target.value === '' ? null : parseFloat(e.target.value))}
+                    placeholder="No limit"
+                  />
+                </div>
+              </div>
+            )}
+
+            {isNegativeAction && (
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <Label htmlFor="negative_match_type">Negative Match Type</Label>
                   <Select
-                    value={cond.metric}
-                    onValueChange={(value) => updateCondition(index, 'metric', value)}
+                    value={settings.action.match_type || 'negativeExact'}
+                    onValueChange={(value) => updateAction('match_type', value)}
                   >
                     <SelectTrigger>
                       <SelectValue />
                     </SelectTrigger>
                     <SelectContent>
-                      <SelectItem value="acos">ACOS</SelectItem>
-                      <SelectItem value="ctr">CTR</SelectItem>
-                      <SelectItem value="cpc">CPC</SelectItem>
-                      <SelectItem value="spend">Spend</SelectItem>
-                      <SelectItem value="orders">Orders</SelectItem>
+                      {negativeMatchOptions.map(opt => (
+                        <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>
+                      ))}
                     </SelectContent>
                   </Select>
                 </div>
-
                 <div>
-                  <Label htmlFor={`condition-${index}`}>Condition</Label>
+                  <Label htmlFor="negative_level">Add Negative To</Label>
                   <Select
-                    value={cond.condition}
-                    onValueChange={(value) => updateCondition(index, 'condition', value)}
+                    value={settings.action.level || 'ad_group'}
+                    onValueChange={(value) => updateAction('level', value)}
                   >
                     <SelectTrigger>
                       <SelectValue />
                     </SelectTrigger>
                     <SelectContent>
-                      <SelectItem value="greater_than">Greater Than</SelectItem>
-                      <SelectItem value="less_than">Less Than</SelectItem>
-                      <SelectItem value="equals">Equals</SelectItem>
+                      {negativeLevelOptions.map(opt => (
+                        <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>
+                      ))}
                     </SelectContent>
                   </Select>
                 </div>
-
-                <div className="flex items-end space-x-2">
-                  <div className="flex-1">
-                    <Label htmlFor={`threshold-${index}`}>Threshold Value</Label>
-                    <Input
-                      id={`threshold-${index}`}
-                      type="number"
-                      step="0.01"
-                      value={cond.threshold}
-                      onChange={(e) => updateCondition(index, 'threshold', parseFloat(e.target.value))}
-                      placeholder="40"
-                    />
-                  </div>
-                  {effectiveConditions.length > 1 && (
-                    <Button
-                      type="button"
-                      variant="outline"
-                      onClick={() => removeCondition(index)}
-                    >
-                      Remove
-                    </Button>
-                  )}
-                </div>
-              </div>
-            ))}
-            <Button
-              type="button"
-              variant="outline"
-              onClick={addCondition}
-            >
-              Add Condition
-            </Button>
-          </div>
-
-          {/* Action Settings */}
-          <div className="space-y-4">
-            <h3 className="text-lg font-semibold">Action Settings</h3>
-            
-            <div className="grid grid-cols-2 gap-4">
-              <div>
-                <Label htmlFor="action">Action</Label>
-                <Select
-                  value={ruleData.settings.action}
-                  onValueChange={(value) => updateRuleData('settings.action', value)}
-                >
-                  <SelectTrigger>
-                    <SelectValue />
-                  </SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="decrease_bid">Decrease Bid</SelectItem>
-                    <SelectItem value="increase_bid">Increase Bid</SelectItem>
-                    <SelectItem value="pause_keyword">Pause Keyword</SelectItem>
-                    <SelectItem value="pause_campaign">Pause Campaign</SelectItem>
-                    <SelectItem value="adjust_budget">Adjust Budget</SelectItem>
-                  </SelectContent>
-                </Select>
+                {/* ASIN arama terimleri negatif ürün hedefi olarak eklenir */}
+                <p className="col-span-2 text-xs text-gray-500">
+                  Search terms that are ASINs are added as negative product targets.
+                </p>
               </div>
-
-              <div>
-                <Label htmlFor="action_value">Action Value (%)</Label>
-                <Input
-                  id="action_value"
-                  type="number"
-                  step="0.1"
-                  value={ruleData.settings.action_value}
-                  onChange={(e) => updateRuleData('settings.action_value', parseFloat(e.target.value))}
-                  placeholder="10"
-                />
-              </div>
-            </div>
+            )}
           </div>
 
           {/* Schedule Settings */}
@@ -380,12 +603,11 @@ const RuleForm = ({ onRuleCreated, onCancel }) => {
                   id="frequency_days"
                   type="number"
                   min="1"
-                  value={ruleData.settings.frequency_days ?? 1}
+                  value={settings.frequency_days ?? 1}
                   onChange={(e) =>
-                    updateRuleData(
-                      'settings.frequency_days',
-                      Number(e.target.value) > 0 ? Number(e.target.value) : 1,
-                    )
+                    updateSettings({
+                      frequency_days: Number(e.target.value) > 0 ? Number(e.target.value) : 1,
+                    })
                   }
                   placeholder="1"
                 />
@@ -396,40 +618,92 @@ const RuleForm = ({ onRuleCreated, onCancel }) => {
                   id="lookback_days"
                   type="number"
                   min="1"
-                  value={ruleData.settings.lookback_days ?? 7}
+                  value={settings.lookback_days ?? 7}
                   onChange={(e) =>
-                    updateRuleData(
-                      'settings.lookback_days',
-                      Number(e.target.value) > 0 ? Number(e.target.value) : 7,
-                    )
+                    updateSettings({
+                      lookback_days: Number(e.target.value) > 0 ? Number(e.target.value) : 7,
+                    })
                   }
                   placeholder="10"
                 />
               </div>
+              <div>
+                <Label htmlFor="cooldown_hours">Cooldown per Entity (Hours)</Label>
+                <Input
+                  id="cooldown_hours"
+                  type="number"
+                  min="0"
+                  value={settings.cooldown_hours || ''}
+                  onChange={(e) =>
+                    updateSettings({
+                      cooldown_hours: Number(e.target.value) > 0 ? Number(e.target.value) : 0,
+                    })
+                  }
+                  placeholder="No cooldown"
+                />
+              </div>
+              <div>
+                <Label htmlFor="min_new_clicks">Min. New Clicks Since Last Change</Label>
+                <Input
+                  id="min_new_clicks"
+                  type="number"
+                  min="0"
+                  value={settings.min_new_clicks || ''}
+                  onChange={(e) =>
+                    updateSettings({
+                      min_new_clicks: Number(e.target.value) > 0 ? Number(e.target.value) : 0,
+                    })
+                  }
+                  placeholder="No minimum"
+                />
+              </div>
             </div>
+            <p className="text-xs text-gray-500">
+              An entity changed by any rule is left alone until the cooldown has passed and it has collected the
+              minimum number of new clicks, so the metrics can react to the last change.
+            </p>
           </div>
 
           {/* Campaign Selection */}
           <div className="space-y-4">
             <h3 className="text-lg font-semibold">Campaign Selection</h3>
-            
+
             <div>
-              <Label htmlFor="match_type">Match Type</Label>
+              <Label htmlFor="scope">Match Type</Label>
               <Select
-                value={ruleData.match_type}
-                onValueChange={(value) => updateRuleData('match_type', value)}
+                value={settings.scope.type}
+                onValueChange={(value) => updateScope({ type: value })}
               >
                 <SelectTrigger>
                   <SelectValue />
                 </SelectTrigger>
                 <SelectContent>
                   <SelectItem value="ALL">All Campaigns</SelectItem>
-                  <SelectItem value="SELECTED">Selected Campaigns</SelectItem>
+                  <SelectItem value="CAMPAIGNS">Selected Campaigns</SelectItem>
                 </SelectContent>
               </Select>
             </div>
 
-            {ruleData.match_type === 'SELECTED' && (
+            {settings.entity === 'asin_target' && (
+              <div>
+                <Label htmlFor="expression_type">Targeting</Label>
+                <Select
+                  value={settings.scope.expression_type || 'all'}
+                  onValueChange={(value) => updateScope({ expression_type: value === 'all' ? null : value })}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">Auto + Manual</SelectItem>
+                    <SelectItem value="auto">Auto Targeting</SelectItem>
+                    <SelectItem value="manual">Manual Targeting</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
+            {settings.scope.type === 'CAMPAIGNS' && (
               <div>
                 <Label>Campaigns</Label>
                 <div className="max-h-40 overflow-y-auto border rounded-md p-2 space-y-2">
@@ -437,12 +711,12 @@ const RuleForm = ({ onRuleCreated, onCancel }) => {
                     <label key={campaign.id} className="flex items-center space-x-2">
                       <input
                         type="checkbox"
-                        checked={ruleData.settings.campaign_ids.includes(campaign.id)}
+                        checked={settings.scope.campaign_ids.includes(campaign.id)}
                         onChange={(e) => {
                           const newIds = e.target.checked
-                            ? [...ruleData.settings.campaign_ids, campaign.id]
-                            : ruleData.settings.campaign_ids.filter(id => id !== campaign.id);
-                          updateRuleData('settings.campaign_ids', newIds);
+                            ? [...settings.scope.campaign_ids, campaign.id]
+                            : settings.scope.campaign_ids.filter(id => id !== campaign.id);
+                          updateScope({ campaign_ids: newIds });
                         }}
                       />
                       <span className="text-sm">{campaign.name}</span>
@@ -453,6 +727,22 @@ const RuleForm = ({ onRuleCreated, onCancel }) => {
             )}
           </div>
 
+          {/* Aynı varlıklara etki eden diğer kurallar */}
+          {overlaps.length > 0 && (
+            <div className="rounded-md border border-amber-300 bg-amber-50 p-4 text-sm text-amber-800 space-y-1">
+              <p className="font-medium">This rule overlaps with {overlaps.length} existing rule(s):</p>
+              <ul className="list-disc pl-5">
+                {overlaps.map(({ rule, opposite }) => (
+                  <li key={rule.id}>
+                    {rule.name} (priority {rule.priority})
+                    {opposite ? ' pushes the same entities the opposite way' : ' can act on the same entities'}
+                  </li>
+                ))}
+              </ul>
+              <p>Only one change per entity is applied each run, chosen by the rule conflict strategy.</p>
+            </div>
+          )}
+
           {/* Buttons */}
           <div className="flex justify-end space-x-4">
             <Button
@@ -473,4 +763,4 @@ const RuleForm = ({ onRuleCreated, onCancel }) => {
   );
 };
 
-export default RuleForm; 
\ No newline at end of file
+export default RuleForm;
@@ -1,15 +1,21 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
 import { Switch } from '../ui/switch';
 import { supabase } from '../../lib/supabaseClient';
 import { useToast } from '../ui/use-toast';
-import { Edit, Trash2, Play, Pause, Settings } from 'lucide-react';
+import { describeRule } from '../../lib/ruleEvaluator';
+import { exportRules, parseRuleImport } from '../../lib/ruleTemplates';
+import RuleBacktest from './RuleBacktest';
+import { Edit, Trash2, Play, Pause, Settings, FlaskConical, Download, Upload } from 'lucide-react';
 
 const RulesList = ({ onEditRule, onAddRule }) => {
   const [rules, setRules] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [backtestRuleId, setBacktestRuleId] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const fileInputRef = useRef(null);
   const { toast } = useToast();
 
   useEffect(() => {
@@ -95,35 +101,53 @@ const RulesList = ({ onEditRule, onAddRule }) => {
     }
   };
 
-  const getMetricDisplayName = (metric) => {
-    const metricNames = {
-      'acos': 'ACOS',
-      'ctr': 'CTR',
-      'cpc': 'CPC',
-      'spend': 'Spend',
-      'orders': 'Orders'
-    };
-    return metricNames[metric] || metric;
+  const handleExport = () => {
+    const blob = new Blob([exportRules(rules)], { type: 'application/json;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `optimization-rules-${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
   };
 
-  const getConditionDisplayName = (condition) => {
-    const conditionNames = {
-      'greater_than': 'Greater Than',
-      'less_than': 'Less Than',
-      'equals': 'Equals'
-    };
-    return conditionNames[condition] || condition;
-  };
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
 
-  const getActionDisplayName = (action) => {
-    const actionNames = {
-      'decrease_bid': 'Decrease Bid',
-      'increase_bid': 'Increase Bid',
-      'pause_keyword': 'Pause Keyword',
-      'pause_campaign': 'Pause Campaign',
-      'adjust_budget': 'Adjust Budget'
-    };
-    return actionNames[action] || action;
+    setImporting(true);
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const { rules: imported, rescoped } = parseRuleImport(await file.text());
+      if (imported.length === 0) throw new Error('The file contains no rules');
+
+      const now = new Date().toISOString();
+      const { error } = await supabase
+        .from('optimization_rules')
+        .insert(imported.map(rule => ({ ...rule, user_id: user.id, updated_at: now })));
+
+      if (error) throw error;
+
+      toast({
+        title: "Rules imported",
+        description: rescoped.length > 0
+          ? `${imported.length} rule(s) imported. ${rescoped.length} were scoped to campaigns or keywords of another account; they now apply to all and are disabled until you review them.`
+          : `${imported.length} rule(s) imported.`,
+      });
+      await loadRules();
+    } catch (error) {
+      console.error('Error importing rules:', error);
+      toast({
+        title: "Import failed",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setImporting(false);
+    }
   };
 
   const getPriorityColor = (priority) => {
@@ -149,10 +173,37 @@ const RulesList = ({ onEditRule, onAddRule }) => {
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h2 className="text-2xl font-bold">Optimization Rules</h2>
-        <Button onClick={onAddRule} className="flex items-center space-x-2">
-          <Settings className="h-4 w-4" />
-          <span>New Rule</span>
-        </Button>
+        <div className="flex items-center space-x-2">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={handleImport}
+          />
+          <Button
+            variant="outline"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={importing}
+            className="flex items-center space-x-2"
+          >
+            <Upload className="h-4 w-4" />
+            <span>{importing ? 'Importing...' : 'Import'}</span>
+          </Button>
+          <Button
+            variant="outline"
+            onClick={handleExport}
+            disabled={rules.length === 0}
+            className="flex items-center space-x-2"
+          >
+            <Download className="h-4 w-4" />
+            <span>Export</span>
+          </Button>
+          <Button onClick={onAddRule} className="flex items-center space-x-2">
+            <Settings className="h-4 w-4" />
+            <span>New Rule</span>
+          </Button>
+        </div>
       </div>
 
       {rules.length === 0 ? (
@@ -172,72 +223,87 @@ const RulesList = ({ onEditRule, onAddRule }) => {
         </Card>
       ) : (
         <div className="grid gap-4">
-          {rules.map((rule) => (
-            <Card key={rule.id} className="hover:shadow-md transition-shadow">
-              <CardHeader className="pb-3">
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center space-x-3">
+          {rules.map((rule) => {
+            const summary = describeRule(rule);
+            return (
+              <Card key={rule.id} className="hover:shadow-md transition-shadow">
+                <CardHeader className="pb-3">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-3">
+                      <div className="flex items-center space-x-2">
+                        <Switch
+                          checked={rule.enabled}
+                          onCheckedChange={() => toggleRuleStatus(rule.id, rule.enabled)}
+                        />
+                        <Badge className={getPriorityColor(rule.priority)}>
+                          Priority {rule.priority}
+                        </Badge>
+                      </div>
+                      <CardTitle className="text-lg">{rule.name}</CardTitle>
+                    </div>
                     <div className="flex items-center space-x-2">
-                      <Switch
-                        checked={rule.enabled}
-                        onCheckedChange={() => toggleRuleStatus(rule.id, rule.enabled)}
-                      />
-                      <Badge className={getPriorityColor(rule.priority)}>
-                        Priority {rule.priority}
-                      </Badge>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        title="Backtest"
+                        onClick={() => setBacktestRuleId(backtestRuleId === rule.id ? null : rule.id)}
+                      >
+                        <FlaskConical className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => onEditRule(rule)}
+                      >
+                        <Edit className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => deleteRule(rule.id)}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
                     </div>
-                    <CardTitle className="text-lg">{rule.name}</CardTitle>
-                  </div>
-                  <div className="flex items-center space-x-2">
-                    <Button
-                      variant="outline"
-                      size="sm"
-                      onClick={() => onEditRule(rule)}
-                    >
-                      <Edit className="h-4 w-4" />
-                    </Button>
-                    <Button
-                      variant="outline"
-                      size="sm"
-                      onClick={() => deleteRule(rule.id)}
-                    >
-                      <Trash2 className="h-4 w-4" />
-                    </Button>
                   </div>
-                </div>
-              </CardHeader>
-              <CardContent>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
-                  <div>
-                    <span className="font-medium text-gray-600">Condition:</span>
-                    <p className="mt-1">
-                      {getMetricDisplayName(rule.settings.metric)} {getConditionDisplayName(rule.settings.condition)} {rule.settings.threshold}
-                    </p>
-                  </div>
-                  <div>
-                    <span className="font-medium text-gray-600">Action:</span>
-                    <p className="mt-1">
-                      {getActionDisplayName(rule.settings.action)} (%{rule.settings.action_value})
-                    </p>
-                  </div>
-                  <div>
-                    <span className="font-medium text-gray-600">Scope:</span>
-                    <p className="mt-1">
-                      {rule.match_type === 'ALL' ? 'All Campaigns' : `${rule.settings.campaign_ids?.length || 0} Campaigns`}
-                    </p>
-                  </div>
-                </div>
-                
-                {rule.last_run && (
-                  <div className="mt-4 pt-4 border-t">
-                    <span className="text-xs text-gray-500">
-                      Last run: {new Date(rule.last_run).toLocaleString('en-US')}
-                    </span>
+                </CardHeader>
+                <CardContent>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                    <div>
+                      <span className="font-medium text-gray-600">Condition:</span>
+                      <p className="mt-1">
+                        {summary.conditions}
+                      </p>
+                    </div>
+                    <div>
+                      <span className="font-medium text-gray-600">Action:</span>
+                      <p className="mt-1">
+                        {summary.action}
+                      </p>
+                    </div>
+                    <div>
+                      <span className="font-medium text-gray-600">Scope:</span>
+                      <p className="mt-1">
+                        {summary.scope}
+                      </p>
+                    </div>
                   </div>
-                )}
-              </CardContent>
-            </Card>
-          ))}
+                  
+                  {rule.last_run && (
+                    <div className="mt-4 pt-4 border-t">
+                      <span className="text-xs text-gray-500">
+                        Last run: {new Date(rule.last_run).toLocaleString('en-US')}
+                      </span>
+                    </div>
+                  )}
+
+                  {backtestRuleId === rule.id && (
+                    <RuleBacktest rule={rule} onClose={() => setBacktestRuleId(null)} />
+                  )}
+                </CardContent>
+              </Card>
+            );
+          })}
         </div>
       )}
     </div>
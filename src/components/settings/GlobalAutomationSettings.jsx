@@ -1,14 +1,114 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Label } from '@/components/ui/label';
 import { Switch } from '@/components/ui/switch';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
-import { Info } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { supabase } from '@/lib/supabaseClient';
+import {
+  automationEnabled,
+  conflictStrategy,
+  loadAutomationSettings,
+  setAutomationEnabled,
+  setConflictStrategy,
+} from '@/lib/automationSettings';
+import { CONFLICT_STRATEGIES } from '@/lib/ruleConflicts';
+import { Power } from 'lucide-react';
 
 const GlobalAutomationSettings = () => {
+  const [user, setUser] = useState(null);
+  const [accounts, setAccounts] = useState([]);
+  const [settings, setSettings] = useState([]);
+  const [audit, setAudit] = useState([]);
+  const [saving, setSaving] = useState(null);
+  const { toast } = useToast();
+
+  const loadSettings = useCallback(async () => {
+    try {
+      const { data: { user: currentUser } } = await supabase.auth.getUser();
+      if (!currentUser) return;
+      setUser(currentUser);
+      const [rows, { data: accountRows, error: accErr }, { data: auditRows, error: auditErr }] = await Promise.all([
+        loadAutomationSettings(supabase, { userId: currentUser.id }),
+        supabase.from('amazon_accounts').select('id, user_id, name, status').eq('user_id', currentUser.id),
+        supabase
+          .from('automation_settings_audit')
+          .select('*')
+          .eq('user_id', currentUser.id)
+          .order('changed_at', { ascending: false })
+          .limit(10),
+      ]);
+      if (accErr) throw accErr;
+      if (auditErr) throw auditErr;
+      setSettings(rows);
+      setAccounts(accountRows || []);
+      setAudit(auditRows || []);
+    } catch (error) {
+      toast({ title: "Error loading automation settings", description: error.message, variant: "destructive" });
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  // Missing rows mean automation is on
+  const flagFor = (accountId) => {
+    const row = settings.find((s) => (accountId ? s.account_id === accountId : s.account_id == null));
+    return row ? row.enabled : true;
+  };
+
+  const handleToggle = async (accountId, enabled) => {
+    if (!user) return;
+    setSaving(accountId || 'all');
+    try {
+      await setAutomationEnabled(supabase, {
+        userId: user.id,
+        accountId,
+        enabled,
+        changedBy: user.id,
+        source: 'settings_ui',
+      });
+      toast({
+        title: enabled ? "Automation resumed" : "Automation paused",
+        description: enabled
+          ? "Rules will be applied again from the next run."
+          : "No automated changes will be applied until you turn this back on.",
+      });
+      await loadSettings();
+    } catch (error) {
+      toast({ title: "Error saving automation setting", description: error.message, variant: "destructive" });
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleStrategyChange = async (strategy) => {
+    if (!user) return;
+    setSaving('strategy');
+    try {
+      await setConflictStrategy(supabase, { userId: user.id, strategy, changedBy: user.id });
+      toast({ title: "Conflict strategy saved", description: `${CONFLICT_STRATEGIES[strategy]} from the next run.` });
+      await loadSettings();
+    } catch (error) {
+      toast({ title: "Error saving conflict strategy", description: error.message, variant: "destructive" });
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const accountName = (accountId) => {
+    if (!accountId) return 'All accounts';
+    const account = accounts.find((a) => a.id === accountId);
+    return account?.name || `Account ...${String(accountId).slice(-6)}`;
+  };
+
+  const allEnabled = flagFor(null);
+
   return (
-    <Card className="bg-slate-800/80 border-slate-700/60 shadow-xl mt-12">
+    <Card className="bg-slate-800/80 border-slate-700/60 shadow-xl mb-8">
       <CardHeader>
-          <CardTitle className="text-2xl text-purple-300 flex items-center"><Info size={24} className="mr-3 text-blue-400"/>Global Automation Control (Coming Soon)</CardTitle>
+          <CardTitle className="text-2xl text-purple-300 flex items-center"><Power size={24} className="mr-3 text-blue-400"/>Global Automation Control</CardTitle>
           <CardDescription className="text-slate-400">Master controls for all automated optimizations.</CardDescription>
       </CardHeader>
       <CardContent className="space-y-4">
@@ -17,14 +117,75 @@ const GlobalAutomationSettings = () => {
                   <Label htmlFor="master-enable" className="text-lg text-slate-200 font-medium">Enable All Automations</Label>
                   <p className="text-sm text-slate-400">This switch will pause or resume all rule processing by the backend.</p>
               </div>
-              <Switch id="master-enable" disabled className="data-[state=checked]:bg-green-500 data-[state=unchecked]:bg-slate-600"/>
+              <Switch
+                id="master-enable"
+                checked={allEnabled}
+                disabled={!user || saving !== null}
+                onCheckedChange={(checked) => handleToggle(null, checked)}
+                className="data-[state=checked]:bg-green-500 data-[state=unchecked]:bg-slate-600"
+              />
           </div>
-            <p className="text-xs text-slate-500 text-center">
-              Note: Backend scheduling and processing for these rules need to be implemented separately using Supabase Edge Functions and Cron Jobs.
-          </p>
+
+          <div className="flex items-center justify-between p-4 bg-slate-700/50 rounded-lg">
+              <div>
+                  <Label htmlFor="conflict-strategy" className="text-lg text-slate-200 font-medium">Rule Conflicts</Label>
+                  <p className="text-sm text-slate-400">When several rules act on the same entity in one run, only one change is applied.</p>
+              </div>
+              <Select
+                value={user ? conflictStrategy(settings, user.id) : undefined}
+                onValueChange={handleStrategyChange}
+                disabled={!user || saving !== null}
+              >
+                <SelectTrigger id="conflict-strategy" className="w-[220px] bg-slate-700 border-slate-600 text-slate-100">
+                  <SelectValue placeholder="Select strategy" />
+                </SelectTrigger>
+                <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                  {Object.entries(CONFLICT_STRATEGIES).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+          </div>
+
+          {accounts.map((account) => (
+            <div key={account.id} className="flex items-center justify-between px-4 py-2 bg-slate-700/30 rounded-lg">
+                <div>
+                    <Label htmlFor={`automation-${account.id}`} className="text-slate-200">{accountName(account.id)}</Label>
+                    {!automationEnabled(settings, account) && (
+                      <p className="text-xs text-amber-400">
+                        {allEnabled ? 'Automation paused for this account' : 'Paused by the global switch'}
+                      </p>
+                    )}
+                </div>
+                <Switch
+                  id={`automation-${account.id}`}
+                  checked={flagFor(account.id)}
+                  disabled={!user || saving !== null}
+                  onCheckedChange={(checked) => handleToggle(account.id, checked)}
+                  className="data-[state=checked]:bg-green-500 data-[state=unchecked]:bg-slate-600"
+                />
+            </div>
+          ))}
+
+          {audit.length > 0 && (
+            <div className="pt-2">
+                <p className="text-sm text-slate-300 font-medium mb-2">Recent changes</p>
+                <ul className="space-y-1 text-xs text-slate-400">
+                  {audit.map((entry) => (
+                    <li key={entry.id}>
+                      {new Date(entry.changed_at).toLocaleString()} · {accountName(entry.account_id)}:{' '}
+                      <span className={entry.enabled ? 'text-green-400' : 'text-red-400'}>
+                        {entry.enabled ? 'enabled' : 'paused'}
+                      </span>
+                      {entry.source ? ` (${entry.source})` : ''}
+                    </li>
+                  ))}
+                </ul>
+            </div>
+          )}
       </CardContent>
     </Card>
   );
 };
 
-export default GlobalAutomationSettings;
\ No newline at end of file
+export default GlobalAutomationSettings;
@@ -0,0 +1,186 @@
+// Amazon Ads API client shared by the browser engine (src/lib/amazonApi.js)
+// and the VPS scripts (through scripts/lib/amazonClient.js, which adds the
+// per-account token cache). Plain fetch with no env or Supabase dependency,
+// so the module runs in Vite and in plain Node.
+//
+// createAdsClient() sends each call to the account's regional endpoint with
+// its auth headers and
+//   - on 401 asks the caller for a new token (refresh) and retries once,
+//   - on 429 / 502 / 503 / 504 waits for Retry-After (seconds or an HTTP
+//     date; exponential backoff without it) and tries again, up to
+//     maxAttempts,
+//   - retries network errors the same way.
+// fetch() returns the final Response, so callers keep their own status
+// handling (207, 425, ...); json() throws on non-2xx with error.status.
+// Typed methods: sp (Sponsored Products v3, src/lib/amazonSpV3.js),
+// getProfiles / getProfile, createReport / getReport (reporting v3).
+// An optional limiter ({ acquire(request), pause(request, ms) }, e.g.
+// scripts/lib/rateLimiter.js) is awaited before every attempt and told about
+// each 429, with request = { method, path, profileId }.
+
+import { createSpClient } from './amazonSpV3.js';
+
+export const AMAZON_TOKEN_URL = 'https://api.amazon.com/auth/o2/token';
+
+const API_BASES = {
+  na: 'https://advertising-api.amazon.com',
+  eu: 'https://advertising-api-eu.amazon.com',
+  fe: 'https://advertising-api-fe.amazon.com',
+};
+
+const RETRY_STATUSES = new Set([429, 502, 503, 504]);
+const MAX_RETRY_DELAY_MS = 2 * 60 * 1000;
+const UUID_PATTERN = /([0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12})/;
+
+export function normalizeRegion(region) {
+  if (!region) return 'na';
+  const r = String(region).toLowerCase();
+  if (['eu', 'europe'].includes(r)) return 'eu';
+  if (['fe', 'far_east', 'apac', 'asia'].includes(r)) return 'fe';
+  return 'na';
+}
+
+export function regionApiBase(region) {
+  return API_BASES[normalizeRegion(region)];
+}
+
+// OAuth token grant ({ grant_type: 'refresh_token', refresh_token } or an
+// authorization_code grant). Throws with error.status; 400 / 401 mean the
+// grant itself was rejected.
+export async function requestToken({ clientId, clientSecret, ...grant }) {
+  const res = await fetch(AMAZON_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ ...grant, client_id: clientId, client_secret: clientSecret }),
+  });
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw Object.assign(new Error(`Token request failed: ${res.status} ${text}`.trim()), { status: res.status });
+  }
+  const data = await res.json();
+  return {
+    access_token: data.access_token,
+    refresh_token: data.refresh_token || grant.refresh_token,
+    expires_in: data.expires_in,
+    token_type: data.token_type,
+  };
+}
+
+// Wait before the next attempt: Retry-After when Amazon sent one,
+// 1s, 2s, 4s, ... otherwise
+export function retryDelayMs(retryAfter, attempt, now = Date.now()) {
+  if (retryAfter != null && retryAfter !== '') {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - now;
+    if (Number.isFinite(ms)) return Math.min(Math.max(ms, 0), MAX_RETRY_DELAY_MS);
+  }
+  return Math.min(1000 * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+}
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// getAccessToken() -> current token (may be async); refresh() -> renews it
+// after a 401. onRetry({ method, url, status, attempt, delay }) is told about
+// each wait. status is 0 for network errors.
+export function createAdsClient({
+  clientId,
+  profileId = null,
+  region,
+  apiBase = regionApiBase(region),
+  getAccessToken,
+  refresh = null,
+  maxAttempts = 4,
+  onRetry = null,
+  limiter = null,
+  sleep = defaultSleep,
+}) {
+  // path: relative to apiBase, or a full URL. scope: false for calls made
+  // before a profile is chosen (profile list).
+  async function request(path, { method = 'GET', body, contentType = 'application/json', accept, scope = true } = {}) {
+    const url = /^https?:\/\//.test(path) ? path : `${apiBase}${path}`;
+    const limited = { method, path: url, profileId: scope ? profileId : null };
+    let refreshed = false;
+    for (let attempt = 1; ; attempt++) {
+      if (limiter) await limiter.acquire(limited);
+      const token = await getAccessToken();
+      let res;
+      try {
+        res = await fetch(url, {
+          method,
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Amazon-Advertising-API-ClientId': clientId,
+            ...(scope && profileId != null ? { 'Amazon-Advertising-API-Scope': String(profileId) } : {}),
+            'Content-Type': contentType,
+            Accept: accept || contentType,
+          },
+          ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+        });
+      } catch (e) {
+        if (attempt >= maxAttempts) throw e;
+        const delay = retryDelayMs(null, attempt);
+        onRetry?.({ method, url, status: 0, attempt, delay });
+        await sleep(delay);
+        continue;
+      }
+      if (res.status === 401 && refresh && !refreshed) {
+        refreshed = true;
+        await res.text().catch(() => '');
+        await refresh();
+        attempt--;
+        continue;
+      }
+      if (RETRY_STATUSES.has(res.status) && attempt < maxAttempts) {
+        const delay = retryDelayMs(res.headers.get('retry-after'), attempt);
+        await res.text().catch(() => '');
+        if (limiter && res.status === 429) await limiter.pause(limited, delay);
+        onRetry?.({ method, url, status: res.status, attempt, delay });
+        await sleep(delay);
+        continue;
+      }
+      return res;
+    }
+  }
+
+  // JSON body of a 2xx answer; throws with error.status otherwise
+  async function json(path, options = {}) {
+    const res = await request(path, options);
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw Object.assign(new Error(`${options.method || 'GET'} ${path} failed: ${res.status} ${text}`.trim()), {
+        status: res.status,
+      });
+    }
+    return res.json().catch(() => ({}));
+  }
+
+  // Report id of a new v3 report. A duplicate request (425) resolves to the
+  // id of the report Amazon is already running; other failures throw with
+  // error.status and error.response.
+  async function createReport(body) {
+    const res = await request('/reporting/reports', {
+      method: 'POST',
+      body,
+      contentType: 'application/vnd.createasyncreportrequest.v3+json',
+    });
+    const data = await res.json().catch(() => ({}));
+    if (res.ok && data.reportId) return String(data.reportId);
+    const duplicate = res.status === 425 && typeof data.detail === 'string' && data.detail.match(UUID_PATTERN);
+    if (duplicate) return duplicate[1];
+    throw Object.assign(new Error(`Report create failed: ${res.status}`), { status: res.status, response: data });
+  }
+
+  const client = {
+    apiBase,
+    profileId,
+    fetch: request,
+    json,
+    getProfiles: () => json('/v2/profiles', { scope: false }),
+    getProfile: (id = profileId) => json(`/v2/profiles/${id}`),
+    createReport,
+    // { status, url, ... }; url is the download link once status is COMPLETED
+    getReport: (reportId) => json(`/reporting/reports/${reportId}`),
+  };
+  client.sp = createSpClient(client);
+  return client;
+}
@@ -1,4 +1,6 @@
 import { supabase } from './supabaseClient.js';
+import { fromV3Enum, toV3Enum } from './amazonSpV3.js';
+import { createAdsClient, requestToken } from './amazonAdsClient.js';
 
 // Amazon Ads API Configuration (works in both browser and Node)
 function readEnv(key) {
@@ -24,8 +26,20 @@ const AMAZON_REDIRECT_URI =
 
 // Amazon API endpoints
 const AMAZON_AUTH_URL = 'https://www.amazon.com/ap/oa';
-const AMAZON_TOKEN_URL = 'https://api.amazon.com/auth/o2/token';
-const AMAZON_API_BASE = 'https://advertising-api.amazon.com';
+
+// v3 raporları için bekleme: 5 sn aralıkla en fazla 10 dakika
+const REPORT_POLL_INTERVAL_MS = 5000;
+const REPORT_MAX_POLLS = 120;
+
+// Tek öğelik v3 çağrısının sonucu; Amazon öğeyi reddettiyse HTTP / öğe
+// durumuyla (error.status) hata fırlatır
+function singleResult(results) {
+  const [result] = results;
+  if (!result?.ok) {
+    throw Object.assign(new Error(result?.error || 'No result returned'), { status: result?.status || 0 });
+  }
+  return result;
+}
 
 export class AmazonAdsAPI {
   constructor() {
@@ -56,31 +70,13 @@ export class AmazonAdsAPI {
   // Authorization code ile access token al
   async getAccessToken(authCode) {
     try {
-      const response = await fetch(AMAZON_TOKEN_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: new URLSearchParams({
-          grant_type: 'authorization_code',
-          code: authCode,
-          redirect_uri: AMAZON_REDIRECT_URI,
-          client_id: AMAZON_CLIENT_ID,
-          client_secret: AMAZON_CLIENT_SECRET,
-        }),
+      return await requestToken({
+        clientId: AMAZON_CLIENT_ID,
+        clientSecret: AMAZON_CLIENT_SECRET,
+        grant_type: 'authorization_code',
+        code: authCode,
+        redirect_uri: AMAZON_REDIRECT_URI,
       });
-
-      if (!response.ok) {
-        throw new Error(`Token request failed: ${response.status}`);
-      }
-
-      const data = await response.json();
-      return {
-        access_token: data.access_token,
-        refresh_token: data.refresh_token,
-        expires_in: data.expires_in,
-        token_type: data.token_type
-      };
     } catch (error) {
       console.error('Error getting access token:', error);
       throw error;
@@ -90,30 +86,12 @@ export class AmazonAdsAPI {
   // Refresh token ile yeni access token al
   async refreshAccessToken(refreshToken) {
     try {
-      const response = await fetch(AMAZON_TOKEN_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: new URLSearchParams({
-          grant_type: 'refresh_token',
-          refresh_token: refreshToken,
-          client_id: AMAZON_CLIENT_ID,
-          client_secret: AMAZON_CLIENT_SECRET,
-        }),
+      return await requestToken({
+        clientId: AMAZON_CLIENT_ID,
+        clientSecret: AMAZON_CLIENT_SECRET,
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
       });
-
-      if (!response.ok) {
-        throw new Error(`Token refresh failed: ${response.status}`);
-      }
-
-      const data = await response.json();
-      return {
-        access_token: data.access_token,
-        refresh_token: data.refresh_token || refreshToken,
-        expires_in: data.expires_in,
-        token_type: data.token_type
-      };
     } catch (error) {
       console.error('Error refreshing token:', error);
       throw error;
@@ -121,46 +99,37 @@ export class AmazonAdsAPI {
   }
 
   // Profil listesini al
-  async getProfiles(accessToken) {
+  async getProfiles(accessToken, region) {
     try {
-      const response = await fetch(`${AMAZON_API_BASE}/v2/profiles`, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Amazon-Advertising-API-ClientId': AMAZON_CLIENT_ID,
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to get profiles: ${response.status}`);
-      }
-
-      const profiles = await response.json();
-      return profiles;
+      return await this.adsClient(accessToken, null, region).getProfiles();
     } catch (error) {
       console.error('Error getting profiles:', error);
       throw error;
     }
   }
 
-  // Kampanyaları al
-  async getCampaigns(accessToken, profileId, region = 'NA') {
-    try {
-      const response = await fetch(`${AMAZON_API_BASE}/v2/campaigns`, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Amazon-Advertising-API-ClientId': AMAZON_CLIENT_ID,
-          'Amazon-Advertising-API-Scope': profileId,
-          'Content-Type': 'application/json',
-        },
-      });
+  // Amazon Ads istemcisi (src/lib/amazonAdsClient.js): başlıklar, 429 / 5xx
+  // yeniden denemeleri. Token'ı çağıran yönetir, 401'de yenileme yapılmaz.
+  // region: hesabın amazon_region değeri (NA / EU / FE), API adresini seçer.
+  adsClient(accessToken, profileId = null, region = null) {
+    return createAdsClient({
+      clientId: AMAZON_CLIENT_ID,
+      profileId,
+      region,
+      getAccessToken: () => accessToken,
+    });
+  }
 
-      if (!response.ok) {
-        throw new Error(`Failed to get campaigns: ${response.status}`);
-      }
+  // Sponsored Products v3 istemcisi (src/lib/amazonSpV3.js)
+  spClient(accessToken, profileId, region = null) {
+    return this.adsClient(accessToken, profileId, region).sp;
+  }
 
-      const campaigns = await response.json();
-      return campaigns;
+  // Kampanyaları al (v3 alanlarının yanında state küçük harfle ve dailyBudget)
+  async getCampaigns(accessToken, profileId, region) {
+    try {
+      const campaigns = await this.spClient(accessToken, profileId, region).list('campaigns');
+      return campaigns.map((c) => ({ ...c, state: fromV3Enum(c.state), dailyBudget: c.budget?.budget ?? null }));
     } catch (error) {
       console.error('Error getting campaigns:', error);
       throw error;
@@ -168,23 +137,12 @@ export class AmazonAdsAPI {
   }
 
   // Ad gruplarını al
-  async getAdGroups(accessToken, profileId, campaignId) {
+  async getAdGroups(accessToken, profileId, campaignId, region) {
     try {
-      const response = await fetch(`${AMAZON_API_BASE}/v2/adGroups?campaignIdFilter=${campaignId}`, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Amazon-Advertising-API-ClientId': AMAZON_CLIENT_ID,
-          'Amazon-Advertising-API-Scope': profileId,
-          'Content-Type': 'application/json',
-        },
+      const adGroups = await this.spClient(accessToken, profileId, region).list('adGroups', {
+        campaignIdFilter: { include: [String(campaignId)] },
       });
-
-      if (!response.ok) {
-        throw new Error(`Failed to get ad groups: ${response.status}`);
-      }
-
-      const adGroups = await response.json();
-      return adGroups;
+      return adGroups.map((ag) => ({ ...ag, state: fromV3Enum(ag.state) }));
     } catch (error) {
       console.error('Error getting ad groups:', error);
       throw error;
@@ -192,58 +150,64 @@ export class AmazonAdsAPI {
   }
 
   // Anahtar kelimeleri al
-  async getKeywords(accessToken, profileId, adGroupId) {
+  async getKeywords(accessToken, profileId, adGroupId, region) {
     try {
-      const response = await fetch(`${AMAZON_API_BASE}/v2/keywords?adGroupIdFilter=${adGroupId}`, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Amazon-Advertising-API-ClientId': AMAZON_CLIENT_ID,
-          'Amazon-Advertising-API-Scope': profileId,
-          'Content-Type': 'application/json',
-        },
+      const keywords = await this.spClient(accessToken, profileId, region).list('keywords', {
+        adGroupIdFilter: { include: [String(adGroupId)] },
       });
-
-      if (!response.ok) {
-        throw new Error(`Failed to get keywords: ${response.status}`);
-      }
-
-      const keywords = await response.json();
-      return keywords;
+      return keywords.map((k) => ({ ...k, state: fromV3Enum(k.state), matchType: fromV3Enum(k.matchType) }));
     } catch (error) {
       console.error('Error getting keywords:', error);
       throw error;
     }
   }
 
-  // Kampanya performans verilerini al
-  async getCampaignPerformance(accessToken, profileId, campaignIds, startDate, endDate) {
+  // Kampanya performans verilerini al (v3 spCampaigns raporu, SUMMARY)
+  async getCampaignPerformance(accessToken, profileId, campaignIds, startDate, endDate, region) {
     try {
-      const body = {
-        campaignIds: campaignIds,
-        dateRange: {
-          start: startDate,
-          end: endDate
+      const client = this.adsClient(accessToken, profileId, region);
+      const reportId = await client.createReport({
+        name: `Robotads campaign performance ${startDate}..${endDate}`,
+        startDate,
+        endDate,
+        configuration: {
+          adProduct: 'SPONSORED_PRODUCTS',
+          reportTypeId: 'spCampaigns',
+          timeUnit: 'SUMMARY',
+          groupBy: ['campaign'],
+          columns: ['campaignId', 'impressions', 'clicks', 'cost', 'purchases14d', 'sales14d'],
+          format: 'GZIP_JSON',
         },
-        metrics: ['impressions', 'clicks', 'cost', 'orders', 'sales']
-      };
-
-      const response = await fetch(`${AMAZON_API_BASE}/v2/reports/campaigns`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Amazon-Advertising-API-ClientId': AMAZON_CLIENT_ID,
-          'Amazon-Advertising-API-Scope': profileId,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(body),
       });
 
-      if (!response.ok) {
-        throw new Error(`Failed to get campaign performance: ${response.status}`);
+      // Rapor hazır olana kadar bekle
+      let report = null;
+      for (let i = 0; i < REPORT_MAX_POLLS; i++) {
+        report = await client.getReport(reportId);
+        if (report.status === 'COMPLETED' || report.status === 'FAILURE') break;
+        await new Promise((resolve) => setTimeout(resolve, REPORT_POLL_INTERVAL_MS));
+      }
+      if (report?.status !== 'COMPLETED' || !report.url) {
+        throw new Error(`Campaign report ${reportId} not completed: ${report?.status || 'UNKNOWN'}`);
       }
 
-      const performance = await response.json();
-      return performance;
+      // Rapor gzip'li JSON olarak indirilir
+      const res = await fetch(report.url);
+      if (!res.ok) throw Object.assign(new Error(`Report download failed: ${res.status}`), { status: res.status });
+      const rows = await new Response(res.body.pipeThrough(new DecompressionStream('gzip'))).json();
+
+      // Kuralların kullandığı eski (v2) metrik adları
+      const wanted = new Set((campaignIds || []).map(String));
+      return rows
+        .filter((r) => wanted.size === 0 || wanted.has(String(r.campaignId)))
+        .map((r) => ({
+          campaignId: String(r.campaignId),
+          impressions: Number(r.impressions) || 0,
+          clicks: Number(r.clicks) || 0,
+          cost: Number(r.cost) || 0,
+          orders: Number(r.purchases14d) || 0,
+          sales: Number(r.sales14d) || 0,
+        }));
     } catch (error) {
       console.error('Error getting campaign performance:', error);
       throw error;
@@ -251,63 +215,102 @@ export class AmazonAdsAPI {
   }
 
   // Anahtar kelime teklifini güncelle
-  async updateKeywordBid(accessToken, profileId, keywordId, bid) {
+  async updateKeywordBid(accessToken, profileId, keywordId, bid, region) {
     try {
-      const body = [{
-        keywordId: keywordId,
-        bid: bid
-      }];
-
-      const response = await fetch(`${AMAZON_API_BASE}/v2/keywords/biddable`, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Amazon-Advertising-API-ClientId': AMAZON_CLIENT_ID,
-          'Amazon-Advertising-API-Scope': profileId,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(body),
-      });
+      const results = await this.spClient(accessToken, profileId, region).update('keywords', [
+        { keywordId: String(keywordId), bid: Number(bid) },
+      ]);
+      return singleResult(results);
+    } catch (error) {
+      console.error('Error updating keyword bid:', error);
+      throw error;
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`Failed to update keyword bid: ${response.status}`);
-      }
+  // Anahtar kelime durumunu güncelle (enabled / paused)
+  async updateKeywordState(accessToken, profileId, keywordId, state, region) {
+    try {
+      const results = await this.spClient(accessToken, profileId, region).update('keywords', [
+        { keywordId: String(keywordId), state: toV3Enum(state) },
+      ]);
+      return singleResult(results);
+    } catch (error) {
+      console.error('Error updating keyword state:', error);
+      throw error;
+    }
+  }
 
-      const result = await response.json();
-      return result;
+  // Kampanya durumunu güncelle (enabled / paused)
+  async updateCampaignState(accessToken, profileId, campaignId, state, region) {
+    try {
+      const results = await this.spClient(accessToken, profileId, region).update('campaigns', [
+        { campaignId: String(campaignId), state: toV3Enum(state) },
+      ]);
+      return singleResult(results);
     } catch (error) {
-      console.error('Error updating keyword bid:', error);
+      console.error('Error updating campaign state:', error);
       throw error;
     }
   }
 
   // Kampanya bütçesini güncelle
-  async updateCampaignBudget(accessToken, profileId, campaignId, budget) {
+  async updateCampaignBudget(accessToken, profileId, campaignId, budget, region) {
     try {
-      const body = [{
-        campaignId: campaignId,
-        budget: budget
-      }];
-
-      const response = await fetch(`${AMAZON_API_BASE}/v2/campaigns`, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Amazon-Advertising-API-ClientId': AMAZON_CLIENT_ID,
-          'Amazon-Advertising-API-Scope': profileId,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(body),
+      const results = await this.spClient(accessToken, profileId, region).update('campaigns', [
+        { campaignId: String(campaignId), budget: { budget: Number(budget), budgetType: 'DAILY' } },
+      ]);
+      return singleResult(results);
+    } catch (error) {
+      console.error('Error updating campaign budget:', error);
+      throw error;
+    }
+  }
+
+  // Negatif anahtar kelime kaynağı (level: 'ad_group' | 'campaign')
+  negativeKeywordResource(level) {
+    return level === 'campaign' ? 'campaignNegativeKeywords' : 'negativeKeywords';
+  }
+
+  // Negatif anahtar kelimeleri al
+  async getNegativeKeywords(accessToken, profileId, campaignId, level = 'ad_group', region) {
+    try {
+      const negatives = await this.spClient(accessToken, profileId, region).list(this.negativeKeywordResource(level), {
+        campaignIdFilter: { include: [String(campaignId)] },
+        stateFilter: { include: ['ENABLED'] },
       });
+      return negatives.map((n) => ({ ...n, state: fromV3Enum(n.state), matchType: fromV3Enum(n.matchType) }));
+    } catch (error) {
+      console.error('Error getting negative keywords:', error);
+      throw error;
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`Failed to update campaign budget: ${response.status}`);
-      }
+  // Negatif anahtar kelime ekle ([{ campaignId, adGroupId?, keywordText, matchType }]).
+  // Her negatif için bir sonuç döner ({ index, ok, id | error }); Amazon'un
+  // reddettikleri diğerlerini engellemez.
+  async createNegativeKeywords(accessToken, profileId, negatives, level = 'ad_group', region) {
+    try {
+      const body = negatives.map((n) => ({
+        campaignId: String(n.campaignId),
+        ...(level === 'campaign' ? {} : { adGroupId: String(n.adGroupId) }),
+        keywordText: n.keywordText,
+        matchType: n.matchType === 'negativePhrase' ? 'NEGATIVE_PHRASE' : 'NEGATIVE_EXACT',
+        state: 'ENABLED'
+      }));
+      return await this.spClient(accessToken, profileId, region).create(this.negativeKeywordResource(level), body);
+    } catch (error) {
+      console.error('Error creating negative keywords:', error);
+      throw error;
+    }
+  }
 
-      const result = await response.json();
-      return result;
+  // Negatif anahtar kelimeyi arşivle
+  async archiveNegativeKeyword(accessToken, profileId, keywordId, level = 'ad_group', region) {
+    try {
+      const results = await this.spClient(accessToken, profileId, region).remove(this.negativeKeywordResource(level), [keywordId]);
+      return singleResult(results);
     } catch (error) {
-      console.error('Error updating campaign budget:', error);
+      console.error('Error archiving negative keyword:', error);
       throw error;
     }
   }
@@ -0,0 +1,182 @@
+// Sponsored Products v3 client (/sp/campaigns, /sp/adGroups, /sp/keywords,
+// /sp/targets and the negatives), available as `sp` on every Amazon Ads
+// client (src/lib/amazonAdsClient.js). v3 speaks versioned vendor JSON
+// (application/vnd.spKeyword.v3+json, ...) with upper-case enums.
+//
+// Create, update and delete take a batch and answer 207 with
+//   { <key>: { success: [{ index, <idField> }], error: [{ index, errors }] } }
+// The client maps that back to one result per input item, in input order:
+//   { index, item, ok: true, id, status: 200 }
+//   { index, item, ok: false, error, status }
+// Batches are chunked to the resource's limit; a chunk that fails as a whole
+// (HTTP error, network) fails only its own items, with the HTTP status
+// (0 without a response), so one bad item never hides the others.
+//
+// Requests go through the Ads client, which handles auth headers, token
+// refresh and retries.
+
+export const SP_RESOURCES = {
+  campaigns: {
+    path: '/sp/campaigns',
+    key: 'campaigns',
+    idField: 'campaignId',
+    idFilter: 'campaignIdFilter',
+    contentType: 'application/vnd.spCampaign.v3+json',
+    batchSize: 10,
+  },
+  adGroups: {
+    path: '/sp/adGroups',
+    key: 'adGroups',
+    idField: 'adGroupId',
+    idFilter: 'adGroupIdFilter',
+    contentType: 'application/vnd.spAdGroup.v3+json',
+    batchSize: 100,
+  },
+  keywords: {
+    path: '/sp/keywords',
+    key: 'keywords',
+    idField: 'keywordId',
+    idFilter: 'keywordIdFilter',
+    contentType: 'application/vnd.spKeyword.v3+json',
+    batchSize: 100,
+  },
+  targets: {
+    path: '/sp/targets',
+    key: 'targetingClauses',
+    idField: 'targetId',
+    idFilter: 'targetIdFilter',
+    contentType: 'application/vnd.spTargetingClause.v3+json',
+    batchSize: 100,
+  },
+  negativeKeywords: {
+    path: '/sp/negativeKeywords',
+    key: 'negativeKeywords',
+    idField: 'negativeKeywordId',
+    idFilter: 'negativeKeywordIdFilter',
+    contentType: 'application/vnd.spNegativeKeyword.v3+json',
+    batchSize: 100,
+  },
+  campaignNegativeKeywords: {
+    path: '/sp/campaignNegativeKeywords',
+    key: 'campaignNegativeKeywords',
+    idField: 'campaignNegativeKeywordId',
+    idFilter: 'campaignNegativeKeywordIdFilter',
+    contentType: 'application/vnd.spCampaignNegativeKeyword.v3+json',
+    batchSize: 100,
+  },
+  negativeTargets: {
+    path: '/sp/negativeTargets',
+    key: 'negativeTargetingClauses',
+    idField: 'targetId',
+    idFilter: 'negativeTargetIdFilter',
+    contentType: 'application/vnd.spNegativeTargetingClause.v3+json',
+    batchSize: 100,
+  },
+  campaignNegativeTargets: {
+    path: '/sp/campaignNegativeTargets',
+    key: 'campaignNegativeTargetingClauses',
+    idField: 'targetId',
+    idFilter: 'campaignNegativeTargetIdFilter',
+    contentType: 'application/vnd.spCampaignNegativeTargetingClause.v3+json',
+    batchSize: 100,
+  },
+};
+
+const LIST_PAGE_SIZE = 1000;
+
+// negativeExact -> NEGATIVE_EXACT, asinBrandSameAs -> ASIN_BRAND_SAME_AS
+export function toV3Enum(value) {
+  return String(value || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toUpperCase();
+}
+
+// NEGATIVE_EXACT -> negativeExact, ENABLED -> enabled
+export function fromV3Enum(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+// First readable message of a v3 error entry ({ index, errors: [{ errorType,
+// errorValue: { <kind>: { message, reason } } }] })
+function itemErrorMessage(entry) {
+  const first = (entry?.errors || [])[0];
+  const detail = first?.errorValue ? Object.values(first.errorValue)[0] : null;
+  return detail?.message || detail?.reason || first?.errorType || 'Unknown error';
+}
+
+// One result per item from a 207 section; indexes are relative to `items`,
+// results are numbered from `offset` (the chunk's position in the batch).
+export function mapBatchResults(section, items, idField, offset = 0) {
+  const results = items.map((item, i) => ({
+    index: offset + i,
+    item,
+    ok: false,
+    status: 0,
+    error: 'No result returned',
+  }));
+  for (const ok of section?.success || []) {
+    const r = results[ok.index];
+    if (!r) continue;
+    const id = ok[idField] ?? ok[Object.keys(ok).find((k) => k !== 'index')];
+    results[ok.index] = { index: r.index, item: r.item, ok: true, status: 200, id: id != null ? String(id) : null };
+  }
+  for (const bad of section?.error || []) {
+    const r = results[bad.index];
+    if (!r) continue;
+    results[bad.index] = { index: r.index, item: r.item, ok: false, status: 400, error: itemErrorMessage(bad) };
+  }
+  return results;
+}
+
+// client: an Amazon Ads client (createAdsClient in src/lib/amazonAdsClient.js)
+export function createSpClient(client) {
+  const request = (method, path, body, contentType) => client.json(path, { method, body, contentType });
+
+  // All entities matching the v3 filters (e.g. { stateFilter: { include:
+  // ['ENABLED'] }, campaignIdFilter: { include: [id] } }), following nextToken
+  async function list(resource, filters = {}) {
+    const r = SP_RESOURCES[resource];
+    const entities = [];
+    let nextToken = null;
+    do {
+      const page = await request(
+        'POST',
+        `${r.path}/list`,
+        { ...filters, maxResults: LIST_PAGE_SIZE, ...(nextToken ? { nextToken } : {}) },
+        r.contentType
+      );
+      entities.push(...(page?.[r.key] || []));
+      nextToken = page?.nextToken || null;
+    } while (nextToken);
+    return entities;
+  }
+
+  async function write(method, suffix, resource, items, toBody) {
+    const r = SP_RESOURCES[resource];
+    const results = [];
+    for (let start = 0; start < items.length; start += r.batchSize) {
+      const chunk = items.slice(start, start + r.batchSize);
+      try {
+        const json = await request(method, `${r.path}${suffix}`, toBody(r, chunk), r.contentType);
+        results.push(...mapBatchResults(json?.[r.key], chunk, r.idField, start));
+      } catch (e) {
+        const error = String(e?.message || e);
+        chunk.forEach((item, i) => results.push({ index: start + i, item, ok: false, status: e?.status || 0, error }));
+      }
+    }
+    return results;
+  }
+
+  return {
+    list,
+    // entities: v3 objects without ids; result ids are the new entity ids
+    create: (resource, entities) => write('POST', '', resource, entities, (r, chunk) => ({ [r.key]: chunk })),
+    // entities: v3 objects with their id field and the fields to change
+    update: (resource, entities) => write('PUT', '', resource, entities, (r, chunk) => ({ [r.key]: chunk })),
+    // ids: entity ids; v3 archives them (state ARCHIVED)
+    remove: (resource, ids) =>
+      write('POST', '/delete', resource, ids.map(String), (r, chunk) => ({ [r.idFilter]: { include: chunk } })),
+  };
+}
@@ -0,0 +1,98 @@
+// Global automation kill switch (automation_settings), shared by the settings
+// UI, the VPS optimizer (scripts/optimizerVps.js), the daily optimization
+// cron (scripts/optimizationCron.js, also behind the /optimize route) and the
+// browser engine's manual run.
+//
+// A user has one flag for all of their accounts (account_id NULL) and may
+// turn single accounts off on top of it. Missing rows mean automation is on.
+// Every change is written to automation_settings_audit. The user-wide row
+// also holds the rule conflict strategy (src/lib/ruleConflicts.js).
+//
+// Every function takes the caller's Supabase client, so the module runs in
+// Vite and in plain Node.
+
+import { CONFLICT_STRATEGIES, DEFAULT_CONFLICT_STRATEGY } from './ruleConflicts.js';
+
+// Flags of one user, or of every user when userId is omitted (service role)
+export async function loadAutomationSettings(supabase, { userId = null } = {}) {
+  let query = supabase.from('automation_settings').select('*');
+  if (userId) query = query.eq('user_id', userId);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+// Whether automated changes may be applied to the account: neither the
+// user's flag nor the account's own flag is off
+export function automationEnabled(settings, account) {
+  return !(settings || []).some(
+    (s) =>
+      s.user_id === account.user_id &&
+      (s.account_id == null || s.account_id === account.id) &&
+      s.enabled === false
+  );
+}
+
+// Sets the user-wide flag (accountId null) or an account flag and audits the
+// change. Returns the saved row; unchanged flags are not audited again.
+export async function setAutomationEnabled(
+  supabase,
+  { userId, accountId = null, enabled, changedBy = null, source = null }
+) {
+  let query = supabase.from('automation_settings').select('*').eq('user_id', userId);
+  query = accountId ? query.eq('account_id', accountId) : query.is('account_id', null);
+  const { data: existing, error: loadErr } = await query.maybeSingle();
+  if (loadErr) throw loadErr;
+  if (existing && existing.enabled === enabled) return existing;
+
+  const now = new Date().toISOString();
+  const { data: saved, error: saveErr } = existing
+    ? await supabase
+        .from('automation_settings')
+        .update({ enabled, updated_by: changedBy, updated_at: now })
+        .eq('id', existing.id)
+        .select()
+        .single()
+    : await supabase
+        .from('automation_settings')
+        .insert({ user_id: userId, account_id: accountId, enabled, updated_by: changedBy, updated_at: now })
+        .select()
+        .single();
+  if (saveErr) throw saveErr;
+
+  const { error: auditErr } = await supabase.from('automation_settings_audit').insert({
+    user_id: userId,
+    account_id: accountId,
+    previous_enabled: existing ? existing.enabled : null,
+    enabled,
+    changed_by: changedBy,
+    source,
+    changed_at: now,
+  });
+  if (auditErr) throw auditErr;
+
+  return saved;
+}
+
+// Rule conflict strategy of a user
+export function conflictStrategy(settings, userId) {
+  const row = (settings || []).find((s) => s.user_id === userId && s.account_id == null);
+  return CONFLICT_STRATEGIES[row?.conflict_strategy] ? row.conflict_strategy : DEFAULT_CONFLICT_STRATEGY;
+}
+
+export async function setConflictStrategy(supabase, { userId, strategy, changedBy = null }) {
+  if (!CONFLICT_STRATEGIES[strategy]) throw new Error(`Unknown conflict strategy: ${strategy}`);
+  const { data: existing, error: loadErr } = await supabase
+    .from('automation_settings')
+    .select('id')
+    .eq('user_id', userId)
+    .is('account_id', null)
+    .maybeSingle();
+  if (loadErr) throw loadErr;
+
+  const patch = { conflict_strategy: strategy, updated_by: changedBy, updated_at: new Date().toISOString() };
+  const { error } = existing
+    ? await supabase.from('automation_settings').update(patch).eq('id', existing.id)
+    : await supabase.from('automation_settings').insert({ user_id: userId, account_id: null, ...patch });
+  if (error) throw error;
+}
@@ -0,0 +1,101 @@
+// Budget pacing, shared by the pacing view on the Campaigns page and the VPS
+// pacing daemon (scripts/budgetPacingVps.js). Pure functions only, so the same
+// module runs in Vite and in plain Node.
+//
+// Intraday pacing compares Amazon's budget usage (share of today's daily
+// budget already spent, in percent) with the share of the day that has passed
+// in the marketplace's timezone. Budget raises are limited by a monthly spend
+// cap per campaign.
+
+export const PACING_STATUS_LABELS = {
+  out_of_budget: 'Out of budget',
+  overpacing: 'Overpacing',
+  on_track: 'On track',
+  underpacing: 'Underpacing',
+  unknown: 'No data',
+};
+
+// Usage above this multiple of the elapsed day share runs out before midnight
+const OVERPACING_RATIO = 1.25;
+const UNDERPACING_RATIO = 0.5;
+
+export const PACING_DEFAULTS = { raise_percent: 20 };
+
+function toNumber(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Local calendar date (YYYY-MM-DD), hour and minute of `date` in the given
+// IANA timezone
+export function localDateTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = (type) => parts.find((p) => p.type === type)?.value;
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    hour: Number(part('hour')) % 24,
+    minute: Number(part('minute')),
+  };
+}
+
+// Share of the local day that has passed (0..1) for { hour, minute }
+export function dayElapsed({ hour, minute = 0 }) {
+  return Math.min(1, Math.max(0, (toNumber(hour) + toNumber(minute) / 60) / 24));
+}
+
+// Pacing status for a campaign's budget usage at the given local time.
+// Returns { status, ratio, runOutHour } where runOutHour is the local hour the
+// budget is projected to run out at the current rate (null when it lasts the
+// day or there is no usage yet).
+export function pacingStatus(usagePercent, localTime) {
+  if (usagePercent == null || !Number.isFinite(Number(usagePercent))) {
+    return { status: 'unknown', ratio: null, runOutHour: null };
+  }
+  const used = Math.max(0, toNumber(usagePercent)) / 100;
+  // The first hour of the day is too early to tell
+  const elapsed = Math.max(dayElapsed(localTime), 1 / 24);
+  const ratio = used / elapsed;
+  const runOutHour = used > 0 && elapsed / used < 1 ? Number(((elapsed / used) * 24).toFixed(1)) : null;
+
+  if (used >= 1) return { status: 'out_of_budget', ratio, runOutHour: null };
+  if (ratio >= OVERPACING_RATIO) return { status: 'overpacing', ratio, runOutHour };
+  if (ratio <= UNDERPACING_RATIO) return { status: 'underpacing', ratio, runOutHour };
+  return { status: 'on_track', ratio, runOutHour };
+}
+
+// Days in the month of `date` (YYYY-MM-DD) after that day
+export function daysLeftInMonth(date) {
+  const [y, m, d] = String(date).split('-').map(Number);
+  const days = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return days - d;
+}
+
+// First day of the month of `date` (YYYY-MM-DD)
+export function monthStart(date) {
+  return `${String(date).slice(0, 7)}-01`;
+}
+
+// New daily budget for a campaign that ran out, or null when no raise fits.
+// The budget goes up by raise_percent, cut so that the month's spend before
+// today, today's raised budget and the base budget (restored tomorrow) for the
+// rest of the month stay within the cap. Raises need a cap: without one the
+// budget could compound all day, so there is no raise.
+export function computeBudgetRaise({ budget, baseBudget, raisePercent, monthSpend, monthlyCap, daysLeft }) {
+  const current = toNumber(budget);
+  if (current <= 0 || monthlyCap == null || monthlyCap === '') return null;
+  const raised = current * (1 + Math.max(0, toNumber(raisePercent, PACING_DEFAULTS.raise_percent)) / 100);
+
+  const base = toNumber(baseBudget, current) || current;
+  const room = toNumber(monthlyCap) - toNumber(monthSpend) - base * Math.max(0, toNumber(daysLeft));
+  const capped = Math.min(raised, room);
+  if (capped <= current) return null;
+  return Number(capped.toFixed(2));
+}
@@ -0,0 +1,77 @@
+// Dayparting schedules, shared by the Dayparting page and the VPS daemon
+// (scripts/daypartingVps.js). Pure functions only, so the same module runs in
+// Vite and in plain Node.
+//
+// dayparting_schedules.schedule is a weekly grid: 7 days (0 = Sunday, as
+// Date#getDay) x 24 hours of bid multipliers in the marketplace's local time.
+// 1 leaves bids unchanged, 0 pauses the campaign / ad group for that hour.
+// Missing cells count as 1.
+
+export const DAYPART_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const MULTIPLIER_LIMITS = { min: 0.1, max: 5 };
+
+// Used until the profile's own timezone has been read from Amazon
+const REGION_TIMEZONES = {
+  na: 'America/Los_Angeles',
+  eu: 'Europe/London',
+  fe: 'Asia/Tokyo',
+};
+
+export function emptySchedule(value = 1) {
+  return DAYPART_DAYS.map(() => Array.from({ length: 24 }, () => value));
+}
+
+// amazon_accounts.timezone when known, else the region's default
+export function accountTimezone(account) {
+  if (account?.timezone) return account.timezone;
+  const region = String(account?.amazon_region || '').toLowerCase();
+  if (['eu', 'europe'].includes(region)) return REGION_TIMEZONES.eu;
+  if (['fe', 'far_east', 'apac', 'asia'].includes(region)) return REGION_TIMEZONES.fe;
+  return REGION_TIMEZONES.na;
+}
+
+// Day of week and hour for `date` in the given IANA timezone
+export function localSlot(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const weekday = parts.find((p) => p.type === 'weekday')?.value;
+  const hour = Number(parts.find((p) => p.type === 'hour')?.value) % 24;
+  return { day: Math.max(0, DAYPART_DAYS.indexOf(weekday)), hour };
+}
+
+// Multiplier for a cell: 0 (paused) or clamped to MULTIPLIER_LIMITS
+export function normalizeMultiplier(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return 1;
+  if (n <= 0) return 0;
+  return Math.min(MULTIPLIER_LIMITS.max, Math.max(MULTIPLIER_LIMITS.min, Number(n.toFixed(2))));
+}
+
+export function scheduleValue(schedule, { day, hour }) {
+  const cell = Array.isArray(schedule) ? schedule[day]?.[hour] : undefined;
+  return cell == null ? 1 : normalizeMultiplier(cell);
+}
+
+// Multiplier a schedule wants right now. Disabled or deleted schedules want 1,
+// which makes the daemon undo whatever it applied.
+export function desiredMultiplier(schedule, timeZone, now = new Date()) {
+  if (!schedule?.enabled || schedule.deleted_at) return 1;
+  return scheduleValue(schedule.schedule, localSlot(now, timeZone));
+}
+
+// True when the schedule has changes live on Amazon that must be undone
+export function scheduleApplied(schedule) {
+  return !!schedule?.paused_by_schedule || normalizeMultiplier(schedule?.applied_multiplier ?? 1) !== 1;
+}
+
+export function describeMultiplier(value) {
+  const m = normalizeMultiplier(value);
+  if (m === 0) return 'Paused';
+  if (m === 1) return 'Base bid';
+  return `${m}x bid`;
+}
@@ -0,0 +1,119 @@
+// Per-entity cooldowns for automated changes, enforced by the VPS optimizer
+// (scripts/optimizerVps.js) when it builds a rule's actions. Rules opt in
+// with two settings:
+//   cooldown_hours -> leave an entity alone for this long after it changed
+//   min_new_clicks -> change it again only after this many clicks came in
+//                     since the last change (so the metrics had time to react)
+// Changes are read from optimization_logs, whatever rule, revert or manual
+// run wrote them; rows whose API call failed do not count. New clicks are
+// summed from the daily metrics history (src/lib/metricsHistory.js) over the
+// days after the day of the change, since that day is only partly after it.
+// Entities without a history table (search terms) only get the cooldown.
+//
+// Every function takes the caller's Supabase client, so the module runs in
+// Vite and in plain Node.
+
+import { DAILY_METRIC_TABLES } from './metricsHistory.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const PAGE_SIZE = 1000;
+
+// Changes older than this are treated as settled
+export const CHANGE_HISTORY_DAYS = 60;
+
+function succeeded(log) {
+  const status = log.details?.api_status;
+  if (status == null) return true;
+  const code = Number(status);
+  return code >= 200 && code < 300;
+}
+
+// Whether a rule's settings ask for any cooldown check
+export function hasCooldown(settings) {
+  return Number(settings?.cooldown_hours) > 0 || Number(settings?.min_new_clicks) > 0;
+}
+
+// Latest successful change per entity of one type: Map of Amazon entity id
+// -> { changedAt (ms), date ('YYYY-MM-DD'), action }
+export async function loadLastChanges(supabase, { accountId, entityType, now = Date.now() }) {
+  const since = new Date(now - CHANGE_HISTORY_DAYS * 24 * HOUR_MS).toISOString();
+  const changes = new Map();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('optimization_logs')
+      .select('entity_id, action, created_at, details')
+      .eq('amazon_account_id', accountId)
+      .eq('entity_type', entityType)
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    for (const log of data || []) {
+      if (!log.entity_id || changes.has(String(log.entity_id)) || !succeeded(log)) continue;
+      changes.set(String(log.entity_id), {
+        changedAt: new Date(log.created_at).getTime(),
+        date: String(log.created_at).slice(0, 10),
+        action: log.action,
+      });
+    }
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return changes;
+}
+
+// Clicks per entity on the days after its last change: Map of Amazon id ->
+// clicks (0 when nothing came in yet). Null when the entity type has no
+// history table.
+export async function loadClicksSinceChanges(supabase, { entity, accountId, changes }) {
+  const source = DAILY_METRIC_TABLES[entity];
+  if (!source) return null;
+  const clicks = new Map([...changes.keys()].map((id) => [id, 0]));
+  if (changes.size === 0) return clicks;
+
+  const since = [...changes.values()].reduce((min, c) => (c.date < min ? c.date : min), '9999-12-31');
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(source.table)
+      .select(`${source.idColumn}, date, clicks`)
+      .eq('account_id', accountId)
+      .gt('date', since)
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    for (const r of data || []) {
+      const id = String(r[source.idColumn]);
+      const change = changes.get(id);
+      if (!change || r.date <= change.date) continue;
+      clicks.set(id, clicks.get(id) + (Number(r.clicks ?? 0) || 0));
+    }
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return clicks;
+}
+
+// Both of the above for one entity type: { changes, clicks }
+export async function loadEntityCooldowns(supabase, { entity, accountId, now = Date.now() }) {
+  const changes = await loadLastChanges(supabase, { accountId, entityType: entity, now });
+  const clicks = await loadClicksSinceChanges(supabase, { entity, accountId, changes });
+  return { changes, clicks };
+}
+
+// Why the entity may not be changed yet under the rule's settings, or null.
+// cooldowns is the result of loadEntityCooldowns() for the rule's entity.
+export function cooldownReason(settings, cooldowns, entityId, now = Date.now()) {
+  const change = cooldowns?.changes.get(String(entityId));
+  if (!change) return null;
+
+  const cooldownHours = Number(settings.cooldown_hours) || 0;
+  const hoursSince = (now - change.changedAt) / HOUR_MS;
+  if (cooldownHours > 0 && hoursSince < cooldownHours) {
+    return `changed ${Math.floor(hoursSince)}h ago (cooldown ${cooldownHours}h)`;
+  }
+
+  const minClicks = Number(settings.min_new_clicks) || 0;
+  const newClicks = cooldowns.clicks?.get(String(entityId));
+  if (minClicks > 0 && newClicks != null && newClicks < minClicks) {
+    return `${newClicks} new click(s) since the last change (needs ${minClicks})`;
+  }
+  return null;
+}
@@ -0,0 +1,235 @@
+// Guardrails on automated changes, enforced by every writer: the VPS
+// optimizer (scripts/optimizerVps.js), the browser engine
+// (OptimizationEngine) and applyAmazonUpdates (scripts/lib/amazonUpdates.js).
+// Limits come from account_guardrails and portfolio_spend_caps; NULL means no
+// limit. A change that breaks one is not sent and is logged to error_logs
+// with the reason.
+//
+// Changes are { kind, entityType, entityId, campaignId, current, next } with
+// kind 'bid' | 'budget' | 'status' | 'create' | 'negative'. campaignId may be
+// amazon_campaigns.id or the Amazon campaign id; both resolve the portfolio.
+// Budget changes carry the Amazon campaign id as entityId.
+//
+// Every function takes the caller's Supabase client, so the module runs in
+// Vite and in plain Node.
+
+import { accountTimezone } from './dayparting.js';
+import { localDateTime, monthStart } from './budgetPacing.js';
+
+export const GUARDRAIL_FIELDS = {
+  max_bid: 'Max bid',
+  max_budget_increase_percent: 'Max budget increase per day (%)',
+  max_changes_per_run: 'Max changes per run',
+  monthly_spend_cap: 'Monthly spend cap',
+};
+
+const PAGE_SIZE = 1000;
+
+function limit(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function money(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+// Spend per Amazon campaign id from the start of the local month
+async function loadMonthSpend(supabase, accountId, since) {
+  const spend = new Map();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('amazon_campaign_metrics_daily')
+      .select('amazon_campaign_id, spend')
+      .eq('account_id', accountId)
+      .gte('date', since)
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    for (const r of data || []) {
+      const id = String(r.amazon_campaign_id);
+      spend.set(id, (spend.get(id) || 0) + (Number(r.spend) || 0));
+    }
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return spend;
+}
+
+// Guardrail context for one run on an account. The change counter for
+// max_changes_per_run lives on the context, so a run shares one context
+// across all of its writes.
+export async function loadGuardrails(supabase, account, now = new Date()) {
+  const localDate = localDateTime(now, accountTimezone(account)).date;
+  const [{ data: settings, error: setErr }, { data: caps, error: capErr }] = await Promise.all([
+    supabase.from('account_guardrails').select('*').eq('account_id', account.id).maybeSingle(),
+    supabase.from('portfolio_spend_caps').select('portfolio_id, monthly_spend_cap').eq('account_id', account.id),
+  ]);
+  if (setErr) throw setErr;
+  if (capErr) throw capErr;
+
+  const context = {
+    accountId: account.id,
+    localDate,
+    limits: {
+      max_bid: limit(settings?.max_bid),
+      max_budget_increase_percent: limit(settings?.max_budget_increase_percent),
+      max_changes_per_run: limit(settings?.max_changes_per_run),
+      monthly_spend_cap: limit(settings?.monthly_spend_cap),
+    },
+    portfolioCaps: new Map(
+      (caps || [])
+        .filter((c) => limit(c.monthly_spend_cap) != null)
+        .map((c) => [String(c.portfolio_id), limit(c.monthly_spend_cap)])
+    ),
+    campaignPortfolio: new Map(),
+    accountSpend: 0,
+    portfolioSpend: new Map(),
+    baselines: new Map(),
+    changes: 0,
+  };
+
+  if (context.limits.monthly_spend_cap != null || context.portfolioCaps.size > 0) {
+    const spend = await loadMonthSpend(supabase, account.id, monthStart(localDate));
+    const { data: campaigns, error } = await supabase
+      .from('amazon_campaigns')
+      .select('id, campaign_id, portfolio_id')
+      .eq('account_id', account.id);
+    if (error) throw error;
+    for (const c of campaigns || []) {
+      if (!c.portfolio_id) continue;
+      context.campaignPortfolio.set(String(c.id), String(c.portfolio_id));
+      context.campaignPortfolio.set(String(c.campaign_id), String(c.portfolio_id));
+    }
+    for (const [campaignId, value] of spend) {
+      context.accountSpend += value;
+      const portfolioId = context.campaignPortfolio.get(campaignId);
+      if (portfolioId) {
+        context.portfolioSpend.set(portfolioId, (context.portfolioSpend.get(portfolioId) || 0) + value);
+      }
+    }
+  }
+
+  if (context.limits.max_budget_increase_percent != null) {
+    const { data: baselines, error } = await supabase
+      .from('guardrail_budget_baselines')
+      .select('amazon_campaign_id, budget')
+      .eq('account_id', account.id)
+      .eq('local_date', localDate);
+    if (error) throw error;
+    for (const b of baselines || []) {
+      context.baselines.set(String(b.amazon_campaign_id), Number(b.budget));
+    }
+  }
+
+  return context;
+}
+
+// Whether the change can raise spend: higher bids or budgets, enabling an
+// entity or creating a keyword. Negatives and pauses only ever lower it.
+export function increasesSpend(change) {
+  if (change.kind === 'create') return true;
+  if (change.kind === 'status') {
+    return String(change.next).toLowerCase() === 'enabled' && String(change.current).toLowerCase() !== 'enabled';
+  }
+  if (change.kind === 'bid' || change.kind === 'budget') {
+    return Number(change.next) > Number(change.current ?? 0);
+  }
+  return false;
+}
+
+// Reason the change breaks a guardrail, or null when it may be sent. Does not
+// count the change; guardChanges does.
+export function checkChange(context, change) {
+  const { limits } = context;
+  if (limits.max_changes_per_run != null && context.changes >= limits.max_changes_per_run) {
+    return `Max ${limits.max_changes_per_run} changes per run reached`;
+  }
+  if ((change.kind === 'bid' || change.kind === 'create') && limits.max_bid != null && change.next != null) {
+    if (Number(change.next) > limits.max_bid) {
+      return `Bid ${money(change.next)} is above the max bid ${money(limits.max_bid)}`;
+    }
+  }
+  if (change.kind === 'budget' && limits.max_budget_increase_percent != null) {
+    const baseline = context.baselines.get(String(change.entityId)) ?? Number(change.current ?? 0);
+    const ceiling = baseline * (1 + limits.max_budget_increase_percent / 100);
+    if (Number(change.next) > Number(change.current ?? 0) && Number(change.next) > ceiling + 1e-9) {
+      return `Budget ${money(change.next)} is more than ${limits.max_budget_increase_percent}% above today's starting budget ${money(baseline)}`;
+    }
+  }
+  if (increasesSpend(change)) {
+    if (limits.monthly_spend_cap != null && context.accountSpend >= limits.monthly_spend_cap) {
+      return `Monthly spend cap ${money(limits.monthly_spend_cap)} reached (spent ${money(context.accountSpend)})`;
+    }
+    const portfolioId = context.campaignPortfolio.get(String(change.campaignId));
+    const cap = portfolioId ? context.portfolioCaps.get(portfolioId) : null;
+    if (cap != null) {
+      const spent = context.portfolioSpend.get(portfolioId) || 0;
+      if (spent >= cap) {
+        return `Portfolio ${portfolioId} monthly spend cap ${money(cap)} reached (spent ${money(spent)})`;
+      }
+    }
+  }
+  return null;
+}
+
+// Splits changes into the ones that may be sent and the blocked ones
+// ({ change, reason }), counts the allowed ones towards max_changes_per_run,
+// records today's budget baselines and logs blocked changes to error_logs
+// under `source`.
+export async function guardChanges(supabase, context, changes, source) {
+  const allowed = [];
+  const blocked = [];
+  const newBaselines = [];
+
+  for (const change of changes) {
+    if (change.kind === 'budget' && context.limits.max_budget_increase_percent != null) {
+      const key = String(change.entityId);
+      if (!context.baselines.has(key)) {
+        const budget = Number(change.current ?? 0) || 0;
+        context.baselines.set(key, budget);
+        newBaselines.push({
+          account_id: context.accountId,
+          amazon_campaign_id: key,
+          local_date: context.localDate,
+          budget,
+        });
+      }
+    }
+    const reason = checkChange(context, change);
+    if (reason) {
+      blocked.push({ change, reason });
+    } else {
+      context.changes += 1;
+      allowed.push(change);
+    }
+  }
+
+  if (newBaselines.length > 0) {
+    const { error } = await supabase
+      .from('guardrail_budget_baselines')
+      .upsert(newBaselines, { onConflict: 'account_id,amazon_campaign_id,local_date', ignoreDuplicates: true });
+    if (error) console.error('Failed to save guardrail budget baselines:', error);
+  }
+  if (blocked.length > 0) await logBlockedChanges(supabase, context, blocked, source);
+
+  return { allowed, blocked };
+}
+
+// One change; returns the reason it was blocked, or null
+export async function guardChange(supabase, context, change, source) {
+  const { blocked } = await guardChanges(supabase, context, [change], source);
+  return blocked.length > 0 ? blocked[0].reason : null;
+}
+
+async function logBlockedChanges(supabase, context, blocked, source) {
+  const { error } = await supabase.from('error_logs').insert(
+    blocked.map(({ change, reason }) => ({
+      account_id: context.accountId,
+      function_name: source,
+      message: `Change blocked by guardrail: ${reason}`,
+      context: { guardrail: true, reason, change },
+    }))
+  );
+  if (error) console.error('Failed to log blocked changes:', error);
+}
@@ -0,0 +1,157 @@
+// Daily metrics history (amazon_*_metrics_daily), shared by the VPS sync
+// (scripts/syncAmazonDataVps.js), the VPS optimizer and the browser engine.
+// The sync writes one row per entity and day from timeUnit DAILY reports;
+// rule evaluation sums them for any window instead of reading the snapshot
+// columns, which only hold the window that was synced last.
+//
+// Entities and their Amazon id column:
+//   campaign    -> amazon_campaign_metrics_daily.amazon_campaign_id
+//   ad_group    -> amazon_ad_group_metrics_daily.amazon_ad_group_id
+//   keyword     -> amazon_keyword_metrics_daily.amazon_keyword_id
+//   asin_target -> amazon_target_metrics_daily.amazon_target_id
+//
+// Every function takes the caller's Supabase client, so the module runs in
+// Vite and in plain Node.
+
+export const DAILY_METRIC_TABLES = {
+  campaign: { table: 'amazon_campaign_metrics_daily', idColumn: 'amazon_campaign_id' },
+  ad_group: { table: 'amazon_ad_group_metrics_daily', idColumn: 'amazon_ad_group_id' },
+  keyword: { table: 'amazon_keyword_metrics_daily', idColumn: 'amazon_keyword_id' },
+  asin_target: { table: 'amazon_target_metrics_daily', idColumn: 'amazon_target_id' },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 1000;
+
+function isoDate(time) {
+  return new Date(time).toISOString().split('T')[0];
+}
+
+// First day of a window of `days` days ending yesterday (reports never
+// include today).
+export function windowStartDate(days, now = Date.now()) {
+  return isoDate(now - Math.max(1, Number(days) || 1) * DAY_MS);
+}
+
+// Splits the last `days` days (ending yesterday) into ranges of at most
+// maxDays, oldest first. DAILY reports accept up to 31 days per request.
+export function dateChunks(days, maxDays = 31, now = Date.now()) {
+  const chunks = [];
+  const total = Math.max(1, Number(days) || 1);
+  for (let offset = total; offset > 0; offset -= maxDays) {
+    const span = Math.min(maxDays, offset);
+    chunks.push({
+      startDate: isoDate(now - offset * DAY_MS),
+      endDate: isoDate(now - (offset - span + 1) * DAY_MS),
+    });
+  }
+  return chunks;
+}
+
+// rows: [{ account_id, ad_product?, campaign_id?, <idColumn>,
+// amazon_profile_id_text, date, spend, impressions, clicks, orders, sales }]
+export async function upsertDailyMetrics(supabase, entity, rows) {
+  const source = DAILY_METRIC_TABLES[entity];
+  if (!source) throw new Error(`No daily metrics table for ${entity}`);
+  const now = new Date().toISOString();
+  for (let i = 0; i < rows.length; i += 500) {
+    const { error } = await supabase
+      .from(source.table)
+      .upsert(
+        rows.slice(i, i + 500).map((r) => ({ ...r, updated_at: now })),
+        { onConflict: `amazon_profile_id_text,${source.idColumn},date` }
+      );
+    if (error) throw error;
+  }
+  return rows.length;
+}
+
+// Most recent day stored for the account (optionally for one ad product), or
+// null when there is no history yet (the sync backfills in that case).
+export async function latestMetricsDate(supabase, entity, accountId, adProduct = null) {
+  const source = DAILY_METRIC_TABLES[entity];
+  if (!source) return null;
+  let query = supabase.from(source.table).select('date').eq('account_id', accountId);
+  if (adProduct) query = query.eq('ad_product', adProduct);
+  const { data, error } = await query.order('date', { ascending: false }).limit(1);
+  if (error) throw error;
+  return data?.[0]?.date || null;
+}
+
+// Sums the account's daily rows over the last `days` days. Returns a Map of
+// Amazon id -> { spend, impressions, clicks, orders, sales, days }, or null
+// when the entity has no history table or no rows in the window, so callers
+// can fall back to the snapshot columns.
+export async function loadMetricsWindow(supabase, { entity, accountId, days }) {
+  const source = DAILY_METRIC_TABLES[entity];
+  if (!source) return null;
+  const since = windowStartDate(days);
+  const totals = new Map();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(source.table)
+      .select(`${source.idColumn}, spend, impressions, clicks, orders, sales`)
+      .eq('account_id', accountId)
+      .gte('date', since)
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    for (const r of data || []) {
+      const id = String(r[source.idColumn]);
+      const t = totals.get(id) || { spend: 0, impressions: 0, clicks: 0, orders: 0, sales: 0, days: 0 };
+      t.spend += Number(r.spend ?? 0) || 0;
+      t.impressions += Number(r.impressions ?? 0) || 0;
+      t.clicks += Number(r.clicks ?? 0) || 0;
+      t.orders += Number(r.orders ?? 0) || 0;
+      t.sales += Number(r.sales ?? 0) || 0;
+      t.days += 1;
+      totals.set(id, t);
+    }
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return totals.size > 0 ? totals : null;
+}
+
+// Loads one window per distinct day count. Returns a Map of days -> totals
+// (null for windows without history or that failed to load).
+export async function loadMetricsWindows(supabase, { entity, accountId, windows }) {
+  const result = new Map();
+  for (const days of new Set(windows)) {
+    try {
+      result.set(days, await loadMetricsWindow(supabase, { entity, accountId, days }));
+    } catch (e) {
+      console.error(`Failed to load ${days}-day ${entity} history:`, e.message || e);
+      result.set(days, null);
+    }
+  }
+  return result;
+}
+
+// Entity row with its metrics replaced by window totals. Entities without
+// rows in the window had no traffic, so they get zeros. Ratios use the same
+// units as the snapshot columns (acos/ctr as fractions).
+export function applyWindowMetrics(row, totals) {
+  const t = totals || { spend: 0, impressions: 0, clicks: 0, orders: 0, sales: 0 };
+  return {
+    ...row,
+    spend: t.spend,
+    impressions: t.impressions,
+    clicks: t.clicks,
+    orders: t.orders,
+    sales: t.sales,
+    acos: t.sales > 0 ? t.spend / t.sales : 0,
+    ctr: t.impressions > 0 ? t.clicks / t.impressions : 0,
+    cpc: t.clicks > 0 ? t.spend / t.clicks : 0,
+    raw_data: null,
+  };
+}
+
+// Condition row lookup for evaluateConditions(): the row with metrics summed
+// over `days` (defaultDays when a condition has no window of its own), or the
+// snapshot row when that window has no history.
+export function windowLookup(row, amazonId, windows, defaultDays) {
+  return (days) => {
+    const totals = windows?.get(days ?? defaultDays);
+    return totals ? applyWindowMetrics(row, totals.get(String(amazonId))) : row;
+  };
+}
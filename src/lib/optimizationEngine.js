@@ -1,13 +1,29 @@
 import { supabase } from './supabaseClient.js';
 import { amazonApi } from './amazonApi.js';
+import {
+  migrateRuleSettings,
+  ruleDue,
+  evaluateConditions,
+  filterRowsByScope,
+  computeNewBid,
+  computeNewBudget,
+  getApiType,
+  getLogActionName,
+  describeConditions,
+  getConditionWindows,
+} from './ruleEvaluator.js';
+import { loadMetricsWindows, windowLookup } from './metricsHistory.js';
+import { guardChange, loadGuardrails } from './guardrails.js';
+import { automationEnabled, loadAutomationSettings } from './automationSettings.js';
 
 export class OptimizationEngine {
   constructor() {
     this.isRunning = false;
   }
 
-  // Tüm kullanıcılar için optimizasyon çalıştır
-  async runOptimizationForAllUsers() {
+  // Tüm kullanıcılar için optimizasyon çalıştır. accountFilter false döndüren
+  // hesaplar atlanır (ör. otomasyonu kapatılmış hesaplar)
+  async runOptimizationForAllUsers({ accountFilter = null } = {}) {
     if (this.isRunning) {
       console.log('Optimization already running, skipping...');
       return;
@@ -26,6 +42,10 @@ export class OptimizationEngine {
       if (error) throw error;
 
       for (const account of accounts) {
+        if (accountFilter && !accountFilter(account)) {
+          console.log(`Automation disabled for account ${account.id}, skipping...`);
+          continue;
+        }
         try {
           await this.runOptimizationForUser(account);
         } catch (error) {
@@ -66,6 +86,9 @@ export class OptimizationEngine {
       return;
     }
 
+    // Hesabın guardrail'leri; max_changes_per_run sayacı tüm kurallar için ortaktır
+    const guardrails = await loadGuardrails(supabase, account);
+
     // Her kural için optimizasyon çalıştır
     for (const rule of rules) {
       try {
@@ -75,7 +98,7 @@ export class OptimizationEngine {
           continue;
         }
 
-        await this.applyRule(account, rule);
+        await this.applyRule(account, rule, guardrails);
         
         // Kuralın son çalışma zamanını güncelle
         await supabase
@@ -91,31 +114,9 @@ export class OptimizationEngine {
   }
 
   // Bir kuralın çalıştırılıp çalıştırılmaması gerektiğini belirle
+  // (frequency_days, ortak kural değerlendiricisinden)
   shouldRunRule(rule) {
-    const settings = rule.settings || {};
-
-    // Öncelik: frequency_days, yoksa frequency_hours'u güne çevir
-    const frequencyDays = settings.frequency_days != null
-      ? Number(settings.frequency_days) || 0
-      : (settings.frequency_hours != null
-          ? (Number(settings.frequency_hours) || 0) / 24
-          : 1); // varsayılan: günde bir
-
-    if (frequencyDays <= 0) {
-      // 0 veya negatif ise her çalıştırmada uygula
-      return true;
-    }
-
-    if (!rule.last_run) {
-      return true;
-    }
-
-    const lastRun = new Date(rule.last_run).getTime();
-    const now = Date.now();
-    const hoursSinceLastRun = (now - lastRun) / (1000 * 60 * 60);
-    const requiredHours = frequencyDays * 24;
-
-    return hoursSinceLastRun >= requiredHours;
+    return ruleDue(rule);
   }
 
   // Token'ın geçerliliğini kontrol et ve gerekirse yenile
@@ -153,12 +154,210 @@ export class OptimizationEngine {
     return true;
   }
 
-  // Kuralı uygula
-  async applyRule(account, rule) {
+  // Kuralı uygula. Ayarlar ortak şemaya çevrilir; keyword kuralları VPS
+  // optimizer ile aynı şekilde DB'deki keyword metriklerine göre, kampanya
+  // kuralları ise canlı kampanya performansına göre değerlendirilir.
+  async applyRule(account, rule, guardrails) {
     console.log(`Applying rule: ${rule.name}`);
+    const settings = migrateRuleSettings(rule.settings, rule.match_type);
+
+    if (settings.entity === 'keyword') {
+      await this.applyKeywordRule(account, rule, settings, guardrails);
+    } else if (settings.entity === 'campaign') {
+      await this.applyCampaignRule(account, rule, settings, guardrails);
+    } else {
+      console.log(`Unsupported rule entity: ${settings.entity}`);
+    }
+  }
 
+  // Keyword kuralı: amazon_keywords satırlarını değerlendir
+  async applyKeywordRule(account, rule, settings, guardrails) {
+    const { action } = settings;
+    const apiType = getApiType(action);
+    if (!apiType) {
+      console.log(`Unsupported keyword action: ${action.type}`);
+      return;
+    }
+    // pause / enable durum değişikliği, diğerleri teklif değişikliği
+    const targetState = apiType === 'pause' ? 'paused' : apiType === 'enable' ? 'enabled' : null;
+
+    // Teklifler Sponsored Products API'sine gider; SB / SD anahtar kelimeleri hariç
+    const { data: campaigns, error: campErr } = await supabase
+      .from('amazon_campaigns')
+      .select('id')
+      .eq('account_id', account.id)
+      .eq('ad_product', 'SPONSORED_PRODUCTS');
+    if (campErr) throw campErr;
+
+    const campaignIds = (campaigns || []).map(c => c.id);
+    if (campaignIds.length === 0) {
+      console.log(`No campaigns found for rule ${rule.name}`);
+      return;
+    }
+
+    const { data: keywords, error: kwErr } = await supabase
+      .from('amazon_keywords')
+      .select('id, campaign_id, keyword_id, text, match_type, bid, status, spend, impressions, clicks, orders, acos, ctr, cpc, raw_data')
+      .in('campaign_id', campaignIds);
+    if (kwErr) throw kwErr;
+
+    // Her koşul kendi gün penceresiyle (duration_days, yoksa lookback_days)
+    // günlük metrik geçmişinden değerlendirilir; geçmiş yoksa DB snapshot'ı kullanılır
+    const windows = await loadMetricsWindows(supabase, {
+      entity: 'keyword',
+      accountId: account.id,
+      windows: getConditionWindows(settings),
+    });
+
+    const logAction = getLogActionName(settings);
+    const reason = describeConditions(settings.conditions);
+    // Bu çalıştırmanın tüm logları/önerileri aynı run_id ile gruplanır (toplu geri alma için)
+    const runId = crypto.randomUUID();
+
+    // VPS optimizer ile aynı: kuralın bekleyen önerileri (entity_type,
+    // entity_id, action) ile eşleşirse yerinde güncellenir, eşleşmeyenler
+    // en sonda silinir
+    const pending = settings.require_approval ? await this.loadPendingProposals(account, rule) : null;
+
+    for (const keyword of filterRowsByScope(keywords || [], settings.scope)) {
+      const rowForWindow = windowLookup(keyword, keyword.keyword_id, windows, settings.lookback_days);
+      const { matched, snapshot } = evaluateConditions(keyword, settings.conditions, rowForWindow);
+      if (!matched) continue;
+
+      // target_acos teklifi lookback penceresinin metriklerinden hesaplanır;
+      // yeterli tıklama yoksa null döner ve anahtar kelime atlanır
+      const currentBid = Number(keyword.bid ?? 0) || 0;
+      const newBid = targetState ? currentBid : computeNewBid(currentBid, action, rowForWindow());
+      if (!targetState && (newBid == null || newBid === currentBid)) continue;
+      if (targetState && String(keyword.status).toLowerCase() === targetState) continue;
+
+      // Onay gerektiren kurallar doğrudan uygulanmaz, onay kuyruğuna eklenir
+      if (settings.require_approval) {
+        await this.queueProposedAction(account, rule, keyword, runId, {
+          action: logAction,
+          api_type: apiType,
+          current_bid: currentBid,
+          new_bid: newBid,
+          metrics_snapshot: snapshot,
+        }, pending);
+        continue;
+      }
+
+      // Guardrail'i ihlal eden değişiklik gönderilmez, nedeniyle error_logs'a yazılır
+      const blockedReason = await guardChange(supabase, guardrails, {
+        kind: targetState ? 'status' : 'bid',
+        entityType: 'keyword',
+        entityId: String(keyword.keyword_id),
+        campaignId: keyword.campaign_id,
+        current: targetState ? keyword.status : currentBid,
+        next: targetState || newBid,
+      }, 'optimization_engine');
+      if (blockedReason) {
+        console.log(`Keyword ${keyword.text} blocked by guardrail: ${blockedReason}`);
+        continue;
+      }
+
+      let apiStatus = 200;
+      let apiResponse = null;
+      try {
+        apiResponse = targetState
+          ? await amazonApi.updateKeywordState(account.access_token, account.amazon_profile_id, keyword.keyword_id, targetState, account.amazon_region)
+          : await amazonApi.updateKeywordBid(account.access_token, account.amazon_profile_id, keyword.keyword_id, newBid, account.amazon_region);
+      } catch (error) {
+        // Amazon'un reddettiği anahtar kelime öğe durumuyla (400) loglanır
+        apiStatus = error.status || 0;
+        apiResponse = { error: error.message };
+      }
+
+      await this.saveOptimizationLog({
+        run_id: runId,
+        user_id: account.user_id,
+        rule_id: rule.id,
+        amazon_account_id: account.id,
+        campaign_id: keyword.campaign_id,
+        keyword_id: keyword.id,
+        entity_type: 'keyword',
+        entity_id: String(keyword.keyword_id),
+        action: logAction,
+        reason,
+        details: {
+          metrics_snapshot: snapshot,
+          action: {
+            ui_action: logAction,
+            api_type: apiType,
+            current_bid: currentBid,
+            new_bid: newBid,
+            current_status: keyword.status || null,
+          },
+          api_status: apiStatus,
+          api_response: apiResponse,
+        }
+      });
+    }
+
+    if (pending) await this.deleteStaleProposals(pending);
+  }
+
+  // Kuralın bekleyen önerileri: "entity_type:entity_id:action" -> id
+  async loadPendingProposals(account, rule) {
+    const { data, error } = await supabase
+      .from('optimization_proposed_actions')
+      .select('id, entity_type, entity_id, action')
+      .eq('rule_id', rule.id)
+      .eq('amazon_account_id', account.id)
+      .eq('status', 'pending');
+    if (error) throw error;
+    return new Map((data || []).map(row => [`${row.entity_type}:${row.entity_id}:${row.action}`, row.id]));
+  }
+
+  // Onay kuyruğuna (optimization_proposed_actions, status: pending) ekle.
+  // Aynı öneri zaten bekliyorsa yerinde güncellenir (created_at korunur) ve
+  // `pending` listesinden çıkarılır; listede kalanlar eskimiş önerilerdir.
+  async queueProposedAction(account, rule, keyword, runId, proposal, pending) {
+    const row = {
+      run_id: runId,
+      user_id: account.user_id,
+      rule_id: rule.id,
+      amazon_account_id: account.id,
+      campaign_id: keyword.campaign_id,
+      keyword_id: keyword.id,
+      entity_type: 'keyword',
+      entity_id: String(keyword.keyword_id),
+      status: 'pending',
+      ...proposal,
+    };
+    const key = `${row.entity_type}:${row.entity_id}:${row.action}`;
+    const existingId = pending?.get(key);
+    if (existingId) {
+      pending.delete(key);
+      const { error } = await supabase
+        .from('optimization_proposed_actions')
+        .update(row)
+        .eq('id', existingId)
+        .eq('status', 'pending');
+      if (error) console.error('Error updating proposed action:', error);
+      return;
+    }
+    const { error } = await supabase.from('optimization_proposed_actions').insert(row);
+    if (error) console.error('Error queueing proposed action:', error);
+  }
+
+  // Bu çalıştırmada artık eşleşmeyen bekleyen önerileri sil
+  async deleteStaleProposals(pending) {
+    const staleIds = [...pending.values()];
+    if (staleIds.length === 0) return;
+    const { error } = await supabase
+      .from('optimization_proposed_actions')
+      .delete()
+      .in('id', staleIds)
+      .eq('status', 'pending');
+    if (error) console.error('Error deleting stale proposed actions:', error);
+  }
+
+  // Kampanya kuralı: canlı kampanya performansına göre değerlendir
+  async applyCampaignRule(account, rule, settings, guardrails) {
     // Kampanyaları al
-    const campaigns = await this.getCampaignsForRule(account, rule);
+    const campaigns = await this.getCampaignsForRule(account, settings);
     if (!campaigns || campaigns.length === 0) {
       console.log(`No campaigns found for rule ${rule.name}`);
       return;
@@ -168,10 +367,7 @@ export class OptimizationEngine {
     const campaignIds = campaigns.map(c => c.campaignId);
     const endDate = new Date().toISOString().split('T')[0];
     // Kural bazlı lookback penceresi (kaç günlük veri analiz edilecek)
-    const lookbackDays = (rule.settings && rule.settings.lookback_days)
-      ? Number(rule.settings.lookback_days) || 7
-      : 7;
-    const startDate = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000)
+    const startDate = new Date(Date.now() - settings.lookback_days * 24 * 60 * 60 * 1000)
       .toISOString()
       .split('T')[0];
 
@@ -180,120 +376,90 @@ export class OptimizationEngine {
       account.amazon_profile_id,
       campaignIds,
       startDate,
-      endDate
+      endDate,
+      account.amazon_region
     );
 
+    // lookback_days'ten farklı pencereli koşullar günlük metrik geçmişinden okunur
+    const conditionWindows = getConditionWindows(settings).filter(days => days !== settings.lookback_days);
+    const windows = conditionWindows.length > 0
+      ? await loadMetricsWindows(supabase, { entity: 'campaign', accountId: account.id, windows: conditionWindows })
+      : new Map();
+
     // Her kampanya için kuralı kontrol et
     for (const campaign of campaigns) {
       const campaignPerformance = performance.find(p => p.campaignId === campaign.campaignId);
       if (!campaignPerformance) continue;
 
-      const shouldApplyAction = this.evaluateCondition(campaignPerformance, rule.settings);
-      
-      if (shouldApplyAction) {
-        await this.executeAction(account, rule, campaign, campaignPerformance);
+      const historyRow = windowLookup(campaignPerformance, campaign.campaignId, windows);
+      const { matched, snapshot } = evaluateConditions(
+        campaignPerformance,
+        settings.conditions,
+        (days) => (!days || days === settings.lookback_days ? campaignPerformance : historyRow(days))
+      );
+
+      if (matched) {
+        await this.executeAction(account, rule, settings, campaign, snapshot, guardrails);
       }
     }
   }
 
   // Kural için kampanyaları al
-  async getCampaignsForRule(account, rule) {
-    if (rule.match_type === 'ALL') {
+  async getCampaignsForRule(account, settings) {
+    const { scope } = settings;
+    if (scope.type === 'ALL') {
       // Tüm kampanyaları al
       const campaigns = await amazonApi.getCampaigns(
         account.access_token,
-        account.amazon_profile_id
+        account.amazon_profile_id,
+        account.amazon_region
       );
       return campaigns;
-    } else if (rule.match_type === 'SELECTED' && rule.settings.campaign_ids) {
+    } else if (scope.type === 'CAMPAIGNS' && scope.campaign_ids.length > 0) {
       // Seçili kampanyaları al
       const { data: selectedCampaigns, error } = await supabase
         .from('amazon_campaigns')
-        .select('campaign_id, name')
-        .in('id', rule.settings.campaign_ids);
+        .select('campaign_id, name, budget, status')
+        .in('id', scope.campaign_ids);
 
       if (error) throw error;
-      return selectedCampaigns.map(c => ({ campaignId: c.campaign_id, name: c.name }));
+      return selectedCampaigns.map(c => ({ campaignId: c.campaign_id, name: c.name, dailyBudget: c.budget, state: c.status }));
     }
 
     return [];
   }
 
-  // Koşulu değerlendir
-  evaluateCondition(performance, settings) {
-    const conditions = (settings.conditions && settings.conditions.length > 0)
-      ? settings.conditions
-      : [{ metric: settings.metric, condition: settings.condition, threshold: settings.threshold }];
+  // Kampanya aksiyonunu uygula
+  async executeAction(account, rule, settings, campaign, snapshot, guardrails) {
+    const { action } = settings;
+    console.log(`Executing action for campaign ${campaign.name}: ${action.type}`);
 
-    for (const cond of conditions) {
-      const metricValue = this.getMetricValue(performance, cond.metric);
-
-      switch (cond.condition) {
-        case 'greater_than':
-          if (!(metricValue > cond.threshold)) return false;
-          break;
-        case 'less_than':
-          if (!(metricValue < cond.threshold)) return false;
-          break;
-        case 'equals':
-          if (!(Math.abs(metricValue - cond.threshold) < 0.01)) return false;
-          break;
-        default:
-          return false;
+    try {
+      // Guardrail'i ihlal eden değişiklik uygulanmaz, nedeniyle error_logs'a yazılır
+      const change = this.campaignChange(campaign, action);
+      // Kampanya zaten hedef durumdaysa değişiklik yok
+      if (change?.kind === 'status' && String(change.current || '').toLowerCase() === change.next) return;
+      const blockedReason = change && await guardChange(supabase, guardrails, change, 'optimization_engine');
+      if (blockedReason) {
+        console.log(`Action for campaign ${campaign.name} blocked by guardrail: ${blockedReason}`);
+        return;
       }
-    }
-
-    return true;
-  }
-
-  // Metrik değerini al
-  getMetricValue(performance, metric) {
-    switch (metric) {
-      case 'acos':
-        return performance.acos || 0;
-      case 'ctr':
-        return performance.ctr || 0;
-      case 'cpc':
-        return performance.cpc || 0;
-      case 'spend':
-        return performance.cost || 0;
-      case 'orders':
-        return performance.orders || 0;
-      default:
-        return 0;
-    }
-  }
 
-  // Aksiyonu uygula
-  async executeAction(account, rule, campaign, performance) {
-    console.log(`Executing action for campaign ${campaign.name}: ${rule.settings.action}`);
-
-    try {
       let actionResult = null;
-      let entityType = 'campaign';
-      let entityId = campaign.campaignId;
 
-      switch (rule.settings.action) {
-        case 'decrease_bid':
-          actionResult = await this.decreaseKeywordBids(account, campaign, rule.settings.action_value);
-          entityType = 'keyword';
-          break;
-        
-        case 'increase_bid':
-          actionResult = await this.increaseKeywordBids(account, campaign, rule.settings.action_value);
-          entityType = 'keyword';
-          break;
-        
-        case 'pause_campaign':
-          actionResult = await this.pauseCampaign(account, campaign);
+      switch (action.type) {
+        case 'pause_entity':
+        case 'enable_entity':
+          actionResult = await this.setCampaignState(account, campaign, action);
           break;
-        
-        case 'adjust_budget':
-          actionResult = await this.adjustCampaignBudget(account, campaign, rule.settings.action_value);
+
+        case 'adjust_budget_percentage':
+        case 'set_budget':
+          actionResult = await this.adjustCampaignBudget(account, campaign, action);
           break;
-        
+
         default:
-          console.log(`Unknown action: ${rule.settings.action}`);
+          console.log(`Unknown action: ${action.type}`);
           return;
       }
 
@@ -302,19 +468,16 @@ export class OptimizationEngine {
         user_id: account.user_id,
         rule_id: rule.id,
         amazon_account_id: account.id,
-        campaign_id: campaign.campaignId,
-        entity_type: entityType,
-        entity_id: entityId,
-        action: rule.settings.action,
-        reason: (rule.settings.conditions && rule.settings.conditions.length > 0)
-          ? rule.settings.conditions
-              .map(c => `${c.metric} ${c.condition} ${c.threshold}`)
-              .join(' AND ')
-          : `${rule.settings.metric} ${rule.settings.condition} ${rule.settings.threshold}`,
+        entity_type: 'campaign',
+        entity_id: campaign.campaignId,
+        action: getLogActionName(settings),
+        reason: describeConditions(settings.conditions),
         details: {
-          performance,
-          action_value: rule.settings.action_value,
-          result: actionResult
+          metrics_snapshot: snapshot,
+          action_value: action.value,
+          action: actionResult?.change,
+          result: actionResult?.response ?? actionResult,
+          api_status: 200,
         }
       });
 
@@ -326,94 +489,67 @@ export class OptimizationEngine {
     }
   }
 
-  // Anahtar kelime tekliflerini azalt
-  async decreaseKeywordBids(account, campaign, percentage) {
-    const adGroups = await amazonApi.getAdGroups(
-      account.access_token,
-      account.amazon_profile_id,
-      campaign.campaignId
-    );
-
-    const results = [];
-    for (const adGroup of adGroups) {
-      const keywords = await amazonApi.getKeywords(
-        account.access_token,
-        account.amazon_profile_id,
-        adGroup.adGroupId
-      );
-
-      for (const keyword of keywords) {
-        if (keyword.status === 'ENABLED') {
-          const newBid = keyword.bid * (1 - percentage / 100);
-          const result = await amazonApi.updateKeywordBid(
-            account.access_token,
-            account.amazon_profile_id,
-            keyword.keywordId,
-            newBid
-          );
-          results.push(result);
-        }
-      }
+  // Kampanya aksiyonunun guardrail kontrolü için değişiklik tanımı
+  campaignChange(campaign, action) {
+    const base = {
+      entityType: 'campaign',
+      entityId: String(campaign.campaignId),
+      campaignId: String(campaign.campaignId),
+    };
+    if (action.type === 'pause_entity' || action.type === 'enable_entity') {
+      const next = action.type === 'pause_entity' ? 'paused' : 'enabled';
+      return { ...base, kind: 'status', current: campaign.state ?? null, next };
     }
-
-    return results;
+    if (action.type === 'adjust_budget_percentage' || action.type === 'set_budget') {
+      const currentBudget = Number(campaign.dailyBudget ?? campaign.budget ?? 0) || 0;
+      return { ...base, kind: 'budget', current: currentBudget, next: computeNewBudget(currentBudget, action) };
+    }
+    return null;
   }
 
-  // Anahtar kelime tekliflerini artır
-  async increaseKeywordBids(account, campaign, percentage) {
-    const adGroups = await amazonApi.getAdGroups(
+  // Kampanyayı duraklat / etkinleştir
+  async setCampaignState(account, campaign, action) {
+    const apiType = action.type === 'pause_entity' ? 'pause' : 'enable';
+    const targetState = apiType === 'pause' ? 'paused' : 'enabled';
+    const currentStatus = campaign.state ? String(campaign.state).toLowerCase() : null;
+
+    const response = await amazonApi.updateCampaignState(
       account.access_token,
       account.amazon_profile_id,
-      campaign.campaignId
+      campaign.campaignId,
+      targetState,
+      account.amazon_region
     );
 
-    const results = [];
-    for (const adGroup of adGroups) {
-      const keywords = await amazonApi.getKeywords(
-        account.access_token,
-        account.amazon_profile_id,
-        adGroup.adGroupId
-      );
-
-      for (const keyword of keywords) {
-        if (keyword.status === 'ENABLED') {
-          const newBid = keyword.bid * (1 + percentage / 100);
-          const result = await amazonApi.updateKeywordBid(
-            account.access_token,
-            account.amazon_profile_id,
-            keyword.keywordId,
-            newBid
-          );
-          results.push(result);
-        }
-      }
-    }
-
-    return results;
-  }
-
-  // Kampanyayı duraklat
-  async pauseCampaign(account, campaign) {
-    // Bu işlem için Amazon API'de kampanya durumunu güncelleme endpoint'i kullanılmalı
-    // Şimdilik sadece log kaydı oluşturuyoruz
-    console.log(`Would pause campaign: ${campaign.name}`);
-    return { action: 'pause_campaign', campaign_id: campaign.campaignId };
+    // Geri alma için önceki durum loglanır
+    return {
+      response,
+      change: { api_type: apiType, current_status: currentStatus },
+    };
   }
 
-  // Kampanya bütçesini ayarla
-  async adjustCampaignBudget(account, campaign, percentage) {
-    // Mevcut bütçeyi al ve yeni bütçeyi hesapla
-    const currentBudget = campaign.dailyBudget || 0;
-    const newBudget = currentBudget * (1 + percentage / 100);
+  // Kampanya bütçesini ayarla (yüzde veya sabit değer, ortak bütçe sınırlarıyla)
+  async adjustCampaignBudget(account, campaign, action) {
+    const currentBudget = Number(campaign.dailyBudget ?? campaign.budget ?? 0) || 0;
+    const newBudget = computeNewBudget(currentBudget, action);
 
-    const result = await amazonApi.updateCampaignBudget(
+    const response = await amazonApi.updateCampaignBudget(
       account.access_token,
       account.amazon_profile_id,
       campaign.campaignId,
-      newBudget
+      newBudget,
+      account.amazon_region
     );
 
-    return result;
+    // Geri alma için önceki/yeni bütçe loglanır
+    return {
+      response,
+      change: {
+        api_type: action.type,
+        current_budget: currentBudget,
+        new_budget: newBudget,
+      },
+    };
   }
 
   // Optimizasyon logunu kaydet
@@ -463,6 +599,12 @@ export const runManualOptimization = async (userId) => {
     if (error) throw error;
     if (!account) throw new Error('Amazon account not found');
 
+    // Otomasyon kapatılmışsa (global kill switch) hiçbir değişiklik uygulanmaz
+    const automationSettings = await loadAutomationSettings(supabase, { userId });
+    if (!automationEnabled(automationSettings, account)) {
+      throw new Error('Automation is switched off for this account');
+    }
+
     await optimizationEngine.runOptimizationForUser(account);
     return { success: true };
   } catch (error) {
@@ -0,0 +1,339 @@
+// Rule backtesting: replays a rule day by day over the daily metrics history
+// (amazon_*_metrics_daily, see src/lib/metricsHistory.js) with the shared
+// rule evaluator, as the optimizer would have run it. Used by the rules list.
+//
+// For each of the last `days` days the rule runs once every frequency_days,
+// evaluating its conditions over windows that end the day before (reports
+// never include the current day). Changes are applied to a simulated
+// bid / budget / status, starting from the entity's current values, since
+// their history is not stored. Conditions read the stored metrics, which do
+// not reflect earlier simulated changes. Cooldowns (cooldown_hours,
+// min_new_clicks; see src/lib/entityCooldowns.js) apply to the simulated
+// changes, counting a change as made at the start of its day.
+//
+// Spend and sales impact is a rough estimate on the days after a change:
+//   - pause: that day's spend and sales drop out
+//   - bid ratio r: clicks scale with r^0.5 and CPC with r, so spend scales
+//     with r^1.5 and sales with r^0.5
+//   - budget: spend is capped at a lower budget; on days that spent at least
+//     95% of the original budget a higher one scales spend and sales with it
+//   - enable: no estimate (there is no traffic to scale)
+//
+// Takes the caller's Supabase client, so the module runs in Vite and in
+// plain Node.
+
+import {
+  BUDGET_ACTION_TYPES,
+  computeNewBid,
+  computeNewBudget,
+  evaluateConditions,
+  filterRowsByScope,
+  getApiType,
+  getConditionWindows,
+  migrateRuleSettings,
+} from './ruleEvaluator.js';
+import { DAILY_METRIC_TABLES, applyWindowMetrics } from './metricsHistory.js';
+
+export const BACKTEST_DAY_OPTIONS = [7, 14, 30, 60, 90];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 1000;
+const CAPPED_BUDGET_SHARE = 0.95;
+
+// Entity rows a rule can act on: table, Amazon id and display columns
+const ENTITY_SOURCES = {
+  keyword: {
+    table: 'amazon_keywords',
+    select: 'id, campaign_id, keyword_id, text, match_type, bid, status',
+    amazonId: (r) => r.keyword_id,
+    name: (r) => `${r.text} (${r.match_type})`,
+    campaignKey: 'campaign_id',
+    bid: (r) => r.bid,
+  },
+  ad_group: {
+    table: 'amazon_ad_groups',
+    select: 'id, campaign_id, amazon_ad_group_id, name, default_bid, status',
+    amazonId: (r) => r.amazon_ad_group_id,
+    name: (r) => r.name,
+    campaignKey: 'campaign_id',
+    bid: (r) => r.default_bid,
+  },
+  campaign: {
+    table: 'amazon_campaigns',
+    select: 'id, campaign_id, name, budget, status',
+    amazonId: (r) => r.campaign_id,
+    name: (r) => r.name,
+    campaignKey: 'id',
+    bid: () => null,
+  },
+  asin_target: {
+    table: 'amazon_targets',
+    select: 'id, campaign_id, amazon_target_id, expression_type, expression_text, bid, status',
+    amazonId: (r) => r.amazon_target_id,
+    name: (r) => r.expression_text,
+    campaignKey: 'campaign_id',
+    bid: (r) => r.bid,
+  },
+};
+
+function isoDate(time) {
+  return new Date(time).toISOString().split('T')[0];
+}
+
+function round2(value) {
+  return Number((Number(value) || 0).toFixed(2));
+}
+
+function impact(actual, estimated) {
+  return { actual: round2(actual), estimated: round2(estimated), delta: round2(estimated - actual) };
+}
+
+// Sponsored Products only, like the optimizer that runs the rules
+async function loadEntities(supabase, source, accountId) {
+  if (source.table !== 'amazon_keywords') {
+    const { data, error } = await supabase
+      .from(source.table)
+      .select(source.select)
+      .eq('account_id', accountId)
+      .eq('ad_product', 'SPONSORED_PRODUCTS');
+    if (error) throw error;
+    return data || [];
+  }
+  // amazon_keywords has no account_id; keywords are reached through campaigns
+  const { data: campaigns, error: campErr } = await supabase
+    .from('amazon_campaigns')
+    .select('id')
+    .eq('account_id', accountId)
+    .eq('ad_product', 'SPONSORED_PRODUCTS');
+  if (campErr) throw campErr;
+  const campaignIds = (campaigns || []).map((c) => c.id);
+  if (campaignIds.length === 0) return [];
+  const { data, error } = await supabase.from(source.table).select(source.select).in('campaign_id', campaignIds);
+  if (error) throw error;
+  return data || [];
+}
+
+// Amazon id -> Map of date -> { spend, impressions, clicks, orders, sales }
+async function loadDailyRows(supabase, entity, accountId, since) {
+  const history = DAILY_METRIC_TABLES[entity];
+  const byId = new Map();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(history.table)
+      .select(`${history.idColumn}, date, spend, impressions, clicks, orders, sales`)
+      .eq('account_id', accountId)
+      .gte('date', since)
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    for (const r of data || []) {
+      const id = String(r[history.idColumn]);
+      const days = byId.get(id) || new Map();
+      days.set(r.date, {
+        spend: Number(r.spend ?? 0) || 0,
+        impressions: Number(r.impressions ?? 0) || 0,
+        clicks: Number(r.clicks ?? 0) || 0,
+        orders: Number(r.orders ?? 0) || 0,
+        sales: Number(r.sales ?? 0) || 0,
+      });
+      byId.set(id, days);
+    }
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return byId;
+}
+
+// Totals over the `window` days before `dayIndex` (an index into dates)
+function windowTotals(daily, dates, dayIndex, window) {
+  const totals = { spend: 0, impressions: 0, clicks: 0, orders: 0, sales: 0 };
+  for (let i = Math.max(0, dayIndex - window); i < dayIndex; i += 1) {
+    const d = daily?.get(dates[i]);
+    if (!d) continue;
+    totals.spend += d.spend;
+    totals.impressions += d.impressions;
+    totals.clicks += d.clicks;
+    totals.orders += d.orders;
+    totals.sales += d.sales;
+  }
+  return totals;
+}
+
+// Whether the rule's cooldown settings hold the entity back on dayIndex,
+// given the index of the day it was last changed on in the replay
+function coolingDown(settings, daily, dates, dayIndex, changedIndex) {
+  if (changedIndex == null) return false;
+  if ((dayIndex - changedIndex) * 24 < settings.cooldown_hours) return true;
+  if (!(settings.min_new_clicks > 0)) return false;
+  let clicks = 0;
+  for (let i = changedIndex + 1; i < dayIndex; i += 1) clicks += daily?.get(dates[i])?.clicks || 0;
+  return clicks < settings.min_new_clicks;
+}
+
+// Estimated { spend, sales } of one day under the simulated state. Only a
+// simulated pause drops the day; the history of an entity that was already
+// paused stays as it is.
+function estimateDay(day, start, state, isBudget) {
+  if (state.status === 'paused' && start.status !== 'paused') return { spend: 0, sales: 0 };
+  if (isBudget) {
+    if (!(start.budget > 0) || state.budget === start.budget) return day;
+    if (state.budget < start.budget) {
+      const spend = Math.min(day.spend, state.budget);
+      return { spend, sales: day.spend > 0 ? day.sales * (spend / day.spend) : day.sales };
+    }
+    if (day.spend < start.budget * CAPPED_BUDGET_SHARE) return day;
+    const ratio = state.budget / start.budget;
+    return { spend: day.spend * ratio, sales: day.sales * ratio };
+  }
+  if (!(start.bid > 0) || state.bid === start.bid) return day;
+  const ratio = state.bid / start.bid;
+  return { spend: day.spend * ratio ** 1.5, sales: day.sales * ratio ** 0.5 };
+}
+
+// Replays `rule` over the last `days` days of the account's history.
+// Returns { days, runs, fires, firingDays, timeline: [{ date, fires }],
+// entities: [{ entityId, name, fires, firstDate, lastDate, startValue,
+// endValue, endStatus, spendDelta, salesDelta }], spend, sales } with spend
+// and sales as { actual, estimated, delta } over the replayed days.
+export async function backtestRule(supabase, { rule, accountId, days = 30, now = Date.now() }) {
+  const settings = migrateRuleSettings(rule.settings, rule.match_type);
+  const source = ENTITY_SOURCES[settings.entity];
+  if (!source || !DAILY_METRIC_TABLES[settings.entity]) {
+    throw new Error(`Backtesting is not available for ${settings.entity} rules`);
+  }
+  const apiType = getApiType(settings.action, settings.entity);
+  if (!apiType || apiType === 'add_negative') {
+    throw new Error(`Backtesting is not available for ${settings.action.type} actions`);
+  }
+  const isStatusChange = apiType === 'pause' || apiType === 'enable';
+  const isBudget = BUDGET_ACTION_TYPES.includes(apiType);
+
+  const replayDays = Math.max(1, Math.round(Number(days) || 30));
+  const maxWindow = Math.max(...getConditionWindows(settings));
+  // dates[0..maxWindow-1] only feed the windows; the replay covers the rest
+  const dates = [];
+  for (let offset = replayDays + maxWindow; offset >= 1; offset -= 1) {
+    dates.push(isoDate(now - offset * DAY_MS));
+  }
+  const firstReplay = maxWindow;
+
+  const [rows, daily] = await Promise.all([
+    loadEntities(supabase, source, accountId),
+    loadDailyRows(supabase, settings.entity, accountId, dates[0]),
+  ]);
+  const scoped = filterRowsByScope(rows, settings.scope, source.campaignKey).filter((r) => source.amazonId(r));
+
+  const step = Math.max(1, Math.round(settings.frequency_days));
+  const timeline = [];
+  const entities = new Map();
+  let runs = 0;
+  let actualSpend = 0;
+  let actualSales = 0;
+  let estimatedSpend = 0;
+  let estimatedSales = 0;
+
+  const states = new Map(
+    scoped.map((row) => {
+      const start = {
+        bid: Number(source.bid(row) ?? 0) || 0,
+        budget: Number(row.budget ?? 0) || 0,
+        status: String(row.status || '').toLowerCase(),
+      };
+      return [row, { start, state: { ...start }, changedIndex: null }];
+    })
+  );
+
+  for (let dayIndex = firstReplay; dayIndex < dates.length; dayIndex += 1) {
+    const date = dates[dayIndex];
+    let fires = 0;
+
+    if ((dayIndex - firstReplay) % step === 0) {
+      runs += 1;
+      for (const row of scoped) {
+        const amazonId = String(source.amazonId(row));
+        const entityState = states.get(row);
+        const { state } = entityState;
+        const history = daily.get(amazonId);
+        if (coolingDown(settings, history, dates, dayIndex, entityState.changedIndex)) continue;
+        const current = { ...row, bid: state.bid, default_bid: state.bid, budget: state.budget, status: state.status };
+        const rowForWindow = (window) =>
+          applyWindowMetrics(current, windowTotals(history, dates, dayIndex, window || settings.lookback_days));
+        const { matched } = evaluateConditions(current, settings.conditions, rowForWindow);
+        if (!matched) continue;
+
+        let changed = false;
+        if (isStatusChange) {
+          const target = apiType === 'pause' ? 'paused' : 'enabled';
+          changed = state.status !== target;
+          state.status = target;
+        } else if (isBudget) {
+          const next = computeNewBudget(state.budget, settings.action);
+          changed = next !== state.budget;
+          state.budget = next;
+        } else {
+          const next = computeNewBid(state.bid, settings.action, rowForWindow());
+          changed = next != null && next !== state.bid;
+          if (changed) state.bid = next;
+        }
+        if (!changed) continue;
+
+        entityState.changedIndex = dayIndex;
+        fires += 1;
+        const entry = entities.get(amazonId) || {
+          entityId: amazonId,
+          name: source.name(row),
+          fires: 0,
+          firstDate: date,
+          spendDelta: 0,
+          salesDelta: 0,
+        };
+        entry.fires += 1;
+        entry.lastDate = date;
+        entities.set(amazonId, entry);
+      }
+    }
+
+    // The day's traffic under the state after this day's run
+    for (const row of scoped) {
+      const amazonId = String(source.amazonId(row));
+      const day = daily.get(amazonId)?.get(date);
+      if (!day) continue;
+      const { start, state } = states.get(row);
+      const estimate = estimateDay(day, start, state, isBudget);
+      actualSpend += day.spend;
+      actualSales += day.sales;
+      estimatedSpend += estimate.spend;
+      estimatedSales += estimate.sales;
+      const entry = entities.get(amazonId);
+      if (entry) {
+        entry.spendDelta += estimate.spend - day.spend;
+        entry.salesDelta += estimate.sales - day.sales;
+      }
+    }
+
+    timeline.push({ date, fires });
+  }
+
+  const touched = [...entities.values()].map((entry) => {
+    const row = scoped.find((r) => String(source.amazonId(r)) === entry.entityId);
+    const { start, state } = states.get(row);
+    return {
+      ...entry,
+      startValue: isStatusChange ? start.status : isBudget ? start.budget : start.bid,
+      endValue: isStatusChange ? state.status : isBudget ? state.budget : state.bid,
+      endStatus: state.status,
+      spendDelta: round2(entry.spendDelta),
+      salesDelta: round2(entry.salesDelta),
+    };
+  });
+
+  return {
+    days: replayDays,
+    runs,
+    fires: touched.reduce((sum, e) => sum + e.fires, 0),
+    firingDays: timeline.filter((t) => t.fires > 0).length,
+    timeline,
+    entities: touched.sort((a, b) => b.fires - a.fires || a.spendDelta - b.spendDelta),
+    spend: impact(actualSpend, estimatedSpend),
+    sales: impact(actualSales, estimatedSales),
+  };
+}
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { backtestRule } from './ruleBacktest.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+// Minimal stand-in for the Supabase query builder: every filter is ignored
+// and awaiting a query resolves to the table's rows
+function fakeSupabase(tables) {
+  return {
+    from(table) {
+      const query = {
+        then: (resolve) => resolve({ data: tables[table] || [], error: null }),
+      };
+      for (const method of ['select', 'eq', 'in', 'gte', 'order', 'range']) query[method] = () => query;
+      return query;
+    },
+  };
+}
+
+function dailyRows(keywordId, days, { spend, sales, clicks }) {
+  const rows = [];
+  for (let offset = days; offset >= 1; offset -= 1) {
+    rows.push({
+      amazon_keyword_id: keywordId,
+      date: new Date(NOW - offset * DAY_MS).toISOString().split('T')[0],
+      spend,
+      impressions: clicks * 20,
+      clicks,
+      orders: 1,
+      sales,
+    });
+  }
+  return rows;
+}
+
+test('a rule that never fires leaves already paused keywords unchanged', async () => {
+  const supabase = fakeSupabase({
+    amazon_campaigns: [{ id: 'c1' }],
+    amazon_keywords: [
+      { id: 'k1', campaign_id: 'c1', keyword_id: '111', text: 'shoes', match_type: 'exact', bid: 1, status: 'paused' },
+      { id: 'k2', campaign_id: 'c1', keyword_id: '222', text: 'boots', match_type: 'exact', bid: 1, status: 'enabled' },
+    ],
+    amazon_keyword_metrics_daily: [
+      ...dailyRows('111', 40, { spend: 5, sales: 20, clicks: 4 }),
+      ...dailyRows('222', 40, { spend: 3, sales: 9, clicks: 2 }),
+    ],
+  });
+  const rule = {
+    name: 'Never fires',
+    settings: {
+      entity: 'keyword',
+      conditions: [{ metric: 'clicks', comparison: '>', threshold: 10000 }],
+      action: { type: 'adjust_bid_percentage', value: 10 },
+      lookback_days: 7,
+    },
+  };
+
+  const result = await backtestRule(supabase, { rule, accountId: 'a1', days: 30, now: NOW });
+
+  assert.equal(result.fires, 0);
+  assert.deepEqual(result.entities, []);
+  assert.equal(result.spend.actual, 240);
+  assert.equal(result.spend.delta, 0);
+  assert.equal(result.sales.delta, 0);
+});
+
+test('pausing an enabled keyword drops its traffic after the change', async () => {
+  const supabase = fakeSupabase({
+    amazon_campaigns: [{ id: 'c1' }],
+    amazon_keywords: [
+      { id: 'k1', campaign_id: 'c1', keyword_id: '111', text: 'shoes', match_type: 'exact', bid: 1, status: 'enabled' },
+    ],
+    amazon_keyword_metrics_daily: dailyRows('111', 40, { spend: 5, sales: 20, clicks: 4 }),
+  });
+  const rule = {
+    name: 'Pause spenders',
+    settings: {
+      entity: 'keyword',
+      conditions: [{ metric: 'spend', comparison: '>', threshold: 1 }],
+      action: { type: 'pause_entity' },
+      lookback_days: 7,
+    },
+  };
+
+  const result = await backtestRule(supabase, { rule, accountId: 'a1', days: 30, now: NOW });
+
+  assert.equal(result.fires, 1);
+  assert.equal(result.spend.estimated, 0);
+  assert.equal(result.entities[0].spendDelta, -150);
+});
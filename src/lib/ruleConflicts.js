@@ -0,0 +1,163 @@
+// Conflicts between optimization rules acting on the same entity, shared by
+// the VPS optimizer (scripts/optimizerVps.js), which resolves them once per
+// account and cycle, and the rule editor, which warns about overlapping
+// rules. Pure functions only, so the same module runs in Vite and in plain
+// Node.
+//
+// Strategies (automation_settings.conflict_strategy):
+//   priority          -> of the rules that change an entity, the one with the
+//                        highest priority (1 = highest) wins
+//   first_match       -> the highest-priority rule whose conditions match an
+//                        entity owns it, even when it leaves it unchanged
+//   most_conservative -> the change that lowers spend most wins: pause, then
+//                        the largest bid / budget cut; enabling comes last
+// Whatever the strategy, an entity gets at most one change per cycle.
+
+import { migrateRuleSettings } from './ruleEvaluator.js';
+
+export const CONFLICT_STRATEGIES = {
+  priority: 'Highest priority wins',
+  first_match: 'First match wins',
+  most_conservative: 'Most conservative wins',
+};
+
+export const DEFAULT_CONFLICT_STRATEGY = 'priority';
+
+// A rule without a (positive) priority ranks below every numbered rule
+function priorityRank(rule) {
+  const priority = Number(rule.priority);
+  return priority > 0 ? priority : Infinity;
+}
+
+// Priority ascending (1 = highest), older rules first on ties
+export function sortRulesByPriority(rules) {
+  return [...(rules || [])].sort((a, b) => {
+    const [pa, pb] = [priorityRank(a), priorityRank(b)];
+    if (pa !== pb) return pa < pb ? -1 : 1;
+    return String(a.created_at || '').localeCompare(String(b.created_at || ''));
+  });
+}
+
+export function entityKey(entityType, entityId) {
+  return `${entityType}:${entityId}`;
+}
+
+// Relative spend impact of an optimizer action; lower is more conservative
+export function spendImpact(action) {
+  if (action.type === 'pause' || action.negative) return -Infinity;
+  if (action.type === 'enable') return Infinity;
+  const [current, next] = action.newBudget != null
+    ? [action.currentBudget, action.newBudget]
+    : [action.currentBid, action.newBid];
+  const base = Number(current) || 0;
+  if (base <= 0) return Number(next) > 0 ? Infinity : 0;
+  return (Number(next) - base) / base;
+}
+
+// Keeps one action per entity across the rules of one cycle.
+// results: [{ rule, actions, matched }] where matched is the Set of
+// entityKey()s whose conditions matched (first_match only). Returns the
+// results with their actions filtered, plus the dropped actions as
+// [{ rule, action, winner }] (winner = the rule whose action was kept).
+export function resolveRuleConflicts(results, strategy = DEFAULT_CONFLICT_STRATEGY) {
+  const ordered = sortRulesByPriority(results.map((r) => r.rule)).map((rule) =>
+    results.find((r) => r.rule === rule)
+  );
+  const owners = new Map();
+
+  if (strategy === 'first_match') {
+    for (const result of ordered) {
+      for (const key of result.matched || []) {
+        if (!owners.has(key)) owners.set(key, { rule: result.rule, action: null });
+      }
+    }
+    for (const result of ordered) {
+      for (const action of result.actions) {
+        const key = entityKey(action.entityType, action.entityId);
+        const owner = owners.get(key);
+        if (!owner) owners.set(key, { rule: result.rule, action });
+        else if (owner.rule === result.rule && !owner.action) owner.action = action;
+      }
+    }
+  } else {
+    for (const result of ordered) {
+      for (const action of result.actions) {
+        const key = entityKey(action.entityType, action.entityId);
+        const owner = owners.get(key);
+        if (
+          !owner ||
+          (strategy === 'most_conservative' && spendImpact(action) < spendImpact(owner.action))
+        ) {
+          owners.set(key, { rule: result.rule, action });
+        }
+      }
+    }
+  }
+
+  const dropped = [];
+  const resolved = results.map((result) => ({
+    ...result,
+    actions: result.actions.filter((action) => {
+      const owner = owners.get(entityKey(action.entityType, action.entityId));
+      if (owner.action === action) return true;
+      dropped.push({ rule: result.rule, action, winner: owner.rule });
+      return false;
+    }),
+  }));
+  return { results: resolved, dropped };
+}
+
+// 'up' | 'down' | 'either' | 'negative' for a rule action, before it is
+// evaluated against any entity
+export function actionDirection(action = {}) {
+  switch (action.type) {
+    case 'pause_entity':
+      return 'down';
+    case 'enable_entity':
+      return 'up';
+    case 'adjust_bid_percentage':
+    case 'adjust_bid_amount':
+    case 'adjust_budget_percentage':
+      return Number(action.value) < 0 ? 'down' : 'up';
+    case 'add_negative':
+      return 'negative';
+    default:
+      return 'either';
+  }
+}
+
+function intersects(a = [], b = []) {
+  const set = new Set(a.map(String));
+  return b.some((id) => set.has(String(id)));
+}
+
+// Whether two scopes can select the same entity. Campaign and keyword
+// scopes cannot be compared without the data, so they count as overlapping.
+function scopesOverlap(a, b) {
+  if (a.expression_type && b.expression_type && a.expression_type !== b.expression_type) return false;
+  if (a.type === 'ALL' || b.type === 'ALL') return true;
+  if (a.type === 'CAMPAIGNS' && b.type === 'CAMPAIGNS') return intersects(a.campaign_ids, b.campaign_ids);
+  if (a.type === 'KEYWORDS' && b.type === 'KEYWORDS') return intersects(a.keyword_ids, b.keyword_ids);
+  return true;
+}
+
+// Enabled rules that can act on the same entities as `rule`, for the rule
+// editor. Returns [{ rule, opposite }] where opposite marks rules that push
+// the other way (raise vs cut, enable vs pause).
+export function findRuleOverlaps(rule, rules) {
+  const settings = migrateRuleSettings(rule.settings, rule.match_type);
+  const direction = actionDirection(settings.action);
+  return (rules || [])
+    .filter((other) => other.enabled !== false && (!rule.id || other.id !== rule.id))
+    .map((other) => ({ rule: other, settings: migrateRuleSettings(other.settings, other.match_type) }))
+    .filter(({ settings: s }) => s.entity === settings.entity && scopesOverlap(s.scope, settings.scope))
+    .map(({ rule: other, settings: s }) => {
+      const otherDirection = actionDirection(s.action);
+      return {
+        rule: other,
+        opposite:
+          (direction === 'up' && otherDirection === 'down') ||
+          (direction === 'down' && otherDirection === 'up'),
+      };
+    });
+}
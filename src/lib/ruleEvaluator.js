@@ -0,0 +1,600 @@
+// Shared rule evaluation for the browser engine (src/lib/optimizationEngine.js)
+// and the VPS daemon (scripts/optimizerVps.js). Pure functions only, so the
+// same module runs in Vite and in plain Node.
+//
+// Rules are stored in optimization_rules.settings. migrateRuleSettings()
+// upgrades older shapes to the current schema, so callers never have to deal
+// with the legacy metric/condition/threshold fields themselves.
+//
+// Schema v2:
+//   schema_version: 2
+//   entity:      'keyword' | 'ad_group' | 'campaign' | 'asin_target' | 'search_term'
+//   conditions:  [condition | group], all of which must hold (AND)
+//                condition: { metric, comparison: '>' | '<' | '>=' | '<=' | '=',
+//                             value, duration_days? } (own window; defaults
+//                             to lookback_days)
+//                group:     { operator: 'and' | 'or', negate?, conditions: [...] }
+//                           (nested; negate makes it NOT (...))
+//   action:      { type, value, min_bid?, max_bid?, min_budget?, max_budget?,
+//                  match_type?, level? (add_negative only),
+//                  max_step?, min_clicks? (target_acos only) }
+//                see SUPPORTED_ACTIONS for the types each entity accepts
+//   scope:       { type: 'ALL' | 'CAMPAIGNS' | 'KEYWORDS', campaign_ids, keyword_ids,
+//                  expression_type?: 'auto' | 'manual' (asin_target rules only) }
+//   frequency_days, lookback_days, require_approval
+//   cooldown_hours, min_new_clicks (per entity, see src/lib/entityCooldowns.js;
+//                0 = off)
+//
+// Percent metrics (acos, ctr, cvr) are compared in percent: "acos > 40" means
+// an ACOS above 40%, whatever unit the row stores.
+
+export const RULE_SCHEMA_VERSION = 2;
+
+export const BID_LIMITS = { min: 0.02, max: 10 };
+
+export const BUDGET_LIMITS = { min: 1, max: Infinity };
+
+const PERCENT_METRICS = new Set(['acos', 'ctr', 'cvr', 'conversion_rate']);
+
+export const METRIC_LABELS = {
+  acos: 'ACOS',
+  ctr: 'CTR',
+  cpc: 'CPC',
+  cvr: 'CVR',
+  conversion_rate: 'CVR',
+  roas: 'ROAS',
+  spend: 'Spend',
+  sales: 'Sales',
+  impressions: 'Impressions',
+  clicks: 'Clicks',
+  orders: 'Orders',
+  bid: 'Bid',
+  keyword_bid: 'Bid',
+  budget: 'Budget',
+};
+
+export const ENTITY_LABELS = {
+  keyword: 'keyword',
+  ad_group: 'ad group',
+  campaign: 'campaign',
+  asin_target: 'product target',
+  search_term: 'search term',
+};
+
+export const NEGATIVE_MATCH_TYPES = ['negativeExact', 'negativePhrase'];
+
+export const NEGATIVE_LEVELS = ['ad_group', 'campaign'];
+
+// Legacy match_type values the settings form used for ASIN target rules
+const TARGET_MATCH_TYPES = {
+  asin_targeting_auto: 'auto',
+  asin_targeting_manual: 'manual',
+};
+
+// Legacy UI actions (settings.action as a string + settings.action_value)
+const LEGACY_ACTIONS = {
+  decrease_bid: (v) => ({ entity: 'keyword', action: { type: 'adjust_bid_percentage', value: -Math.abs(v) } }),
+  increase_bid: (v) => ({ entity: 'keyword', action: { type: 'adjust_bid_percentage', value: Math.abs(v) } }),
+  pause_keyword: () => ({ entity: 'keyword', action: { type: 'pause_entity' } }),
+  pause_campaign: () => ({ entity: 'campaign', action: { type: 'pause_entity' } }),
+  adjust_budget: (v) => ({ entity: 'campaign', action: { type: 'adjust_budget_percentage', value: v } }),
+};
+
+const COMPARISON_ALIASES = {
+  '>': '>',
+  greater_than: '>',
+  '<': '<',
+  less_than: '<',
+  '>=': '>=',
+  greater_or_equal: '>=',
+  '<=': '<=',
+  less_or_equal: '<=',
+  '=': '=',
+  '==': '=',
+  equals: '=',
+};
+
+function toNumber(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+export function normalizeComparison(op) {
+  return COMPARISON_ALIASES[String(op ?? '>').trim()] || '>';
+}
+
+function normalizeScope(settings, matchType) {
+  const scope = settings.scope;
+  const expressionType = scope?.expression_type || TARGET_MATCH_TYPES[settings.match_type] || null;
+  if (scope && scope.type) {
+    return {
+      type: String(scope.type).toUpperCase(),
+      campaign_ids: Array.isArray(scope.campaign_ids) ? scope.campaign_ids : [],
+      keyword_ids: Array.isArray(scope.keyword_ids) ? scope.keyword_ids : [],
+      expression_type: expressionType,
+    };
+  }
+
+  // Legacy: optimization_rules.match_type ('ALL' | 'SELECTED') + settings.campaign_ids
+  const campaignIds = Array.isArray(settings.campaign_ids) ? settings.campaign_ids : [];
+  const keywordIds = Array.isArray(settings.keyword_ids) ? settings.keyword_ids : [];
+  const selected = matchType ? String(matchType).toUpperCase() === 'SELECTED' : campaignIds.length > 0;
+  return {
+    type: selected ? 'CAMPAIGNS' : 'ALL',
+    campaign_ids: selected ? campaignIds : [],
+    keyword_ids: keywordIds,
+    expression_type: expressionType,
+  };
+}
+
+export function isConditionGroup(node) {
+  return !!node && Array.isArray(node.conditions);
+}
+
+// 'not' is accepted as an operator for hand-written (imported) rules and
+// stored as a negated AND group.
+function normalizeConditionNode(c) {
+  if (isConditionGroup(c)) {
+    const operator = String(c.operator || 'and').toLowerCase();
+    return {
+      operator: operator === 'or' ? 'or' : 'and',
+      negate: !!c.negate || operator === 'not',
+      conditions: c.conditions.map(normalizeConditionNode),
+    };
+  }
+  const durationDays = toNumber(c.duration_days, 0);
+  return {
+    metric: String(c.metric || '').toLowerCase(),
+    comparison: normalizeComparison(c.comparison ?? c.condition ?? c.condition_op),
+    value: toNumber(c.value ?? c.threshold),
+    ...(durationDays > 0 ? { duration_days: durationDays } : {}),
+  };
+}
+
+// Returns settings in the current schema. Already-migrated settings are only
+// filled with defaults; legacy ones are converted field by field. matchType is
+// the optimization_rules.match_type column that legacy rules used for scope.
+export function migrateRuleSettings(settings = {}, matchType) {
+  const s = settings || {};
+
+  const {
+    metric,
+    condition,
+    condition_op,
+    threshold,
+    action_value,
+    campaign_ids,
+    ad_group_ids,
+    keyword_ids,
+    target_entity,
+    frequency_hours,
+    ...rest
+  } = s;
+
+  const rawConditions = Array.isArray(s.conditions) && s.conditions.length > 0
+    ? s.conditions
+    : metric
+      ? [{ metric, condition: condition || condition_op, threshold }]
+      : [];
+
+  const conditions = rawConditions.map(normalizeConditionNode);
+
+  let entity = s.entity || target_entity;
+  let action;
+  if (typeof s.action === 'string') {
+    const legacy = LEGACY_ACTIONS[s.action];
+    const converted = legacy
+      ? legacy(toNumber(action_value))
+      : { action: { type: s.action, value: toNumber(action_value) } };
+    entity = entity || converted.entity;
+    action = converted.action;
+  } else {
+    const a = s.action || {};
+    action = {
+      ...a,
+      type: a.type === 'pause' ? 'pause_entity' : a.type || 'adjust_bid_percentage',
+      value: toNumber(a.value ?? action_value),
+    };
+  }
+
+  const frequencyDays = s.frequency_days != null
+    ? toNumber(s.frequency_days, 1)
+    : frequency_hours != null
+      ? toNumber(frequency_hours) / 24
+      : 1;
+
+  return {
+    ...rest,
+    schema_version: RULE_SCHEMA_VERSION,
+    entity: String(entity || 'keyword').toLowerCase(),
+    conditions,
+    action,
+    scope: normalizeScope(s, matchType),
+    frequency_days: frequencyDays,
+    lookback_days: toNumber(s.lookback_days, 7) || 7,
+    require_approval: !!s.require_approval,
+    cooldown_hours: Math.max(0, toNumber(s.cooldown_hours, 0)),
+    min_new_clicks: Math.max(0, toNumber(s.min_new_clicks, 0)),
+  };
+}
+
+// Convenience wrapper: same rule with migrated settings.
+export function normalizeRule(rule) {
+  return { ...rule, settings: migrateRuleSettings(rule?.settings, rule?.match_type) };
+}
+
+// Reads a metric from a DB row (amazon_keywords / amazon_campaigns) or a live
+// report row. Ratios are derived from raw spend/sales/clicks when available;
+// stored acos/ctr columns are fractions (0.35) and are converted to percent.
+export function getMetricValue(row, metric) {
+  const m = String(metric || '').toLowerCase();
+  const raw = row?.raw_data || {};
+  const spend = toNumber(row?.spend ?? row?.cost ?? raw.spend ?? raw.cost);
+  const sales = toNumber(row?.sales ?? raw.sales);
+  const impressions = toNumber(row?.impressions ?? raw.impressions);
+  const clicks = toNumber(row?.clicks ?? raw.clicks);
+  const orders = toNumber(row?.orders ?? raw.orders);
+
+  switch (m) {
+    case 'spend':
+    case 'cost':
+      return spend;
+    case 'sales':
+      return sales;
+    case 'impressions':
+      return impressions;
+    case 'clicks':
+      return clicks;
+    case 'orders':
+      return orders;
+    case 'acos':
+      if (sales > 0) return (spend / sales) * 100;
+      return toNumber(row?.acos) * 100;
+    case 'ctr':
+      if (impressions > 0) return (clicks / impressions) * 100;
+      return toNumber(row?.ctr) * 100;
+    case 'cpc':
+      return clicks > 0 ? spend / clicks : toNumber(row?.cpc);
+    case 'cvr':
+    case 'conversion_rate':
+      return clicks > 0 ? (orders / clicks) * 100 : 0;
+    case 'roas':
+      return spend > 0 ? sales / spend : 0;
+    case 'bid':
+    case 'keyword_bid':
+      // ad groups store their bid as default_bid
+      return toNumber(row?.bid ?? row?.default_bid);
+    case 'budget':
+      return toNumber(row?.budget);
+    default:
+      return toNumber(row?.[m]);
+  }
+}
+
+export function compareMetric(value, comparison, target) {
+  const t = toNumber(target);
+  switch (normalizeComparison(comparison)) {
+    case '>':
+      return value > t;
+    case '<':
+      return value < t;
+    case '>=':
+      return value >= t;
+    case '<=':
+      return value <= t;
+    case '=':
+      return Math.abs(value - t) < 1e-6;
+    default:
+      return false;
+  }
+}
+
+// Window in days a condition is evaluated over.
+export function getConditionWindow(condition, settings) {
+  return condition?.duration_days || settings.lookback_days;
+}
+
+// Every condition of a tree, groups flattened.
+export function conditionLeaves(conditions) {
+  return (conditions || []).flatMap((c) => (isConditionGroup(c) ? conditionLeaves(c.conditions) : [c]));
+}
+
+// Distinct windows a rule needs metrics for (lookback_days first).
+export function getConditionWindows(settings) {
+  const windows = new Set([settings.lookback_days]);
+  for (const c of conditionLeaves(settings.conditions)) windows.add(getConditionWindow(c, settings));
+  return [...windows];
+}
+
+// The conditions as one root group, for editors: a lone group is the root
+// itself, anything else is the implicit AND list.
+export function conditionTree(conditions) {
+  const list = conditions || [];
+  if (list.length === 1 && isConditionGroup(list[0])) return list[0];
+  return { operator: 'and', negate: false, conditions: list };
+}
+
+// Inverse of conditionTree()
+export function conditionsFromTree(tree) {
+  return tree.operator === 'and' && !tree.negate ? tree.conditions : [tree];
+}
+
+function evaluateNode(node, row, rowForWindow, snapshot) {
+  if (isConditionGroup(node)) {
+    // Empty groups never match, negated or not
+    if (node.conditions.length === 0) return false;
+    const matched = evaluateList(node.conditions, node.operator, row, rowForWindow, snapshot);
+    return node.negate ? !matched : matched;
+  }
+  const source = rowForWindow ? rowForWindow(node.duration_days) : row;
+  const value = getMetricValue(source, node.metric);
+  const key = node.duration_days ? `${node.metric}_${node.duration_days}d` : node.metric;
+  snapshot[key] = Number(value.toFixed(4));
+  return compareMetric(value, node.comparison, node.value);
+}
+
+function evaluateList(nodes, operator, row, rowForWindow, snapshot) {
+  return operator === 'or'
+    ? nodes.some((n) => evaluateNode(n, row, rowForWindow, snapshot))
+    : nodes.every((n) => evaluateNode(n, row, rowForWindow, snapshot));
+}
+
+// All top-level conditions must hold (AND); groups combine theirs with AND
+// or OR and may be negated. rowForWindow(duration_days) returns the row with
+// metrics for a condition's own window (called with undefined for
+// conditions without one); without it every condition reads `row`. The
+// snapshot holds every metric that was evaluated (AND / OR stop at the first
+// deciding condition), for logging, keyed metric_<n>d for conditions with
+// their own window.
+export function evaluateConditions(row, conditions, rowForWindow) {
+  const snapshot = {};
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    return { matched: false, snapshot };
+  }
+  return { matched: evaluateList(conditions, 'and', row, rowForWindow, snapshot), snapshot };
+}
+
+// campaignKey is the row field holding the amazon_campaigns.id the scope
+// refers to: campaign_id for keywords/ad groups/targets, id for campaign rows.
+export function filterRowsByScope(rows, scope, campaignKey = 'campaign_id') {
+  if (scope?.expression_type) {
+    rows = rows.filter((r) => r.expression_type == null || r.expression_type === scope.expression_type);
+  }
+  if (!scope || scope.type === 'ALL') return rows;
+
+  if (scope.type === 'CAMPAIGNS' && Array.isArray(scope.campaign_ids) && scope.campaign_ids.length) {
+    const set = new Set(scope.campaign_ids.map(String));
+    return rows.filter((r) => r[campaignKey] && set.has(String(r[campaignKey])));
+  }
+
+  if (scope.type === 'KEYWORDS' && Array.isArray(scope.keyword_ids) && scope.keyword_ids.length) {
+    const set = new Set(scope.keyword_ids.map(String));
+    return rows.filter((r) => r.id && set.has(String(r.id)));
+  }
+
+  return rows;
+}
+
+// True when the rule's frequency_days have passed since last_run.
+export function ruleDue(rule, now = Date.now()) {
+  const { frequency_days: frequencyDays } = migrateRuleSettings(rule?.settings, rule?.match_type);
+  if (frequencyDays <= 0) return true;
+  if (!rule?.last_run) return true;
+  const hoursSinceLast = (now - new Date(rule.last_run).getTime()) / (1000 * 60 * 60);
+  return hoursSinceLast >= frequencyDays * 24;
+}
+
+export function clampBid(bid, action = {}) {
+  const min = toNumber(action.min_bid, BID_LIMITS.min);
+  const max = toNumber(action.max_bid, BID_LIMITS.max);
+  return Math.min(max, Math.max(min, Number(toNumber(bid).toFixed(2))));
+}
+
+export const BID_ACTION_TYPES = ['adjust_bid_percentage', 'adjust_bid_amount', 'set_bid', 'target_acos'];
+
+// target_acos: largest bid change per run (% of the current bid) and the
+// clicks needed in the lookback window before the bid is moved at all
+export const TARGET_ACOS_DEFAULTS = { max_step: 20, min_clicks: 10 };
+
+export const BUDGET_ACTION_TYPES = ['adjust_budget_percentage', 'set_budget'];
+
+// Action types each rule entity can execute
+export const SUPPORTED_ACTIONS = {
+  keyword: [...BID_ACTION_TYPES, 'pause_entity', 'enable_entity'],
+  ad_group: [...BID_ACTION_TYPES, 'pause_entity', 'enable_entity'],
+  campaign: [...BUDGET_ACTION_TYPES, 'pause_entity', 'enable_entity'],
+  asin_target: [...BID_ACTION_TYPES, 'pause_entity', 'enable_entity'],
+  search_term: ['add_negative'],
+};
+
+// Low-level change type, as stored in details.action.api_type and
+// optimization_proposed_actions.api_type: 'pause' | 'enable' | 'add_negative'
+// | one of BID_ACTION_TYPES / BUDGET_ACTION_TYPES. Null when the entity does
+// not support the action.
+export function getApiType(action = {}, entity = 'keyword') {
+  const supported = SUPPORTED_ACTIONS[entity] || [];
+  if (!supported.includes(action.type)) return null;
+  if (action.type === 'pause_entity') return 'pause';
+  if (action.type === 'enable_entity') return 'enable';
+  return action.type;
+}
+
+export function clampBudget(budget, action = {}) {
+  const min = toNumber(action.min_budget, BUDGET_LIMITS.min);
+  const max = action.max_budget != null ? toNumber(action.max_budget, BUDGET_LIMITS.max) : BUDGET_LIMITS.max;
+  return Math.min(max, Math.max(min, Number(toNumber(budget).toFixed(2))));
+}
+
+// New daily budget for a budget action, or null for other actions.
+export function computeNewBudget(currentBudget, action = {}) {
+  const budget = toNumber(currentBudget);
+  const value = toNumber(action.value);
+  switch (action.type) {
+    case 'adjust_budget_percentage':
+      return clampBudget(budget * (1 + value / 100), action);
+    case 'set_budget':
+      return clampBudget(value, action);
+    default:
+      return null;
+  }
+}
+
+// Bid that converges on action.value (target ACOS in percent) for the
+// entity's lookback metrics. The ideal bid is what a click is worth at the
+// target: conversion rate x average order value x target ACOS. The move
+// towards it is weighted by click volume, clicks / (clicks + min_clicks), and
+// capped at max_step % of the current bid, so the bid settles instead of
+// swinging between two thresholds. Null below min_clicks or without a
+// current bid to step from.
+export function computeTargetAcosBid(currentBid, metrics, action = {}) {
+  const bid = toNumber(currentBid);
+  const target = toNumber(action.value) / 100;
+  if (!metrics || bid <= 0 || target <= 0) return null;
+
+  const minClicks = Math.max(1, toNumber(action.min_clicks, TARGET_ACOS_DEFAULTS.min_clicks));
+  const maxStep = Math.max(0, toNumber(action.max_step, TARGET_ACOS_DEFAULTS.max_step)) / 100;
+  const clicks = getMetricValue(metrics, 'clicks');
+  if (clicks < minClicks) return null;
+
+  const orders = getMetricValue(metrics, 'orders');
+  const sales = getMetricValue(metrics, 'sales');
+  const conversionRate = orders / clicks;
+  const averageOrderValue = orders > 0 ? sales / orders : 0;
+  const idealBid = conversionRate * averageOrderValue * target;
+
+  const confidence = clicks / (clicks + minClicks);
+  const damped = bid + (idealBid - bid) * confidence;
+  const stepped = Math.min(bid * (1 + maxStep), Math.max(bid * (1 - maxStep), damped));
+  return clampBid(stepped, action);
+}
+
+// New bid for a bid-changing action, or null when the action does not touch
+// bids. Every bid action goes through the same min/max clamp. metrics is the
+// row with the rule's lookback metrics, used by target_acos.
+export function computeNewBid(currentBid, action = {}, metrics = null) {
+  const bid = toNumber(currentBid);
+  const value = toNumber(action.value);
+  switch (action.type) {
+    case 'adjust_bid_percentage':
+      return clampBid(bid * (1 + value / 100), action);
+    case 'adjust_bid_amount':
+      return clampBid(bid + value, action);
+    case 'set_bid':
+      return clampBid(value, action);
+    case 'target_acos':
+      return computeTargetAcosBid(bid, metrics, action);
+    default:
+      return null;
+  }
+}
+
+// Action name written to optimization_logs.action, kept compatible with the
+// names the history view already knows (decrease_bid, pause_keyword, ...).
+export function getLogActionName(settings) {
+  const { entity, action } = settings;
+  switch (action.type) {
+    case 'adjust_bid_percentage':
+    case 'adjust_bid_amount':
+      return toNumber(action.value) < 0 ? 'decrease_bid' : 'increase_bid';
+    case 'set_bid':
+      return 'set_bid';
+    case 'target_acos':
+      return 'target_acos_bid';
+    case 'pause_entity':
+      return `pause_${entity}`;
+    case 'enable_entity':
+      return `enable_${entity}`;
+    case 'adjust_budget_percentage':
+    case 'set_budget':
+      return 'adjust_budget';
+    case 'add_negative':
+      return 'add_negative';
+    default:
+      return action.type;
+  }
+}
+
+function formatThreshold(metric, value) {
+  if (PERCENT_METRICS.has(metric)) return `${value}%`;
+  return String(value);
+}
+
+function describeCondition(c) {
+  const label = METRIC_LABELS[c.metric] || c.metric;
+  const window = c.duration_days ? ` (${c.duration_days}d)` : '';
+  return `${label}${window} ${c.comparison} ${formatThreshold(c.metric, c.value)}`;
+}
+
+function describeList(nodes, operator) {
+  return nodes
+    .map((node) => {
+      if (!isConditionGroup(node)) return describeCondition(node);
+      const text = describeList(node.conditions, node.operator);
+      if (node.negate) return `NOT (${text})`;
+      return node.conditions.length > 1 ? `(${text})` : text;
+    })
+    .join(operator === 'or' ? ' OR ' : ' AND ');
+}
+
+// "(ACOS > 50% OR Orders = 0) AND Clicks > 15"
+export function describeConditions(conditions) {
+  if (!Array.isArray(conditions) || conditions.length === 0) return 'No conditions';
+  const root = conditionTree(conditions);
+  const text = describeList(root.conditions, root.operator);
+  return root.negate ? `NOT (${text})` : text;
+}
+
+// "negative phrase (campaign)" for an add_negative action
+export function describeNegative(action = {}) {
+  const match = action.match_type === 'negativePhrase' ? 'phrase' : 'exact';
+  const level = action.level === 'campaign' ? 'campaign' : 'ad group';
+  return `negative ${match} (${level})`;
+}
+
+export function describeAction(settings) {
+  const { action } = settings;
+  const entity = ENTITY_LABELS[settings.entity] || settings.entity;
+  const value = toNumber(action.value);
+  switch (action.type) {
+    case 'adjust_bid_percentage':
+      return `${value < 0 ? 'Decrease' : 'Increase'} ${entity} bid by ${Math.abs(value)}%`;
+    case 'adjust_bid_amount':
+      return `${value < 0 ? 'Decrease' : 'Increase'} ${entity} bid by ${Math.abs(value).toFixed(2)}`;
+    case 'set_bid':
+      return `Set ${entity} bid to ${value.toFixed(2)}`;
+    case 'target_acos': {
+      const step = toNumber(action.max_step, TARGET_ACOS_DEFAULTS.max_step);
+      return `Bid ${entity} towards ${value}% ACOS (max ${step}% per run)`;
+    }
+    case 'pause_entity':
+      return `Pause ${entity}`;
+    case 'enable_entity':
+      return `Enable ${entity}`;
+    case 'adjust_budget_percentage':
+      return `${value < 0 ? 'Decrease' : 'Increase'} budget by ${Math.abs(value)}%`;
+    case 'set_budget':
+      return `Set budget to ${value.toFixed(2)}`;
+    case 'add_negative':
+      return `Add ${entity} as ${describeNegative(action)}`;
+    default:
+      return action.type;
+  }
+}
+
+export function describeScope(settings) {
+  const { scope } = settings;
+  if (scope.type === 'CAMPAIGNS') return `${scope.campaign_ids.length} Campaigns`;
+  if (scope.type === 'KEYWORDS') return `${scope.keyword_ids.length} Keywords`;
+  if (scope.expression_type) return `All Campaigns (${scope.expression_type} targeting)`;
+  return 'All Campaigns';
+}
+
+// Human-readable summary of a rule, used by the rules list and as log reason.
+export function describeRule(rule) {
+  const settings = migrateRuleSettings(rule?.settings, rule?.match_type);
+  return {
+    conditions: describeConditions(settings.conditions),
+    action: describeAction(settings),
+    scope: describeScope(settings),
+  };
+}
@@ -0,0 +1,219 @@
+// Ready-made optimization rules and the JSON format rules are exported and
+// imported in, shared by the rule editor (templates) and the rules list
+// (export / import). Pure functions only, so the same module runs in Vite and
+// in plain Node.
+//
+// A template has params ({ key, label, value }) for its thresholds;
+// instantiateTemplate() builds { name, priority, enabled, settings } in the
+// current rule schema (see src/lib/ruleEvaluator.js) from the user's values.
+//
+// Export format:
+//   { format: 'robotads-rules', version: 1, exported_at,
+//     rules: [{ name, enabled, priority, settings }] }
+// Campaign and keyword ids only exist in the account they were exported
+// from, so imported rules scoped to them are widened to all entities and
+// imported disabled for review.
+
+import { migrateRuleSettings, RULE_SCHEMA_VERSION } from './ruleEvaluator.js';
+
+export const RULE_EXPORT_FORMAT = 'robotads-rules';
+export const RULE_EXPORT_VERSION = 1;
+
+const ALL_SCOPE = { type: 'ALL', campaign_ids: [], keyword_ids: [] };
+
+function baseSettings(patch) {
+  return {
+    schema_version: RULE_SCHEMA_VERSION,
+    entity: 'keyword',
+    scope: ALL_SCOPE,
+    frequency_days: 1,
+    lookback_days: 14,
+    require_approval: false,
+    ...patch,
+  };
+}
+
+export const RULE_TEMPLATES = [
+  {
+    id: 'cut_bleeders',
+    name: 'Cut bleeders',
+    description: 'Lowers the bid of keywords whose ACOS stays above your target once they have enough clicks.',
+    params: [
+      { key: 'acos', label: 'ACOS above (%)', value: 40 },
+      { key: 'clicks', label: 'Clicks at least', value: 10 },
+      { key: 'change', label: 'Bid change (%)', value: -15 },
+      { key: 'lookback_days', label: 'Lookback (days)', value: 14 },
+    ],
+    build: (p) =>
+      baseSettings({
+        conditions: [
+          { metric: 'acos', comparison: '>', value: p.acos },
+          { metric: 'clicks', comparison: '>=', value: p.clicks },
+        ],
+        action: { type: 'adjust_bid_percentage', value: -Math.abs(p.change), min_bid: 0.02, max_bid: 10 },
+        lookback_days: p.lookback_days,
+        cooldown_hours: 72,
+      }),
+  },
+  {
+    id: 'scale_winners',
+    name: 'Scale winners',
+    description: 'Raises the bid of keywords that convert below your ACOS target.',
+    params: [
+      { key: 'acos', label: 'ACOS below (%)', value: 20 },
+      { key: 'orders', label: 'Orders at least', value: 3 },
+      { key: 'change', label: 'Bid change (%)', value: 10 },
+      { key: 'max_bid', label: 'Maximum bid (€)', value: 3 },
+      { key: 'lookback_days', label: 'Lookback (days)', value: 14 },
+    ],
+    build: (p) =>
+      baseSettings({
+        conditions: [
+          { metric: 'acos', comparison: '<', value: p.acos },
+          { metric: 'orders', comparison: '>=', value: p.orders },
+        ],
+        action: { type: 'adjust_bid_percentage', value: Math.abs(p.change), min_bid: 0.02, max_bid: p.max_bid },
+        lookback_days: p.lookback_days,
+        cooldown_hours: 72,
+      }),
+  },
+  {
+    id: 'pause_zero_order_keywords',
+    name: 'Pause zero-order keywords',
+    description: 'Pauses keywords that collected clicks without a single order.',
+    params: [
+      { key: 'clicks', label: 'Clicks at least', value: 20 },
+      { key: 'lookback_days', label: 'Lookback (days)', value: 30 },
+    ],
+    build: (p) =>
+      baseSettings({
+        conditions: [
+          { metric: 'clicks', comparison: '>=', value: p.clicks },
+          { metric: 'orders', comparison: '=', value: 0 },
+        ],
+        action: { type: 'pause_entity', value: 0 },
+        lookback_days: p.lookback_days,
+      }),
+  },
+  {
+    id: 'lower_high_cpc',
+    name: 'Lower bids on high-CPC keywords',
+    description: 'Trims bids on keywords whose cost per click is above your ceiling.',
+    params: [
+      { key: 'cpc', label: 'CPC above (€)', value: 1.5 },
+      { key: 'clicks', label: 'Clicks at least', value: 5 },
+      { key: 'change', label: 'Bid change (%)', value: -10 },
+      { key: 'lookback_days', label: 'Lookback (days)', value: 7 },
+    ],
+    build: (p) =>
+      baseSettings({
+        conditions: [
+          { metric: 'cpc', comparison: '>', value: p.cpc },
+          { metric: 'clicks', comparison: '>=', value: p.clicks },
+        ],
+        action: { type: 'adjust_bid_percentage', value: -Math.abs(p.change), min_bid: 0.02, max_bid: 10 },
+        lookback_days: p.lookback_days,
+        cooldown_hours: 72,
+      }),
+  },
+  {
+    id: 'negate_wasted_search_terms',
+    name: 'Negate wasted search terms',
+    description: 'Adds search terms that spent without converting as negative exact in their ad group.',
+    params: [
+      { key: 'clicks', label: 'Clicks at least', value: 15 },
+      { key: 'lookback_days', label: 'Lookback (days)', value: 30 },
+    ],
+    build: (p) =>
+      baseSettings({
+        entity: 'search_term',
+        conditions: [
+          { metric: 'clicks', comparison: '>=', value: p.clicks },
+          { metric: 'orders', comparison: '=', value: 0 },
+        ],
+        action: { type: 'add_negative', value: 0, match_type: 'negativeExact', level: 'ad_group' },
+        lookback_days: p.lookback_days,
+        require_approval: true,
+      }),
+  },
+];
+
+export function getRuleTemplate(id) {
+  return RULE_TEMPLATES.find((t) => t.id === id) || null;
+}
+
+export function templateDefaults(template) {
+  return Object.fromEntries(template.params.map((p) => [p.key, p.value]));
+}
+
+// New rule from a template; missing or invalid params keep their defaults
+export function instantiateTemplate(template, params = {}) {
+  const values = templateDefaults(template);
+  for (const [key, value] of Object.entries(params)) {
+    const n = Number(value);
+    if (key in values && value !== '' && Number.isFinite(n)) values[key] = n;
+  }
+  return {
+    name: template.name,
+    enabled: true,
+    priority: 1,
+    settings: migrateRuleSettings(template.build(values)),
+  };
+}
+
+// JSON text for a set of optimization_rules rows. Ids, owners and run state
+// are left out, so the file can be imported into any account.
+export function exportRules(rules, now = new Date()) {
+  return JSON.stringify(
+    {
+      format: RULE_EXPORT_FORMAT,
+      version: RULE_EXPORT_VERSION,
+      exported_at: now.toISOString(),
+      rules: (rules || []).map((rule) => ({
+        name: rule.name,
+        enabled: rule.enabled !== false,
+        priority: rule.priority || 1,
+        settings: migrateRuleSettings(rule.settings, rule.match_type),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+// Parses an export file into rules ready to insert (without user_id).
+// Returns { rules, rescoped } where rescoped lists the names of rules whose
+// campaign / keyword scope was dropped. Throws on files in another format.
+export function parseRuleImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!data || data.format !== RULE_EXPORT_FORMAT || !Array.isArray(data.rules)) {
+    throw new Error('The file is not a rule export');
+  }
+  if (Number(data.version) > RULE_EXPORT_VERSION) {
+    throw new Error(`Rule exports of version ${data.version} are not supported`);
+  }
+
+  const rescoped = [];
+  const rules = data.rules.map((rule, index) => {
+    const name = String(rule?.name || '').trim() || `Imported rule ${index + 1}`;
+    const settings = migrateRuleSettings(rule?.settings);
+    if (settings.conditions.length === 0) throw new Error(`Rule "${name}" has no conditions`);
+    const scoped = settings.scope.type !== 'ALL';
+    if (scoped) rescoped.push(name);
+    return {
+      name,
+      enabled: scoped ? false : rule.enabled !== false,
+      priority: Math.min(5, Math.max(1, Math.round(Number(rule.priority) || 1))),
+      settings: scoped
+        ? { ...settings, scope: { ...ALL_SCOPE, expression_type: settings.scope.expression_type } }
+        : settings,
+      match_type: 'ALL',
+    };
+  });
+  return { rules, rescoped };
+}
@@ -14,6 +14,9 @@ import { OPTIMIZATION_SERVER_URL } from '@/lib/config';
 
 
 
+// Bid and status updates go through the Sponsored Products API only
+const isEditable = (row) => (row.ad_product || 'SPONSORED_PRODUCTS') === 'SPONSORED_PRODUCTS';
+
 const AdGroupsPage = () => {
   const [adGroups, setAdGroups] = useState([]);
   const [linkedAccounts, setLinkedAccounts] = useState([]);
@@ -291,6 +294,18 @@ const AdGroupsPage = () => {
     });
     const json = await res.json().catch(() => ({}));
     if (!res.ok || json.status !== 'success') throw new Error(json.message || `HTTP ${res.status}`);
+    return json.result || {};
+  };
+
+  // Amazon accepts or rejects each item of a batch on its own; rejected and
+  // guardrail-blocked items come back in the result
+  const reportBatchResult = (result, count) => {
+    const failed = [...(result.failed || []), ...(result.blocked || []).map((b) => ({ error: b.reason }))];
+    toast({
+      title: failed.length ? 'Partially applied' : 'Applied',
+      description: `Updated ${count - failed.length} ad group(s)${failed.length ? `, ${failed.length} failed: ${failed[0].error}` : ''}`,
+      variant: failed.length ? 'destructive' : 'default',
+    });
   };
 
   const applyRow = async (row) => {
@@ -321,11 +336,12 @@ const AdGroupsPage = () => {
     if (ids.length === 0) { toast({ title: 'No selection', description: 'Select rows first', variant: 'destructive' }); return; }
     const num = Number(batchBid);
     if (Number.isNaN(num)) { toast({ title: 'Invalid bid', description: 'Enter a number', variant: 'destructive' }); return; }
+    const rows = adGroups.filter((r) => ids.includes(r.id) && isEditable(r));
+    if (rows.length === 0) { toast({ title: 'Nothing to update', description: 'Only Sponsored Products ad groups can be edited here', variant: 'destructive' }); return; }
     setApplying(true);
     try {
-      const items = adGroups.filter((r) => ids.includes(r.id)).map((r) => ({ amazonId: r.amazon_ad_group_id, value: num }));
-      await callUpdate('adgroup', items);
-      toast({ title: 'Applied', description: `Updated ${items.length} ad group(s)`, variant: 'default' });
+      const items = rows.map((r) => ({ amazonId: r.amazon_ad_group_id, value: num }));
+      reportBatchResult(await callUpdate('adgroup', items), items.length);
       await fetchAdGroups();
     } catch (e) {
       toast({ title: 'Apply failed', description: String(e.message || e), variant: 'destructive' });
@@ -338,11 +354,12 @@ const AdGroupsPage = () => {
     const ids = Array.from(selectedIds);
     if (ids.length === 0) { toast({ title: 'No selection', description: 'Select rows first', variant: 'destructive' }); return; }
     if (!batchStatus) { toast({ title: 'Missing status', description: 'Choose a status', variant: 'destructive' }); return; }
+    const rows = adGroups.filter((r) => ids.includes(r.id) && isEditable(r));
+    if (rows.length === 0) { toast({ title: 'Nothing to update', description: 'Only Sponsored Products ad groups can be edited here', variant: 'destructive' }); return; }
     setApplying(true);
     try {
-      const items = adGroups.filter((r) => ids.includes(r.id)).map((r) => ({ amazonId: r.amazon_ad_group_id, value: batchStatus }));
-      await callUpdate('adgroup_status', items);
-      toast({ title: 'Applied', description: `Updated ${items.length} ad group(s)`, variant: 'default' });
+      const items = rows.map((r) => ({ amazonId: r.amazon_ad_group_id, value: batchStatus }));
+      reportBatchResult(await callUpdate('adgroup_status', items), items.length);
       await fetchAdGroups();
     } catch (e) {
       toast({ title: 'Apply failed', description: String(e.message || e), variant: 'destructive' });
@@ -591,10 +608,10 @@ const AdGroupsPage = () => {
                       <TableCell>{formatNumber(ag.raw_data?.orders)}</TableCell>
                       <TableCell>{formatPercentage(ag.raw_data?.sales > 0 ? (ag.raw_data?.spend || 0) / ag.raw_data.sales : 0)}</TableCell>
                       <TableCell>
-                        <Input type="number" step="0.01" value={editedBids[ag.id] ?? ag.default_bid ?? ''} onChange={(e) => handleBidChange(ag.id, e.target.value)} className="w-28 bg-slate-700 border-slate-600 text-slate-100" />
+                        <Input type="number" step="0.01" value={editedBids[ag.id] ?? ag.default_bid ?? ''} onChange={(e) => handleBidChange(ag.id, e.target.value)} disabled={!isEditable(ag)} className="w-28 bg-slate-700 border-slate-600 text-slate-100" />
                       </TableCell>
                       <TableCell>
-                        <Select onValueChange={(v) => handleStatusChange(ag.id, v)} value={editedStatuses[ag.id] ?? ''}>
+                        <Select onValueChange={(v) => handleStatusChange(ag.id, v)} value={editedStatuses[ag.id] ?? ''} disabled={!isEditable(ag)}>
                           <SelectTrigger className="w-[140px] bg-slate-700 border-slate-600 text-slate-100"><SelectValue placeholder="choose" /></SelectTrigger>
                           <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
                             <SelectItem value="enabled">enabled</SelectItem>
@@ -604,7 +621,7 @@ const AdGroupsPage = () => {
                         </Select>
                       </TableCell>
                       <TableCell>
-                        <Button onClick={() => applyRow(ag)} disabled={applying} className="bg-emerald-600 hover:bg-emerald-700 text-white">Apply</Button>
+                        <Button onClick={() => applyRow(ag)} disabled={applying || !isEditable(ag)} className="bg-emerald-600 hover:bg-emerald-700 text-white">Apply</Button>
                       </TableCell>
                     </TableRow>
                   ))}
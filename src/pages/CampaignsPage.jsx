@@ -10,8 +10,18 @@ import { motion } from 'framer-motion';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Input } from '@/components/ui/input';
 import { OPTIMIZATION_SERVER_URL } from '@/lib/config';
+import BudgetPacingCard from '@/components/campaigns/BudgetPacingCard';
 
+const AD_PRODUCTS = [
+  { value: 'SPONSORED_PRODUCTS', label: 'Sponsored Products', short: 'SP' },
+  { value: 'SPONSORED_BRANDS', label: 'Sponsored Brands', short: 'SB' },
+  { value: 'SPONSORED_DISPLAY', label: 'Sponsored Display', short: 'SD' },
+];
 
+const adProductOf = (campaign) => campaign.ad_product || 'SPONSORED_PRODUCTS';
+
+// Budget and status updates go through the Sponsored Products API only
+const isEditable = (campaign) => adProductOf(campaign) === 'SPONSORED_PRODUCTS';
 
 
 const CampaignsPage = () => {
@@ -25,6 +35,7 @@ const CampaignsPage = () => {
   const [loadingAccounts, setLoadingAccounts] = useState(true);
   const [syncingAccount, setSyncingAccount] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [adProductFilter, setAdProductFilter] = useState('all');
   const [sortConfig, setSortConfig] = useState({ key: 'name', direction: 'ascending' });
   const { toast } = useToast();
   const [user, setUser] = useState(null);
@@ -49,7 +60,7 @@ const CampaignsPage = () => {
       try {
         const { data, error } = await supabase
           .from('amazon_accounts')
-          .select('id, name, last_sync, status, client_id') 
+          .select('id, name, last_sync, status, client_id, amazon_region, timezone') 
           .eq('user_id', currentUser.id);
         if (error) throw error;
         setLinkedAccounts(data || []);
@@ -142,8 +153,10 @@ const CampaignsPage = () => {
   const displayedCampaigns = campaigns;
 
   const filteredCampaigns = displayedCampaigns.filter(campaign => 
-    (campaign.name && campaign.name.toLowerCase().includes(searchTerm.toLowerCase())) ||
-    (campaign.amazon_campaign_id_text && campaign.amazon_campaign_id_text.toLowerCase().includes(searchTerm.toLowerCase()))
+    (adProductFilter === 'all' || adProductOf(campaign) === adProductFilter) && (
+      (campaign.name && campaign.name.toLowerCase().includes(searchTerm.toLowerCase())) ||
+      (campaign.amazon_campaign_id_text && campaign.amazon_campaign_id_text.toLowerCase().includes(searchTerm.toLowerCase()))
+    )
   );
 
   const getSortIcon = (key) => {
@@ -207,6 +220,18 @@ const CampaignsPage = () => {
     });
     const json = await res.json().catch(() => ({}));
     if (!res.ok || json.status !== 'success') throw new Error(json.message || `HTTP ${res.status}`);
+    return json.result || {};
+  };
+
+  // Amazon accepts or rejects each item of a batch on its own; rejected and
+  // guardrail-blocked items come back in the result
+  const reportBatchResult = (result, count) => {
+    const failed = [...(result.failed || []), ...(result.blocked || []).map((b) => ({ error: b.reason }))];
+    toast({
+      title: failed.length ? 'Partially applied' : 'Applied',
+      description: `Updated ${count - failed.length} campaign(s)${failed.length ? `, ${failed.length} failed: ${failed[0].error}` : ''}`,
+      variant: failed.length ? 'destructive' : 'default',
+    });
   };
 
   const applyRow = async (row) => {
@@ -237,11 +262,12 @@ const CampaignsPage = () => {
     if (ids.length === 0) { toast({ title: 'No selection', description: 'Select rows first', variant: 'destructive' }); return; }
     const num = Number(batchBudget);
     if (Number.isNaN(num)) { toast({ title: 'Invalid budget', description: 'Enter a number', variant: 'destructive' }); return; }
+    const rows = campaigns.filter((r) => ids.includes(r.id) && isEditable(r));
+    if (rows.length === 0) { toast({ title: 'Nothing to update', description: 'Only Sponsored Products campaigns can be edited here', variant: 'destructive' }); return; }
     setApplying(true);
     try {
-      const items = campaigns.filter((r) => ids.includes(r.id)).map((r) => ({ amazonId: r.campaign_id, value: num }));
-      await callUpdate('campaign', items);
-      toast({ title: 'Applied', description: `Updated ${items.length} campaign(s)`, variant: 'default' });
+      const items = rows.map((r) => ({ amazonId: r.campaign_id, value: num }));
+      reportBatchResult(await callUpdate('campaign', items), items.length);
       await fetchCampaigns();
     } catch (e) {
       toast({ title: 'Apply failed', description: String(e.message || e), variant: 'destructive' });
@@ -254,11 +280,12 @@ const CampaignsPage = () => {
     const ids = Array.from(selectedIds);
     if (ids.length === 0) { toast({ title: 'No selection', description: 'Select rows first', variant: 'destructive' }); return; }
     if (!batchStatus) { toast({ title: 'Missing status', description: 'Choose a status', variant: 'destructive' }); return; }
+    const rows = campaigns.filter((r) => ids.includes(r.id) && isEditable(r));
+    if (rows.length === 0) { toast({ title: 'Nothing to update', description: 'Only Sponsored Products campaigns can be edited here', variant: 'destructive' }); return; }
     setApplying(true);
     try {
-      const items = campaigns.filter((r) => ids.includes(r.id)).map((r) => ({ amazonId: r.campaign_id, value: batchStatus }));
-      await callUpdate('campaign_status', items);
-      toast({ title: 'Applied', description: `Updated ${items.length} campaign(s)`, variant: 'default' });
+      const items = rows.map((r) => ({ amazonId: r.campaign_id, value: batchStatus }));
+      reportBatchResult(await callUpdate('campaign_status', items), items.length);
       await fetchCampaigns();
     } catch (e) {
       toast({ title: 'Apply failed', description: String(e.message || e), variant: 'destructive' });
@@ -269,7 +296,7 @@ const CampaignsPage = () => {
 
   const exportCsv = () => {
     const rows = filteredCampaigns;
-    const headers = ['name','status','budget','spend','impressions','clicks','ctr','cpc','orders','acos','campaign_id','amazon_campaign_id_text'];
+    const headers = ['name','ad_product','status','budget','spend','impressions','clicks','ctr','cpc','orders','acos','campaign_id','amazon_campaign_id_text'];
     const lines = [headers.join(',')];
     for (const r of rows) {
       const spend = r.raw_data?.spend ?? '';
@@ -282,6 +309,7 @@ const CampaignsPage = () => {
       const acos = sales > 0 ? (spend || 0) / sales : 0;
       const cells = [
         r.name ?? '',
+        adProductOf(r),
         r.status ?? '',
         r.budget ?? '',
         spend,
@@ -344,6 +372,13 @@ const CampaignsPage = () => {
         )}
       </div>
 
+      {selectedAccountId && currentAccountStatus !== 'reauth_required' && currentAccountStatus !== 'error_no_profile' && currentAccountStatus !== 'error_no_region' && (
+        <BudgetPacingCard
+          account={linkedAccounts.find(acc => acc.id === selectedAccountId)}
+          campaigns={campaigns.filter(isEditable)}
+        />
+      )}
+
       <Card className="bg-slate-800/80 border-slate-700/60 shadow-xl">
         <CardHeader>
           <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
@@ -382,6 +417,15 @@ const CampaignsPage = () => {
                 disabled={!selectedAccountId || loadingCampaigns || (currentAccountStatus === 'reauth_required' || currentAccountStatus === 'error_no_profile' || currentAccountStatus === 'error_no_region')}
               />
             </div>
+            <Select onValueChange={setAdProductFilter} value={adProductFilter}>
+              <SelectTrigger className="w-full sm:w-[200px] bg-slate-700 border-slate-600 text-slate-100"><SelectValue /></SelectTrigger>
+              <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                <SelectItem value="all">All ad products</SelectItem>
+                {AD_PRODUCTS.map(p => (
+                  <SelectItem key={p.value} value={p.value}>{p.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
           </div>
           <div className="mt-4 flex flex-col sm:flex-row items-center gap-2">
             <Input type="number" step="0.01" placeholder="Batch budget" value={batchBudget} onChange={(e) => setBatchBudget(e.target.value)} className="w-full sm:w-[160px] bg-slate-700 border-slate-600 text-slate-100" />
@@ -458,7 +502,7 @@ const CampaignsPage = () => {
                         setSelectedIds(all);
                       }} checked={filteredCampaigns.length > 0 && filteredCampaigns.every(r => selectedIds.has(r.id))} />
                     </TableHead>
-                    {['name', 'status', 'budget', 'spend', 'impressions', 'clicks', 'ctr', 'cpc', 'orders', 'acos'].map(key => (
+                    {['name', 'ad_product', 'status', 'budget', 'spend', 'impressions', 'clicks', 'ctr', 'cpc', 'orders', 'acos'].map(key => (
                        <TableHead key={key} onClick={() => handleSort(key)} className="cursor-pointer hover:bg-slate-700/50 transition-colors text-slate-300">
                          <div className="flex items-center">
                            {key.charAt(0).toUpperCase() + key.slice(1).replace('_', ' ')}
@@ -476,6 +520,11 @@ const CampaignsPage = () => {
                     <TableRow key={campaign.id} className="border-slate-700 hover:bg-slate-700/30">
                       <TableCell><input type="checkbox" checked={selectedIds.has(campaign.id)} onChange={(e) => toggleSelected(campaign.id, e.target.checked)} /></TableCell>
                       <TableCell className="font-medium text-purple-300 min-w-[200px] break-all" title={campaign.name}>{campaign.name}</TableCell>
+                      <TableCell title={AD_PRODUCTS.find(p => p.value === adProductOf(campaign))?.label}>
+                        <span className="px-2 py-1 text-xs rounded-full bg-purple-500/20 text-purple-300">
+                          {AD_PRODUCTS.find(p => p.value === adProductOf(campaign))?.short || adProductOf(campaign)}
+                        </span>
+                      </TableCell>
                       <TableCell>
                         <span className={`px-2 py-1 text-xs rounded-full ${
                           campaign.status === 'enabled' || campaign.status === 'active' ? 'bg-green-500/20 text-green-300' : 
@@ -495,10 +544,10 @@ const CampaignsPage = () => {
                       <TableCell>{formatNumber(campaign.raw_data?.orders)}</TableCell>
                       <TableCell>{formatPercentage(campaign.raw_data?.sales > 0 ? (campaign.raw_data?.spend || 0) / campaign.raw_data.sales : 0)}</TableCell>
                       <TableCell>
-                        <Input type="number" step="0.01" value={editedBudgets[campaign.id] ?? campaign.budget ?? ''} onChange={(e) => handleBudgetChange(campaign.id, e.target.value)} className="w-28 bg-slate-700 border-slate-600 text-slate-100" />
+                        <Input type="number" step="0.01" value={editedBudgets[campaign.id] ?? campaign.budget ?? ''} onChange={(e) => handleBudgetChange(campaign.id, e.target.value)} disabled={!isEditable(campaign)} className="w-28 bg-slate-700 border-slate-600 text-slate-100" />
                       </TableCell>
                       <TableCell>
-                        <Select onValueChange={(v) => handleStatusChange(campaign.id, v)} value={editedStatuses[campaign.id] ?? ''}>
+                        <Select onValueChange={(v) => handleStatusChange(campaign.id, v)} value={editedStatuses[campaign.id] ?? ''} disabled={!isEditable(campaign)}>
                           <SelectTrigger className="w-[140px] bg-slate-700 border-slate-600 text-slate-100"><SelectValue placeholder="choose" /></SelectTrigger>
                           <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
                             <SelectItem value="enabled">enabled</SelectItem>
@@ -508,7 +557,7 @@ const CampaignsPage = () => {
                         </Select>
                       </TableCell>
                       <TableCell>
-                        <Button onClick={() => applyRow(campaign)} disabled={applying} className="bg-emerald-600 hover:bg-emerald-700 text-white">Apply</Button>
+                        <Button onClick={() => applyRow(campaign)} disabled={applying || !isEditable(campaign)} className="bg-emerald-600 hover:bg-emerald-700 text-white">Apply</Button>
                       </TableCell>
                     </TableRow>
                   ))}
@@ -0,0 +1,518 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/lib/supabaseClient';
+import { useToast } from '@/components/ui/use-toast';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Clock, AlertTriangle, Loader2, Plus, Save, Trash2, Pencil, X } from 'lucide-react';
+import { motion } from 'framer-motion';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { useNavigate } from 'react-router-dom';
+import {
+  DAYPART_DAYS,
+  MULTIPLIER_LIMITS,
+  accountTimezone,
+  describeMultiplier,
+  emptySchedule,
+  localSlot,
+  normalizeMultiplier,
+  scheduleApplied,
+  scheduleValue,
+} from '@/lib/dayparting';
+
+const HOURS = Array.from({ length: 24 }, (_, h) => h);
+
+const emptyForm = () => ({
+  id: null,
+  name: '',
+  enabled: true,
+  entityType: 'campaign',
+  campaignId: '',
+  adGroupId: '',
+  schedule: emptySchedule(),
+});
+
+const cellClass = (value) => {
+  if (value === 0) return 'bg-red-500/60 text-red-100';
+  if (value > 1) return 'bg-emerald-500/50 text-emerald-100';
+  if (value < 1) return 'bg-amber-500/50 text-amber-100';
+  return 'bg-slate-700 text-slate-400';
+};
+
+// Weekly hour-of-day schedules per campaign or ad group. Schedules are stored
+// in dayparting_schedules and applied on Amazon by the dayparting daemon
+// (scripts/daypartingVps.js) in the marketplace's timezone.
+const DaypartingPage = () => {
+  const [schedules, setSchedules] = useState([]);
+  const [linkedAccounts, setLinkedAccounts] = useState([]);
+  const [selectedAccountId, setSelectedAccountId] = useState('');
+  const [campaigns, setCampaigns] = useState([]);
+  const [adGroups, setAdGroups] = useState([]);
+
+  const [loadingData, setLoadingData] = useState(false);
+  const [loadingAccounts, setLoadingAccounts] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const { toast } = useToast();
+  const [user, setUser] = useState(null);
+  const navigate = useNavigate();
+
+  const [form, setForm] = useState(emptyForm);
+  const [brush, setBrush] = useState('0');
+
+  const pageVariants = {
+    initial: { opacity: 0, y: 20 },
+    animate: { opacity: 1, y: 0, transition: { duration: 0.5 } },
+  };
+
+  const fetchUserAndAccounts = useCallback(async () => {
+    setLoadingAccounts(true);
+    const { data: { user: currentUser } } = await supabase.auth.getUser();
+    setUser(currentUser);
+    if (currentUser) {
+      try {
+        const { data, error } = await supabase
+          .from('amazon_accounts')
+          .select('id, name, status, amazon_region, timezone')
+          .eq('user_id', currentUser.id);
+        if (error) throw error;
+        setLinkedAccounts(data || []);
+        if (data && data.length > 0) {
+          const activeAccount = data.find(acc => acc.status === 'active') || data[0];
+          setSelectedAccountId(activeAccount.id);
+        } else {
+          setSelectedAccountId('');
+        }
+      } catch (error) {
+        toast({ title: "Error fetching accounts", description: error.message, variant: "destructive" });
+      }
+    }
+    setLoadingAccounts(false);
+  }, [toast]);
+
+  useEffect(() => {
+    fetchUserAndAccounts();
+  }, [fetchUserAndAccounts]);
+
+  const fetchData = useCallback(async () => {
+    if (!selectedAccountId || !user) {
+      setSchedules([]);
+      setCampaigns([]);
+      setAdGroups([]);
+      return;
+    }
+    setLoadingData(true);
+    try {
+      const [
+        { data: scheduleRows, error: schedErr },
+        { data: campaignRows, error: campErr },
+        { data: adGroupRows, error: agErr },
+      ] = await Promise.all([
+        supabase
+          .from('dayparting_schedules')
+          .select('*')
+          .eq('account_id', selectedAccountId)
+          .is('deleted_at', null)
+          .order('created_at', { ascending: true }),
+        supabase
+          .from('amazon_campaigns')
+          .select('id, campaign_id, name')
+          .eq('account_id', selectedAccountId)
+          .eq('ad_product', 'SPONSORED_PRODUCTS')
+          .order('name', { ascending: true }),
+        supabase
+          .from('amazon_ad_groups')
+          .select('id, campaign_id, amazon_ad_group_id, name')
+          .eq('account_id', selectedAccountId)
+          .eq('ad_product', 'SPONSORED_PRODUCTS')
+          .order('name', { ascending: true }),
+      ]);
+      if (schedErr) throw schedErr;
+      if (campErr) throw campErr;
+      if (agErr) throw agErr;
+      setSchedules(scheduleRows || []);
+      setCampaigns(campaignRows || []);
+      setAdGroups(adGroupRows || []);
+    } catch (error) {
+      toast({ title: "Error fetching dayparting schedules", description: error.message, variant: "destructive" });
+      setSchedules([]);
+    } finally {
+      setLoadingData(false);
+    }
+  }, [selectedAccountId, user, toast]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const selectedAccount = linkedAccounts.find(acc => acc.id === selectedAccountId);
+  const timeZone = accountTimezone(selectedAccount);
+  const nowSlot = localSlot(new Date(), timeZone);
+
+  const handleAccountChange = (value) => {
+    setSelectedAccountId(value);
+    setForm(emptyForm());
+  };
+
+  const updateForm = (patch) => setForm((prev) => ({ ...prev, ...patch }));
+
+  const formAdGroups = adGroups.filter((ag) => ag.campaign_id === form.campaignId);
+
+  // Clicking a cell paints it with the brush value; clicking a day or hour
+  // label paints the whole row / column
+  const paint = (cells) => {
+    const value = normalizeMultiplier(brush);
+    setForm((prev) => ({
+      ...prev,
+      schedule: prev.schedule.map((hours, day) =>
+        hours.map((cell, hour) => (cells.some((c) => c.day === day && c.hour === hour) ? value : cell))
+      ),
+    }));
+  };
+
+  const entityName = (s) => {
+    if (s.entity_type === 'ad_group') {
+      return adGroups.find((ag) => ag.id === s.ad_group_id)?.name || s.amazon_entity_id;
+    }
+    return campaigns.find((c) => c.id === s.campaign_id)?.name || s.amazon_entity_id;
+  };
+
+  const editSchedule = (s) => {
+    setForm({
+      id: s.id,
+      name: s.name || '',
+      enabled: s.enabled !== false,
+      entityType: s.entity_type,
+      campaignId: s.campaign_id || '',
+      adGroupId: s.ad_group_id || '',
+      schedule: DAYPART_DAYS.map((_, day) => HOURS.map((hour) => scheduleValue(s.schedule, { day, hour }))),
+    });
+  };
+
+  const saveSchedule = async () => {
+    if (!form.campaignId) { toast({ title: 'Missing campaign', description: 'Choose a campaign', variant: 'destructive' }); return; }
+    if (form.entityType === 'ad_group' && !form.adGroupId) { toast({ title: 'Missing ad group', description: 'Choose an ad group', variant: 'destructive' }); return; }
+    const campaign = campaigns.find((c) => c.id === form.campaignId);
+    const adGroup = adGroups.find((ag) => ag.id === form.adGroupId);
+    const isAdGroup = form.entityType === 'ad_group';
+    setSaving(true);
+    try {
+      const row = {
+        user_id: user.id,
+        account_id: selectedAccountId,
+        name: form.name.trim() || null,
+        enabled: form.enabled,
+        entity_type: form.entityType,
+        campaign_id: form.campaignId,
+        ad_group_id: isAdGroup ? form.adGroupId : null,
+        amazon_entity_id: String(isAdGroup ? adGroup?.amazon_ad_group_id : campaign?.campaign_id),
+        schedule: form.schedule,
+        updated_at: new Date().toISOString(),
+      };
+      const query = form.id
+        ? supabase.from('dayparting_schedules').update(row).eq('id', form.id)
+        : supabase.from('dayparting_schedules').insert(row);
+      const { error } = await query;
+      if (error) throw error;
+      toast({ title: form.id ? 'Schedule updated' : 'Schedule created', description: 'Changes are applied at the next hour boundary.', variant: 'default' });
+      setForm(emptyForm());
+      await fetchData();
+    } catch (e) {
+      const duplicate = e.code === '23505';
+      toast({
+        title: 'Save failed',
+        description: duplicate ? 'This campaign / ad group already has a schedule.' : String(e.message || e),
+        variant: 'destructive',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleEnabled = async (s, enabled) => {
+    const { error } = await supabase
+      .from('dayparting_schedules')
+      .update({ enabled, updated_at: new Date().toISOString() })
+      .eq('id', s.id);
+    if (error) {
+      toast({ title: 'Update failed', description: error.message, variant: 'destructive' });
+      return;
+    }
+    setSchedules((prev) => prev.map((row) => (row.id === s.id ? { ...row, enabled } : row)));
+  };
+
+  // Schedules with changes still live on Amazon are only marked deleted; the
+  // daemon restores bids / status first and then removes the row
+  const deleteSchedule = async (s) => {
+    if (!confirm(`Delete the schedule for ${entityName(s)}?`)) return;
+    const applied = scheduleApplied(s);
+    const { error } = applied
+      ? await supabase.from('dayparting_schedules').update({ deleted_at: new Date().toISOString() }).eq('id', s.id)
+      : await supabase.from('dayparting_schedules').delete().eq('id', s.id);
+    if (error) {
+      toast({ title: 'Delete failed', description: error.message, variant: 'destructive' });
+      return;
+    }
+    toast({
+      title: 'Schedule deleted',
+      description: applied ? 'Bids and status are restored within a few minutes.' : 'The schedule was removed.',
+      variant: 'default',
+    });
+    if (form.id === s.id) setForm(emptyForm());
+    await fetchData();
+  };
+
+  return (
+    <motion.div
+      className="space-y-8"
+      initial="initial"
+      animate="animate"
+      variants={pageVariants}
+    >
+      <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <Clock size={36} className="text-purple-400" />
+          <h1 className="text-3xl sm:text-4xl font-bold tracking-tight text-slate-100">Dayparting</h1>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+          {loadingAccounts ? (<Loader2 size={24} className="animate-spin text-purple-400"/>) : linkedAccounts.length > 0 ? (
+            <Select onValueChange={handleAccountChange} value={selectedAccountId} disabled={loadingData}>
+              <SelectTrigger className="w-full sm:w-[200px] bg-slate-700 border-slate-600 text-slate-100">
+                <SelectValue placeholder="Select Account" />
+              </SelectTrigger>
+              <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                {linkedAccounts.map(account => (
+                  <SelectItem key={account.id} value={account.id}>{account.name || `Account ...${account.id.slice(-6)}`} ({account.status || 'N/A'})</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          ) : (
+            <p className="text-yellow-400 text-sm self-center">No Amazon accounts linked. <Button variant="link" className="p-0 h-auto text-purple-400" onClick={() => navigate('/link-amazon')}>Link an account</Button></p>
+          )}
+        </div>
+      </div>
+
+      {selectedAccountId && (
+        <Card className="bg-slate-800/80 border-slate-700/60 shadow-xl">
+          <CardHeader>
+            <CardTitle className="text-xl text-purple-300">{form.id ? 'Edit Schedule' : 'New Schedule'}</CardTitle>
+            <CardDescription className="text-slate-400">
+              Hours are in the marketplace's timezone ({timeZone}{selectedAccount?.timezone ? '' : ', until the profile timezone is read'}).
+              A multiplier scales the ad group default bids and the keyword and product target bids; 0 pauses the campaign or ad group for that hour.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className="space-y-1">
+                <Label className="text-slate-300">Name</Label>
+                <Input
+                  value={form.name}
+                  onChange={(e) => updateForm({ name: e.target.value })}
+                  placeholder="Ex: Night pause"
+                  className="bg-slate-700 border-slate-600 text-slate-100 placeholder-slate-500"
+                />
+              </div>
+              <div className="space-y-1">
+                <Label className="text-slate-300">Applies to</Label>
+                <Select onValueChange={(v) => updateForm({ entityType: v, adGroupId: '' })} value={form.entityType} disabled={!!form.id}>
+                  <SelectTrigger className="bg-slate-700 border-slate-600 text-slate-100"><SelectValue /></SelectTrigger>
+                  <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                    <SelectItem value="campaign">Campaign</SelectItem>
+                    <SelectItem value="ad_group">Ad group</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1">
+                <Label className="text-slate-300">Campaign</Label>
+                <Select onValueChange={(v) => updateForm({ campaignId: v, adGroupId: '' })} value={form.campaignId} disabled={!!form.id}>
+                  <SelectTrigger className="bg-slate-700 border-slate-600 text-slate-100"><SelectValue placeholder="Select campaign" /></SelectTrigger>
+                  <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                    {campaigns.map(c => (
+                      <SelectItem key={c.id} value={c.id}>{c.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              {form.entityType === 'ad_group' && (
+                <div className="space-y-1">
+                  <Label className="text-slate-300">Ad group</Label>
+                  <Select onValueChange={(v) => updateForm({ adGroupId: v })} value={form.adGroupId} disabled={!form.campaignId || !!form.id}>
+                    <SelectTrigger className="bg-slate-700 border-slate-600 text-slate-100"><SelectValue placeholder="Select ad group" /></SelectTrigger>
+                    <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                      {formAdGroups.map(ag => (
+                        <SelectItem key={ag.id} value={ag.id}>{ag.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+            </div>
+
+            <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+              <div className="space-y-1">
+                <Label className="text-slate-300">Multiplier to paint</Label>
+                <Input
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  max={MULTIPLIER_LIMITS.max}
+                  value={brush}
+                  onChange={(e) => setBrush(e.target.value)}
+                  className="w-[140px] bg-slate-700 border-slate-600 text-slate-100"
+                />
+              </div>
+              <p className="text-xs text-slate-400 sm:pb-2">
+                {describeMultiplier(brush)}. Click cells to paint them, a day or hour label to paint the whole row or column.
+              </p>
+              <div className="flex items-center gap-2 sm:ml-auto sm:pb-2">
+                <Switch id="schedule-enabled" checked={form.enabled} onCheckedChange={(checked) => updateForm({ enabled: checked })} />
+                <Label htmlFor="schedule-enabled" className="text-slate-300">Enabled</Label>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="text-[10px] border-separate border-spacing-0.5">
+                <thead>
+                  <tr>
+                    <th />
+                    {HOURS.map((hour) => (
+                      <th
+                        key={hour}
+                        className="w-8 text-slate-400 font-normal cursor-pointer hover:text-purple-300"
+                        onClick={() => paint(DAYPART_DAYS.map((_, day) => ({ day, hour })))}
+                      >
+                        {hour}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {DAYPART_DAYS.map((label, day) => (
+                    <tr key={label}>
+                      <th
+                        className="pr-2 text-left text-slate-400 font-normal cursor-pointer hover:text-purple-300"
+                        onClick={() => paint(HOURS.map((hour) => ({ day, hour })))}
+                      >
+                        {label}
+                      </th>
+                      {HOURS.map((hour) => {
+                        const value = form.schedule[day][hour];
+                        const isNow = nowSlot.day === day && nowSlot.hour === hour;
+                        return (
+                          <td
+                            key={hour}
+                            title={`${label} ${hour}:00 – ${describeMultiplier(value)}`}
+                            onClick={() => paint([{ day, hour }])}
+                            className={`h-7 w-8 text-center rounded cursor-pointer ${cellClass(value)} ${isNow ? 'ring-2 ring-purple-400' : ''}`}
+                          >
+                            {value === 1 ? '' : value === 0 ? '⏸' : value}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex flex-col sm:flex-row gap-2">
+              <Button onClick={saveSchedule} disabled={saving} className="bg-emerald-600 hover:bg-emerald-700 text-white">
+                {saving ? <Loader2 size={16} className="mr-2 animate-spin" /> : form.id ? <Save size={16} className="mr-2" /> : <Plus size={16} className="mr-2" />}
+                {form.id ? 'Save Schedule' : 'Create Schedule'}
+              </Button>
+              <Button onClick={() => updateForm({ schedule: emptySchedule() })} variant="outline" className="border-slate-600 text-slate-300 hover:bg-slate-700">
+                Reset Grid
+              </Button>
+              {form.id && (
+                <Button onClick={() => setForm(emptyForm())} variant="outline" className="border-slate-600 text-slate-300 hover:bg-slate-700">
+                  <X size={16} className="mr-2" /> Cancel
+                </Button>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card className="bg-slate-800/80 border-slate-700/60 shadow-xl">
+        <CardHeader>
+          <CardTitle className="text-xl text-purple-300">Your Schedules</CardTitle>
+          <CardDescription className="text-slate-400">
+            Current local time: {DAYPART_DAYS[nowSlot.day]} {nowSlot.hour}:00 ({timeZone})
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {loadingData ? (
+            <div className="flex justify-center items-center min-h-[200px]">
+              <Loader2 size={32} className="animate-spin text-purple-400" />
+              <p className="ml-3 text-slate-300">Loading schedules...</p>
+            </div>
+          ) : !selectedAccountId ? (
+            <div className="text-center py-10">
+              <AlertTriangle size={48} className="mx-auto text-yellow-400 mb-4 opacity-70" />
+              <p className="text-slate-300 text-lg">Please select an Amazon account.</p>
+            </div>
+          ) : schedules.length === 0 ? (
+            <div className="text-center py-10">
+              <AlertTriangle size={48} className="mx-auto text-yellow-400 mb-4 opacity-70" />
+              <h3 className="text-xl font-semibold text-slate-200 mb-2">No Schedules Yet</h3>
+              <p className="text-slate-400">Create a schedule above to pause or re-bid a campaign or ad group by hour.</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow className="border-slate-700">
+                    <TableHead className="text-slate-300">Name</TableHead>
+                    <TableHead className="text-slate-300">Campaign / Ad group</TableHead>
+                    <TableHead className="text-slate-300">Now</TableHead>
+                    <TableHead className="text-slate-300">Applied</TableHead>
+                    <TableHead className="text-slate-300">Last Change</TableHead>
+                    <TableHead className="text-slate-300">Enabled</TableHead>
+                    <TableHead>Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {schedules.map((s) => (
+                    <TableRow key={s.id} className="border-slate-700 hover:bg-slate-700/30">
+                      <TableCell className="font-medium text-purple-300">{s.name || 'Untitled'}</TableCell>
+                      <TableCell className="text-slate-300">
+                        {entityName(s)}
+                        <span className="text-xs text-slate-500"> ({s.entity_type === 'ad_group' ? 'ad group' : 'campaign'})</span>
+                      </TableCell>
+                      <TableCell>{s.enabled ? describeMultiplier(scheduleValue(s.schedule, nowSlot)) : 'Off'}</TableCell>
+                      <TableCell>
+                        {s.paused_by_schedule ? 'Paused' : describeMultiplier(s.applied_multiplier ?? 1)}
+                        {s.last_error && (
+                          <span className="block text-xs text-red-400 max-w-[240px] truncate" title={s.last_error}>{s.last_error}</span>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-slate-400">{s.last_applied_at ? new Date(s.last_applied_at).toLocaleString() : 'Never'}</TableCell>
+                      <TableCell>
+                        <Switch checked={!!s.enabled} onCheckedChange={(checked) => toggleEnabled(s, checked)} />
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex gap-2">
+                          <Button size="sm" variant="ghost" className="text-slate-300 hover:text-purple-300" onClick={() => editSchedule(s)}>
+                            <Pencil size={14} />
+                          </Button>
+                          <Button size="sm" variant="ghost" className="text-red-400 hover:text-red-300" onClick={() => deleteSchedule(s)}>
+                            <Trash2 size={14} />
+                          </Button>
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default DaypartingPage;
@@ -48,6 +48,9 @@ const generateSimulatedKeywords = (count = 20, adGroupId = 'sim-ag-1') => {
 };
 
 
+// Bid and status updates go through the Sponsored Products API only
+const isEditable = (row) => (row.ad_product || 'SPONSORED_PRODUCTS') === 'SPONSORED_PRODUCTS';
+
 const KeywordsPage = () => {
   const [keywords, setKeywords] = useState([]);
   const [linkedAccounts, setLinkedAccounts] = useState([]);
@@ -324,6 +327,18 @@ const KeywordsPage = () => {
     });
     const json = await res.json().catch(() => ({}));
     if (!res.ok || json.status !== 'success') throw new Error(json.message || `HTTP ${res.status}`);
+    return json.result || {};
+  };
+
+  // Amazon accepts or rejects each item of a batch on its own; rejected and
+  // guardrail-blocked items come back in the result
+  const reportBatchResult = (result, count) => {
+    const failed = [...(result.failed || []), ...(result.blocked || []).map((b) => ({ error: b.reason }))];
+    toast({
+      title: failed.length ? 'Partially applied' : 'Applied',
+      description: `Updated ${count - failed.length} keyword(s)${failed.length ? `, ${failed.length} failed: ${failed[0].error}` : ''}`,
+      variant: failed.length ? 'destructive' : 'default',
+    });
   };
 
   const applyRow = async (row) => {
@@ -354,11 +369,12 @@ const KeywordsPage = () => {
     if (ids.length === 0) { toast({ title: 'No selection', description: 'Select rows first', variant: 'destructive' }); return; }
     const num = Number(batchBid);
     if (Number.isNaN(num)) { toast({ title: 'Invalid bid', description: 'Enter a number', variant: 'destructive' }); return; }
+    const rows = keywords.filter((r) => ids.includes(r.id) && isEditable(r));
+    if (rows.length === 0) { toast({ title: 'Nothing to update', description: 'Only Sponsored Products keywords can be edited here', variant: 'destructive' }); return; }
     setApplying(true);
     try {
-      const items = keywords.filter((r) => ids.includes(r.id)).map((r) => ({ amazonId: r.amazon_keyword_id, value: num }));
-      await callUpdate('keyword', items);
-      toast({ title: 'Applied', description: `Updated ${items.length} keyword(s)`, variant: 'default' });
+      const items = rows.map((r) => ({ amazonId: r.amazon_keyword_id, value: num }));
+      reportBatchResult(await callUpdate('keyword', items), items.length);
       await fetchKeywords();
     } catch (e) {
       toast({ title: 'Apply failed', description: String(e.message || e), variant: 'destructive' });
@@ -371,11 +387,12 @@ const KeywordsPage = () => {
     const ids = Array.from(selectedIds);
     if (ids.length === 0) { toast({ title: 'No selection', description: 'Select rows first', variant: 'destructive' }); return; }
     if (!batchStatus) { toast({ title: 'Missing status', description: 'Choose a status', variant: 'destructive' }); return; }
+    const rows = keywords.filter((r) => ids.includes(r.id) && isEditable(r));
+    if (rows.length === 0) { toast({ title: 'Nothing to update', description: 'Only Sponsored Products keywords can be edited here', variant: 'destructive' }); return; }
     setApplying(true);
     try {
-      const items = keywords.filter((r) => ids.includes(r.id)).map((r) => ({ amazonId: r.amazon_keyword_id, value: batchStatus }));
-      await callUpdate('keyword_status', items);
-      toast({ title: 'Applied', description: `Updated ${items.length} keyword(s)`, variant: 'default' });
+      const items = rows.map((r) => ({ amazonId: r.amazon_keyword_id, value: batchStatus }));
+      reportBatchResult(await callUpdate('keyword_status', items), items.length);
       await fetchKeywords();
     } catch (e) {
       toast({ title: 'Apply failed', description: String(e.message || e), variant: 'destructive' });
@@ -619,10 +636,10 @@ const KeywordsPage = () => {
                       <TableCell>{formatNumber(kw.orders)}</TableCell>
                       <TableCell>{formatPercentage(kw.acos)}</TableCell>
                       <TableCell>
-                        <Input type="number" step="0.01" value={editedBids[kw.id] ?? kw.bid ?? ''} onChange={(e) => handleBidChange(kw.id, e.target.value)} className="w-28 bg-slate-700 border-slate-600 text-slate-100" />
+                        <Input type="number" step="0.01" value={editedBids[kw.id] ?? kw.bid ?? ''} onChange={(e) => handleBidChange(kw.id, e.target.value)} disabled={!isEditable(kw)} className="w-28 bg-slate-700 border-slate-600 text-slate-100" />
                       </TableCell>
                       <TableCell>
-                        <Select onValueChange={(v) => handleStatusChange(kw.id, v)} value={editedStatuses[kw.id] ?? ''}>
+                        <Select onValueChange={(v) => handleStatusChange(kw.id, v)} value={editedStatuses[kw.id] ?? ''} disabled={!isEditable(kw)}>
                           <SelectTrigger className="w-[140px] bg-slate-700 border-slate-600 text-slate-100"><SelectValue placeholder="choose" /></SelectTrigger>
                           <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
                             <SelectItem value="enabled">enabled</SelectItem>
@@ -632,7 +649,7 @@ const KeywordsPage = () => {
                         </Select>
                       </TableCell>
                       <TableCell>
-                        <Button onClick={() => applyRow(kw)} disabled={applying} className="bg-emerald-600 hover:bg-emerald-700 text-white">Apply</Button>
+                        <Button onClick={() => applyRow(kw)} disabled={applying || !isEditable(kw)} className="bg-emerald-600 hover:bg-emerald-700 text-white">Apply</Button>
                       </TableCell>
                     </TableRow>
                   ))}
@@ -0,0 +1,543 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/lib/supabaseClient';
+import { useToast } from '@/components/ui/use-toast';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Ban, AlertTriangle, DownloadCloud, Loader2, Search, RefreshCcw, Plus, Archive } from 'lucide-react';
+import { motion } from 'framer-motion';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useNavigate } from 'react-router-dom';
+import { OPTIMIZATION_SERVER_URL } from '@/lib/config';
+
+// applyAmazonUpdates type for a negative row or create form, e.g.
+// campaign_negative_keyword_create / negative_target_archive
+const negativeUpdateType = (level, negativeType, op) =>
+  `${level === 'campaign' ? 'campaign_' : ''}negative_${negativeType === 'keyword' ? 'keyword' : 'target'}_${op}`;
+
+// Negative keywords and negative product targets at campaign and ad-group
+// level, synced into amazon_negatives by the VPS sync. Creating and archiving
+// go through the optimization server like the other entity pages.
+const NegativesPage = () => {
+  const [negatives, setNegatives] = useState([]);
+  const [linkedAccounts, setLinkedAccounts] = useState([]);
+  const [selectedAccountId, setSelectedAccountId] = useState('');
+  const [currentAccountStatus, setCurrentAccountStatus] = useState('');
+  const [campaigns, setCampaigns] = useState([]);
+  const [adGroups, setAdGroups] = useState([]);
+  const [levelFilter, setLevelFilter] = useState('all');
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('active');
+
+  const [loadingData, setLoadingData] = useState(false);
+  const [loadingAccounts, setLoadingAccounts] = useState(true);
+
+  const [searchTerm, setSearchTerm] = useState('');
+  const { toast } = useToast();
+  const [user, setUser] = useState(null);
+  const navigate = useNavigate();
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [applying, setApplying] = useState(false);
+
+  const [form, setForm] = useState({
+    negativeType: 'keyword',
+    level: 'ad_group',
+    campaignId: '',
+    adGroupId: '',
+    values: '',
+    matchType: 'negativeExact',
+  });
+
+  const pageVariants = {
+    initial: { opacity: 0, y: 20 },
+    animate: { opacity: 1, y: 0, transition: { duration: 0.5 } },
+  };
+
+  const needsRelink = ['reauth_required', 'error_no_profile', 'error_no_region'].includes(currentAccountStatus);
+
+  const fetchUserAndAccounts = useCallback(async () => {
+    setLoadingAccounts(true);
+    const { data: { user: currentUser } } = await supabase.auth.getUser();
+    setUser(currentUser);
+    if (currentUser) {
+      try {
+        const { data, error } = await supabase
+          .from('amazon_accounts')
+          .select('id, name, last_sync, status, client_id, amazon_profile_id')
+          .eq('user_id', currentUser.id);
+        if (error) throw error;
+        setLinkedAccounts(data || []);
+        if (data && data.length > 0) {
+          const activeAccount = data.find(acc => acc.status === 'active') || data[0];
+          setSelectedAccountId(activeAccount.id);
+          setCurrentAccountStatus(activeAccount.status || '');
+        } else {
+          setSelectedAccountId('');
+          setCurrentAccountStatus('');
+        }
+      } catch (error) {
+        toast({ title: "Error fetching accounts", description: error.message, variant: "destructive" });
+      }
+    }
+    setLoadingAccounts(false);
+  }, [toast]);
+
+  useEffect(() => {
+    fetchUserAndAccounts();
+  }, [fetchUserAndAccounts]);
+
+  const fetchStructureForAccount = useCallback(async () => {
+    if (!selectedAccountId || !user) {
+      setCampaigns([]);
+      setAdGroups([]);
+      return;
+    }
+    try {
+      const [{ data: campaignRows, error: campErr }, { data: adGroupRows, error: agErr }] = await Promise.all([
+        supabase
+          .from('amazon_campaigns')
+          .select('id, campaign_id, name')
+          .eq('account_id', selectedAccountId)
+          .eq('ad_product', 'SPONSORED_PRODUCTS')
+          .order('name', { ascending: true }),
+        supabase
+          .from('amazon_ad_groups')
+          .select('id, campaign_id, amazon_ad_group_id, name')
+          .eq('account_id', selectedAccountId)
+          .eq('ad_product', 'SPONSORED_PRODUCTS')
+          .order('name', { ascending: true }),
+      ]);
+      if (campErr) throw campErr;
+      if (agErr) throw agErr;
+      setCampaigns(campaignRows || []);
+      setAdGroups(adGroupRows || []);
+    } catch (error) {
+      toast({ title: "Error fetching campaigns for account", description: error.message, variant: "destructive" });
+      setCampaigns([]);
+      setAdGroups([]);
+    }
+  }, [selectedAccountId, user, toast]);
+
+  useEffect(() => {
+    fetchStructureForAccount();
+  }, [fetchStructureForAccount]);
+
+  const fetchNegatives = useCallback(async () => {
+    if (!selectedAccountId || !user) {
+      setNegatives([]);
+      return;
+    }
+    setLoadingData(true);
+    try {
+      let query = supabase
+        .from('amazon_negatives')
+        .select('*, amazon_ad_groups (name), amazon_campaigns (name)')
+        .eq('account_id', selectedAccountId);
+
+      if (levelFilter !== 'all') query = query.eq('level', levelFilter);
+      if (typeFilter !== 'all') query = query.eq('negative_type', typeFilter);
+      if (statusFilter === 'active') query = query.neq('status', 'archived');
+      if (statusFilter === 'archived') query = query.eq('status', 'archived');
+
+      const { data, error } = await query.order('updated_at', { ascending: false });
+      if (error) throw error;
+      setNegatives(data || []);
+      setSelectedIds(new Set());
+    } catch (error) {
+      toast({ title: "Error fetching negatives", description: error.message, variant: "destructive" });
+      setNegatives([]);
+    } finally {
+      setLoadingData(false);
+    }
+  }, [selectedAccountId, levelFilter, typeFilter, statusFilter, user, toast]);
+
+  useEffect(() => {
+    fetchNegatives();
+  }, [fetchNegatives]);
+
+  const describeNegative = (n) => n.negative_type === 'keyword' ? n.keyword_text : n.expression_text;
+
+  const filteredNegatives = negatives.filter(n =>
+    (describeNegative(n) || '').toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  const handleAccountChange = (value) => {
+    setSelectedAccountId(value);
+    const selectedAcc = linkedAccounts.find(acc => acc.id === value);
+    setCurrentAccountStatus(selectedAcc?.status || '');
+    setCampaigns([]);
+    setAdGroups([]);
+    setNegatives([]);
+    setForm((prev) => ({ ...prev, campaignId: '', adGroupId: '' }));
+  };
+
+  const toggleSelected = (id, checked) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (checked) next.add(id); else next.delete(id);
+      return next;
+    });
+  };
+
+  const callUpdate = async (type, items) => {
+    const res = await fetch(`${OPTIMIZATION_SERVER_URL}/amazon/update`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ accountId: selectedAccountId, type, items }),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || json.status !== 'success') throw new Error(json.message || `HTTP ${res.status}`);
+    return json.result || json;
+  };
+
+  // Rows are archived per update type (level + keyword/target)
+  const archiveRows = async (rows) => {
+    if (rows.length === 0) { toast({ title: 'No selection', description: 'Select rows first', variant: 'destructive' }); return; }
+    if (!confirm(`Archive ${rows.length} negative(s)? Archived negatives cannot be re-enabled.`)) return;
+    setApplying(true);
+    try {
+      const groups = new Map();
+      for (const n of rows) {
+        const type = negativeUpdateType(n.level, n.negative_type, 'archive');
+        groups.set(type, [...(groups.get(type) || []), { amazonId: n.amazon_negative_id }]);
+      }
+      const failed = [];
+      for (const [type, items] of groups) {
+        const result = await callUpdate(type, items);
+        failed.push(...(result?.failed || []));
+      }
+      toast({
+        title: 'Archived',
+        description: `Archived ${rows.length - failed.length} negative(s)${failed.length ? `, ${failed.length} failed: ${failed[0].error}` : ''}`,
+        variant: failed.length ? 'destructive' : 'default',
+      });
+      await fetchNegatives();
+    } catch (e) {
+      toast({ title: 'Archive failed', description: String(e.message || e), variant: 'destructive' });
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const archiveSelected = () => archiveRows(negatives.filter((n) => selectedIds.has(n.id) && n.status !== 'archived'));
+
+  const formAdGroups = adGroups.filter((ag) => {
+    const campaign = campaigns.find((c) => c.campaign_id === form.campaignId);
+    return campaign && ag.campaign_id === campaign.id;
+  });
+
+  const updateForm = (patch) => setForm((prev) => ({ ...prev, ...patch }));
+
+  // One negative per comma / line separated value
+  const createNegatives = async () => {
+    const values = form.values.split(/[\n,]/).map((v) => v.trim()).filter(Boolean);
+    if (!form.campaignId) { toast({ title: 'Missing campaign', description: 'Choose a campaign', variant: 'destructive' }); return; }
+    if (form.level === 'ad_group' && !form.adGroupId) { toast({ title: 'Missing ad group', description: 'Choose an ad group', variant: 'destructive' }); return; }
+    if (values.length === 0) {
+      toast({ title: 'Nothing to add', description: form.negativeType === 'keyword' ? 'Enter at least one keyword' : 'Enter at least one ASIN', variant: 'destructive' });
+      return;
+    }
+    setApplying(true);
+    try {
+      const items = values.map((value) => ({
+        campaignId: form.campaignId,
+        ...(form.level === 'ad_group' ? { adGroupId: form.adGroupId } : {}),
+        ...(form.negativeType === 'keyword'
+          ? { keywordText: value, matchType: form.matchType }
+          : { asin: value.toUpperCase() }),
+      }));
+      const result = await callUpdate(negativeUpdateType(form.level, form.negativeType, 'create'), items);
+      const failed = result?.failed?.length || 0;
+      toast({
+        title: 'Negatives added',
+        description: `Added ${items.length - failed} negative(s)${failed ? `, ${failed} failed: ${result.failed[0].error}` : ''}`,
+        variant: failed ? 'destructive' : 'default',
+      });
+      updateForm({ values: '' });
+      await fetchNegatives();
+    } catch (e) {
+      toast({ title: 'Add failed', description: String(e.message || e), variant: 'destructive' });
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const selectedAccount = linkedAccounts.find(acc => acc.id === selectedAccountId);
+
+  return (
+    <motion.div
+      className="space-y-8"
+      initial="initial"
+      animate="animate"
+      variants={pageVariants}
+    >
+      <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <Ban size={36} className="text-purple-400" />
+          <h1 className="text-3xl sm:text-4xl font-bold tracking-tight text-slate-100">Negatives</h1>
+        </div>
+        {selectedAccountId && !needsRelink && (
+          <Button
+            onClick={fetchNegatives}
+            disabled={loadingData}
+            className="bg-blue-600 hover:bg-blue-700 text-white shadow-md w-full sm:w-auto"
+          >
+            {loadingData ? <Loader2 size={20} className="mr-2 animate-spin" /> : <DownloadCloud size={20} className="mr-2" />}
+            Reload Negatives
+          </Button>
+        )}
+        {needsRelink && selectedAccountId && (
+          <Button
+            onClick={() => navigate('/link-amazon', { state: { accountIdToRelink: selectedAccountId, client_id: selectedAccount?.client_id } })}
+            variant="destructive"
+            className="w-full sm:w-auto bg-yellow-500 hover:bg-yellow-600 text-yellow-900 border-yellow-600 hover:border-yellow-700"
+          >
+            <RefreshCcw size={20} className="mr-2"/> Re-link Amazon Account
+          </Button>
+        )}
+      </div>
+
+      {selectedAccountId && !needsRelink && (
+        <Card className="bg-slate-800/80 border-slate-700/60 shadow-xl">
+          <CardHeader>
+            <CardTitle className="text-xl text-purple-300">Add Negatives</CardTitle>
+            <CardDescription className="text-slate-400">
+              Separate several keywords or ASINs with commas or new lines.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="space-y-1">
+                <Label className="text-slate-300">Type</Label>
+                <Select onValueChange={(v) => updateForm({ negativeType: v })} value={form.negativeType}>
+                  <SelectTrigger className="bg-slate-700 border-slate-600 text-slate-100"><SelectValue /></SelectTrigger>
+                  <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                    <SelectItem value="keyword">Negative keyword</SelectItem>
+                    <SelectItem value="product_target">Negative product (ASIN)</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1">
+                <Label className="text-slate-300">Level</Label>
+                <Select onValueChange={(v) => updateForm({ level: v, adGroupId: '' })} value={form.level}>
+                  <SelectTrigger className="bg-slate-700 border-slate-600 text-slate-100"><SelectValue /></SelectTrigger>
+                  <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                    <SelectItem value="ad_group">Ad group</SelectItem>
+                    <SelectItem value="campaign">Campaign</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              {form.negativeType === 'keyword' && (
+                <div className="space-y-1">
+                  <Label className="text-slate-300">Match type</Label>
+                  <Select onValueChange={(v) => updateForm({ matchType: v })} value={form.matchType}>
+                    <SelectTrigger className="bg-slate-700 border-slate-600 text-slate-100"><SelectValue /></SelectTrigger>
+                    <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                      <SelectItem value="negativeExact">Negative exact</SelectItem>
+                      <SelectItem value="negativePhrase">Negative phrase</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+              <div className="space-y-1">
+                <Label className="text-slate-300">Campaign</Label>
+                <Select onValueChange={(v) => updateForm({ campaignId: v, adGroupId: '' })} value={form.campaignId}>
+                  <SelectTrigger className="bg-slate-700 border-slate-600 text-slate-100"><SelectValue placeholder="Select campaign" /></SelectTrigger>
+                  <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                    {campaigns.map(c => (
+                      <SelectItem key={c.id} value={c.campaign_id}>{c.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              {form.level === 'ad_group' && (
+                <div className="space-y-1">
+                  <Label className="text-slate-300">Ad group</Label>
+                  <Select onValueChange={(v) => updateForm({ adGroupId: v })} value={form.adGroupId} disabled={!form.campaignId}>
+                    <SelectTrigger className="bg-slate-700 border-slate-600 text-slate-100"><SelectValue placeholder="Select ad group" /></SelectTrigger>
+                    <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                      {formAdGroups.map(ag => (
+                        <SelectItem key={ag.id} value={ag.amazon_ad_group_id}>{ag.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+              <div className="space-y-1 md:col-span-3">
+                <Label className="text-slate-300">{form.negativeType === 'keyword' ? 'Keywords' : 'ASINs'}</Label>
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <Input
+                    type="text"
+                    placeholder={form.negativeType === 'keyword' ? 'free, cheap pdf' : 'B0XXXXXXXX, B0YYYYYYYY'}
+                    value={form.values}
+                    onChange={(e) => updateForm({ values: e.target.value })}
+                    className="bg-slate-700 border-slate-600 text-slate-100 placeholder-slate-500"
+                  />
+                  <Button onClick={createNegatives} disabled={applying} className="bg-emerald-600 hover:bg-emerald-700 text-white">
+                    {applying ? <Loader2 size={16} className="mr-2 animate-spin" /> : <Plus size={16} className="mr-2" />}
+                    Add Negatives
+                  </Button>
+                </div>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card className="bg-slate-800/80 border-slate-700/60 shadow-xl">
+        <CardHeader>
+          <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+            <div>
+              <CardTitle className="text-xl text-purple-300">Your Negatives</CardTitle>
+              <CardDescription className="text-slate-400">
+                Campaign and ad-group negatives. Last sync: {selectedAccount?.last_sync ? new Date(selectedAccount.last_sync).toLocaleString() : 'Never'}
+              </CardDescription>
+            </div>
+            <div className="flex flex-col sm:flex-row gap-2 w-full md:w-auto">
+              <Button onClick={archiveSelected} disabled={applying || selectedIds.size === 0} className="bg-amber-600 hover:bg-amber-700 text-white">
+                <Archive size={16} className="mr-2" /> Archive Selected
+              </Button>
+            </div>
+            <div className="flex flex-col sm:flex-row gap-2 w-full md:w-auto">
+              {loadingAccounts ? (<Loader2 size={24} className="animate-spin text-purple-400"/>) : linkedAccounts.length > 0 ? (
+                <Select onValueChange={handleAccountChange} value={selectedAccountId} disabled={loadingData}>
+                  <SelectTrigger className="w-full sm:w-[200px] bg-slate-700 border-slate-600 text-slate-100">
+                    <SelectValue placeholder="Select Account" />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                    {linkedAccounts.map(account => (
+                      <SelectItem key={account.id} value={account.id}>{account.name || `Account ...${account.id.slice(-6)}`} ({account.status || 'N/A'})</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              ) : (
+                <p className="text-yellow-400 text-sm self-center">No Amazon accounts linked. <Button variant="link" className="p-0 h-auto text-purple-400" onClick={() => navigate('/link-amazon')}>Link an account</Button></p>
+              )}
+
+              <Select onValueChange={setLevelFilter} value={levelFilter} disabled={loadingData}>
+                <SelectTrigger className="w-full sm:w-[150px] bg-slate-700 border-slate-600 text-slate-100">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                  <SelectItem value="all">All levels</SelectItem>
+                  <SelectItem value="campaign">Campaign</SelectItem>
+                  <SelectItem value="ad_group">Ad group</SelectItem>
+                </SelectContent>
+              </Select>
+
+              <Select onValueChange={setTypeFilter} value={typeFilter} disabled={loadingData}>
+                <SelectTrigger className="w-full sm:w-[170px] bg-slate-700 border-slate-600 text-slate-100">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                  <SelectItem value="all">Keywords + Products</SelectItem>
+                  <SelectItem value="keyword">Keywords</SelectItem>
+                  <SelectItem value="product_target">Products</SelectItem>
+                </SelectContent>
+              </Select>
+
+              <Select onValueChange={setStatusFilter} value={statusFilter} disabled={loadingData}>
+                <SelectTrigger className="w-full sm:w-[140px] bg-slate-700 border-slate-600 text-slate-100">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                  <SelectItem value="active">Active</SelectItem>
+                  <SelectItem value="archived">Archived</SelectItem>
+                  <SelectItem value="all">All</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+          <div className="mt-4">
+            <div className="relative w-full max-w-xs">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-slate-400" />
+              <Input
+                type="text"
+                placeholder="Search negatives..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="pl-10 bg-slate-700 border-slate-600 text-slate-100 placeholder-slate-500"
+                disabled={!selectedAccountId || loadingData || needsRelink}
+              />
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {loadingData ? (
+            <div className="flex justify-center items-center min-h-[200px]">
+              <Loader2 size={32} className="animate-spin text-purple-400" />
+              <p className="ml-3 text-slate-300">Loading negatives...</p>
+            </div>
+          ) : !selectedAccountId ? (
+            <div className="text-center py-10">
+              <AlertTriangle size={48} className="mx-auto text-yellow-400 mb-4 opacity-70" />
+              <p className="text-slate-300 text-lg">Please select an Amazon account.</p>
+            </div>
+          ) : filteredNegatives.length === 0 ? (
+            <div className="text-center py-10">
+              <AlertTriangle size={48} className="mx-auto text-yellow-400 mb-4 opacity-70" />
+              <h3 className="text-xl font-semibold text-slate-200 mb-2">No Negatives Found</h3>
+              <p className="text-slate-400">
+                No negatives for the selected criteria, or data hasn't been synced yet.
+              </p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow className="border-slate-700">
+                    <TableHead className="w-[36px]">
+                      <input type="checkbox" onChange={(e) => {
+                        setSelectedIds(new Set(e.target.checked ? filteredNegatives.map(r => r.id) : []));
+                      }} checked={filteredNegatives.length > 0 && filteredNegatives.every(r => selectedIds.has(r.id))} />
+                    </TableHead>
+                    <TableHead className="text-slate-300">Negative</TableHead>
+                    <TableHead className="text-slate-300">Type</TableHead>
+                    <TableHead className="text-slate-300">Match</TableHead>
+                    <TableHead className="text-slate-300">Level</TableHead>
+                    <TableHead className="text-slate-300">Campaign / Ad group</TableHead>
+                    <TableHead className="text-slate-300">Status</TableHead>
+                    <TableHead>Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {filteredNegatives.map((n) => (
+                    <TableRow key={n.id} className="border-slate-700 hover:bg-slate-700/30">
+                      <TableCell><input type="checkbox" checked={selectedIds.has(n.id)} onChange={(e) => toggleSelected(n.id, e.target.checked)} /></TableCell>
+                      <TableCell className="font-medium text-purple-300 min-w-[150px] break-all">{describeNegative(n) || n.amazon_negative_id}</TableCell>
+                      <TableCell>{n.negative_type === 'keyword' ? 'Keyword' : 'Product'}</TableCell>
+                      <TableCell>{n.match_type || 'N/A'}</TableCell>
+                      <TableCell>{n.level === 'campaign' ? 'Campaign' : 'Ad group'}</TableCell>
+                      <TableCell className="text-slate-300">
+                        {n.amazon_campaigns?.name || n.amazon_campaign_id}
+                        {n.level === 'ad_group' && (
+                          <span className="text-xs text-slate-500"> / {n.amazon_ad_groups?.name || n.amazon_ad_group_id}</span>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <span className={`px-2 py-1 text-xs rounded-full ${
+                          n.status === 'enabled' ? 'bg-green-500/20 text-green-300' :
+                          n.status === 'paused' ? 'bg-yellow-500/20 text-yellow-300' :
+                          'bg-red-500/20 text-red-300'
+                        }`}>
+                          {n.status || 'unknown'}
+                        </span>
+                      </TableCell>
+                      <TableCell>
+                        <Button onClick={() => archiveRows([n])} disabled={applying || n.status === 'archived'} className="bg-amber-600 hover:bg-amber-700 text-white">Archive</Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default NegativesPage;
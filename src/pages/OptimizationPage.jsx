@@ -6,9 +6,13 @@ import { useToast } from '../components/ui/use-toast';
 import RuleForm from '../components/optimization/RuleForm';
 import RulesList from '../components/optimization/RulesList';
 import OptimizationLogs from '../components/optimization/OptimizationLogs';
+import ProposedActions from '../components/optimization/ProposedActions';
+import ApprovalQueue from '../components/optimization/ApprovalQueue';
+import GuardrailsSettings from '../components/optimization/GuardrailsSettings';
+import GlobalAutomationSettings from '../components/settings/GlobalAutomationSettings';
 import { runManualOptimization } from '../lib/optimizationEngine';
 import { supabase } from '../lib/supabaseClient';
-import { Settings, Play, History, BarChart3, TrendingUp } from 'lucide-react';
+import { Settings, Play, History, BarChart3, TrendingUp, FlaskConical, ClipboardCheck, ShieldCheck } from 'lucide-react';
 
 const OptimizationPage = () => {
   const [activeTab, setActiveTab] = useState('rules');
@@ -32,7 +36,7 @@ const OptimizationPage = () => {
     setEditingRule(null);
     toast({
       title: "Success",
-      description: "Optimization rule created successfully.",
+      description: "Optimization rule saved successfully.",
     });
   };
 
@@ -175,8 +179,10 @@ const OptimizationPage = () => {
         </div>
       </div>
 
+      <GlobalAutomationSettings />
+
       <Tabs value={activeTab} onValueChange={setActiveTab} className="space-y-6">
-        <TabsList className="grid w-full grid-cols-3">
+        <TabsList className="grid w-full grid-cols-6">
           <TabsTrigger value="rules" className="flex items-center space-x-2">
             <Settings className="h-4 w-4" />
             <span>Rules</span>
@@ -185,6 +191,18 @@ const OptimizationPage = () => {
             <History className="h-4 w-4" />
             <span>History</span>
           </TabsTrigger>
+          <TabsTrigger value="approvals" className="flex items-center space-x-2">
+            <ClipboardCheck className="h-4 w-4" />
+            <span>Approvals</span>
+          </TabsTrigger>
+          <TabsTrigger value="simulation" className="flex items-center space-x-2">
+            <FlaskConical className="h-4 w-4" />
+            <span>Simulation</span>
+          </TabsTrigger>
+          <TabsTrigger value="guardrails" className="flex items-center space-x-2">
+            <ShieldCheck className="h-4 w-4" />
+            <span>Guardrails</span>
+          </TabsTrigger>
           <TabsTrigger value="analytics" className="flex items-center space-x-2">
             <BarChart3 className="h-4 w-4" />
             <span>Analytics</span>
@@ -202,6 +220,18 @@ const OptimizationPage = () => {
           <OptimizationLogs />
         </TabsContent>
 
+        <TabsContent value="approvals" className="space-y-6">
+          <ApprovalQueue />
+        </TabsContent>
+
+        <TabsContent value="simulation" className="space-y-6">
+          <ProposedActions />
+        </TabsContent>
+
+        <TabsContent value="guardrails" className="space-y-6">
+          <GuardrailsSettings />
+        </TabsContent>
+
         <TabsContent value="analytics" className="space-y-6">
           <Card>
             <CardHeader>
@@ -0,0 +1,453 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/lib/supabaseClient';
+import { useToast } from '@/components/ui/use-toast';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { ScanSearch, AlertTriangle, Loader2, Search, ArrowUpDown, RefreshCcw, PlusCircle, MinusCircle } from 'lucide-react';
+import { motion } from 'framer-motion';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Input } from '@/components/ui/input';
+import { useNavigate } from 'react-router-dom';
+import { OPTIMIZATION_SERVER_URL } from '@/lib/config';
+
+// Customer search terms behind each keyword/target (amazon_search_terms,
+// synced from the spSearchTerm report). Selected terms can be promoted to
+// exact keywords in a chosen ad group or added as negatives in the ad group
+// they came from.
+const SearchTermsPage = () => {
+  const [terms, setTerms] = useState([]);
+  const [linkedAccounts, setLinkedAccounts] = useState([]);
+  const [selectedAccountId, setSelectedAccountId] = useState('');
+  const [currentAccountStatus, setCurrentAccountStatus] = useState('');
+  const [adGroups, setAdGroups] = useState([]);
+
+  const [loadingData, setLoadingData] = useState(false);
+  const [loadingAccounts, setLoadingAccounts] = useState(true);
+
+  const [searchTerm, setSearchTerm] = useState('');
+  const [performanceFilter, setPerformanceFilter] = useState('all');
+  const [sortConfig, setSortConfig] = useState({ key: 'clicks', direction: 'descending' });
+  const { toast } = useToast();
+  const [user, setUser] = useState(null);
+  const navigate = useNavigate();
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [promoteAdGroupId, setPromoteAdGroupId] = useState('');
+  const [promoteBid, setPromoteBid] = useState('');
+  const [negativeMatchType, setNegativeMatchType] = useState('negativeExact');
+  const [applying, setApplying] = useState(false);
+
+  const pageVariants = {
+    initial: { opacity: 0, y: 20 },
+    animate: { opacity: 1, y: 0, transition: { duration: 0.5 } },
+  };
+
+  const needsRelink = ['reauth_required', 'error_no_profile', 'error_no_region'].includes(currentAccountStatus);
+
+  const fetchUserAndAccounts = useCallback(async () => {
+    setLoadingAccounts(true);
+    const { data: { user: currentUser } } = await supabase.auth.getUser();
+    setUser(currentUser);
+    if (currentUser) {
+      try {
+        const { data, error } = await supabase
+          .from('amazon_accounts')
+          .select('id, name, last_sync, status, client_id, amazon_profile_id')
+          .eq('user_id', currentUser.id);
+        if (error) throw error;
+        setLinkedAccounts(data || []);
+        if (data && data.length > 0) {
+          const activeAccount = data.find(acc => acc.status === 'active') || data[0];
+          setSelectedAccountId(activeAccount.id);
+          setCurrentAccountStatus(activeAccount.status || '');
+        } else {
+          setSelectedAccountId('');
+          setCurrentAccountStatus('');
+        }
+      } catch (error) {
+        toast({ title: "Error fetching accounts", description: error.message, variant: "destructive" });
+      }
+    }
+    setLoadingAccounts(false);
+  }, [toast]);
+
+  useEffect(() => {
+    fetchUserAndAccounts();
+  }, [fetchUserAndAccounts]);
+
+  const fetchAdGroupsForAccount = useCallback(async () => {
+    if (!selectedAccountId || !user) {
+      setAdGroups([]);
+      return;
+    }
+    try {
+      const { data, error } = await supabase
+        .from('amazon_ad_groups')
+        .select('id, name, amazon_ad_group_id, amazon_campaigns (name, campaign_id)')
+        .eq('account_id', selectedAccountId)
+        // Keywords can only be added to Sponsored Products ad groups
+        .eq('ad_product', 'SPONSORED_PRODUCTS')
+        .order('name', { ascending: true });
+      if (error) throw error;
+      setAdGroups(data || []);
+    } catch (error) {
+      toast({ title: "Error fetching ad groups for account", description: error.message, variant: "destructive" });
+      setAdGroups([]);
+    }
+  }, [selectedAccountId, user, toast]);
+
+  useEffect(() => {
+    fetchAdGroupsForAccount();
+  }, [fetchAdGroupsForAccount]);
+
+  const fetchSearchTerms = useCallback(async () => {
+    if (!selectedAccountId || !user) {
+      setTerms([]);
+      return;
+    }
+    setLoadingData(true);
+    try {
+      let query = supabase
+        .from('amazon_search_terms')
+        .select('*, amazon_campaigns (name), amazon_ad_groups (name)')
+        .eq('account_id', selectedAccountId);
+
+      if (performanceFilter === 'converting') {
+        query = query.gt('orders', 0);
+      } else if (performanceFilter === 'no_orders') {
+        query = query.eq('orders', 0).gt('clicks', 0);
+      }
+
+      query = query.order(sortConfig.key, { ascending: sortConfig.direction === 'ascending' });
+
+      const { data, error } = await query;
+      if (error) throw error;
+      setTerms(data || []);
+      setSelectedIds(new Set());
+    } catch (error) {
+      toast({ title: "Error fetching search terms", description: error.message, variant: "destructive" });
+      setTerms([]);
+    } finally {
+      setLoadingData(false);
+    }
+  }, [selectedAccountId, performanceFilter, user, toast, sortConfig]);
+
+  useEffect(() => {
+    fetchSearchTerms();
+  }, [fetchSearchTerms]);
+
+  const handleSort = (key) => {
+    let direction = 'descending';
+    if (sortConfig.key === key && sortConfig.direction === 'descending') {
+      direction = 'ascending';
+    }
+    setSortConfig({ key, direction });
+  };
+
+  const needle = searchTerm.toLowerCase();
+  const filteredTerms = terms.filter(t =>
+    (t.search_term && t.search_term.toLowerCase().includes(needle)) ||
+    (t.keyword_text && t.keyword_text.toLowerCase().includes(needle))
+  );
+
+  const getSortIcon = (key) => {
+    if (sortConfig.key !== key) {
+      return <ArrowUpDown size={14} className="ml-2 opacity-30" />;
+    }
+    return sortConfig.direction === 'ascending' ?
+      <ArrowUpDown size={14} className="ml-2 text-purple-400 transform rotate-180" /> :
+      <ArrowUpDown size={14} className="ml-2 text-purple-400" />;
+  };
+
+  const formatCurrency = (value) => {
+    if (value === null || typeof value === 'undefined') return 'N/A';
+    const numValue = Number(value);
+    if (isNaN(numValue)) return 'N/A';
+    return `${numValue.toFixed(2)}`;
+  };
+
+  const formatPercentage = (value) => {
+    if (value === null || typeof value === 'undefined') return 'N/A';
+    const numValue = Number(value);
+    if (isNaN(numValue)) return 'N/A';
+    return `${(numValue * 100).toFixed(2)}%`;
+  };
+
+  const formatNumber = (value) => {
+    if (value === null || typeof value === 'undefined') return 'N/A';
+    const numValue = Number(value);
+    if (isNaN(numValue)) return 'N/A';
+    return numValue.toLocaleString();
+  };
+
+  const handleAccountChange = (value) => {
+    setSelectedAccountId(value);
+    const selectedAcc = linkedAccounts.find(acc => acc.id === value);
+    setCurrentAccountStatus(selectedAcc?.status || '');
+    setAdGroups([]);
+    setTerms([]);
+    setPromoteAdGroupId('');
+  };
+
+  const toggleSelected = (id, checked) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (checked) next.add(id); else next.delete(id);
+      return next;
+    });
+  };
+
+  const callUpdate = async (type, items) => {
+    const res = await fetch(`${OPTIMIZATION_SERVER_URL}/amazon/update`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ accountId: selectedAccountId, type, items }),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || json.status !== 'success') throw new Error(json.message || `HTTP ${res.status}`);
+    return json.result || {};
+  };
+
+  const getSelectedTerms = () => terms.filter((t) => selectedIds.has(t.id));
+
+  // Aynı sorgu birden fazla keyword altında görünebilir; her terim bir kez eklenir
+  const uniqueBy = (items, keyFn) => Array.from(new Map(items.map((it) => [keyFn(it), it])).values());
+
+  const reportCreateResult = (result, what) => {
+    const failed = result.failed || [];
+    toast({
+      title: failed.length ? 'Partially applied' : 'Applied',
+      description: `${result.created || 0} ${what} created${failed.length ? `, ${failed.length} failed (${failed[0].error})` : ''}.`,
+      variant: failed.length ? 'destructive' : 'default',
+    });
+  };
+
+  const promoteToKeywords = async () => {
+    const selected = getSelectedTerms();
+    if (selected.length === 0) { toast({ title: 'No selection', description: 'Select search terms first', variant: 'destructive' }); return; }
+    const adGroup = adGroups.find((ag) => ag.id === promoteAdGroupId);
+    if (!adGroup?.amazon_ad_group_id || !adGroup.amazon_campaigns?.campaign_id) {
+      toast({ title: 'Missing ad group', description: 'Choose the ad group to add the keywords to', variant: 'destructive' });
+      return;
+    }
+    const bid = promoteBid === '' ? null : Number(promoteBid);
+    if (bid != null && Number.isNaN(bid)) { toast({ title: 'Invalid bid', description: 'Enter a number', variant: 'destructive' }); return; }
+    setApplying(true);
+    try {
+      const items = uniqueBy(selected, (t) => t.search_term.toLowerCase()).map((t) => ({
+        campaignId: adGroup.amazon_campaigns.campaign_id,
+        adGroupId: adGroup.amazon_ad_group_id,
+        keywordText: t.search_term,
+        matchType: 'exact',
+        bid,
+      }));
+      reportCreateResult(await callUpdate('keyword_create', items), 'exact keyword(s)');
+      setSelectedIds(new Set());
+    } catch (e) {
+      toast({ title: 'Apply failed', description: String(e.message || e), variant: 'destructive' });
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const addAsNegatives = async () => {
+    const selected = getSelectedTerms().filter((t) => t.amazon_campaign_id && t.amazon_ad_group_id);
+    if (selected.length === 0) { toast({ title: 'No selection', description: 'Select search terms first', variant: 'destructive' }); return; }
+    setApplying(true);
+    try {
+      const items = uniqueBy(selected, (t) => `${t.amazon_ad_group_id}|${t.search_term.toLowerCase()}`).map((t) => ({
+        campaignId: t.amazon_campaign_id,
+        adGroupId: t.amazon_ad_group_id,
+        keywordText: t.search_term,
+        matchType: negativeMatchType,
+      }));
+      reportCreateResult(await callUpdate('negative_keyword_create', items), 'negative keyword(s)');
+      setSelectedIds(new Set());
+    } catch (e) {
+      toast({ title: 'Apply failed', description: String(e.message || e), variant: 'destructive' });
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const selectedAccount = linkedAccounts.find(acc => acc.id === selectedAccountId);
+  const columns = [
+    { key: 'search_term', label: 'Search term' },
+    { key: 'keyword_text', label: 'Keyword / target' },
+    { key: 'match_type', label: 'Match type' },
+    { key: 'impressions', label: 'Impressions' },
+    { key: 'clicks', label: 'Clicks' },
+    { key: 'spend', label: 'Spend' },
+    { key: 'orders', label: 'Orders' },
+    { key: 'sales', label: 'Sales' },
+    { key: 'acos', label: 'ACOS' },
+    { key: 'cpc', label: 'CPC' },
+  ];
+
+  return (
+    <motion.div
+      className="space-y-8"
+      initial="initial"
+      animate="animate"
+      variants={pageVariants}
+    >
+      <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <ScanSearch size={36} className="text-purple-400" />
+          <h1 className="text-3xl sm:text-4xl font-bold tracking-tight text-slate-100">Search Terms</h1>
+        </div>
+        {needsRelink && selectedAccountId && (
+          <Button
+            onClick={() => navigate('/link-amazon', { state: { accountIdToRelink: selectedAccountId, client_id: selectedAccount?.client_id } })}
+            variant="destructive"
+            className="w-full sm:w-auto bg-yellow-500 hover:bg-yellow-600 text-yellow-900 border-yellow-600 hover:border-yellow-700"
+          >
+            <RefreshCcw size={20} className="mr-2"/> Re-link Amazon Account
+          </Button>
+        )}
+      </div>
+
+      <Card className="bg-slate-800/80 border-slate-700/60 shadow-xl">
+        <CardHeader>
+          <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+            <div>
+              <CardTitle className="text-xl text-purple-300">Customer Queries</CardTitle>
+              <CardDescription className="text-slate-400">
+                What shoppers typed before clicking your ads. Last sync: {selectedAccount?.last_sync ? new Date(selectedAccount.last_sync).toLocaleString() : 'Never'}
+              </CardDescription>
+            </div>
+            <div className="flex flex-col sm:flex-row gap-2 w-full md:w-auto">
+              {loadingAccounts ? (<Loader2 size={24} className="animate-spin text-purple-400"/>) : linkedAccounts.length > 0 ? (
+                <Select onValueChange={handleAccountChange} value={selectedAccountId} disabled={loadingData}>
+                  <SelectTrigger className="w-full sm:w-[200px] bg-slate-700 border-slate-600 text-slate-100">
+                    <SelectValue placeholder="Select Account" />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                    {linkedAccounts.map(account => (
+                      <SelectItem key={account.id} value={account.id}>{account.name || `Account ...${account.id.slice(-6)}`} ({account.status || 'N/A'})</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              ) : (
+                <p className="text-yellow-400 text-sm self-center">No Amazon accounts linked. <Button variant="link" className="p-0 h-auto text-purple-400" onClick={() => navigate('/link-amazon')}>Link an account</Button></p>
+              )}
+              <Select onValueChange={setPerformanceFilter} value={performanceFilter} disabled={loadingData}>
+                <SelectTrigger className="w-full sm:w-[200px] bg-slate-700 border-slate-600 text-slate-100">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                  <SelectItem value="all">All terms</SelectItem>
+                  <SelectItem value="converting">Converting (orders &gt; 0)</SelectItem>
+                  <SelectItem value="no_orders">Clicks without orders</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <div className="mt-4 flex flex-col lg:flex-row gap-4 lg:items-center lg:justify-between">
+            <div className="relative w-full max-w-xs">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-slate-400" />
+              <Input
+                type="text"
+                placeholder="Search terms or keywords..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="pl-10 bg-slate-700 border-slate-600 text-slate-100 placeholder-slate-500"
+                disabled={!selectedAccountId || loadingData || needsRelink}
+              />
+            </div>
+            <div className="flex flex-col sm:flex-row gap-2">
+              <Select onValueChange={setPromoteAdGroupId} value={promoteAdGroupId}>
+                <SelectTrigger className="w-full sm:w-[220px] bg-slate-700 border-slate-600 text-slate-100"><SelectValue placeholder="Target ad group" /></SelectTrigger>
+                <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                  {adGroups.map(ag => (
+                    <SelectItem key={ag.id} value={ag.id}>{ag.name} ({ag.amazon_campaigns?.name || 'N/A'})</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Input type="number" step="0.01" placeholder="Bid (optional)" value={promoteBid} onChange={(e) => setPromoteBid(e.target.value)} className="w-full sm:w-[140px] bg-slate-700 border-slate-600 text-slate-100" />
+              <Button onClick={promoteToKeywords} disabled={applying || selectedIds.size === 0} className="bg-emerald-600 hover:bg-emerald-700 text-white">
+                <PlusCircle size={16} className="mr-2" /> Add as Exact Keyword
+              </Button>
+              <Select onValueChange={setNegativeMatchType} value={negativeMatchType}>
+                <SelectTrigger className="w-full sm:w-[160px] bg-slate-700 border-slate-600 text-slate-100"><SelectValue /></SelectTrigger>
+                <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                  <SelectItem value="negativeExact">Negative exact</SelectItem>
+                  <SelectItem value="negativePhrase">Negative phrase</SelectItem>
+                </SelectContent>
+              </Select>
+              <Button onClick={addAsNegatives} disabled={applying || selectedIds.size === 0} className="bg-red-600 hover:bg-red-700 text-white">
+                <MinusCircle size={16} className="mr-2" /> Add as Negative
+              </Button>
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {loadingData ? (
+            <div className="flex justify-center items-center min-h-[200px]">
+              <Loader2 size={32} className="animate-spin text-purple-400" />
+              <p className="ml-3 text-slate-300">Loading search terms...</p>
+            </div>
+          ) : !selectedAccountId ? (
+            <div className="text-center py-10">
+              <AlertTriangle size={48} className="mx-auto text-yellow-400 mb-4 opacity-70" />
+              <p className="text-slate-300 text-lg">Please select an Amazon account.</p>
+            </div>
+          ) : filteredTerms.length === 0 ? (
+            <div className="text-center py-10">
+              <AlertTriangle size={48} className="mx-auto text-yellow-400 mb-4 opacity-70" />
+              <h3 className="text-xl font-semibold text-slate-200 mb-2">No Search Terms Found</h3>
+              <p className="text-slate-400">
+                No search terms for the selected criteria, or the search term report hasn't been synced yet.
+              </p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow className="border-slate-700">
+                    <TableHead className="w-[36px]">
+                      <input type="checkbox" onChange={(e) => {
+                        setSelectedIds(new Set(e.target.checked ? filteredTerms.map(r => r.id) : []));
+                      }} checked={filteredTerms.length > 0 && filteredTerms.every(r => selectedIds.has(r.id))} />
+                    </TableHead>
+                    {columns.map(({ key, label }) => (
+                      <TableHead key={key} onClick={() => handleSort(key)} className="cursor-pointer hover:bg-slate-700/50 transition-colors text-slate-300">
+                        <div className="flex items-center">
+                          {label}
+                          {getSortIcon(key)}
+                        </div>
+                      </TableHead>
+                    ))}
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {filteredTerms.map((t) => (
+                    <TableRow key={t.id} className="border-slate-700 hover:bg-slate-700/30">
+                      <TableCell><input type="checkbox" checked={selectedIds.has(t.id)} onChange={(e) => toggleSelected(t.id, e.target.checked)} /></TableCell>
+                      <TableCell className="font-medium text-purple-300 min-w-[150px] break-all" title={t.search_term}>{t.search_term}</TableCell>
+                      <TableCell className="min-w-[150px]">
+                        {t.keyword_text || t.amazon_keyword_id}{' '}
+                        <span className="text-xs text-slate-500">({t.amazon_ad_groups?.name || t.amazon_campaigns?.name || 'N/A'})</span>
+                      </TableCell>
+                      <TableCell>{t.match_type || t.keyword_type || 'N/A'}</TableCell>
+                      <TableCell>{formatNumber(t.impressions)}</TableCell>
+                      <TableCell>{formatNumber(t.clicks)}</TableCell>
+                      <TableCell>{formatCurrency(t.spend)}</TableCell>
+                      <TableCell>{formatNumber(t.orders)}</TableCell>
+                      <TableCell>{formatCurrency(t.sales)}</TableCell>
+                      <TableCell>{formatPercentage(t.acos)}</TableCell>
+                      <TableCell>{formatCurrency(t.cpc)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default SearchTermsPage;
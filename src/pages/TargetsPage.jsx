@@ -0,0 +1,484 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/lib/supabaseClient';
+import { useToast } from '@/components/ui/use-toast';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Crosshair, AlertTriangle, DownloadCloud, Loader2, Search, ArrowUpDown, RefreshCcw } from 'lucide-react';
+import { motion } from 'framer-motion';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Input } from '@/components/ui/input';
+import { useNavigate } from 'react-router-dom';
+import { OPTIMIZATION_SERVER_URL } from '@/lib/config';
+
+// Bid and status updates go through the Sponsored Products API only
+const isEditable = (row) => (row.ad_product || 'SPONSORED_PRODUCTS') === 'SPONSORED_PRODUCTS';
+
+// Product/ASIN targets (auto + manual) of every ad product, synced into
+// amazon_targets by the VPS sync. Bid and status edits of Sponsored Products
+// targets go through the optimization server like on the keywords page.
+const TargetsPage = () => {
+  const [targets, setTargets] = useState([]);
+  const [linkedAccounts, setLinkedAccounts] = useState([]);
+  const [selectedAccountId, setSelectedAccountId] = useState('');
+  const [currentAccountStatus, setCurrentAccountStatus] = useState('');
+  const [adGroups, setAdGroups] = useState([]);
+  const [selectedAdGroupId, setSelectedAdGroupId] = useState('all');
+  const [expressionTypeFilter, setExpressionTypeFilter] = useState('all');
+
+  const [loadingData, setLoadingData] = useState(false);
+  const [loadingAccounts, setLoadingAccounts] = useState(true);
+
+  const [searchTerm, setSearchTerm] = useState('');
+  const [sortConfig, setSortConfig] = useState({ key: 'expression_text', direction: 'ascending' });
+  const { toast } = useToast();
+  const [user, setUser] = useState(null);
+  const navigate = useNavigate();
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [editedBids, setEditedBids] = useState({});
+  const [editedStatuses, setEditedStatuses] = useState({});
+  const [batchBid, setBatchBid] = useState('');
+  const [batchStatus, setBatchStatus] = useState('');
+  const [applying, setApplying] = useState(false);
+
+  const pageVariants = {
+    initial: { opacity: 0, y: 20 },
+    animate: { opacity: 1, y: 0, transition: { duration: 0.5 } },
+  };
+
+  const needsRelink = ['reauth_required', 'error_no_profile', 'error_no_region'].includes(currentAccountStatus);
+
+  const fetchUserAndAccounts = useCallback(async () => {
+    setLoadingAccounts(true);
+    const { data: { user: currentUser } } = await supabase.auth.getUser();
+    setUser(currentUser);
+    if (currentUser) {
+      try {
+        const { data, error } = await supabase
+          .from('amazon_accounts')
+          .select('id, name, last_sync, status, client_id, amazon_profile_id')
+          .eq('user_id', currentUser.id);
+        if (error) throw error;
+        setLinkedAccounts(data || []);
+        if (data && data.length > 0) {
+          const activeAccount = data.find(acc => acc.status === 'active') || data[0];
+          setSelectedAccountId(activeAccount.id);
+          setCurrentAccountStatus(activeAccount.status || '');
+        } else {
+          setSelectedAccountId('');
+          setCurrentAccountStatus('');
+        }
+      } catch (error) {
+        toast({ title: "Error fetching accounts", description: error.message, variant: "destructive" });
+      }
+    }
+    setLoadingAccounts(false);
+  }, [toast]);
+
+  useEffect(() => {
+    fetchUserAndAccounts();
+  }, [fetchUserAndAccounts]);
+
+  const fetchAdGroupsForAccount = useCallback(async () => {
+    if (!selectedAccountId || !user) {
+      setAdGroups([]);
+      return;
+    }
+    try {
+      const { data, error } = await supabase
+        .from('amazon_ad_groups')
+        .select('id, name')
+        .eq('account_id', selectedAccountId)
+        .order('name', { ascending: true });
+      if (error) throw error;
+      setAdGroups(data || []);
+    } catch (error) {
+      toast({ title: "Error fetching ad groups for account", description: error.message, variant: "destructive" });
+      setAdGroups([]);
+    }
+  }, [selectedAccountId, user, toast]);
+
+  useEffect(() => {
+    fetchAdGroupsForAccount();
+  }, [fetchAdGroupsForAccount]);
+
+  const fetchTargets = useCallback(async () => {
+    if (!selectedAccountId || !user) {
+      setTargets([]);
+      return;
+    }
+    setLoadingData(true);
+    try {
+      let query = supabase
+        .from('amazon_targets')
+        .select('*, amazon_ad_groups (name), amazon_campaigns (name)')
+        .eq('account_id', selectedAccountId);
+
+      if (selectedAdGroupId && selectedAdGroupId !== 'all') {
+        query = query.eq('ad_group_id', selectedAdGroupId);
+      }
+      if (expressionTypeFilter !== 'all') {
+        query = query.eq('expression_type', expressionTypeFilter);
+      }
+
+      query = query.order(sortConfig.key, { ascending: sortConfig.direction === 'ascending' });
+
+      const { data, error } = await query;
+      if (error) throw error;
+      setTargets(data || []);
+      setSelectedIds(new Set());
+    } catch (error) {
+      toast({ title: "Error fetching targets", description: error.message, variant: "destructive" });
+      setTargets([]);
+    } finally {
+      setLoadingData(false);
+    }
+  }, [selectedAccountId, selectedAdGroupId, expressionTypeFilter, user, toast, sortConfig]);
+
+  useEffect(() => {
+    fetchTargets();
+  }, [fetchTargets]);
+
+  const handleSort = (key) => {
+    let direction = 'ascending';
+    if (sortConfig.key === key && sortConfig.direction === 'ascending') {
+      direction = 'descending';
+    }
+    setSortConfig({ key, direction });
+  };
+
+  const filteredTargets = targets.filter(t =>
+    (t.expression_text && t.expression_text.toLowerCase().includes(searchTerm.toLowerCase())) ||
+    (t.amazon_target_id && t.amazon_target_id.toLowerCase().includes(searchTerm.toLowerCase()))
+  );
+
+  const getSortIcon = (key) => {
+    if (sortConfig.key !== key) {
+      return <ArrowUpDown size={14} className="ml-2 opacity-30" />;
+    }
+    return sortConfig.direction === 'ascending' ?
+      <ArrowUpDown size={14} className="ml-2 text-purple-400 transform rotate-180" /> :
+      <ArrowUpDown size={14} className="ml-2 text-purple-400" />;
+  };
+
+  const formatCurrency = (value) => {
+    if (value === null || typeof value === 'undefined') return 'N/A';
+    const numValue = Number(value);
+    if (isNaN(numValue)) return 'N/A';
+    return `${numValue.toFixed(2)}`;
+  };
+
+  const formatPercentage = (value) => {
+    if (value === null || typeof value === 'undefined') return 'N/A';
+    const numValue = Number(value);
+    if (isNaN(numValue)) return 'N/A';
+    return `${(numValue * 100).toFixed(2)}%`;
+  };
+
+  const formatNumber = (value) => {
+    if (value === null || typeof value === 'undefined') return 'N/A';
+    const numValue = Number(value);
+    if (isNaN(numValue)) return 'N/A';
+    return numValue.toLocaleString();
+  };
+
+  const handleAccountChange = (value) => {
+    setSelectedAccountId(value);
+    const selectedAcc = linkedAccounts.find(acc => acc.id === value);
+    setCurrentAccountStatus(selectedAcc?.status || '');
+    setAdGroups([]);
+    setTargets([]);
+    setSelectedAdGroupId('all');
+  };
+
+  const toggleSelected = (id, checked) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (checked) next.add(id); else next.delete(id);
+      return next;
+    });
+  };
+
+  const callUpdate = async (type, items) => {
+    const res = await fetch(`${OPTIMIZATION_SERVER_URL}/amazon/update`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ accountId: selectedAccountId, type, items }),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || json.status !== 'success') throw new Error(json.message || `HTTP ${res.status}`);
+    return json.result || {};
+  };
+
+  // Amazon accepts or rejects each item of a batch on its own; rejected and
+  // guardrail-blocked items come back in the result
+  const reportBatchResult = (result, count) => {
+    const failed = [...(result.failed || []), ...(result.blocked || []).map((b) => ({ error: b.reason }))];
+    toast({
+      title: failed.length ? 'Partially applied' : 'Applied',
+      description: `Updated ${count - failed.length} target(s)${failed.length ? `, ${failed.length} failed: ${failed[0].error}` : ''}`,
+      variant: failed.length ? 'destructive' : 'default',
+    });
+  };
+
+  const applyRow = async (row) => {
+    setApplying(true);
+    try {
+      const ops = [];
+      if (editedBids[row.id] != null && editedBids[row.id] !== '') {
+        const num = Number(editedBids[row.id]);
+        if (Number.isNaN(num)) throw new Error('Invalid bid');
+        ops.push(callUpdate('target', [{ amazonId: row.amazon_target_id, value: num }]));
+      }
+      if (editedStatuses[row.id]) {
+        ops.push(callUpdate('target_status', [{ amazonId: row.amazon_target_id, value: String(editedStatuses[row.id]) }]));
+      }
+      if (ops.length === 0) return;
+      await Promise.all(ops);
+      toast({ title: 'Applied', description: 'Target updated', variant: 'default' });
+      await fetchTargets();
+    } catch (e) {
+      toast({ title: 'Apply failed', description: String(e.message || e), variant: 'destructive' });
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const applyBatch = async (type, value) => {
+    const ids = Array.from(selectedIds);
+    if (ids.length === 0) { toast({ title: 'No selection', description: 'Select rows first', variant: 'destructive' }); return; }
+    const rows = targets.filter((r) => ids.includes(r.id) && isEditable(r));
+    if (rows.length === 0) { toast({ title: 'Nothing to update', description: 'Only Sponsored Products targets can be edited here', variant: 'destructive' }); return; }
+    setApplying(true);
+    try {
+      const items = rows.map((r) => ({ amazonId: r.amazon_target_id, value }));
+      reportBatchResult(await callUpdate(type, items), items.length);
+      await fetchTargets();
+    } catch (e) {
+      toast({ title: 'Apply failed', description: String(e.message || e), variant: 'destructive' });
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const applyBatchBid = () => {
+    const num = Number(batchBid);
+    if (batchBid === '' || Number.isNaN(num)) { toast({ title: 'Invalid bid', description: 'Enter a number', variant: 'destructive' }); return; }
+    applyBatch('target', num);
+  };
+
+  const applyBatchStatus = () => {
+    if (!batchStatus) { toast({ title: 'Missing status', description: 'Choose a status', variant: 'destructive' }); return; }
+    applyBatch('target_status', batchStatus);
+  };
+
+  const selectedAccount = linkedAccounts.find(acc => acc.id === selectedAccountId);
+
+  return (
+    <motion.div
+      className="space-y-8"
+      initial="initial"
+      animate="animate"
+      variants={pageVariants}
+    >
+      <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <Crosshair size={36} className="text-purple-400" />
+          <h1 className="text-3xl sm:text-4xl font-bold tracking-tight text-slate-100">Product Targets</h1>
+        </div>
+        {selectedAccountId && !needsRelink && (
+          <Button
+            onClick={fetchTargets}
+            disabled={loadingData}
+            className="bg-blue-600 hover:bg-blue-700 text-white shadow-md w-full sm:w-auto"
+          >
+            {loadingData ? <Loader2 size={20} className="mr-2 animate-spin" /> : <DownloadCloud size={20} className="mr-2" />}
+            Reload Targets
+          </Button>
+        )}
+        {needsRelink && selectedAccountId && (
+          <Button
+            onClick={() => navigate('/link-amazon', { state: { accountIdToRelink: selectedAccountId, client_id: selectedAccount?.client_id } })}
+            variant="destructive"
+            className="w-full sm:w-auto bg-yellow-500 hover:bg-yellow-600 text-yellow-900 border-yellow-600 hover:border-yellow-700"
+          >
+            <RefreshCcw size={20} className="mr-2"/> Re-link Amazon Account
+          </Button>
+        )}
+      </div>
+
+      <Card className="bg-slate-800/80 border-slate-700/60 shadow-xl">
+        <CardHeader>
+          <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+            <div>
+              <CardTitle className="text-xl text-purple-300">Your Targets</CardTitle>
+              <CardDescription className="text-slate-400">
+                ASIN, category and auto-targeting clauses. Last sync: {selectedAccount?.last_sync ? new Date(selectedAccount.last_sync).toLocaleString() : 'Never'}
+              </CardDescription>
+            </div>
+            <div className="flex flex-col sm:flex-row gap-2 w-full md:w-auto">
+              <Input type="number" step="0.01" placeholder="Batch bid" value={batchBid} onChange={(e) => setBatchBid(e.target.value)} className="w-full sm:w-[140px] bg-slate-700 border-slate-600 text-slate-100" />
+              <Button onClick={applyBatchBid} disabled={applying || selectedIds.size === 0} className="bg-emerald-600 hover:bg-emerald-700 text-white">Apply Bids</Button>
+              <Select onValueChange={setBatchStatus} value={batchStatus}>
+                <SelectTrigger className="w-full sm:w-[160px] bg-slate-700 border-slate-600 text-slate-100"><SelectValue placeholder="Set status" /></SelectTrigger>
+                <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                  <SelectItem value="enabled">enabled</SelectItem>
+                  <SelectItem value="paused">paused</SelectItem>
+                  <SelectItem value="archived">archived</SelectItem>
+                </SelectContent>
+              </Select>
+              <Button onClick={applyBatchStatus} disabled={applying || !batchStatus || selectedIds.size === 0} className="bg-amber-600 hover:bg-amber-700 text-white">Apply Status</Button>
+            </div>
+            <div className="flex flex-col sm:flex-row gap-2 w-full md:w-auto">
+              {loadingAccounts ? (<Loader2 size={24} className="animate-spin text-purple-400"/>) : linkedAccounts.length > 0 ? (
+                <Select onValueChange={handleAccountChange} value={selectedAccountId} disabled={loadingData}>
+                  <SelectTrigger className="w-full sm:w-[200px] bg-slate-700 border-slate-600 text-slate-100">
+                    <SelectValue placeholder="Select Account" />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                    {linkedAccounts.map(account => (
+                      <SelectItem key={account.id} value={account.id}>{account.name || `Account ...${account.id.slice(-6)}`} ({account.status || 'N/A'})</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              ) : (
+                <p className="text-yellow-400 text-sm self-center">No Amazon accounts linked. <Button variant="link" className="p-0 h-auto text-purple-400" onClick={() => navigate('/link-amazon')}>Link an account</Button></p>
+              )}
+
+              {selectedAccountId && adGroups.length > 0 && (
+                <Select onValueChange={setSelectedAdGroupId} value={selectedAdGroupId} disabled={loadingData}>
+                  <SelectTrigger className="w-full sm:w-[200px] bg-slate-700 border-slate-600 text-slate-100">
+                    <SelectValue placeholder="Select Ad Group" />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                    <SelectItem value="all">All Ad Groups</SelectItem>
+                    {adGroups.map(ag => (
+                      <SelectItem key={ag.id} value={ag.id}>{ag.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
+
+              <Select onValueChange={setExpressionTypeFilter} value={expressionTypeFilter} disabled={loadingData}>
+                <SelectTrigger className="w-full sm:w-[160px] bg-slate-700 border-slate-600 text-slate-100">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                  <SelectItem value="all">Auto + Manual</SelectItem>
+                  <SelectItem value="auto">Auto targeting</SelectItem>
+                  <SelectItem value="manual">Manual targeting</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+          <div className="mt-4">
+            <div className="relative w-full max-w-xs">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-slate-400" />
+              <Input
+                type="text"
+                placeholder="Search targets or ASINs..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="pl-10 bg-slate-700 border-slate-600 text-slate-100 placeholder-slate-500"
+                disabled={!selectedAccountId || loadingData || needsRelink}
+              />
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {loadingData ? (
+            <div className="flex justify-center items-center min-h-[200px]">
+              <Loader2 size={32} className="animate-spin text-purple-400" />
+              <p className="ml-3 text-slate-300">Loading targets...</p>
+            </div>
+          ) : !selectedAccountId ? (
+            <div className="text-center py-10">
+              <AlertTriangle size={48} className="mx-auto text-yellow-400 mb-4 opacity-70" />
+              <p className="text-slate-300 text-lg">Please select an Amazon account.</p>
+            </div>
+          ) : filteredTargets.length === 0 ? (
+            <div className="text-center py-10">
+              <AlertTriangle size={48} className="mx-auto text-yellow-400 mb-4 opacity-70" />
+              <h3 className="text-xl font-semibold text-slate-200 mb-2">No Targets Found</h3>
+              <p className="text-slate-400">
+                No product targets for the selected criteria, or data hasn't been synced yet.
+              </p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow className="border-slate-700">
+                    <TableHead className="w-[36px]">
+                      <input type="checkbox" onChange={(e) => {
+                        setSelectedIds(new Set(e.target.checked ? filteredTargets.map(r => r.id) : []));
+                      }} checked={filteredTargets.length > 0 && filteredTargets.every(r => selectedIds.has(r.id))} />
+                    </TableHead>
+                    {['expression_text', 'expression_type', 'status', 'bid', 'spend', 'impressions', 'clicks', 'ctr', 'cpc', 'orders', 'acos'].map(key => (
+                      <TableHead key={key} onClick={() => handleSort(key)} className="cursor-pointer hover:bg-slate-700/50 transition-colors text-slate-300">
+                        <div className="flex items-center">
+                          {key === 'expression_text' ? 'Target' : key === 'expression_type' ? 'Type' : key.charAt(0).toUpperCase() + key.slice(1)}
+                          {getSortIcon(key)}
+                        </div>
+                      </TableHead>
+                    ))}
+                    <TableHead>New bid</TableHead>
+                    <TableHead>Set status</TableHead>
+                    <TableHead>Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {filteredTargets.map((t) => (
+                    <TableRow key={t.id} className="border-slate-700 hover:bg-slate-700/30">
+                      <TableCell><input type="checkbox" checked={selectedIds.has(t.id)} onChange={(e) => toggleSelected(t.id, e.target.checked)} /></TableCell>
+                      <TableCell className="font-medium text-purple-300 min-w-[150px] break-all" title={t.expression_text}>
+                        {t.expression_text || t.amazon_target_id}{' '}
+                        <span className="text-xs text-slate-500">({t.amazon_ad_groups?.name || t.amazon_campaigns?.name || 'N/A'})</span>
+                      </TableCell>
+                      <TableCell>{t.expression_type || 'N/A'}</TableCell>
+                      <TableCell>
+                        <span className={`px-2 py-1 text-xs rounded-full ${
+                          t.status === 'enabled' ? 'bg-green-500/20 text-green-300' :
+                          t.status === 'paused' ? 'bg-yellow-500/20 text-yellow-300' :
+                          'bg-red-500/20 text-red-300'
+                        }`}>
+                          {t.status || 'unknown'}
+                        </span>
+                      </TableCell>
+                      <TableCell>{formatCurrency(t.bid)}</TableCell>
+                      <TableCell>{formatCurrency(t.spend)}</TableCell>
+                      <TableCell>{formatNumber(t.impressions)}</TableCell>
+                      <TableCell>{formatNumber(t.clicks)}</TableCell>
+                      <TableCell>{formatPercentage(t.impressions > 0 ? (t.clicks || 0) / t.impressions : 0)}</TableCell>
+                      <TableCell>{formatCurrency(t.clicks > 0 ? (t.spend || 0) / t.clicks : 0)}</TableCell>
+                      <TableCell>{formatNumber(t.orders)}</TableCell>
+                      <TableCell>{formatPercentage(t.acos)}</TableCell>
+                      <TableCell>
+                        <Input type="number" step="0.01" value={editedBids[t.id] ?? t.bid ?? ''} onChange={(e) => setEditedBids((prev) => ({ ...prev, [t.id]: e.target.value }))} disabled={!isEditable(t)} className="w-28 bg-slate-700 border-slate-600 text-slate-100" />
+                      </TableCell>
+                      <TableCell>
+                        <Select onValueChange={(v) => setEditedStatuses((prev) => ({ ...prev, [t.id]: v }))} value={editedStatuses[t.id] ?? ''} disabled={!isEditable(t)}>
+                          <SelectTrigger className="w-[140px] bg-slate-700 border-slate-600 text-slate-100"><SelectValue placeholder="choose" /></SelectTrigger>
+                          <SelectContent className="bg-slate-800 text-slate-100 border-slate-700">
+                            <SelectItem value="enabled">enabled</SelectItem>
+                            <SelectItem value="paused">paused</SelectItem>
+                            <SelectItem value="archived">archived</SelectItem>
+                          </SelectContent>
+                        </Select>
+                      </TableCell>
+                      <TableCell>
+                        <Button onClick={() => applyRow(t)} disabled={applying || !isEditable(t)} className="bg-emerald-600 hover:bg-emerald-700 text-white">Apply</Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default TargetsPage;